@@ -1,9 +1,34 @@
 // index.js
 require('dotenv').config();
 const app = require('./src/app');
+const {
+  startImapListener,
+  stopImapListener,
+} = require('./src/workers/imapListener');
+const { startJobWorker, stopJobWorker } = require('./src/workers/jobWorker');
 
 const port = process.env.PORT || 3000;
 
 app.listen(port, () => {
   console.log(`AutoRFP backend listening on port ${port}`);
+
+  // Resident mail listener (IMAP IDLE); FetchEmails / poller.js still work without it
+  if (process.env.IMAP_LISTENER_ENABLED === 'true') {
+    startImapListener({
+      autoParse: process.env.IMAP_AUTO_PARSE === 'true',
+    });
+  }
+
+  // Background jobs (emails, rating updates); set false when running `npm run worker` separately
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    startJobWorker();
+  }
 });
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    await stopImapListener();
+    await stopJobWorker();
+    process.exit(0);
+  });
+}
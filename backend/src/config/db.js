@@ -11,6 +11,8 @@ function createSequelize(dbName) {
   const port = Number(process.env.DB_PORT || 5432);
   const user = process.env.DB_USER;
   const password = process.env.DB_PASSWORD;
+  // RDS requires SSL; a local Postgres usually has it off (DB_SSL=false)
+  const ssl = process.env.DB_SSL !== 'false';
 
   if (!user || !password) {
     throw new Error('DB_USER and DB_PASSWORD environment variables are required');
@@ -21,6 +23,7 @@ function createSequelize(dbName) {
     port,
     userPresent: !!user,
     hasPassword: !!password,
+    ssl,
   });
 
   return new Sequelize(dbName, user, password, {
@@ -30,10 +33,12 @@ function createSequelize(dbName) {
     dialectModule: pg,            // critical line: use this module instead of internal require
     logging: false,               // change to console.log if you want SQL logs
     dialectOptions: {
-      ssl: {
-        require: true,
-        rejectUnauthorized: false,
-      },
+      ssl: ssl
+        ? {
+            require: true,
+            rejectUnauthorized: false,
+          }
+        : false,
       application_name: 'node-express-api',
       statement_timeout: 20000,                    // ms
       query_timeout: 25000,                        // ms
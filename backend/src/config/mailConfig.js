@@ -0,0 +1,213 @@
+// config/mailConfig.js
+const axios = require("axios");
+require("dotenv").config();
+
+/**
+ * Mail server configuration (IMAP in, SMTP out, reply routing).
+ *
+ * Everything is env-driven and defaults to the original Gmail setup, so a
+ * deployment that only sets GMAIL_USER / GMAIL_PASS keeps working. Any other
+ * provider (own Postfix/Dovecot, Exchange, Fastmail, ...) sets IMAP_* / SMTP_*.
+ *
+ * Auth:
+ *   MAIL_AUTH_TYPE=password  → user + pass
+ *   MAIL_AUTH_TYPE=oauth2    → XOAUTH2 with MAIL_OAUTH_ACCESS_TOKEN, or a
+ *                              refresh token exchanged at MAIL_OAUTH_TOKEN_URL
+ *
+ * Reply routing (REPLY_ROUTING_STRATEGY):
+ *   plus       user+rfp_<token>@domain      (needs plus-addressing, e.g. Gmail)
+ *   subdomain  rfp_<token>@<REPLY_ROUTING_DOMAIN>  (catch-all delivered to the mailbox)
+ *   subject    reply to the base address, "[RFP-<token>]" in the subject
+ */
+
+const env = process.env;
+
+const bool = (value, fallback) => {
+  if (value === undefined || value === "") return fallback;
+  return String(value).toLowerCase() === "true";
+};
+
+const int = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const REPLY_ROUTING_STRATEGIES = ["plus", "subdomain", "subject"];
+
+const mailUser = env.MAIL_USER || env.GMAIL_USER || null;
+const mailPass = env.MAIL_PASS || env.GMAIL_PASS || null;
+
+const oauth = {
+  accessToken: env.MAIL_OAUTH_ACCESS_TOKEN || null,
+  clientId: env.MAIL_OAUTH_CLIENT_ID || null,
+  clientSecret: env.MAIL_OAUTH_CLIENT_SECRET || null,
+  refreshToken: env.MAIL_OAUTH_REFRESH_TOKEN || null,
+  tokenUrl: env.MAIL_OAUTH_TOKEN_URL || "https://oauth2.googleapis.com/token",
+};
+
+const mailConfig = {
+  authType: (env.MAIL_AUTH_TYPE || "password").toLowerCase(), // 'password' | 'oauth2'
+  oauth,
+
+  imap: {
+    host: env.IMAP_HOST || "imap.gmail.com",
+    port: int(env.IMAP_PORT, 993),
+    secure: bool(env.IMAP_SECURE, true), // false → STARTTLS when offered
+    user: env.IMAP_USER || mailUser,
+    pass: env.IMAP_PASS || mailPass,
+    rejectUnauthorized: bool(env.IMAP_TLS_REJECT_UNAUTHORIZED, true),
+  },
+
+  smtp: {
+    host: env.SMTP_HOST || "smtp.gmail.com",
+    port: int(env.SMTP_PORT, 465),
+    secure: bool(env.SMTP_SECURE, true), // false → STARTTLS (port 587)
+    user: env.SMTP_USER || mailUser,
+    pass: env.SMTP_PASS || mailPass,
+    from: env.MAIL_FROM || env.SMTP_USER || mailUser,
+    rejectUnauthorized: bool(env.SMTP_TLS_REJECT_UNAUTHORIZED, false),
+  },
+
+  replyRouting: {
+    strategy: (env.REPLY_ROUTING_STRATEGY || "plus").toLowerCase(),
+    // Address vendors reply to (plus/subject) - defaults to the sending mailbox
+    baseAddress: env.REPLY_ROUTING_BASE_ADDRESS || env.MAIL_FROM || mailUser,
+    // Catch-all domain for the subdomain strategy, e.g. replies.example.com
+    domain: env.REPLY_ROUTING_DOMAIN || null,
+  },
+};
+
+if (!REPLY_ROUTING_STRATEGIES.includes(mailConfig.replyRouting.strategy)) {
+  throw new Error(
+    `REPLY_ROUTING_STRATEGY must be one of ${REPLY_ROUTING_STRATEGIES.join(", ")}`
+  );
+}
+
+if (
+  mailConfig.replyRouting.strategy === "subdomain" &&
+  !mailConfig.replyRouting.domain
+) {
+  throw new Error("REPLY_ROUTING_DOMAIN is required for the subdomain strategy");
+}
+
+// -------------------- OAuth2 --------------------
+
+let cachedToken = null; // { accessToken, expiresAt }
+
+/**
+ * Current XOAUTH2 access token. Uses the refresh token when configured
+ * (cached until a minute before expiry), else the static access token.
+ */
+async function getOAuthAccessToken() {
+  if (!oauth.refreshToken) {
+    if (!oauth.accessToken) {
+      throw new Error(
+        "MAIL_AUTH_TYPE=oauth2 needs MAIL_OAUTH_ACCESS_TOKEN or MAIL_OAUTH_REFRESH_TOKEN"
+      );
+    }
+    return oauth.accessToken;
+  }
+
+  if (cachedToken && cachedToken.expiresAt > Date.now() + 60 * 1000) {
+    return cachedToken.accessToken;
+  }
+
+  const response = await axios.post(
+    oauth.tokenUrl,
+    new URLSearchParams({
+      grant_type: "refresh_token",
+      refresh_token: oauth.refreshToken,
+      client_id: oauth.clientId || "",
+      client_secret: oauth.clientSecret || "",
+    }).toString(),
+    {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      timeout: 15000,
+    }
+  );
+
+  const { access_token, expires_in } = response.data || {};
+  if (!access_token) {
+    throw new Error("OAuth2 token endpoint returned no access_token");
+  }
+
+  cachedToken = {
+    accessToken: access_token,
+    expiresAt: Date.now() + int(expires_in, 3600) * 1000,
+  };
+  return access_token;
+}
+
+// -------------------- Transport options --------------------
+
+/**
+ * ImapFlow constructor options. Async because XOAUTH2 tokens may need a
+ * refresh before each (re)connect.
+ */
+async function getImapClientOptions() {
+  const { imap } = mailConfig;
+
+  const auth =
+    mailConfig.authType === "oauth2"
+      ? { user: imap.user, accessToken: await getOAuthAccessToken() }
+      : { user: imap.user, pass: imap.pass };
+
+  return {
+    host: imap.host,
+    port: imap.port,
+    secure: imap.secure,
+    auth,
+    tls: { rejectUnauthorized: imap.rejectUnauthorized },
+    logger: false,
+  };
+}
+
+/**
+ * Nodemailer transport options. For OAuth2 nodemailer refreshes the token
+ * itself when client id/secret/refresh token are given.
+ */
+function getSmtpTransportOptions() {
+  const { smtp } = mailConfig;
+
+  const auth =
+    mailConfig.authType === "oauth2"
+      ? {
+          type: "OAuth2",
+          user: smtp.user,
+          clientId: oauth.clientId || undefined,
+          clientSecret: oauth.clientSecret || undefined,
+          refreshToken: oauth.refreshToken || undefined,
+          accessToken: oauth.accessToken || undefined,
+          accessUrl: oauth.refreshToken ? oauth.tokenUrl : undefined,
+        }
+      : { user: smtp.user, pass: smtp.pass };
+
+  return {
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth,
+    tls: { rejectUnauthorized: smtp.rejectUnauthorized },
+  };
+}
+
+/**
+ * True when there is enough configuration to send mail.
+ */
+function isSmtpConfigured() {
+  const { smtp } = mailConfig;
+  if (!smtp.user) return false;
+  if (mailConfig.authType === "oauth2") {
+    return !!(oauth.accessToken || oauth.refreshToken);
+  }
+  return !!smtp.pass;
+}
+
+module.exports = {
+  REPLY_ROUTING_STRATEGIES,
+  mailConfig,
+  getImapClientOptions,
+  getSmtpTransportOptions,
+  getOAuthAccessToken,
+  isSmtpConfigured,
+};
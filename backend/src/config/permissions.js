@@ -0,0 +1,162 @@
+// config/permissions.js
+
+/**
+ * Role-based access control for the /api action dispatcher.
+ *
+ * ACTION_PERMISSIONS maps every action to the permission it needs;
+ * ROLE_PERMISSIONS lists what each role is granted. The dispatcher checks
+ * both before running a controller, so adding an action means adding one
+ * line here. Actions missing from the map are rejected.
+ *
+ *   requester  drafts RFPs and follows their progress
+ *   buyer      runs the sourcing: vendors, sending, emails, evaluation
+ *   approver   signs off on awards
+ *   admin      everything, including user management, organization settings,
+ *              vendor deletion/rating and the background job queue
+ */
+
+const ROLES = ["requester", "buyer", "approver", "admin"];
+
+const PERMISSIONS = {
+  PUBLIC: "public", // no token needed (see middlewares/authMiddleware.js)
+  SELF: "self", // own session / API tokens; any logged-in user
+  RFP_READ: "rfp:read",
+  RFP_WRITE: "rfp:write",
+  RFP_SEND: "rfp:send",
+  VENDOR_READ: "vendor:read",
+  VENDOR_WRITE: "vendor:write",
+  VENDOR_DELETE: "vendor:delete",
+  VENDOR_RATE: "vendor:rate",
+  EMAIL_READ: "email:read",
+  EMAIL_FETCH: "email:fetch",
+  PROPOSAL_READ: "proposal:read",
+  PROPOSAL_EVALUATE: "proposal:evaluate",
+  PROPOSAL_AWARD: "proposal:award",
+  USER_MANAGE: "user:manage",
+  ORG_MANAGE: "org:manage",
+  AUDIT_READ: "audit:read",
+  JOB_MANAGE: "job:manage",
+};
+
+const P = PERMISSIONS;
+
+const ACTION_PERMISSIONS = {
+  // Auth
+  Login: P.PUBLIC,
+  Logout: P.SELF,
+  GetCurrentUser: P.SELF,
+  CreateApiToken: P.SELF,
+  ListApiTokens: P.SELF,
+  RevokeApiToken: P.SELF,
+  CreateUser: P.USER_MANAGE,
+
+  // Organization
+  GetOrganization: P.SELF,
+  UpdateOrganization: P.ORG_MANAGE,
+
+  // RFPs
+  AnalyzeRfpPreview: P.RFP_WRITE,
+  CreateRfp: P.RFP_WRITE,
+  UpdateRfpCriteria: P.RFP_WRITE,
+  UpdateRfp: P.RFP_WRITE,
+  AddRfpItem: P.RFP_WRITE,
+  UpdateRfpItem: P.RFP_WRITE,
+  RemoveRfpItem: P.RFP_WRITE,
+  ReorderRfpItems: P.RFP_WRITE,
+  ListRfps: P.RFP_READ,
+  GetRfpDetails: P.RFP_READ,
+  SendRfp: P.RFP_SEND,
+  IssueRfpAmendment: P.RFP_SEND, // emails every invited vendor
+  ListRfpAmendments: P.RFP_READ,
+  ListRfpQuestions: P.RFP_READ,
+  AnswerRfpQuestion: P.RFP_SEND, // emails the vendor, or every invited vendor
+  ListRfpInvitations: P.RFP_READ,
+  MarkVendorDeclined: P.RFP_SEND, // stops reminders to the vendor
+
+  // Vendors
+  ListVendors: P.VENDOR_READ,
+  CreateVendor: P.VENDOR_WRITE,
+  UpdateVendor: P.VENDOR_WRITE,
+  DeleteVendor: P.VENDOR_DELETE,
+  SetVendorRating: P.VENDOR_RATE,
+  GetVendorRatingSummary: P.VENDOR_READ,
+
+  // Emails
+  ListEmails: P.EMAIL_READ,
+  GetEmailAttachment: P.EMAIL_READ,
+  FetchEmails: P.EMAIL_FETCH,
+  ClassifyEmail: P.PROPOSAL_EVALUATE, // decides what ParseProposals reads
+
+  // Proposals
+  ParseProposals: P.PROPOSAL_EVALUATE,
+  ListProposals: P.PROPOSAL_READ,
+  ListProposalVersions: P.PROPOSAL_READ,
+  CompareProposalItems: P.PROPOSAL_READ,
+  RejectProposal: P.PROPOSAL_EVALUATE,
+  AwardProposal: P.PROPOSAL_AWARD,
+
+  // Award approvals (step eligibility is checked in the service)
+  ListAwardApprovals: P.PROPOSAL_READ,
+  ApproveAward: P.PROPOSAL_AWARD,
+  RejectAward: P.PROPOSAL_AWARD,
+  CancelAwardApproval: P.PROPOSAL_AWARD, // requester or admin
+
+  // Audit
+  ListAuditEvents: P.AUDIT_READ,
+
+  // Background jobs
+  ListJobs: P.JOB_MANAGE,
+  RetryJob: P.JOB_MANAGE,
+};
+
+const READ_ONLY = [
+  P.SELF,
+  P.RFP_READ,
+  P.VENDOR_READ,
+  P.EMAIL_READ,
+  P.PROPOSAL_READ,
+];
+
+const ROLE_PERMISSIONS = {
+  requester: [...READ_ONLY, P.RFP_WRITE],
+  buyer: [
+    ...READ_ONLY,
+    P.RFP_WRITE,
+    P.RFP_SEND,
+    P.VENDOR_WRITE,
+    P.EMAIL_FETCH,
+    P.PROPOSAL_EVALUATE,
+    P.AUDIT_READ,
+  ],
+  approver: [...READ_ONLY, P.PROPOSAL_EVALUATE, P.PROPOSAL_AWARD, P.AUDIT_READ],
+  admin: Object.values(P).filter((p) => p !== P.PUBLIC),
+};
+
+/**
+ * Whether a role may run an action. Unknown actions and roles are denied.
+ */
+function canPerformAction(role, action) {
+  const permission = ACTION_PERMISSIONS[action];
+  if (!permission) return false;
+  if (permission === P.PUBLIC) return true;
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Every action the role may run (sent to the frontend to hide controls).
+ */
+function getAllowedActions(role) {
+  return Object.keys(ACTION_PERMISSIONS).filter(
+    (action) =>
+      ACTION_PERMISSIONS[action] !== P.PUBLIC && canPerformAction(role, action)
+  );
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ACTION_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  canPerformAction,
+  getAllowedActions,
+};
@@ -0,0 +1,27 @@
+const { listAuditEventsService } = require("../services/auditService");
+
+const { successResponse, errorResponse } = require("../utils/response");
+const { SUCCESS } = require("../utils/messages.json");
+const mapZodErrors = require("../utils/validationUtils/zodErrorMapper");
+
+const {
+  listAuditEventsSchema,
+} = require("../utils/validationUtils/zodValidatorUtils");
+
+/**
+ * Audit trail for an RFP or vendor
+ */
+exports.listAuditEventsController = async (data) => {
+  try {
+    const validatedData = listAuditEventsSchema.parse(data.data);
+
+    const result = await listAuditEventsService(validatedData);
+
+    const { statusCode, message } = SUCCESS.AUDIT_EVENTS_LISTED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
@@ -0,0 +1,134 @@
+const {
+  createUserService,
+  loginService,
+  logoutService,
+  getCurrentUserService,
+  createApiTokenService,
+  listApiTokensService,
+  revokeApiTokenService,
+} = require("../services/authService");
+
+const { successResponse, errorResponse } = require("../utils/response");
+const { SUCCESS } = require("../utils/messages.json");
+const mapZodErrors = require("../utils/validationUtils/zodErrorMapper");
+
+const {
+  loginSchema,
+  createUserSchema,
+  createApiTokenSchema,
+  revokeApiTokenSchema,
+} = require("../utils/validationUtils/zodValidatorUtils");
+
+/**
+ * Login with email + password (public action)
+ */
+exports.loginController = async (data) => {
+  try {
+    const validatedData = loginSchema.parse(data.data);
+
+    const result = await loginService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.LOGGED_IN;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Revoke the token used for this request
+ */
+exports.logoutController = async (data) => {
+  const result = await logoutService(data.auth);
+
+  const { statusCode, message } = SUCCESS.LOGGED_OUT;
+  return successResponse(statusCode, message, result);
+};
+
+/**
+ * Who am I
+ */
+exports.getCurrentUserController = async (data) => {
+  const result = await getCurrentUserService(data.auth);
+
+  const { statusCode, message } = SUCCESS.CURRENT_USER_RETRIEVED;
+  return successResponse(statusCode, message, result);
+};
+
+/**
+ * Create a user account
+ */
+exports.createUserController = async (data) => {
+  try {
+    const validatedData = createUserSchema.parse(data.data);
+
+    const result = await createUserService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.USER_CREATED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Create a long-lived API token for the current user
+ */
+exports.createApiTokenController = async (data) => {
+  try {
+    const validatedData = createApiTokenSchema.parse(data.data);
+
+    const result = await createApiTokenService(data.auth, validatedData);
+
+    const { statusCode, message } = SUCCESS.API_TOKEN_CREATED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * List the current user's API tokens (never the raw values)
+ */
+exports.listApiTokensController = async (data) => {
+  const result = await listApiTokensService(data.auth);
+
+  const { statusCode, message } = SUCCESS.API_TOKENS_LISTED;
+  return successResponse(statusCode, message, result);
+};
+
+/**
+ * Revoke one of the current user's API tokens
+ */
+exports.revokeApiTokenController = async (data) => {
+  try {
+    const validatedData = revokeApiTokenSchema.parse(data.data);
+
+    const result = await revokeApiTokenService(data.auth, validatedData);
+
+    if (result?.error) {
+      return errorResponse(404, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.API_TOKEN_REVOKED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
@@ -0,0 +1,102 @@
+const {
+  listAwardApprovalsService,
+  approveAwardService,
+  rejectAwardService,
+  cancelAwardApprovalService,
+} = require("../services/awardApprovalService");
+
+const { successResponse, errorResponse } = require("../utils/response");
+const { SUCCESS } = require("../utils/messages.json");
+const mapZodErrors = require("../utils/validationUtils/zodErrorMapper");
+
+const {
+  listAwardApprovalsSchema,
+  decideAwardSchema,
+} = require("../utils/validationUtils/zodValidatorUtils");
+
+/**
+ * Award approvals for an RFP, with their decisions
+ */
+exports.listAwardApprovalsController = async (data) => {
+  try {
+    const validatedData = listAwardApprovalsSchema.parse(data.data);
+
+    const result = await listAwardApprovalsService(data.auth, validatedData);
+
+    const { statusCode, message } = SUCCESS.AWARD_APPROVALS_LISTED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Approve the current step of a pending award
+ */
+exports.approveAwardController = async (data) => {
+  try {
+    const validatedData = decideAwardSchema.parse(data.data);
+
+    const result = await approveAwardService(data.auth, validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } =
+      result.status === "approved"
+        ? SUCCESS.RFP_PROPOSAL_AWARDED
+        : SUCCESS.AWARD_APPROVAL_STEP_APPROVED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Reject a pending award; the RFP goes back to evaluating
+ */
+exports.rejectAwardController = async (data) => {
+  try {
+    const validatedData = decideAwardSchema.parse(data.data);
+
+    const result = await rejectAwardService(data.auth, validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.AWARD_APPROVAL_REJECTED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Withdraw a pending award (requester or admin); the RFP goes back to evaluating
+ */
+exports.cancelAwardApprovalController = async (data) => {
+  try {
+    const validatedData = decideAwardSchema.parse(data.data);
+
+    const result = await cancelAwardApprovalService(data.auth, validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.AWARD_APPROVAL_CANCELLED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
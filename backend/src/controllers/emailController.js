@@ -1,6 +1,7 @@
 const {
   sendRfpService,
   listEmailsService,
+  getEmailAttachmentService,
   fetchEmailsService,
 } = require("../services/emailService");
 
@@ -11,6 +12,7 @@ const mapZodErrors = require("../utils/validationUtils/zodErrorMapper");
 const {
   sendRfpSchema,
   listEmailsSchema,
+  getEmailAttachmentSchema,
 } = require("../utils/validationUtils/zodValidatorUtils");
 
 /**
@@ -57,6 +59,28 @@ exports.listEmailsController = async (data) => {
   }
 };
 
+/**
+ * One email attachment with its extracted text
+ */
+exports.getEmailAttachmentController = async (data) => {
+  try {
+    const validatedData = getEmailAttachmentSchema.parse(data.data);
+
+    const result = await getEmailAttachmentService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.EMAIL_ATTACHMENT_RETRIEVED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
 /**
  * Fetch emails from IMAP inbox
  */
@@ -0,0 +1,53 @@
+const {
+  listJobsService,
+  retryJobService,
+} = require("../services/jobService");
+
+const { successResponse, errorResponse } = require("../utils/response");
+const { SUCCESS } = require("../utils/messages.json");
+const mapZodErrors = require("../utils/validationUtils/zodErrorMapper");
+
+const {
+  listJobsSchema,
+  retryJobSchema,
+} = require("../utils/validationUtils/zodValidatorUtils");
+
+/**
+ * Background jobs (emails, rating updates) with their status
+ */
+exports.listJobsController = async (data) => {
+  try {
+    const validatedData = listJobsSchema.parse(data.data);
+
+    const result = await listJobsService(validatedData);
+
+    const { statusCode, message } = SUCCESS.JOBS_LISTED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Requeue a dead job
+ */
+exports.retryJobController = async (data) => {
+  try {
+    const validatedData = retryJobSchema.parse(data.data);
+
+    const result = await retryJobService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.JOB_RETRIED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
@@ -0,0 +1,48 @@
+const {
+  getOrganizationService,
+  updateOrganizationService,
+} = require("../services/organizationService");
+
+const { successResponse, errorResponse } = require("../utils/response");
+const { SUCCESS } = require("../utils/messages.json");
+const mapZodErrors = require("../utils/validationUtils/zodErrorMapper");
+
+const {
+  updateOrganizationSchema,
+} = require("../utils/validationUtils/zodValidatorUtils");
+
+/**
+ * The caller's organization, including its effective reply routing
+ */
+exports.getOrganizationController = async (data) => {
+  const result = await getOrganizationService(data.auth);
+
+  if (result?.error) {
+    return errorResponse(404, result.error);
+  }
+
+  const { statusCode, message } = SUCCESS.ORGANIZATION_RETRIEVED;
+  return successResponse(statusCode, message, result);
+};
+
+/**
+ * Rename the caller's organization or change its mail settings
+ */
+exports.updateOrganizationController = async (data) => {
+  try {
+    const validatedData = updateOrganizationSchema.parse(data.data);
+
+    const result = await updateOrganizationService(data.auth, validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.ORGANIZATION_UPDATED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
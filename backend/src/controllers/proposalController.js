@@ -3,6 +3,8 @@ const {
   awardProposalService,
   rejectProposalService,
   listProposalsService,
+  listProposalVersionsService,
+  compareProposalItemsService,
 } = require("../services/proposalService");
 
 const { successResponse, errorResponse } = require("../utils/response");
@@ -14,6 +16,8 @@ const {
   awardProposalSchema,
   rejectProposalSchema,
   listProposalsSchema,
+  listProposalVersionsSchema,
+  compareProposalItemsSchema,
 } = require("../utils/validationUtils/zodValidatorUtils");
 
 /**
@@ -26,7 +30,7 @@ exports.parseProposalsController = async (data) => {
     const result = await parseProposalsService(validatedData);
 
     if (result?.error) {
-      return errorResponse(400, result.error);
+      return errorResponse(result.statusCode || 400, result.error);
     }
 
     const { statusCode, message } = SUCCESS.RFP_PROPOSALS_PARSED;
@@ -51,7 +55,9 @@ exports.awardProposalController = async (data) => {
       return errorResponse(400, result.error);
     }
 
-    const { statusCode, message } = SUCCESS.RFP_PROPOSAL_AWARDED;
+    const { statusCode, message } = result.approval_required
+      ? SUCCESS.AWARD_APPROVAL_REQUESTED
+      : SUCCESS.RFP_PROPOSAL_AWARDED;
     return successResponse(statusCode, message, result);
   } catch (err) {
     const errorMap = mapZodErrors(err);
@@ -103,3 +109,47 @@ exports.listProposalsController = async (data) => {
     throw err;
   }
 };
+
+/**
+ * List all versions of a vendor's proposal with changes between versions
+ */
+exports.listProposalVersionsController = async (data) => {
+  try {
+    const validatedData = listProposalVersionsSchema.parse(data.data);
+
+    const result = await listProposalVersionsService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.PROPOSAL_VERSIONS_LISTED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Line-item matrix: every RFP item against each vendor's matching quote
+ */
+exports.compareProposalItemsController = async (data) => {
+  try {
+    const validatedData = compareProposalItemsSchema.parse(data.data);
+
+    const result = await compareProposalItemsService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.PROPOSAL_ITEMS_COMPARED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
@@ -0,0 +1,57 @@
+const {
+  issueRfpAmendmentService,
+  listRfpAmendmentsService,
+} = require("../services/rfpAmendmentService");
+
+const { successResponse, errorResponse } = require("../utils/response");
+const { SUCCESS } = require("../utils/messages.json");
+const mapZodErrors = require("../utils/validationUtils/zodErrorMapper");
+
+const {
+  issueRfpAmendmentSchema,
+  listRfpAmendmentsSchema,
+} = require("../utils/validationUtils/zodValidatorUtils");
+
+/**
+ * Amend a sent RFP and email the addendum to its vendors
+ */
+exports.issueRfpAmendmentController = async (data) => {
+  try {
+    const validatedData = issueRfpAmendmentSchema.parse(data.data);
+
+    const result = await issueRfpAmendmentService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.RFP_AMENDMENT_ISSUED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Amendments of an RFP, newest first
+ */
+exports.listRfpAmendmentsController = async (data) => {
+  try {
+    const validatedData = listRfpAmendmentsSchema.parse(data.data);
+
+    const result = await listRfpAmendmentsService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.RFP_AMENDMENTS_LISTED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
@@ -1,6 +1,12 @@
 const {
   analyzeRfpPreviewService,
   createRfpService,
+  updateRfpCriteriaService,
+  updateRfpService,
+  addRfpItemService,
+  updateRfpItemService,
+  removeRfpItemService,
+  reorderRfpItemsService,
   listRfpsService,
   getRfpDetailsService,
 } = require("../services/rfpService");
@@ -12,6 +18,12 @@ const mapZodErrors = require("../utils/validationUtils/zodErrorMapper");
 const {
   analyzeRfpPreviewSchema,
   createRfpSchema,
+  updateRfpCriteriaSchema,
+  updateRfpSchema,
+  addRfpItemSchema,
+  updateRfpItemSchema,
+  removeRfpItemSchema,
+  reorderRfpItemsSchema,
   listRfpsSchema,
   getRfpDetailsSchema,
 } = require("../utils/validationUtils/zodValidatorUtils");
@@ -60,6 +72,138 @@ exports.createRfpController = async (data) => {
   }
 };
 
+/**
+ * Update RFP evaluation criteria (weights must sum to 100)
+ */
+exports.updateRfpCriteriaController = async (data) => {
+  try {
+    const validatedData = updateRfpCriteriaSchema.parse(data.data);
+
+    const result = await updateRfpCriteriaService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.RFP_CRITERIA_UPDATED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Update a draft RFP (title, budget, terms, dates)
+ */
+exports.updateRfpController = async (data) => {
+  try {
+    const validatedData = updateRfpSchema.parse(data.data);
+
+    const result = await updateRfpService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.RFP_UPDATED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Add a line item to a draft RFP
+ */
+exports.addRfpItemController = async (data) => {
+  try {
+    const validatedData = addRfpItemSchema.parse(data.data);
+
+    const result = await addRfpItemService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.RFP_ITEM_ADDED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Edit a line item of a draft RFP
+ */
+exports.updateRfpItemController = async (data) => {
+  try {
+    const validatedData = updateRfpItemSchema.parse(data.data);
+
+    const result = await updateRfpItemService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.RFP_ITEM_UPDATED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Remove a line item from a draft RFP
+ */
+exports.removeRfpItemController = async (data) => {
+  try {
+    const validatedData = removeRfpItemSchema.parse(data.data);
+
+    const result = await removeRfpItemService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.RFP_ITEM_REMOVED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Reorder the line items of a draft RFP
+ */
+exports.reorderRfpItemsController = async (data) => {
+  try {
+    const validatedData = reorderRfpItemsSchema.parse(data.data);
+
+    const result = await reorderRfpItemsService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.RFP_ITEMS_REORDERED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
 /**
  * List RFPs
  */
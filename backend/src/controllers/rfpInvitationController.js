@@ -0,0 +1,57 @@
+const {
+  listRfpInvitationsService,
+  markVendorDeclinedService,
+} = require("../services/rfpInvitationService");
+
+const { successResponse, errorResponse } = require("../utils/response");
+const { SUCCESS } = require("../utils/messages.json");
+const mapZodErrors = require("../utils/validationUtils/zodErrorMapper");
+
+const {
+  listRfpInvitationsSchema,
+  markVendorDeclinedSchema,
+} = require("../utils/validationUtils/zodValidatorUtils");
+
+/**
+ * Invited vendors of an RFP with their invite and response status
+ */
+exports.listRfpInvitationsController = async (data) => {
+  try {
+    const validatedData = listRfpInvitationsSchema.parse(data.data);
+
+    const result = await listRfpInvitationsService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.RFP_INVITATIONS_LISTED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Record that an invited vendor declined to bid
+ */
+exports.markVendorDeclinedController = async (data) => {
+  try {
+    const validatedData = markVendorDeclinedSchema.parse(data.data);
+
+    const result = await markVendorDeclinedService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.VENDOR_MARKED_DECLINED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
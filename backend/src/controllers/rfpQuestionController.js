@@ -0,0 +1,81 @@
+const {
+  classifyEmailService,
+  listRfpQuestionsService,
+  answerRfpQuestionService,
+} = require("../services/rfpQuestionService");
+
+const { successResponse, errorResponse } = require("../utils/response");
+const { SUCCESS } = require("../utils/messages.json");
+const mapZodErrors = require("../utils/validationUtils/zodErrorMapper");
+
+const {
+  classifyEmailSchema,
+  listRfpQuestionsSchema,
+  answerRfpQuestionSchema,
+} = require("../utils/validationUtils/zodValidatorUtils");
+
+/**
+ * Correct the classification of a vendor reply (proposal / question / decline / other)
+ */
+exports.classifyEmailController = async (data) => {
+  try {
+    const validatedData = classifyEmailSchema.parse(data.data);
+
+    const result = await classifyEmailService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.EMAIL_CLASSIFIED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Vendor questions on an RFP (Q&A board), newest first
+ */
+exports.listRfpQuestionsController = async (data) => {
+  try {
+    const validatedData = listRfpQuestionsSchema.parse(data.data);
+
+    const result = await listRfpQuestionsService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.RFP_QUESTIONS_LISTED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
+
+/**
+ * Answer a vendor question, optionally broadcast (anonymized) to every invited vendor
+ */
+exports.answerRfpQuestionController = async (data) => {
+  try {
+    const validatedData = answerRfpQuestionSchema.parse(data.data);
+
+    const result = await answerRfpQuestionService(validatedData);
+
+    if (result?.error) {
+      return errorResponse(result.statusCode || 400, result.error);
+    }
+
+    const { statusCode, message } = SUCCESS.RFP_QUESTION_ANSWERED;
+    return successResponse(statusCode, message, result);
+  } catch (err) {
+    const errorMap = mapZodErrors(err);
+    if (errorMap) return errorResponse(400, errorMap);
+    throw err;
+  }
+};
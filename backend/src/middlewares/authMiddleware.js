@@ -0,0 +1,61 @@
+// src/middlewares/authMiddleware.js
+const { resolveAuthToken } = require("../services/authService");
+const { parseBearerToken } = require("../utils/authUtils");
+const { runWithRequestContext } = require("../utils/requestContext");
+const { sanitizeError } = require("../utils/errorUtils");
+const { ERROR } = require("../utils/messages.json");
+
+// Actions callable without a bearer token
+const PUBLIC_ACTIONS = new Set(["Login"]);
+
+const unauthorized = (res) => {
+  const { statusCode, message } = ERROR.UNAUTHORIZED;
+  return res.status(statusCode).json({
+    success: false,
+    statusCode,
+    error: message,
+  });
+};
+
+/**
+ * Resolves "Authorization: Bearer <token>" to a user before the action
+ * dispatcher runs. On success sets req.auth = { user, token } and runs the
+ * rest of the request in the caller's org context, so every query is
+ * tenant-scoped (utils/tenantScope.js); otherwise responds 401 unless the
+ * action is public.
+ */
+async function authenticate(req, res, next) {
+  const action = req.body?.action;
+  if (PUBLIC_ACTIONS.has(action)) return next();
+
+  const rawToken = parseBearerToken(req.headers.authorization);
+  if (!rawToken) return unauthorized(res);
+
+  try {
+    const auth = await resolveAuthToken(rawToken);
+    if (!auth) return unauthorized(res);
+
+    req.auth = auth;
+    return runWithRequestContext(
+      {
+        orgId: auth.user.org_id,
+        userId: auth.user.id,
+        userEmail: auth.user.email,
+        // Audit fallback for actions that don't generate their own id
+        requestId: `REQ_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      },
+      next
+    );
+  } catch (err) {
+    console.error("Auth middleware error:", err);
+
+    const sanitized = sanitizeError(err);
+    return res.status(sanitized.statusCode).json({
+      success: false,
+      statusCode: sanitized.statusCode,
+      message: sanitized.message,
+    });
+  }
+}
+
+module.exports = { authenticate, PUBLIC_ACTIONS };
@@ -0,0 +1,180 @@
+// Baseline schema: the tables the app shipped with.
+// IF NOT EXISTS throughout, so databases created by hand before migrations
+// existed can adopt this history without being recreated.
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  // gen_random_uuid() is built in from Postgres 13; pgcrypto covers older servers
+  await q(`CREATE EXTENSION IF NOT EXISTS pgcrypto`);
+
+  // -------------------- updated_at trigger --------------------
+  await q(`
+    CREATE OR REPLACE FUNCTION set_updated_at() RETURNS trigger AS $$
+    BEGIN
+      NEW.updated_at = now();
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  // -------------------- Vendors --------------------
+  await q(`
+    CREATE TABLE IF NOT EXISTS vendors (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name TEXT NOT NULL,
+      email TEXT NOT NULL,
+      rating NUMERIC(4, 2) NOT NULL DEFAULT 0,
+      total_projects INTEGER NOT NULL DEFAULT 0,
+      successful_projects INTEGER NOT NULL DEFAULT 0,
+      average_delivery_days NUMERIC(6, 2),
+      on_time_percentage NUMERIC(5, 2),
+      average_proposal_score NUMERIC(5, 2),
+      rejection_count INTEGER NOT NULL DEFAULT 0,
+      last_awarded_at TIMESTAMPTZ,
+      tags TEXT[] NOT NULL DEFAULT '{}',
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+  await q(`CREATE UNIQUE INDEX IF NOT EXISTS vendors_email_key ON vendors (email)`);
+  await q(`CREATE INDEX IF NOT EXISTS vendors_tags_idx ON vendors USING GIN (tags)`);
+
+  // -------------------- RFPs --------------------
+  await q(`
+    CREATE TABLE IF NOT EXISTS rfps (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      title TEXT NOT NULL,
+      summary TEXT,
+      raw_prompt TEXT NOT NULL,
+      budget_cap NUMERIC(14, 2),
+      currency_code VARCHAR(3) NOT NULL DEFAULT 'USD',
+      deadline_days INTEGER,
+      payment_terms TEXT,
+      min_warranty_months INTEGER,
+      status TEXT NOT NULL DEFAULT 'draft',
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ
+    )
+  `);
+  await q(`CREATE INDEX IF NOT EXISTS rfps_status_created_at_idx ON rfps (status, created_at DESC)`);
+
+  await q(`
+    CREATE TABLE IF NOT EXISTS rfp_items (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      rfp_id UUID NOT NULL REFERENCES rfps (id) ON DELETE CASCADE,
+      item_label TEXT NOT NULL,
+      spec_text TEXT,
+      quantity INTEGER NOT NULL,
+      sort_order INTEGER,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+  await q(`CREATE INDEX IF NOT EXISTS rfp_items_rfp_id_sort_order_idx ON rfp_items (rfp_id, sort_order)`);
+
+  // -------------------- Emails --------------------
+  await q(`
+    CREATE TABLE IF NOT EXISTS emails (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      rfp_id UUID REFERENCES rfps (id) ON DELETE SET NULL,
+      vendor_id UUID REFERENCES vendors (id) ON DELETE SET NULL,
+      direction TEXT NOT NULL CHECK (direction IN ('inbound', 'outbound')),
+      subject TEXT,
+      body_text TEXT,
+      message_id TEXT,
+      sent_at TIMESTAMPTZ,
+      received_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+  // imapWorker dedupes on message_id (bulkCreate ignoreDuplicates)
+  await q(`CREATE UNIQUE INDEX IF NOT EXISTS emails_message_id_key ON emails (message_id)`);
+  await q(`CREATE INDEX IF NOT EXISTS emails_rfp_id_direction_idx ON emails (rfp_id, direction, received_at)`);
+  await q(`CREATE INDEX IF NOT EXISTS emails_vendor_id_idx ON emails (vendor_id)`);
+
+  // -------------------- RFP ↔ Vendor --------------------
+  await q(`
+    CREATE TABLE IF NOT EXISTS rfp_vendors (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      rfp_id UUID NOT NULL REFERENCES rfps (id) ON DELETE CASCADE,
+      vendor_id UUID NOT NULL REFERENCES vendors (id) ON DELETE CASCADE,
+      invite_status TEXT NOT NULL DEFAULT 'pending',
+      invited_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      last_email_id UUID REFERENCES emails (id) ON DELETE SET NULL,
+      reply_token VARCHAR(64),
+      updated_at TIMESTAMPTZ
+    )
+  `);
+  // SendRfp reuses one mapping per (rfp, vendor); inbound routing looks up by token
+  await q(`CREATE UNIQUE INDEX IF NOT EXISTS rfp_vendors_rfp_id_vendor_id_key ON rfp_vendors (rfp_id, vendor_id)`);
+  await q(`CREATE UNIQUE INDEX IF NOT EXISTS rfp_vendors_reply_token_key ON rfp_vendors (reply_token)`);
+  await q(`CREATE INDEX IF NOT EXISTS rfp_vendors_vendor_id_idx ON rfp_vendors (vendor_id)`);
+
+  // -------------------- Proposals --------------------
+  await q(`
+    CREATE TABLE IF NOT EXISTS proposals (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      rfp_id UUID NOT NULL REFERENCES rfps (id) ON DELETE CASCADE,
+      vendor_id UUID NOT NULL REFERENCES vendors (id) ON DELETE CASCADE,
+      email_id UUID REFERENCES emails (id) ON DELETE SET NULL,
+      version INTEGER NOT NULL DEFAULT 1,
+      total_price NUMERIC(14, 2),
+      currency_code VARCHAR(3) NOT NULL DEFAULT 'USD',
+      delivery_text TEXT,
+      delivery_days INTEGER,
+      warranty_text TEXT,
+      warranty_months INTEGER,
+      payment_terms TEXT,
+      items_match BOOLEAN,
+      ai_score NUMERIC(5, 2),
+      ai_reasoning TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      ai_parsed JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+  await q(`CREATE INDEX IF NOT EXISTS proposals_rfp_id_idx ON proposals (rfp_id)`);
+  await q(`CREATE INDEX IF NOT EXISTS proposals_vendor_id_status_idx ON proposals (vendor_id, status)`);
+
+  await q(`
+    CREATE TABLE IF NOT EXISTS proposal_items (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      proposal_id UUID NOT NULL REFERENCES proposals (id) ON DELETE CASCADE,
+      item_label TEXT NOT NULL,
+      spec_text TEXT,
+      quantity INTEGER,
+      unit_price NUMERIC(14, 2),
+      total_price NUMERIC(14, 2),
+      matches_rfp BOOLEAN,
+      notes TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+  await q(`CREATE INDEX IF NOT EXISTS proposal_items_proposal_id_idx ON proposal_items (proposal_id)`);
+
+  // -------------------- Triggers --------------------
+  for (const table of ["vendors", "rfps", "rfp_vendors", "proposals"]) {
+    await q(`DROP TRIGGER IF EXISTS ${table}_set_updated_at ON ${table}`);
+    await q(`
+      CREATE TRIGGER ${table}_set_updated_at
+      BEFORE UPDATE ON ${table}
+      FOR EACH ROW EXECUTE FUNCTION set_updated_at()
+    `);
+  }
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`DROP TABLE IF EXISTS proposal_items`);
+  await q(`DROP TABLE IF EXISTS proposals`);
+  await q(`DROP TABLE IF EXISTS rfp_vendors`);
+  await q(`DROP TABLE IF EXISTS emails`);
+  await q(`DROP TABLE IF EXISTS rfp_items`);
+  await q(`DROP TABLE IF EXISTS rfps`);
+  await q(`DROP TABLE IF EXISTS vendors`);
+  await q(`DROP FUNCTION IF EXISTS set_updated_at()`);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+// Columns added with code-side scoring, weighted criteria, proposal
+// versioning and per-email field attribution.
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`ALTER TABLE rfps ADD COLUMN IF NOT EXISTS evaluation_criteria JSONB`);
+
+  await q(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS score_breakdown JSONB`);
+  await q(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS is_current BOOLEAN NOT NULL DEFAULT true`);
+
+  // One row per (rfp, vendor, version); at most one current version per vendor
+  await q(`
+    CREATE UNIQUE INDEX IF NOT EXISTS proposals_rfp_id_vendor_id_version_key
+    ON proposals (rfp_id, vendor_id, version)
+  `);
+  await q(`
+    CREATE UNIQUE INDEX IF NOT EXISTS proposals_current_per_vendor_key
+    ON proposals (rfp_id, vendor_id) WHERE is_current
+  `);
+
+  await q(`
+    ALTER TABLE proposal_items
+    ADD COLUMN IF NOT EXISTS source_email_id UUID REFERENCES emails (id) ON DELETE SET NULL
+  `);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`ALTER TABLE proposal_items DROP COLUMN IF EXISTS source_email_id`);
+  await q(`DROP INDEX IF EXISTS proposals_current_per_vendor_key`);
+  await q(`DROP INDEX IF EXISTS proposals_rfp_id_vendor_id_version_key`);
+  await q(`ALTER TABLE proposals DROP COLUMN IF EXISTS is_current`);
+  await q(`ALTER TABLE proposals DROP COLUMN IF EXISTS score_breakdown`);
+  await q(`ALTER TABLE rfps DROP COLUMN IF EXISTS evaluation_criteria`);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// emails.body_html (written by imapWorker) and vendor reply attachments.
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`ALTER TABLE emails ADD COLUMN IF NOT EXISTS body_html TEXT`);
+
+  await q(`
+    CREATE TABLE IF NOT EXISTS attachments (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      email_id UUID NOT NULL REFERENCES emails (id) ON DELETE CASCADE,
+      filename TEXT,
+      content_type TEXT,
+      size_bytes INTEGER,
+      checksum TEXT,
+      content BYTEA,
+      extraction_status TEXT NOT NULL DEFAULT 'pending',
+      extracted_text TEXT,
+      extraction_error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+  await q(`CREATE INDEX IF NOT EXISTS attachments_email_id_idx ON attachments (email_id)`);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`DROP TABLE IF EXISTS attachments`);
+  await q(`ALTER TABLE emails DROP COLUMN IF EXISTS body_html`);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+// Persistent IMAP sync cursor per account + mailbox.
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`
+    CREATE TABLE IF NOT EXISTS imap_sync_states (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      account TEXT NOT NULL,
+      mailbox TEXT NOT NULL,
+      uid_validity BIGINT,
+      last_uid BIGINT NOT NULL DEFAULT 0,
+      last_synced_at TIMESTAMPTZ,
+      last_full_resync_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ
+    )
+  `);
+  await q(`
+    CREATE UNIQUE INDEX IF NOT EXISTS imap_sync_states_account_mailbox_key
+    ON imap_sync_states (account, mailbox)
+  `);
+
+  await q(`DROP TRIGGER IF EXISTS imap_sync_states_set_updated_at ON imap_sync_states`);
+  await q(`
+    CREATE TRIGGER imap_sync_states_set_updated_at
+    BEFORE UPDATE ON imap_sync_states
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at()
+  `);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  await sequelize.query(`DROP TABLE IF EXISTS imap_sync_states`, { transaction });
+};
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+// User accounts and the bearer tokens that authenticate /api calls.
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`
+    CREATE TABLE IF NOT EXISTS users (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      email TEXT NOT NULL,
+      name TEXT NOT NULL,
+      password_hash TEXT NOT NULL,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      last_login_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ
+    )
+  `);
+  // Emails are lowercased by authService before they get here
+  await q(`CREATE UNIQUE INDEX IF NOT EXISTS users_email_key ON users (email)`);
+
+  await q(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      name TEXT,
+      kind TEXT NOT NULL DEFAULT 'session' CHECK (kind IN ('session', 'api')),
+      token_hash VARCHAR(64) NOT NULL,
+      token_prefix VARCHAR(16) NOT NULL,
+      expires_at TIMESTAMPTZ,
+      last_used_at TIMESTAMPTZ,
+      revoked_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+  await q(`CREATE UNIQUE INDEX IF NOT EXISTS api_tokens_token_hash_key ON api_tokens (token_hash)`);
+  await q(`CREATE INDEX IF NOT EXISTS api_tokens_user_id_idx ON api_tokens (user_id)`);
+
+  await q(`DROP TRIGGER IF EXISTS users_set_updated_at ON users`);
+  await q(`
+    CREATE TRIGGER users_set_updated_at
+    BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at()
+  `);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`DROP TABLE IF EXISTS api_tokens`);
+  await q(`DROP TABLE IF EXISTS users`);
+};
+
+module.exports = { up, down };
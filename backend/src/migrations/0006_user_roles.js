@@ -0,0 +1,28 @@
+// Single role per user; see src/config/permissions.js for what each grants.
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'requester'
+  `);
+  await q(`ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check`);
+  await q(`
+    ALTER TABLE users
+    ADD CONSTRAINT users_role_check
+    CHECK (role IN ('requester', 'buyer', 'approver', 'admin'))
+  `);
+
+  // Accounts created before roles existed had full access; keep it that way
+  await q(`UPDATE users SET role = 'admin'`);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check`);
+  await q(`ALTER TABLE users DROP COLUMN IF EXISTS role`);
+};
+
+module.exports = { up, down };
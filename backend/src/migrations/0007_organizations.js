@@ -0,0 +1,80 @@
+// Organizations (tenants). Every tenant-owned table gets org_id; rows that
+// existed before are assigned to a "default" organization.
+
+const TENANT_TABLES = [
+  "users",
+  "vendors",
+  "rfps",
+  "rfp_items",
+  "rfp_vendors",
+  "emails",
+  "attachments",
+  "proposals",
+  "proposal_items",
+];
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`
+    CREATE TABLE IF NOT EXISTS organizations (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name TEXT NOT NULL,
+      slug TEXT NOT NULL,
+      reply_routing_strategy TEXT
+        CHECK (reply_routing_strategy IN ('plus', 'subdomain', 'subject')),
+      reply_routing_base_address TEXT,
+      reply_routing_domain TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ
+    )
+  `);
+  await q(`CREATE UNIQUE INDEX IF NOT EXISTS organizations_slug_key ON organizations (slug)`);
+
+  await q(`DROP TRIGGER IF EXISTS organizations_set_updated_at ON organizations`);
+  await q(`
+    CREATE TRIGGER organizations_set_updated_at
+    BEFORE UPDATE ON organizations
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at()
+  `);
+
+  await q(`
+    INSERT INTO organizations (name, slug)
+    VALUES ('Default', 'default')
+    ON CONFLICT (slug) DO NOTHING
+  `);
+
+  for (const table of TENANT_TABLES) {
+    await q(`
+      ALTER TABLE ${table}
+      ADD COLUMN IF NOT EXISTS org_id UUID REFERENCES organizations (id) ON DELETE CASCADE
+    `);
+    await q(`
+      UPDATE ${table}
+      SET org_id = (SELECT id FROM organizations WHERE slug = 'default')
+      WHERE org_id IS NULL
+    `);
+    await q(`ALTER TABLE ${table} ALTER COLUMN org_id SET NOT NULL`);
+    await q(`CREATE INDEX IF NOT EXISTS ${table}_org_id_idx ON ${table} (org_id)`);
+  }
+
+  // Two orgs may both work with the same vendor; its email is unique per org
+  await q(`DROP INDEX IF EXISTS vendors_email_key`);
+  await q(`CREATE UNIQUE INDEX IF NOT EXISTS vendors_org_id_email_key ON vendors (org_id, email)`);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  // Fails if two orgs share a vendor email; merge or delete those first
+  await q(`DROP INDEX IF EXISTS vendors_org_id_email_key`);
+  await q(`CREATE UNIQUE INDEX IF NOT EXISTS vendors_email_key ON vendors (email)`);
+
+  for (const table of TENANT_TABLES) {
+    await q(`ALTER TABLE ${table} DROP COLUMN IF EXISTS org_id`);
+  }
+
+  await q(`DROP TABLE IF EXISTS organizations`);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+// Append-only audit trail of state-changing actions (see src/utils/auditLog.js).
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  // No ON DELETE CASCADE: an organization with audit history can't be
+  // deleted out from under it
+  await q(`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      org_id UUID NOT NULL REFERENCES organizations (id),
+      actor_user_id UUID,
+      actor_email TEXT,
+      action TEXT NOT NULL,
+      entity_type TEXT NOT NULL,
+      entity_id UUID,
+      rfp_id UUID,
+      vendor_id UUID,
+      before JSONB,
+      after JSONB,
+      request_id TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+  await q(`CREATE INDEX IF NOT EXISTS audit_events_rfp_id_created_at_idx ON audit_events (rfp_id, created_at DESC)`);
+  await q(`CREATE INDEX IF NOT EXISTS audit_events_vendor_id_created_at_idx ON audit_events (vendor_id, created_at DESC)`);
+  await q(`CREATE INDEX IF NOT EXISTS audit_events_org_id_created_at_idx ON audit_events (org_id, created_at DESC)`);
+
+  // Enforced in the database so no code path (or psql session) can rewrite history
+  await q(`
+    CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_events is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+  await q(`DROP TRIGGER IF EXISTS audit_events_append_only ON audit_events`);
+  await q(`
+    CREATE TRIGGER audit_events_append_only
+    BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION audit_events_append_only()
+  `);
+  await q(`DROP TRIGGER IF EXISTS audit_events_no_truncate ON audit_events`);
+  await q(`
+    CREATE TRIGGER audit_events_no_truncate
+    BEFORE TRUNCATE ON audit_events
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_events_append_only()
+  `);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`DROP TABLE IF EXISTS audit_events`);
+  await q(`DROP FUNCTION IF EXISTS audit_events_append_only()`);
+};
+
+module.exports = { up, down };
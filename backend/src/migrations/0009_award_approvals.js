@@ -0,0 +1,75 @@
+// Award approval workflow: per-org thresholds and approval steps, pending
+// approvals and the decisions taken on each step.
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`ALTER TABLE organizations ADD COLUMN IF NOT EXISTS award_approval_threshold NUMERIC(14, 2)`);
+  await q(`ALTER TABLE organizations ADD COLUMN IF NOT EXISTS award_approval_budget_ratio NUMERIC(6, 3)`);
+  await q(`ALTER TABLE organizations ADD COLUMN IF NOT EXISTS award_approval_steps JSONB NOT NULL DEFAULT '[]'`);
+
+  await q(`
+    CREATE TABLE IF NOT EXISTS award_approvals (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      org_id UUID NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+      rfp_id UUID NOT NULL REFERENCES rfps (id) ON DELETE CASCADE,
+      proposal_id UUID NOT NULL REFERENCES proposals (id) ON DELETE CASCADE,
+      vendor_id UUID NOT NULL REFERENCES vendors (id) ON DELETE CASCADE,
+      requested_by_user_id UUID REFERENCES users (id) ON DELETE SET NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+      amount NUMERIC(14, 2),
+      currency_code VARCHAR(3) NOT NULL DEFAULT 'USD',
+      reasons JSONB NOT NULL DEFAULT '[]',
+      steps JSONB NOT NULL,
+      current_step INTEGER NOT NULL DEFAULT 0,
+      request_id TEXT,
+      decided_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ
+    )
+  `);
+  await q(`CREATE INDEX IF NOT EXISTS award_approvals_rfp_id_status_idx ON award_approvals (rfp_id, status)`);
+  await q(`CREATE INDEX IF NOT EXISTS award_approvals_org_id_idx ON award_approvals (org_id)`);
+  // At most one award in flight per RFP
+  await q(`
+    CREATE UNIQUE INDEX IF NOT EXISTS award_approvals_rfp_id_pending_key
+    ON award_approvals (rfp_id) WHERE status = 'pending'
+  `);
+
+  await q(`
+    CREATE TABLE IF NOT EXISTS award_approval_decisions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      org_id UUID NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+      approval_id UUID NOT NULL REFERENCES award_approvals (id) ON DELETE CASCADE,
+      step INTEGER NOT NULL,
+      decided_by_user_id UUID NOT NULL REFERENCES users (id),
+      decided_by_email TEXT,
+      decision TEXT NOT NULL CHECK (decision IN ('approved', 'rejected')),
+      comment TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+  await q(`
+    CREATE UNIQUE INDEX IF NOT EXISTS award_approval_decisions_approval_id_step_key
+    ON award_approval_decisions (approval_id, step)
+  `);
+
+  await q(`DROP TRIGGER IF EXISTS award_approvals_set_updated_at ON award_approvals`);
+  await q(`
+    CREATE TRIGGER award_approvals_set_updated_at
+    BEFORE UPDATE ON award_approvals
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at()
+  `);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`DROP TABLE IF EXISTS award_approval_decisions`);
+  await q(`DROP TABLE IF EXISTS award_approvals`);
+  await q(`ALTER TABLE organizations DROP COLUMN IF EXISTS award_approval_steps`);
+  await q(`ALTER TABLE organizations DROP COLUMN IF EXISTS award_approval_budget_ratio`);
+  await q(`ALTER TABLE organizations DROP COLUMN IF EXISTS award_approval_threshold`);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,48 @@
+// Durable background jobs (see src/utils/jobQueue.js and src/workers/jobWorker.js).
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      org_id UUID REFERENCES organizations (id) ON DELETE CASCADE,
+      type TEXT NOT NULL,
+      payload JSONB NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'succeeded', 'dead')),
+      idempotency_key TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      run_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      locked_at TIMESTAMPTZ,
+      locked_by TEXT,
+      last_error TEXT,
+      result JSONB,
+      request_id TEXT,
+      completed_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ
+    )
+  `);
+  // Enqueueing the same key twice is a no-op (INSERT ... ON CONFLICT DO NOTHING)
+  await q(`CREATE UNIQUE INDEX IF NOT EXISTS jobs_idempotency_key_key ON jobs (idempotency_key)`);
+  // Worker claim: next due queued job
+  await q(`CREATE INDEX IF NOT EXISTS jobs_queued_run_at_idx ON jobs (run_at) WHERE status = 'queued'`);
+  await q(`CREATE INDEX IF NOT EXISTS jobs_org_id_status_created_at_idx ON jobs (org_id, status, created_at DESC)`);
+
+  await q(`DROP TRIGGER IF EXISTS jobs_set_updated_at ON jobs`);
+  await q(`
+    CREATE TRIGGER jobs_set_updated_at
+    BEFORE UPDATE ON jobs
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at()
+  `);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`DROP TABLE IF EXISTS jobs`);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,71 @@
+// Outbound emails become an outbox (see src/utils/emailOutbox.js): each row is
+// written with the change that causes it and tracks its own delivery.
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  // status/kind stay NULL for inbound rows
+  await q(`
+    ALTER TABLE emails
+      ADD COLUMN IF NOT EXISTS kind TEXT
+        CHECK (kind IN ('invite', 'award', 'rejection', 'reminder')),
+      ADD COLUMN IF NOT EXISTS status TEXT
+        CHECK (status IN ('queued', 'sent', 'failed', 'bounced')),
+      ADD COLUMN IF NOT EXISTS to_address TEXT,
+      ADD COLUMN IF NOT EXISTS reply_to TEXT,
+      ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS last_error TEXT,
+      ADD COLUMN IF NOT EXISTS last_error_type TEXT,
+      ADD COLUMN IF NOT EXISTS bounced_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS bounce_reason TEXT,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ
+  `);
+
+  // Until now only delivered invites were recorded
+  await q(`
+    UPDATE emails e
+    SET kind = 'invite', status = 'sent', attempts = 1, to_address = v.email
+    FROM vendors v
+    WHERE e.direction = 'outbound' AND e.status IS NULL AND v.id = e.vendor_id
+  `);
+  await q(`
+    UPDATE emails
+    SET kind = 'invite', status = 'sent', attempts = 1
+    WHERE direction = 'outbound' AND status IS NULL
+  `);
+
+  // Bounce matching falls back to the latest message sent to the failed recipient
+  await q(`
+    CREATE INDEX IF NOT EXISTS emails_outbound_to_address_sent_at_idx
+    ON emails (lower(to_address), sent_at DESC) WHERE direction = 'outbound'
+  `);
+
+  await q(`DROP TRIGGER IF EXISTS emails_set_updated_at ON emails`);
+  await q(`
+    CREATE TRIGGER emails_set_updated_at
+    BEFORE UPDATE ON emails
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at()
+  `);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`DROP TRIGGER IF EXISTS emails_set_updated_at ON emails`);
+  await q(`DROP INDEX IF EXISTS emails_outbound_to_address_sent_at_idx`);
+  await q(`
+    ALTER TABLE emails
+      DROP COLUMN IF EXISTS kind,
+      DROP COLUMN IF EXISTS status,
+      DROP COLUMN IF EXISTS to_address,
+      DROP COLUMN IF EXISTS reply_to,
+      DROP COLUMN IF EXISTS attempts,
+      DROP COLUMN IF EXISTS last_error,
+      DROP COLUMN IF EXISTS last_error_type,
+      DROP COLUMN IF EXISTS bounced_at,
+      DROP COLUMN IF EXISTS bounce_reason,
+      DROP COLUMN IF EXISTS updated_at
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+// Deadline reminders for invited vendors who haven't replied (see
+// src/utils/rfpReminderUtils.js): per-org reminder offsets and how many
+// reminders each invite has had.
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  // NULL = RFP_REMINDER_DAYS default, [] = no reminders
+  await q(`ALTER TABLE organizations ADD COLUMN IF NOT EXISTS reminder_days JSONB`);
+
+  await q(`
+    ALTER TABLE rfp_vendors
+      ADD COLUMN IF NOT EXISTS reminders_sent INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS last_reminded_at TIMESTAMPTZ
+  `);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`
+    ALTER TABLE rfp_vendors
+      DROP COLUMN IF EXISTS reminders_sent,
+      DROP COLUMN IF EXISTS last_reminded_at
+  `);
+  await q(`ALTER TABLE organizations DROP COLUMN IF EXISTS reminder_days`);
+};
+
+module.exports = { up, down };
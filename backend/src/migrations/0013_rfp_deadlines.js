@@ -0,0 +1,48 @@
+// Absolute RFP dates: when proposals are due and when delivery is needed
+// (see src/utils/rfpDeadlineUtils.js). deadline_days stays for older clients.
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`
+    ALTER TABLE rfps
+      ADD COLUMN IF NOT EXISTS submission_deadline TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS delivery_by DATE
+  `);
+
+  // Anchor the relative deadline where it was counted from so far: creation
+  // for delivery, the first invite for the reminders' response deadline
+  await q(`
+    UPDATE rfps
+    SET delivery_by = (created_at + deadline_days * INTERVAL '1 day')::date
+    WHERE deadline_days IS NOT NULL AND delivery_by IS NULL
+  `);
+  await q(`
+    UPDATE rfps r
+    SET submission_deadline = sent.first_invited_at + r.deadline_days * INTERVAL '1 day'
+    FROM (
+      SELECT rfp_id, MIN(invited_at) AS first_invited_at FROM rfp_vendors GROUP BY rfp_id
+    ) sent
+    WHERE sent.rfp_id = r.id AND r.deadline_days IS NOT NULL
+      AND r.submission_deadline IS NULL AND r.status <> 'draft'
+  `);
+
+  // The deadline sweep looks for sent RFPs past their deadline
+  await q(`
+    CREATE INDEX IF NOT EXISTS rfps_submission_deadline_sent_idx
+    ON rfps (submission_deadline) WHERE status = 'sent'
+  `);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`DROP INDEX IF EXISTS rfps_submission_deadline_sent_idx`);
+  await q(`
+    ALTER TABLE rfps
+      DROP COLUMN IF EXISTS submission_deadline,
+      DROP COLUMN IF EXISTS delivery_by
+  `);
+};
+
+module.exports = { up, down };
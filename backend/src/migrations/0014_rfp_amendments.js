@@ -0,0 +1,53 @@
+// RFP amendments (addenda) to sent RFPs (see src/services/rfpAmendmentService.js):
+// the RFP's current revision, one row per issued addendum, the revision
+// each proposal quotes, and the 'amendment' outbound email kind.
+
+const EMAIL_KINDS_BEFORE = `'invite', 'award', 'rejection', 'reminder'`;
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  // 0 = as originally sent; addendum N makes it N
+  await q(`ALTER TABLE rfps ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 0`);
+  await q(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS rfp_revision INTEGER NOT NULL DEFAULT 0`);
+
+  await q(`
+    CREATE TABLE IF NOT EXISTS rfp_amendments (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      org_id UUID NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+      rfp_id UUID NOT NULL REFERENCES rfps (id) ON DELETE CASCADE,
+      number INTEGER NOT NULL,
+      note TEXT,
+      changes JSONB NOT NULL,
+      issued_by_user_id UUID REFERENCES users (id) ON DELETE SET NULL,
+      recipient_count INTEGER NOT NULL DEFAULT 0,
+      request_id TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+  await q(`
+    CREATE UNIQUE INDEX IF NOT EXISTS rfp_amendments_rfp_id_number_key
+    ON rfp_amendments (rfp_id, number)
+  `);
+  await q(`CREATE INDEX IF NOT EXISTS rfp_amendments_org_id_idx ON rfp_amendments (org_id)`);
+
+  await q(`ALTER TABLE emails DROP CONSTRAINT IF EXISTS emails_kind_check`);
+  await q(`
+    ALTER TABLE emails ADD CONSTRAINT emails_kind_check
+      CHECK (kind IN (${EMAIL_KINDS_BEFORE}, 'amendment'))
+  `);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`DELETE FROM emails WHERE kind = 'amendment'`);
+  await q(`ALTER TABLE emails DROP CONSTRAINT IF EXISTS emails_kind_check`);
+  await q(`ALTER TABLE emails ADD CONSTRAINT emails_kind_check CHECK (kind IN (${EMAIL_KINDS_BEFORE}))`);
+
+  await q(`DROP TABLE IF EXISTS rfp_amendments`);
+  await q(`ALTER TABLE proposals DROP COLUMN IF EXISTS rfp_revision`);
+  await q(`ALTER TABLE rfps DROP COLUMN IF EXISTS revision`);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,61 @@
+// Vendor clarification Q&A (see src/services/rfpQuestionService.js): the
+// classification of inbound emails, one question row per email classified
+// as a question, and the 'clarification' outbound email kind for answers.
+
+const EMAIL_KINDS_BEFORE = `'invite', 'award', 'rejection', 'reminder', 'amendment'`;
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  // Inbound only; replies stored so far were all treated as proposals
+  await q(`ALTER TABLE emails ADD COLUMN IF NOT EXISTS classification TEXT`);
+  await q(`UPDATE emails SET classification = 'proposal' WHERE direction = 'inbound' AND classification IS NULL`);
+  await q(`ALTER TABLE emails DROP CONSTRAINT IF EXISTS emails_classification_check`);
+  await q(`
+    ALTER TABLE emails ADD CONSTRAINT emails_classification_check
+      CHECK (classification IN ('proposal', 'question', 'decline', 'other'))
+  `);
+
+  await q(`
+    CREATE TABLE IF NOT EXISTS rfp_questions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      org_id UUID NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+      rfp_id UUID NOT NULL REFERENCES rfps (id) ON DELETE CASCADE,
+      vendor_id UUID REFERENCES vendors (id) ON DELETE SET NULL,
+      email_id UUID NOT NULL REFERENCES emails (id) ON DELETE CASCADE,
+      question_text TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'answered')),
+      answer_text TEXT,
+      public_question TEXT,
+      is_broadcast BOOLEAN NOT NULL DEFAULT false,
+      recipient_count INTEGER NOT NULL DEFAULT 0,
+      answered_by_user_id UUID REFERENCES users (id) ON DELETE SET NULL,
+      answered_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ
+    )
+  `);
+  await q(`CREATE UNIQUE INDEX IF NOT EXISTS rfp_questions_email_id_key ON rfp_questions (email_id)`);
+  await q(`CREATE INDEX IF NOT EXISTS rfp_questions_rfp_id_status_idx ON rfp_questions (rfp_id, status)`);
+  await q(`CREATE INDEX IF NOT EXISTS rfp_questions_org_id_idx ON rfp_questions (org_id)`);
+
+  await q(`ALTER TABLE emails DROP CONSTRAINT IF EXISTS emails_kind_check`);
+  await q(`
+    ALTER TABLE emails ADD CONSTRAINT emails_kind_check
+      CHECK (kind IN (${EMAIL_KINDS_BEFORE}, 'clarification'))
+  `);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`DELETE FROM emails WHERE kind = 'clarification'`);
+  await q(`ALTER TABLE emails DROP CONSTRAINT IF EXISTS emails_kind_check`);
+  await q(`ALTER TABLE emails ADD CONSTRAINT emails_kind_check CHECK (kind IN (${EMAIL_KINDS_BEFORE}))`);
+
+  await q(`DROP TABLE IF EXISTS rfp_questions`);
+  await q(`ALTER TABLE emails DROP CONSTRAINT IF EXISTS emails_classification_check`);
+  await q(`ALTER TABLE emails DROP COLUMN IF EXISTS classification`);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,99 @@
+// Invitation responses (see src/utils/rfpInvitationUtils.js): whether each
+// invited vendor bid, declined or never answered, and the per-vendor bid
+// participation counts kept on vendors.
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`ALTER TABLE rfp_vendors ADD COLUMN IF NOT EXISTS response_status TEXT NOT NULL DEFAULT 'awaiting'`);
+  await q(`ALTER TABLE rfp_vendors DROP CONSTRAINT IF EXISTS rfp_vendors_response_status_check`);
+  await q(`
+    ALTER TABLE rfp_vendors ADD CONSTRAINT rfp_vendors_response_status_check
+      CHECK (response_status IN ('awaiting', 'responded', 'declined', 'no_response'))
+  `);
+  await q(`ALTER TABLE rfp_vendors ADD COLUMN IF NOT EXISTS responded_at TIMESTAMPTZ`);
+  await q(`ALTER TABLE rfp_vendors ADD COLUMN IF NOT EXISTS declined_at TIMESTAMPTZ`);
+  await q(`
+    ALTER TABLE rfp_vendors ADD COLUMN IF NOT EXISTS decline_source TEXT
+      CHECK (decline_source IN ('email', 'manual'))
+  `);
+  await q(`ALTER TABLE rfp_vendors ADD COLUMN IF NOT EXISTS decline_reason TEXT`);
+  await q(`
+    ALTER TABLE rfp_vendors ADD COLUMN IF NOT EXISTS decline_email_id UUID
+      REFERENCES emails (id) ON DELETE SET NULL
+  `);
+
+  await q(`ALTER TABLE vendors ADD COLUMN IF NOT EXISTS invitation_count INTEGER NOT NULL DEFAULT 0`);
+  await q(`ALTER TABLE vendors ADD COLUMN IF NOT EXISTS response_count INTEGER NOT NULL DEFAULT 0`);
+  await q(`ALTER TABLE vendors ADD COLUMN IF NOT EXISTS decline_count INTEGER NOT NULL DEFAULT 0`);
+  await q(`ALTER TABLE vendors ADD COLUMN IF NOT EXISTS no_response_count INTEGER NOT NULL DEFAULT 0`);
+  await q(`ALTER TABLE vendors ADD COLUMN IF NOT EXISTS participation_rate NUMERIC(5, 2)`);
+
+  // Existing invites: the latest proposal or decline reply decides
+  await q(`
+    UPDATE rfp_vendors rv
+    SET response_status = CASE latest.classification WHEN 'decline' THEN 'declined' ELSE 'responded' END,
+        responded_at = CASE WHEN latest.classification = 'proposal' THEN latest.received_at END,
+        declined_at = CASE WHEN latest.classification = 'decline' THEN latest.received_at END,
+        decline_source = CASE WHEN latest.classification = 'decline' THEN 'email' END,
+        decline_email_id = CASE WHEN latest.classification = 'decline' THEN latest.id END
+    FROM (
+      SELECT DISTINCT ON (rfp_id, vendor_id) id, rfp_id, vendor_id, classification, received_at
+      FROM emails
+      WHERE direction = 'inbound' AND classification IN ('proposal', 'decline')
+      ORDER BY rfp_id, vendor_id, received_at DESC NULLS LAST
+    ) latest
+    WHERE latest.rfp_id = rv.rfp_id AND latest.vendor_id = rv.vendor_id
+  `);
+  await q(`
+    UPDATE rfp_vendors rv
+    SET response_status = 'no_response'
+    FROM rfps r
+    WHERE r.id = rv.rfp_id
+      AND rv.invite_status = 'sent'
+      AND rv.response_status = 'awaiting'
+      AND (r.status = 'closed' OR r.submission_deadline <= now())
+  `);
+  await q(`
+    UPDATE vendors v
+    SET invitation_count = s.invited,
+        response_count = s.responded,
+        decline_count = s.declined,
+        no_response_count = s.no_response,
+        participation_rate = CASE
+          WHEN s.responded + s.declined + s.no_response > 0
+          THEN ROUND(100.0 * s.responded / (s.responded + s.declined + s.no_response), 2)
+        END
+    FROM (
+      SELECT vendor_id,
+             COUNT(*) AS invited,
+             COUNT(*) FILTER (WHERE response_status = 'responded') AS responded,
+             COUNT(*) FILTER (WHERE response_status = 'declined') AS declined,
+             COUNT(*) FILTER (WHERE response_status = 'no_response') AS no_response
+      FROM rfp_vendors
+      WHERE invite_status = 'sent'
+      GROUP BY vendor_id
+    ) s
+    WHERE s.vendor_id = v.id
+  `);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`ALTER TABLE vendors DROP COLUMN IF EXISTS participation_rate`);
+  await q(`ALTER TABLE vendors DROP COLUMN IF EXISTS no_response_count`);
+  await q(`ALTER TABLE vendors DROP COLUMN IF EXISTS decline_count`);
+  await q(`ALTER TABLE vendors DROP COLUMN IF EXISTS response_count`);
+  await q(`ALTER TABLE vendors DROP COLUMN IF EXISTS invitation_count`);
+
+  await q(`ALTER TABLE rfp_vendors DROP COLUMN IF EXISTS decline_email_id`);
+  await q(`ALTER TABLE rfp_vendors DROP COLUMN IF EXISTS decline_reason`);
+  await q(`ALTER TABLE rfp_vendors DROP COLUMN IF EXISTS decline_source`);
+  await q(`ALTER TABLE rfp_vendors DROP COLUMN IF EXISTS declined_at`);
+  await q(`ALTER TABLE rfp_vendors DROP COLUMN IF EXISTS responded_at`);
+  await q(`ALTER TABLE rfp_vendors DROP CONSTRAINT IF EXISTS rfp_vendors_response_status_check`);
+  await q(`ALTER TABLE rfp_vendors DROP COLUMN IF EXISTS response_status`);
+};
+
+module.exports = { up, down };
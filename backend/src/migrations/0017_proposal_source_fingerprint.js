@@ -0,0 +1,17 @@
+// Which emails and attachments each proposal version was extracted from
+// (see parseProposalsService), so a re-parse only calls the LLM for vendors
+// whose thread changed. Existing rows stay null and are re-read once.
+
+const up = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS source_fingerprint TEXT`);
+};
+
+const down = async ({ sequelize, transaction }) => {
+  const q = (sql) => sequelize.query(sql, { transaction });
+
+  await q(`ALTER TABLE proposals DROP COLUMN IF EXISTS source_fingerprint`);
+};
+
+module.exports = { up, down };
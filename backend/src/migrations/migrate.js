@@ -0,0 +1,43 @@
+require("dotenv").config();
+
+const getDb = require("../config/db");
+const { databases } = require("../config/dbMap.json");
+const { migrateUp, migrateDown, migrationStatus } = require("./runner");
+
+/**
+ * Usage:
+ *   node src/migrations/migrate.js up [name]     apply pending (optionally up to name)
+ *   node src/migrations/migrate.js down [steps]  revert last N (default 1)
+ *   node src/migrations/migrate.js status        list applied / pending
+ */
+(async () => {
+  const [command = "up", arg] = process.argv.slice(2);
+  const sequelize = getDb(databases.RFP.DB_NAME);
+
+  try {
+    if (command === "up") {
+      const applied = await migrateUp(sequelize, { to: arg || null });
+      console.log(
+        applied.length
+          ? `[MIGRATE] Applied ${applied.length} migration(s)`
+          : "[MIGRATE] Already up to date"
+      );
+    } else if (command === "down") {
+      const steps = Number(arg) || 1;
+      const reverted = await migrateDown(sequelize, { steps });
+      console.log(`[MIGRATE] Reverted ${reverted.length} migration(s)`);
+    } else if (command === "status") {
+      for (const { name, applied } of await migrationStatus(sequelize)) {
+        console.log(`${applied ? "[x]" : "[ ]"} ${name}`);
+      }
+    } else {
+      console.error(`Unknown command "${command}" (use up | down | status)`);
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error(" Migration failed:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+})();
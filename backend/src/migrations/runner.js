@@ -0,0 +1,155 @@
+// src/migrations/runner.js
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Minimal versioned migration runner.
+ *
+ * - Migrations are files in this directory named NNNN_description.js,
+ *   exporting async up({ sequelize, transaction }) and down(...).
+ * - Applied migrations are recorded in schema_migrations (name, run_at).
+ * - Each migration runs in its own transaction together with its
+ *   bookkeeping row, so a failure leaves nothing half-applied.
+ * - A transaction-scoped advisory lock keeps two deploys from migrating
+ *   the same database at once.
+ */
+
+const MIGRATIONS_TABLE = "schema_migrations";
+const MIGRATION_FILE_RE = /^\d{4}_[a-z0-9_]+\.js$/;
+const ADVISORY_LOCK_KEY = 727001; // arbitrary, shared by all runner instances
+
+// -------------------- Helpers --------------------
+
+function listMigrationNames() {
+  return fs
+    .readdirSync(__dirname)
+    .filter((f) => MIGRATION_FILE_RE.test(f))
+    .sort()
+    .map((f) => f.replace(/\.js$/, ""));
+}
+
+function loadMigration(name) {
+  const migration = require(path.join(__dirname, `${name}.js`));
+  if (typeof migration.up !== "function" || typeof migration.down !== "function") {
+    throw new Error(`Migration ${name} must export up() and down()`);
+  }
+  return migration;
+}
+
+async function ensureMigrationsTable(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      name TEXT PRIMARY KEY,
+      run_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+async function getAppliedNames(sequelize) {
+  const [rows] = await sequelize.query(
+    `SELECT name FROM ${MIGRATIONS_TABLE} ORDER BY name ASC`
+  );
+  return rows.map((r) => r.name);
+}
+
+async function runInLock(sequelize, fn) {
+  return sequelize.transaction(async (transaction) => {
+    await sequelize.query("SELECT pg_advisory_xact_lock(:key)", {
+      replacements: { key: ADVISORY_LOCK_KEY },
+      transaction,
+    });
+    return fn(transaction);
+  });
+}
+
+// -------------------- Public API --------------------
+
+/**
+ * Apply all pending migrations (or up to and including `to`).
+ *
+ * @returns {Promise<string[]>} Names applied in this run
+ */
+async function migrateUp(sequelize, { to = null } = {}) {
+  await ensureMigrationsTable(sequelize);
+
+  const applied = [];
+  for (const name of listMigrationNames()) {
+    const ran = await runInLock(sequelize, async (transaction) => {
+      // Re-check inside the lock: another runner may have applied it meanwhile
+      const [rows] = await sequelize.query(
+        `SELECT 1 FROM ${MIGRATIONS_TABLE} WHERE name = :name`,
+        { replacements: { name }, transaction }
+      );
+      if (rows.length) return false;
+
+      console.log(`[MIGRATE] up   ${name}`);
+      await loadMigration(name).up({ sequelize, transaction });
+      await sequelize.query(
+        `INSERT INTO ${MIGRATIONS_TABLE} (name) VALUES (:name)`,
+        { replacements: { name }, transaction }
+      );
+      return true;
+    });
+
+    if (ran) applied.push(name);
+    if (to && name === to) break;
+  }
+
+  return applied;
+}
+
+/**
+ * Revert the most recently applied migrations.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - How many to revert
+ * @returns {Promise<string[]>} Names reverted in this run
+ */
+async function migrateDown(sequelize, { steps = 1 } = {}) {
+  await ensureMigrationsTable(sequelize);
+
+  const known = new Set(listMigrationNames());
+  const toRevert = (await getAppliedNames(sequelize)).reverse().slice(0, steps);
+  const reverted = [];
+
+  for (const name of toRevert) {
+    if (!known.has(name)) {
+      throw new Error(`Applied migration ${name} has no file; cannot revert`);
+    }
+
+    await runInLock(sequelize, async (transaction) => {
+      console.log(`[MIGRATE] down ${name}`);
+      await loadMigration(name).down({ sequelize, transaction });
+      await sequelize.query(
+        `DELETE FROM ${MIGRATIONS_TABLE} WHERE name = :name`,
+        { replacements: { name }, transaction }
+      );
+    });
+    reverted.push(name);
+  }
+
+  return reverted;
+}
+
+/**
+ * Applied/pending state of every migration file.
+ *
+ * @returns {Promise<{ name: string, applied: boolean }[]>}
+ */
+async function migrationStatus(sequelize) {
+  await ensureMigrationsTable(sequelize);
+
+  const applied = new Set(await getAppliedNames(sequelize));
+  return listMigrationNames().map((name) => ({
+    name,
+    applied: applied.has(name),
+  }));
+}
+
+module.exports = {
+  MIGRATIONS_TABLE,
+  listMigrationNames,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+};
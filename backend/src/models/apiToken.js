@@ -0,0 +1,70 @@
+const { DataTypes } = require("sequelize");
+const { databases } = require("../config/dbMap.json");
+
+module.exports = (sequelize) => {
+  const table = databases.RFP.tables.API_TOKENS || "api_tokens";
+
+  // Bearer tokens: 'session' ones come from Login, 'api' ones are created
+  // for scripts/integrations. Only the sha256 of the token is stored.
+  const ApiToken = sequelize.define(
+    "ApiToken",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      name: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      kind: {
+        type: DataTypes.TEXT, // 'session' | 'api'
+        allowNull: false,
+        defaultValue: "session",
+      },
+      token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+      // First characters of the raw token, so users can tell tokens apart
+      token_prefix: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true, // null = never expires
+      },
+      last_used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: table,
+      timestamps: false,
+      underscored: true,
+      indexes: [
+        { unique: true, fields: ["token_hash"] },
+        { fields: ["user_id"] },
+      ],
+    }
+  );
+
+  return ApiToken;
+};
@@ -1,3 +1,5 @@
+const { applyTenantScope } = require("../utils/tenantScope");
+
 /**
  * Lazy-loading Sequelize model initializer with optional per-model associations.
  *
@@ -10,9 +12,20 @@ const modelDefinitions = {
   Rfps: require("./rfp"),
   RfpVendors: require("./rfpVendor"),
   Emails: require("./email"),
+  Attachments: require("./attachment"),
   Proposals: require("./proposal"),
   ProposalItems: require("./proposalItem"),
   RfpItems: require("./rfpItems"),
+  ImapSyncStates: require("./imapSyncState"),
+  Users: require("./user"),
+  ApiTokens: require("./apiToken"),
+  Organizations: require("./organization"),
+  AuditEvents: require("./auditEvent"),
+  AwardApprovals: require("./awardApproval"),
+  AwardApprovalDecisions: require("./awardApprovalDecision"),
+  Jobs: require("./job"),
+  RfpAmendments: require("./rfpAmendment"),
+  RfpQuestions: require("./rfpQuestion"),
 };
 /**
 
@@ -39,7 +52,8 @@ module.exports = (sequelize) => {
       if (!def) throw new Error(` Model "${name}" not found`);
 
       console.log(`[Sequelize] Initializing model: ${name}`);
-      initializedModels[name] = def(sequelize);
+      // Every model with org_id is tenant-scoped (utils/tenantScope.js)
+      initializedModels[name] = applyTenantScope(def(sequelize));
     } else {
       console.log(` [Cache] Using cached model: ${name}`);
     }
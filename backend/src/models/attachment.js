@@ -0,0 +1,71 @@
+const { DataTypes } = require("sequelize");
+const { databases } = require("../config/dbMap.json");
+
+module.exports = (sequelize) => {
+  const table = databases.RFP.tables.ATTACHMENTS || "attachments";
+
+  const Attachment = sequelize.define(
+    "Attachment",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      org_id: {
+        type: DataTypes.UUID,
+        allowNull: false, // filled from the caller's org by utils/tenantScope.js
+      },
+      email_id: {
+        type: DataTypes.UUID,
+        allowNull: false, // ON DELETE CASCADE
+      },
+      filename: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      content_type: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      size_bytes: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      checksum: {
+        type: DataTypes.TEXT,
+        allowNull: true, // sha256 of content
+      },
+      content: {
+        type: DataTypes.BLOB,
+        allowNull: true,
+      },
+      extraction_status: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        defaultValue: "pending", // 'pending' | 'extracted' | 'empty' | 'unsupported' | 'skipped' | 'failed'
+      },
+      extracted_text: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      extraction_error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: table,
+      timestamps: false,
+      underscored: true,
+    }
+  );
+
+  return Attachment;
+};
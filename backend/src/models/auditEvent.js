@@ -0,0 +1,90 @@
+const { DataTypes } = require("sequelize");
+const { databases } = require("../config/dbMap.json");
+
+module.exports = (sequelize) => {
+  const table = databases.RFP.tables.AUDIT_EVENTS || "audit_events";
+
+  // Append-only record of state-changing actions, written by utils/auditLog.js.
+  // rfp_id / vendor_id have no foreign keys on purpose: the trail outlives
+  // deleted vendors. The DB rejects UPDATE/DELETE (migration 0008).
+  const AuditEvent = sequelize.define(
+    "AuditEvent",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      org_id: {
+        type: DataTypes.UUID,
+        allowNull: false, // filled from the caller's org by utils/tenantScope.js
+      },
+      actor_user_id: {
+        type: DataTypes.UUID,
+        allowNull: true, // null = system (workers, auto-parse)
+      },
+      actor_email: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      action: {
+        type: DataTypes.TEXT, // dispatcher action name, e.g. 'AwardProposal'
+        allowNull: false,
+      },
+      entity_type: {
+        type: DataTypes.TEXT, // 'rfp' | 'vendor' | 'proposal' | 'user' | 'organization'
+        allowNull: false,
+      },
+      entity_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      rfp_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      vendor_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      before: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      after: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      request_id: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: table,
+      timestamps: false,
+      underscored: true,
+      indexes: [
+        { fields: ["rfp_id", "created_at"] },
+        { fields: ["vendor_id", "created_at"] },
+        { fields: ["org_id", "created_at"] },
+      ],
+    }
+  );
+
+  const appendOnly = () => {
+    throw new Error("Audit events are append-only");
+  };
+  AuditEvent.addHook("beforeUpdate", appendOnly);
+  AuditEvent.addHook("beforeBulkUpdate", appendOnly);
+  AuditEvent.addHook("beforeDestroy", appendOnly);
+  AuditEvent.addHook("beforeBulkDestroy", appendOnly);
+
+  return AuditEvent;
+};
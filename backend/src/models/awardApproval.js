@@ -0,0 +1,93 @@
+const { DataTypes } = require("sequelize");
+const { databases } = require("../config/dbMap.json");
+
+module.exports = (sequelize) => {
+  const table = databases.RFP.tables.AWARD_APPROVALS || "award_approvals";
+
+  // An award waiting for sign-off. steps is a snapshot of the org's policy
+  // when the award was requested, so later policy edits don't change it.
+  const AwardApproval = sequelize.define(
+    "AwardApproval",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      org_id: {
+        type: DataTypes.UUID,
+        allowNull: false, // filled from the caller's org by utils/tenantScope.js
+      },
+      rfp_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      proposal_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      vendor_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      requested_by_user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      status: {
+        type: DataTypes.TEXT, // 'pending' | 'approved' | 'rejected'
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      amount: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: true,
+      },
+      currency_code: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: "USD",
+      },
+      reasons: {
+        type: DataTypes.JSONB, // why approval was required
+        allowNull: false,
+        defaultValue: [],
+      },
+      steps: {
+        type: DataTypes.JSONB, // [{ role?, user_id? }]
+        allowNull: false,
+      },
+      current_step: {
+        type: DataTypes.INTEGER, // 0-based index into steps
+        allowNull: false,
+        defaultValue: 0,
+      },
+      request_id: {
+        type: DataTypes.TEXT, // AWARD_ id; reused when the award is finalized
+        allowNull: true,
+      },
+      decided_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: table,
+      timestamps: false,
+      underscored: true,
+      indexes: [{ fields: ["rfp_id", "status"] }],
+    }
+  );
+
+  return AwardApproval;
+};
@@ -0,0 +1,61 @@
+const { DataTypes } = require("sequelize");
+const { databases } = require("../config/dbMap.json");
+
+module.exports = (sequelize) => {
+  const table =
+    databases.RFP.tables.AWARD_APPROVAL_DECISIONS || "award_approval_decisions";
+
+  // One approver's decision on one step of an AwardApproval
+  const AwardApprovalDecision = sequelize.define(
+    "AwardApprovalDecision",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      org_id: {
+        type: DataTypes.UUID,
+        allowNull: false, // filled from the caller's org by utils/tenantScope.js
+      },
+      approval_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      step: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      decided_by_user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      decided_by_email: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      decision: {
+        type: DataTypes.TEXT, // 'approved' | 'rejected'
+        allowNull: false,
+      },
+      comment: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: table,
+      timestamps: false,
+      underscored: true,
+      indexes: [{ unique: true, fields: ["approval_id", "step"] }],
+    }
+  );
+
+  return AwardApprovalDecision;
+};
@@ -13,6 +13,10 @@ module.exports = (sequelize) => {
         allowNull: false,
         defaultValue: DataTypes.UUIDV4,
       },
+      org_id: {
+        type: DataTypes.UUID,
+        allowNull: false, // filled from the caller's org by utils/tenantScope.js
+      },
       rfp_id: {
         type: DataTypes.UUID,
         allowNull: true, // ON DELETE SET NULL
@@ -33,6 +37,10 @@ module.exports = (sequelize) => {
         type: DataTypes.TEXT,
         allowNull: true,
       },
+      body_html: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
       message_id: {
         type: DataTypes.TEXT,
         allowNull: true,
@@ -45,11 +53,58 @@ module.exports = (sequelize) => {
         type: DataTypes.DATE,
         allowNull: true,
       },
+      // Inbound only (utils/emailClassificationUtils.js)
+      classification: {
+        type: DataTypes.TEXT,
+        allowNull: true, // 'proposal' | 'question' | 'decline' | 'other'
+      },
+      // Outbox fields (outbound only, see utils/emailOutbox.js)
+      kind: {
+        type: DataTypes.TEXT,
+        allowNull: true, // 'invite' | 'award' | 'rejection' | 'reminder' | 'amendment' | 'clarification'
+      },
+      status: {
+        type: DataTypes.TEXT,
+        allowNull: true, // 'queued' | 'sent' | 'failed' | 'bounced'
+      },
+      to_address: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      reply_to: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      last_error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      last_error_type: {
+        type: DataTypes.TEXT,
+        allowNull: true, // 'auth' | 'rate_limit' | 'network' | 'other' (classifyEmailError)
+      },
+      bounced_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      bounce_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
       created_at: {
         type: DataTypes.DATE,
         allowNull: false,
         defaultValue: DataTypes.NOW,
       },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
     },
     {
       tableName: table,
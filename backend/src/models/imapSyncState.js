@@ -0,0 +1,62 @@
+const { DataTypes } = require("sequelize");
+const { databases } = require("../config/dbMap.json");
+
+module.exports = (sequelize) => {
+  const table = databases.RFP.tables.IMAP_SYNC_STATES || "imap_sync_states";
+
+  // One sync cursor per (account, mailbox); UIDs are only meaningful
+  // together with the UIDVALIDITY they were issued under.
+  const ImapSyncState = sequelize.define(
+    "ImapSyncState",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      account: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      mailbox: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      uid_validity: {
+        type: DataTypes.BIGINT, // returned as string by pg
+        allowNull: true,
+      },
+      last_uid: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      last_synced_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      last_full_resync_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: table,
+      timestamps: false,
+      underscored: true,
+      indexes: [{ unique: true, fields: ["account", "mailbox"] }],
+    }
+  );
+
+  return ImapSyncState;
+};
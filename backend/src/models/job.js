@@ -0,0 +1,98 @@
+const { DataTypes } = require("sequelize");
+const { databases } = require("../config/dbMap.json");
+
+module.exports = (sequelize) => {
+  const table = databases.RFP.tables.JOBS || "jobs";
+
+  // Background job, enqueued by utils/jobQueue.js in the same transaction as
+  // the state change it follows from, and run by workers/jobWorker.js.
+  const Job = sequelize.define(
+    "Job",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      org_id: {
+        type: DataTypes.UUID,
+        allowNull: true, // null = system job, not visible to any org
+      },
+      type: {
+        type: DataTypes.TEXT, // see JOB_TYPES in utils/jobQueue.js
+        allowNull: false,
+      },
+      payload: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      status: {
+        type: DataTypes.TEXT, // 'queued' | 'running' | 'succeeded' | 'dead'
+        allowNull: false,
+        defaultValue: "queued",
+      },
+      idempotency_key: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        unique: true,
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      max_attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 5,
+      },
+      run_at: {
+        type: DataTypes.DATE, // not picked up before this time (retry backoff)
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      locked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      locked_by: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      last_error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      result: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      request_id: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      completed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: table,
+      timestamps: false,
+      underscored: true,
+    }
+  );
+
+  return Job;
+};
@@ -0,0 +1,76 @@
+const { DataTypes } = require("sequelize");
+const { databases } = require("../config/dbMap.json");
+
+module.exports = (sequelize) => {
+  const table = databases.RFP.tables.ORGANIZATIONS || "organizations";
+
+  // Tenant. Reply-routing columns override the install-wide mail config
+  // (config/mailConfig.js) for this org's outbound RFPs; null = inherit.
+  // Award-approval columns define when an award needs sign-off
+  // (utils/awardApprovalUtils.js); both thresholds null = never.
+  const Organization = sequelize.define(
+    "Organization",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      name: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      slug: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      reply_routing_strategy: {
+        type: DataTypes.TEXT, // 'plus' | 'subdomain' | 'subject'
+        allowNull: true,
+      },
+      reply_routing_base_address: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      reply_routing_domain: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      award_approval_threshold: {
+        type: DataTypes.DECIMAL(14, 2), // absolute award amount, RFP currency
+        allowNull: true,
+      },
+      award_approval_budget_ratio: {
+        type: DataTypes.DECIMAL(6, 3), // e.g. 0.9 = awards above 90% of budget_cap
+        allowNull: true,
+      },
+      award_approval_steps: {
+        type: DataTypes.JSONB, // [{ role?, user_id? }] approved in order
+        allowNull: false,
+        defaultValue: [],
+      },
+      reminder_days: {
+        type: DataTypes.JSONB, // days before the deadline, e.g. [3, 1]; null = RFP_REMINDER_DAYS
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: table,
+      timestamps: false,
+      underscored: true,
+      indexes: [{ unique: true, fields: ["slug"] }],
+    }
+  );
+
+  return Organization;
+};
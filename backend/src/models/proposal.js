@@ -13,6 +13,10 @@ module.exports = (sequelize) => {
         allowNull: false,
         defaultValue: DataTypes.UUIDV4,
       },
+      org_id: {
+        type: DataTypes.UUID,
+        allowNull: false, // filled from the caller's org by utils/tenantScope.js
+      },
       rfp_id: {
         type: DataTypes.UUID,
         allowNull: false,
@@ -30,6 +34,11 @@ module.exports = (sequelize) => {
         allowNull: false,
         defaultValue: 1,
       },
+      is_current: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true, // false for superseded versions
+      },
       total_price: {
         type: DataTypes.DECIMAL(14, 2),
         allowNull: true,
@@ -71,15 +80,28 @@ module.exports = (sequelize) => {
         type: DataTypes.TEXT,
         allowNull: true,
       },
+      score_breakdown: {
+        type: DataTypes.JSONB, // per-component penalties, caps and rating boost
+        allowNull: true,
+      },
       status: {
         type: DataTypes.TEXT,
         allowNull: false,
-        defaultValue: "pending", // 'pending','awarded','rejected','draft'
+        defaultValue: "pending", // 'pending','pending_approval','awarded','rejected','draft'
       },
       ai_parsed: {
         type: DataTypes.JSONB,
         allowNull: true,
       },
+      rfp_revision: {
+        type: DataTypes.INTEGER, // RFP revision in effect when the vendor last wrote
+        allowNull: false,
+        defaultValue: 0,
+      },
+      source_fingerprint: {
+        type: DataTypes.TEXT, // hash of the email + attachment ids it was parsed from
+        allowNull: true,
+      },
       created_at: {
         type: DataTypes.DATE,
         allowNull: false,
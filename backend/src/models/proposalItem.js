@@ -13,6 +13,10 @@ module.exports = (sequelize) => {
         allowNull: false,
         defaultValue: DataTypes.UUIDV4,
       },
+      org_id: {
+        type: DataTypes.UUID,
+        allowNull: false, // filled from the caller's org by utils/tenantScope.js
+      },
       proposal_id: {
         type: DataTypes.UUID,
         allowNull: false,
@@ -45,6 +49,10 @@ module.exports = (sequelize) => {
         type: DataTypes.TEXT,
         allowNull: true,
       },
+      source_email_id: {
+        type: DataTypes.UUID, // inbound email in the vendor thread that quoted this item
+        allowNull: true,
+      },
       created_at: {
         type: DataTypes.DATE,
         allowNull: false,
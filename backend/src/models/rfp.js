@@ -13,6 +13,10 @@ module.exports = (sequelize) => {
         allowNull: false,
         defaultValue: DataTypes.UUIDV4,
       },
+      org_id: {
+        type: DataTypes.UUID,
+        allowNull: false, // filled from the caller's org by utils/tenantScope.js
+      },
       title: {
         type: DataTypes.TEXT,
         allowNull: false,
@@ -35,7 +39,15 @@ module.exports = (sequelize) => {
         defaultValue: "USD",
       },
       deadline_days: {
-        type: DataTypes.INTEGER,
+        type: DataTypes.INTEGER, // relative, as extracted; see delivery_by
+        allowNull: true,
+      },
+      submission_deadline: {
+        type: DataTypes.DATE, // proposals due; 'sent' RFPs move to 'evaluating' after it
+        allowNull: true,
+      },
+      delivery_by: {
+        type: DataTypes.DATEONLY,
         allowNull: true,
       },
       payment_terms: {
@@ -46,11 +58,20 @@ module.exports = (sequelize) => {
         type: DataTypes.INTEGER,
         allowNull: true,
       },
+      evaluation_criteria: {
+        type: DataTypes.JSONB, // [{ key, label, weight, description? }], weights sum to 100
+        allowNull: true,
+      },
       status: {
-        type: DataTypes.TEXT,
+        type: DataTypes.TEXT, // 'draft' | 'sent' | 'evaluating' | 'pending_approval' | 'closed'
         allowNull: false,
         defaultValue: "draft",
       },
+      revision: {
+        type: DataTypes.INTEGER, // number of the latest amendment; 0 = as sent
+        allowNull: false,
+        defaultValue: 0,
+      },
       created_at: {
         type: DataTypes.DATE,
         allowNull: false,
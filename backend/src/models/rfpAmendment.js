@@ -0,0 +1,65 @@
+const { DataTypes } = require("sequelize");
+const { databases } = require("../config/dbMap.json");
+
+module.exports = (sequelize) => {
+  const table = databases.RFP.tables.RFP_AMENDMENTS || "rfp_amendments";
+
+  // Numbered addendum to a sent RFP: what changed from the previous revision
+  const RfpAmendment = sequelize.define(
+    "RfpAmendment",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      org_id: {
+        type: DataTypes.UUID,
+        allowNull: false, // filled from the caller's org by utils/tenantScope.js
+      },
+      rfp_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      number: {
+        type: DataTypes.INTEGER, // 1, 2, ... per RFP; the RFP's revision after it
+        allowNull: false,
+      },
+      note: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      changes: {
+        type: DataTypes.JSONB, // { fields: { name: { from, to } }, items: { added, removed, changed, reordered } }
+        allowNull: false,
+      },
+      issued_by_user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      recipient_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      request_id: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: table,
+      timestamps: false,
+      underscored: true,
+      indexes: [{ unique: true, fields: ["rfp_id", "number"] }],
+    }
+  );
+
+  return RfpAmendment;
+};
@@ -0,0 +1,87 @@
+const { DataTypes } = require("sequelize");
+const { databases } = require("../config/dbMap.json");
+
+module.exports = (sequelize) => {
+  const table = databases.RFP.tables.RFP_QUESTIONS || "rfp_questions";
+
+  // A vendor's clarification question (an inbound email classified as one) and the buyer's answer
+  const RfpQuestion = sequelize.define(
+    "RfpQuestion",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      org_id: {
+        type: DataTypes.UUID,
+        allowNull: false, // filled from the caller's org by utils/tenantScope.js
+      },
+      rfp_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      vendor_id: {
+        type: DataTypes.UUID,
+        allowNull: true, // ON DELETE SET NULL
+      },
+      email_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+      },
+      question_text: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        defaultValue: "open", // 'open' | 'answered'
+      },
+      answer_text: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      public_question: {
+        type: DataTypes.TEXT,
+        allowNull: true, // anonymized question as sent to every vendor
+      },
+      is_broadcast: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      recipient_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      answered_by_user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      answered_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: table,
+      timestamps: false,
+      underscored: true,
+    }
+  );
+
+  return RfpQuestion;
+};
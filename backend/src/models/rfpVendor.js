@@ -13,6 +13,10 @@ module.exports = (sequelize) => {
         allowNull: false,
         defaultValue: DataTypes.UUIDV4,
       },
+      org_id: {
+        type: DataTypes.UUID,
+        allowNull: false, // filled from the caller's org by utils/tenantScope.js
+      },
       rfp_id: {
         type: DataTypes.UUID,
         allowNull: false,
@@ -24,7 +28,7 @@ module.exports = (sequelize) => {
       invite_status: {
         type: DataTypes.TEXT,
         allowNull: false,
-        defaultValue: "pending", // 'pending','sent','bounced'
+        defaultValue: "pending", // 'pending','sent','failed','bounced'
       },
       invited_at: {
         type: DataTypes.DATE,
@@ -40,6 +44,41 @@ module.exports = (sequelize) => {
         allowNull: true,
         unique: true,
       },
+      reminders_sent: {
+        type: DataTypes.INTEGER, // deadline reminders sent for this invite
+        allowNull: false,
+        defaultValue: 0,
+      },
+      last_reminded_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Whether the vendor bid; see utils/rfpInvitationUtils.js
+      response_status: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        defaultValue: "awaiting", // 'awaiting','responded','declined','no_response'
+      },
+      responded_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      declined_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      decline_source: {
+        type: DataTypes.TEXT,
+        allowNull: true, // 'email' (decline reply) | 'manual' (MarkVendorDeclined)
+      },
+      decline_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      decline_email_id: {
+        type: DataTypes.UUID,
+        allowNull: true, // ON DELETE SET NULL
+      },
     },
     {
       tableName: table,
@@ -13,6 +13,10 @@ module.exports = (sequelize) => {
         allowNull: false,
         defaultValue: DataTypes.UUIDV4,
       },
+      org_id: {
+        type: DataTypes.UUID,
+        allowNull: false, // filled from the caller's org by utils/tenantScope.js
+      },
       name: {
         type: DataTypes.TEXT,
         allowNull: false,
@@ -20,7 +24,6 @@ module.exports = (sequelize) => {
       email: {
         type: DataTypes.TEXT,
         allowNull: false,
-        unique: true,
       },
       rating: {
         type: DataTypes.DECIMAL(4, 2), // 0–10.00 (0-10 scale)
@@ -58,6 +61,31 @@ module.exports = (sequelize) => {
         type: DataTypes.DATE,
         allowNull: true,
       },
+      // Bid participation over invites that went out (updateVendorParticipation)
+      invitation_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      response_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      decline_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      no_response_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      participation_rate: {
+        type: DataTypes.DECIMAL(5, 2), // 0-100, null until an invite is settled
+        allowNull: true,
+      },
       tags: {
         type: DataTypes.ARRAY(DataTypes.TEXT),
         allowNull: false,
@@ -69,6 +97,8 @@ module.exports = (sequelize) => {
       tableName: table,
       timestamps: false,
       underscored: true,
+      // Vendor emails are unique per organization
+      indexes: [{ unique: true, fields: ["org_id", "email"] }],
     }
   );
 
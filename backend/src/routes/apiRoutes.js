@@ -4,13 +4,36 @@ const express = require('express');
 const {
   analyzeRfpPreviewController,
   createRfpController,
+  updateRfpCriteriaController,
+  updateRfpController,
+  addRfpItemController,
+  updateRfpItemController,
+  removeRfpItemController,
+  reorderRfpItemsController,
   listRfpsController,
   getRfpDetailsController,
 } = require('../controllers/rfpController');
 
+const {
+  issueRfpAmendmentController,
+  listRfpAmendmentsController,
+} = require('../controllers/rfpAmendmentController');
+
+const {
+  classifyEmailController,
+  listRfpQuestionsController,
+  answerRfpQuestionController,
+} = require('../controllers/rfpQuestionController');
+
+const {
+  listRfpInvitationsController,
+  markVendorDeclinedController,
+} = require('../controllers/rfpInvitationController');
+
 const {
   sendRfpController,
   listEmailsController,
+  getEmailAttachmentController,
   fetchEmailsController,
 } = require('../controllers/emailController');
 
@@ -19,8 +42,17 @@ const {
   awardProposalController,
   rejectProposalController,
   listProposalsController,
+  listProposalVersionsController,
+  compareProposalItemsController,
 } = require('../controllers/proposalController');
 
+const {
+  listAwardApprovalsController,
+  approveAwardController,
+  rejectAwardController,
+  cancelAwardApprovalController,
+} = require('../controllers/awardApprovalController');
+
 const {
   listVendorsController,
   createVendorController,
@@ -30,13 +62,40 @@ const {
   getVendorRatingSummaryController,
 } = require('../controllers/vendorController');
 
+const {
+  loginController,
+  logoutController,
+  getCurrentUserController,
+  createUserController,
+  createApiTokenController,
+  listApiTokensController,
+  revokeApiTokenController,
+} = require('../controllers/authController');
+
+const {
+  getOrganizationController,
+  updateOrganizationController,
+} = require('../controllers/organizationController');
+
+const { listAuditEventsController } = require('../controllers/auditController');
+
+const {
+  listJobsController,
+  retryJobController,
+} = require('../controllers/jobController');
+
+const { authenticate } = require('../middlewares/authMiddleware');
+const { ACTION_PERMISSIONS, canPerformAction } = require('../config/permissions');
+
 const { sanitizeError } = require('../utils/errorUtils');
+const { errorResponse } = require('../utils/response');
 const ERROR = require('../utils/messages.json').ERROR;
 
 const router = express.Router();
 
-router.post('/', async (req, res) => {
-  const data = req.body || {};
+router.post('/', authenticate, async (req, res) => {
+  // auth comes from the middleware only; never trust a client-sent value
+  const data = { ...(req.body || {}), auth: req.auth || null };
 
   try {
     const { action } = data;
@@ -52,9 +111,64 @@ router.post('/', async (req, res) => {
 
     console.log("AutoRFP action:", action);
 
+    // Every dispatchable action must be declared in config/permissions.js
+    if (!ACTION_PERMISSIONS[action]) {
+      const { statusCode, message } = ERROR.INVALID_APINAME;
+      return res.status(statusCode).json({
+        statusCode,
+        message,
+      });
+    }
+
+    const role = data.auth?.user?.role || null;
+    if (!canPerformAction(role, action)) {
+      const { statusCode, message } = ERROR.FORBIDDEN;
+      return res
+        .status(statusCode)
+        .json(errorResponse(statusCode, message, { action, role }));
+    }
+
     let response;
 
     switch (action) {
+      // ========== AUTH ==========
+      case 'Login':
+        response = await loginController(data);
+        break;
+
+      case 'Logout':
+        response = await logoutController(data);
+        break;
+
+      case 'GetCurrentUser':
+        response = await getCurrentUserController(data);
+        break;
+
+      case 'CreateUser':
+        response = await createUserController(data);
+        break;
+
+      case 'CreateApiToken':
+        response = await createApiTokenController(data);
+        break;
+
+      case 'ListApiTokens':
+        response = await listApiTokensController(data);
+        break;
+
+      case 'RevokeApiToken':
+        response = await revokeApiTokenController(data);
+        break;
+
+      // ========== ORGANIZATION ==========
+      case 'GetOrganization':
+        response = await getOrganizationController(data);
+        break;
+
+      case 'UpdateOrganization':
+        response = await updateOrganizationController(data);
+        break;
+
       // ========== RFP MAIN FLOW ==========
       case 'AnalyzeRfpPreview':
         response = await analyzeRfpPreviewController(data);
@@ -64,6 +178,30 @@ router.post('/', async (req, res) => {
         response = await createRfpController(data);
         break;
       
+      case 'UpdateRfpCriteria':
+        response = await updateRfpCriteriaController(data);
+        break;
+
+      case 'UpdateRfp':
+        response = await updateRfpController(data);
+        break;
+
+      case 'AddRfpItem':
+        response = await addRfpItemController(data);
+        break;
+
+      case 'UpdateRfpItem':
+        response = await updateRfpItemController(data);
+        break;
+
+      case 'RemoveRfpItem':
+        response = await removeRfpItemController(data);
+        break;
+
+      case 'ReorderRfpItems':
+        response = await reorderRfpItemsController(data);
+        break;
+
       case 'ListRfps':
         response = await listRfpsController(data);
         break;
@@ -76,6 +214,30 @@ router.post('/', async (req, res) => {
         response = await sendRfpController(data);
         break;
 
+      case 'IssueRfpAmendment':
+        response = await issueRfpAmendmentController(data);
+        break;
+
+      case 'ListRfpAmendments':
+        response = await listRfpAmendmentsController(data);
+        break;
+
+      case 'ListRfpQuestions':
+        response = await listRfpQuestionsController(data);
+        break;
+
+      case 'AnswerRfpQuestion':
+        response = await answerRfpQuestionController(data);
+        break;
+
+      case 'ListRfpInvitations':
+        response = await listRfpInvitationsController(data);
+        break;
+
+      case 'MarkVendorDeclined':
+        response = await markVendorDeclinedController(data);
+        break;
+
       // ========== VENDORS ==========
       case 'ListVendors':
         response = await listVendorsController(data);
@@ -106,6 +268,14 @@ router.post('/', async (req, res) => {
         response = await listEmailsController(data);
         break;
 
+      case 'GetEmailAttachment':
+        response = await getEmailAttachmentController(data);
+        break;
+
+      case 'ClassifyEmail':
+        response = await classifyEmailController(data);
+        break;
+
       case 'FetchEmails':
         response = await fetchEmailsController(data);
         break;
@@ -119,6 +289,14 @@ router.post('/', async (req, res) => {
         response = await listProposalsController(data);
         break;
 
+      case 'ListProposalVersions':
+        response = await listProposalVersionsController(data);
+        break;
+
+      case 'CompareProposalItems':
+        response = await compareProposalItemsController(data);
+        break;
+
       case 'AwardProposal':
         response = await awardProposalController(data);
         break;
@@ -127,6 +305,37 @@ router.post('/', async (req, res) => {
         response = await rejectProposalController(data);
         break;
 
+      // ========== AWARD APPROVALS ==========
+      case 'ListAwardApprovals':
+        response = await listAwardApprovalsController(data);
+        break;
+
+      case 'ApproveAward':
+        response = await approveAwardController(data);
+        break;
+
+      case 'RejectAward':
+        response = await rejectAwardController(data);
+        break;
+
+      case 'CancelAwardApproval':
+        response = await cancelAwardApprovalController(data);
+        break;
+
+      // ========== AUDIT ==========
+      case 'ListAuditEvents':
+        response = await listAuditEventsController(data);
+        break;
+
+      // ========== JOBS ==========
+      case 'ListJobs':
+        response = await listJobsController(data);
+        break;
+
+      case 'RetryJob':
+        response = await retryJobController(data);
+        break;
+
       // ========== UNKNOWN ACTION ==========
       default: {
         const { statusCode, message } = ERROR.INVALID_APINAME;
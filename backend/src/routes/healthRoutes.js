@@ -1,4 +1,6 @@
 const express = require('express');
+const { getImapListenerHealth } = require('../workers/imapListener');
+const { getJobWorkerHealth } = require('../workers/jobWorker');
 
 const router = express.Router();
 
@@ -6,4 +8,16 @@ router.get('/', (req, res) => {
   return res.json({ status: 'ok' });
 });
 
+// Resident IMAP listener state; 503 while enabled but disconnected
+router.get('/mail', (req, res) => {
+  const health = getImapListenerHealth();
+  return res.status(health.healthy ? 200 : 503).json(health);
+});
+
+// In-process job worker state; 503 while enabled but unable to read the queue
+router.get('/jobs', (req, res) => {
+  const health = getJobWorkerHealth();
+  return res.status(health.healthy ? 200 : 503).json(health);
+});
+
 module.exports = router;
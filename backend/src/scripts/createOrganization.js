@@ -0,0 +1,37 @@
+require("dotenv").config();
+
+const getModels = require("../utils/getModels");
+const { databases } = require("../config/dbMap.json");
+const { createOrganizationService } = require("../services/organizationService");
+const { createOrganizationSchema } = require("../utils/validationUtils/zodValidatorUtils");
+const mapZodErrors = require("../utils/validationUtils/zodErrorMapper");
+
+/**
+ * Create an organization (tenant). Add its first admin with
+ * `npm run user:create -- <email> <name> <password> admin <slug>`.
+ *
+ * Usage:
+ *   node src/scripts/createOrganization.js <slug> <name>
+ */
+(async () => {
+  const [slug, ...nameParts] = process.argv.slice(2);
+
+  try {
+    const input = createOrganizationSchema.parse({ slug, name: nameParts.join(" ") });
+    const result = await createOrganizationService(input);
+
+    if (result?.error) {
+      console.error(` ${result.error}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`[INFO] Created organization ${result.slug} (${result.id})`);
+    }
+  } catch (err) {
+    const mapped = mapZodErrors(err);
+    console.error(" Could not create organization:", mapped ? JSON.stringify(mapped) : err.message);
+    console.error("Usage: npm run org:create -- <slug> <name>");
+    process.exitCode = 1;
+  } finally {
+    await getModels(databases.RFP.DB_NAME).sequelize.close();
+  }
+})();
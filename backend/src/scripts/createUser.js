@@ -0,0 +1,52 @@
+require("dotenv").config();
+
+const getModels = require("../utils/getModels");
+const { databases } = require("../config/dbMap.json");
+const { createUserService } = require("../services/authService");
+const { runWithRequestContext } = require("../utils/requestContext");
+const { createUserSchema } = require("../utils/validationUtils/zodValidatorUtils");
+const mapZodErrors = require("../utils/validationUtils/zodErrorMapper");
+
+/**
+ * Bootstrap a user account (CreateUser itself needs a logged-in caller).
+ *
+ * Usage:
+ *   node src/scripts/createUser.js <email> <name> <password> [role] [org-slug]
+ *
+ * role defaults to admin here (first account); CreateUser defaults to requester.
+ * org-slug defaults to the "default" organization created by the migrations.
+ */
+(async () => {
+  const [email, name, password, role = "admin", orgSlug = "default"] =
+    process.argv.slice(2);
+
+  try {
+    const input = createUserSchema.parse({ email, name, password, role });
+
+    const { Organizations } = getModels(databases.RFP.DB_NAME);
+    const org = await Organizations.findOne({ where: { slug: orgSlug }, raw: true });
+    if (!org) {
+      throw new Error(`Organization "${orgSlug}" not found (npm run org:create)`);
+    }
+
+    const result = await runWithRequestContext({ orgId: org.id }, () =>
+      createUserService(input)
+    );
+
+    if (result?.error) {
+      console.error(` ${result.error}`);
+      process.exitCode = 1;
+    } else {
+      console.log(
+        `[INFO] Created ${result.role} ${result.email} in ${org.slug} (${result.id})`
+      );
+    }
+  } catch (err) {
+    const mapped = mapZodErrors(err);
+    console.error(" Could not create user:", mapped ? JSON.stringify(mapped) : err.message);
+    console.error("Usage: npm run user:create -- <email> <name> <password> [role] [org-slug]");
+    process.exitCode = 1;
+  } finally {
+    await getModels(databases.RFP.DB_NAME).sequelize.close();
+  }
+})();
@@ -0,0 +1,27 @@
+require("dotenv").config();
+
+const getModels = require("../utils/getModels");
+const { databases } = require("../config/dbMap.json");
+const { DEFAULT_MAILBOX, resetSyncCursor } = require("../workers/imapWorker");
+
+/**
+ * Drop the stored IMAP cursor so the next poll (FetchEmails or the mail
+ * listener) rescans the whole mailbox, e.g. after restoring the database
+ * from a backup. Emails already stored are skipped by message_id.
+ *
+ * Usage:
+ *   node src/scripts/resetImapCursor.js [mailbox]
+ */
+(async () => {
+  const [mailbox = DEFAULT_MAILBOX] = process.argv.slice(2);
+
+  try {
+    await resetSyncCursor({ mailbox });
+  } catch (err) {
+    console.error(" Could not reset the sync cursor:", err.message);
+    console.error("Usage: npm run imap:reset-cursor -- [mailbox]");
+    process.exitCode = 1;
+  } finally {
+    await getModels(databases.RFP.DB_NAME).sequelize.close();
+  }
+})();
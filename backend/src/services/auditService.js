@@ -0,0 +1,63 @@
+const getModels = require("../utils/getModels");
+const { databases } = require("../config/dbMap.json");
+
+// -------------------- List Audit Events --------------------
+
+/**
+ * Audit events for an RFP and/or vendor, newest first.
+ * Tenant scoping comes from utils/tenantScope.js like every other read.
+ */
+const listAuditEventsService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { AuditEvents } = getModels(db);
+
+  const { rfp_id, vendor_id, entity_type, action, page = 1, limit = 50 } = data || {};
+
+  const safePage = page > 0 ? page : 1;
+  const safeLimit = limit > 0 && limit <= 100 ? limit : 50;
+  const offset = (safePage - 1) * safeLimit;
+
+  try {
+    const where = {};
+    if (rfp_id) where.rfp_id = rfp_id;
+    if (vendor_id) where.vendor_id = vendor_id;
+    if (entity_type) where.entity_type = entity_type;
+    if (action) where.action = action;
+
+    const { rows, count } = await AuditEvents.findAndCountAll({
+      where,
+      order: [["created_at", "DESC"]],
+      offset,
+      limit: safeLimit,
+      raw: true,
+    });
+
+    return {
+      items: rows.map((e) => ({
+        id: e.id,
+        actor_user_id: e.actor_user_id,
+        actor_email: e.actor_email,
+        action: e.action,
+        entity_type: e.entity_type,
+        entity_id: e.entity_id,
+        rfp_id: e.rfp_id,
+        vendor_id: e.vendor_id,
+        before: e.before,
+        after: e.after,
+        request_id: e.request_id,
+        created_at: e.created_at,
+      })),
+      page: safePage,
+      limit: safeLimit,
+      total: count,
+      total_pages: Math.ceil(count / safeLimit),
+    };
+  } catch (error) {
+    console.error(" Error in listAuditEventsService:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  listAuditEventsService,
+};
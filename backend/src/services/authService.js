@@ -0,0 +1,275 @@
+const { Op } = require("sequelize");
+const getModels = require("../utils/getModels");
+const { databases } = require("../config/dbMap.json");
+const { ERROR } = require("../utils/messages.json");
+const { getAllowedActions } = require("../config/permissions");
+const { runAsSystem } = require("../utils/requestContext");
+const { recordAuditEvent } = require("../utils/auditLog");
+const {
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+} = require("../utils/authUtils");
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+
+// last_used_at is informational; don't write it on every request
+const TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Same cost as a real check, so unknown emails aren't distinguishable by timing
+const DUMMY_PASSWORD_HASH =
+  "scrypt$16384$8$1$AAAAAAAAAAAAAAAAAAAAAA==$" + Buffer.alloc(64).toString("base64");
+
+const toPublicUser = (user) => ({
+  id: user.id,
+  org_id: user.org_id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  is_active: user.is_active,
+  last_login_at: user.last_login_at,
+  created_at: user.created_at,
+});
+
+const toPublicToken = (token) => ({
+  id: token.id,
+  name: token.name,
+  kind: token.kind,
+  token_prefix: token.token_prefix,
+  expires_at: token.expires_at,
+  last_used_at: token.last_used_at,
+  revoked_at: token.revoked_at,
+  created_at: token.created_at,
+});
+
+async function loadOrganization(orgId) {
+  const { Organizations } = getModels(databases.RFP.DB_NAME);
+
+  const org = await Organizations.findByPk(orgId, {
+    attributes: ["id", "name", "slug"],
+    raw: true,
+  });
+  return org || null;
+}
+
+async function issueToken({ userId, kind, name = null, expiresAt = null }) {
+  const { ApiTokens } = getModels(databases.RFP.DB_NAME);
+  const { token, token_hash, token_prefix } = generateToken();
+
+  const row = await ApiTokens.create({
+    user_id: userId,
+    kind,
+    name,
+    token_hash,
+    token_prefix,
+    expires_at: expiresAt,
+  });
+
+  return { token, record: row };
+}
+
+// -------------------- Create User --------------------
+
+/**
+ * The new user joins the caller's organization (stamped by utils/tenantScope.js).
+ */
+const createUserService = async ({ email, name, password, role = "requester" }) => {
+  const { Users } = getModels(databases.RFP.DB_NAME);
+
+  try {
+    const normalizedEmail = email.trim().toLowerCase();
+
+    // Login is by email alone, so emails stay unique across organizations
+    const existing = await runAsSystem(() =>
+      Users.findOne({ where: { email: normalizedEmail } })
+    );
+    if (existing) {
+      return { error: ERROR.USER_EMAIL_EXISTS.message };
+    }
+
+    const user = await Users.create({
+      email: normalizedEmail,
+      name: name.trim(),
+      role,
+      password_hash: await hashPassword(password),
+    });
+
+    await recordAuditEvent({
+      action: "CreateUser",
+      entityType: "user",
+      entityId: user.id,
+      after: { email: user.email, name: user.name, role: user.role },
+    });
+
+    return toPublicUser(user);
+  } catch (error) {
+    console.error(" Error in createUserService:", error);
+    throw error;
+  }
+};
+
+// -------------------- Login / Logout --------------------
+
+const loginService = async ({ email, password }) => {
+  const { Users } = getModels(databases.RFP.DB_NAME);
+
+  try {
+    const user = await Users.findOne({
+      where: { email: email.trim().toLowerCase() },
+    });
+
+    const valid = await verifyPassword(
+      password,
+      user ? user.password_hash : DUMMY_PASSWORD_HASH
+    );
+
+    if (!user || !valid || !user.is_active) {
+      return { error: ERROR.INVALID_CREDENTIALS.message, statusCode: 401 };
+    }
+
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+    const { token } = await issueToken({
+      userId: user.id,
+      kind: "session",
+      expiresAt,
+    });
+
+    user.last_login_at = new Date();
+    await user.save();
+
+    return {
+      token,
+      expires_at: expiresAt,
+      user: toPublicUser(user),
+      organization: await loadOrganization(user.org_id),
+      allowed_actions: getAllowedActions(user.role),
+    };
+  } catch (error) {
+    console.error(" Error in loginService:", error);
+    throw error;
+  }
+};
+
+const logoutService = async (auth) => {
+  const { ApiTokens } = getModels(databases.RFP.DB_NAME);
+
+  await ApiTokens.update(
+    { revoked_at: new Date() },
+    { where: { id: auth.token.id, revoked_at: null } }
+  );
+
+  return { logged_out: true };
+};
+
+// -------------------- Token resolution (middleware) --------------------
+
+/**
+ * Resolve a raw bearer token to its active user.
+ *
+ * @param {string} rawToken
+ * @returns {Promise<{ user: Object, token: Object } | null>} null when the
+ *   token is unknown, revoked, expired or belongs to a disabled user
+ */
+const resolveAuthToken = async (rawToken) => {
+  const { Users, ApiTokens } = getModels(databases.RFP.DB_NAME);
+
+  const token = await ApiTokens.findOne({
+    where: {
+      token_hash: hashToken(rawToken),
+      revoked_at: null,
+      [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: new Date() } }],
+    },
+    raw: true,
+  });
+  if (!token) return null;
+
+  const user = await Users.findOne({
+    where: { id: token.user_id, is_active: true },
+    raw: true,
+  });
+  if (!user) return null;
+
+  const lastUsed = token.last_used_at ? new Date(token.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsed > TOKEN_TOUCH_INTERVAL_MS) {
+    // Fire-and-forget: a failed touch must not fail the request
+    ApiTokens.update({ last_used_at: new Date() }, { where: { id: token.id } }).catch(
+      (err) => console.warn("[WARN] Could not update token last_used_at:", err.message)
+    );
+  }
+
+  return {
+    user: toPublicUser(user),
+    token: { id: token.id, kind: token.kind },
+  };
+};
+
+// -------------------- Current User --------------------
+
+const getCurrentUserService = async (auth) => {
+  return {
+    user: auth.user,
+    organization: await loadOrganization(auth.user.org_id),
+    token: auth.token,
+    allowed_actions: getAllowedActions(auth.user.role),
+  };
+};
+
+// -------------------- API Tokens --------------------
+
+const createApiTokenService = async (auth, { name, expires_in_days }) => {
+  const expiresAt = expires_in_days
+    ? new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000)
+    : null;
+
+  const { token, record } = await issueToken({
+    userId: auth.user.id,
+    kind: "api",
+    name,
+    expiresAt,
+  });
+
+  // The raw token is only ever returned here
+  return { ...toPublicToken(record), token };
+};
+
+const listApiTokensService = async (auth) => {
+  const { ApiTokens } = getModels(databases.RFP.DB_NAME);
+
+  const tokens = await ApiTokens.findAll({
+    where: { user_id: auth.user.id, kind: "api" },
+    order: [["created_at", "DESC"]],
+    raw: true,
+  });
+
+  return { tokens: tokens.map(toPublicToken) };
+};
+
+const revokeApiTokenService = async (auth, { token_id }) => {
+  const { ApiTokens } = getModels(databases.RFP.DB_NAME);
+
+  const token = await ApiTokens.findOne({
+    where: { id: token_id, user_id: auth.user.id, kind: "api" },
+  });
+  if (!token) {
+    return { error: ERROR.API_TOKEN_NOT_FOUND.message };
+  }
+
+  if (!token.revoked_at) {
+    token.revoked_at = new Date();
+    await token.save();
+  }
+
+  return toPublicToken(token);
+};
+
+module.exports = {
+  createUserService,
+  loginService,
+  logoutService,
+  resolveAuthToken,
+  getCurrentUserService,
+  createApiTokenService,
+  listApiTokensService,
+  revokeApiTokenService,
+};
@@ -0,0 +1,413 @@
+const { Op } = require("sequelize");
+const getModels = require("../utils/getModels");
+const { databases } = require("../config/dbMap.json");
+const { ERROR } = require("../utils/messages.json");
+const { recordAuditEvent } = require("../utils/auditLog");
+const { canDecideApprovalStep } = require("../utils/awardApprovalUtils");
+const { finalizeAward } = require("./proposalService");
+
+const toPublicApproval = (approval, decisions, user) => ({
+  id: approval.id,
+  rfp_id: approval.rfp_id,
+  proposal_id: approval.proposal_id,
+  vendor_id: approval.vendor_id,
+  requested_by_user_id: approval.requested_by_user_id,
+  status: approval.status,
+  amount: approval.amount !== null ? Number(approval.amount) : null,
+  currency_code: approval.currency_code,
+  reasons: approval.reasons,
+  steps: approval.steps,
+  current_step: approval.current_step,
+  decisions: decisions.map((d) => ({
+    id: d.id,
+    step: d.step,
+    decided_by_user_id: d.decided_by_user_id,
+    decided_by_email: d.decided_by_email,
+    decision: d.decision,
+    comment: d.comment,
+    created_at: d.created_at,
+  })),
+  // Whether the caller may decide the current step (drives the UI buttons)
+  can_decide: user ? canDecideCurrentStep(approval, decisions, user) : false,
+  can_cancel: user ? canCancelApproval(approval, user) : false,
+  decided_at: approval.decided_at,
+  created_at: approval.created_at,
+  updated_at: approval.updated_at,
+});
+
+/**
+ * Separation of duties: the requester can't approve their own award and
+ * nobody decides two steps of the same approval.
+ */
+function canDecideCurrentStep(approval, decisions, user) {
+  if (approval.status !== "pending") return false;
+  if (approval.requested_by_user_id === user.id) return false;
+  if (decisions.some((d) => d.decided_by_user_id === user.id)) return false;
+  return canDecideApprovalStep(approval.steps[approval.current_step], user);
+}
+
+/**
+ * The requester can withdraw their award; an admin can withdraw any, e.g.
+ * when a named approver has left.
+ */
+function canCancelApproval(approval, user) {
+  if (approval.status !== "pending") return false;
+  return user.role === "admin" || approval.requested_by_user_id === user.id;
+}
+
+/**
+ * Release an RFP held for an award: every version held for it (not just
+ * the one the approval points at) back to pending, the RFP back to evaluating.
+ */
+async function returnToEvaluation(rfp, { transaction }) {
+  const { Proposals } = getModels(databases.RFP.DB_NAME);
+
+  await Proposals.update(
+    { status: "pending" },
+    { where: { rfp_id: rfp.id, status: "pending_approval" }, transaction }
+  );
+  await rfp.update({ status: "evaluating" }, { transaction });
+}
+
+// -------------------- List Award Approvals --------------------
+
+/**
+ * Award approvals, newest first, optionally for one RFP and/or status.
+ */
+const listAwardApprovalsService = async (auth, data) => {
+  const db = databases.RFP.DB_NAME;
+  const { AwardApprovals, AwardApprovalDecisions } = getModels(db);
+
+  const { rfp_id, status, page = 1, limit = 20 } = data || {};
+
+  const safePage = page > 0 ? page : 1;
+  const safeLimit = limit > 0 && limit <= 100 ? limit : 20;
+  const offset = (safePage - 1) * safeLimit;
+
+  try {
+    const where = {};
+    if (rfp_id) where.rfp_id = rfp_id;
+    if (status) where.status = status;
+
+    const { rows, count } = await AwardApprovals.findAndCountAll({
+      where,
+      order: [["created_at", "DESC"]],
+      offset,
+      limit: safeLimit,
+      raw: true,
+    });
+
+    const decisions = rows.length
+      ? await AwardApprovalDecisions.findAll({
+          where: { approval_id: { [Op.in]: rows.map((a) => a.id) } },
+          order: [["step", "ASC"]],
+          raw: true,
+        })
+      : [];
+
+    return {
+      items: rows.map((approval) =>
+        toPublicApproval(
+          approval,
+          decisions.filter((d) => d.approval_id === approval.id),
+          auth.user
+        )
+      ),
+      page: safePage,
+      limit: safeLimit,
+      total: count,
+      total_pages: Math.ceil(count / safeLimit),
+    };
+  } catch (error) {
+    console.error(" Error in listAwardApprovalsService:", error);
+    throw error;
+  }
+};
+
+// -------------------- Approve / Reject Award --------------------
+
+/**
+ * Record the caller's decision on the current step.
+ *   rejected        → approval closed, RFP back to evaluating (returnToEvaluation)
+ *   approved (more) → moves on to the next step
+ *   approved (last) → runs the normal award: close RFP, reject others, queue emails
+ */
+const decideAward = async (auth, data, decision) => {
+  const db = databases.RFP.DB_NAME;
+  const { sequelize, AwardApprovals, AwardApprovalDecisions, Proposals, Rfps } =
+    getModels(db);
+
+  const { approval_id, comment = null } = data;
+  const user = auth.user;
+
+  const t = await sequelize.transaction();
+  try {
+    const approval = await AwardApprovals.findOne({
+      where: { id: approval_id },
+      transaction: t,
+      lock: true,
+    });
+    if (!approval) {
+      await t.rollback();
+      return { error: ERROR.AWARD_APPROVAL_NOT_FOUND.message, statusCode: 404 };
+    }
+
+    if (approval.status !== "pending") {
+      await t.rollback();
+      return { error: ERROR.AWARD_APPROVAL_ALREADY_DECIDED.message };
+    }
+
+    const priorDecisions = await AwardApprovalDecisions.findAll({
+      where: { approval_id },
+      order: [["step", "ASC"]],
+      transaction: t,
+    });
+
+    if (!canDecideCurrentStep(approval, priorDecisions, user)) {
+      await t.rollback();
+      return { error: ERROR.AWARD_APPROVAL_NOT_ALLOWED.message, statusCode: 403 };
+    }
+
+    const [rfp, proposal] = await Promise.all([
+      Rfps.findOne({ where: { id: approval.rfp_id }, transaction: t, lock: true }),
+      Proposals.findOne({ where: { id: approval.proposal_id }, transaction: t }),
+    ]);
+    if (!rfp || !proposal) {
+      await t.rollback();
+      return { error: ERROR.PROPOSAL_NOT_FOUND.message, statusCode: 404 };
+    }
+
+    const step = approval.current_step;
+    const isFinal = decision === "approved" && step + 1 >= approval.steps.length;
+
+    // A newer version arrived while waiting: the amount that was approved no
+    // longer matches what would be awarded
+    if (isFinal && !proposal.is_current) {
+      await t.rollback();
+      return { error: ERROR.AWARD_APPROVAL_PROPOSAL_SUPERSEDED.message };
+    }
+
+    const decisionRow = await AwardApprovalDecisions.create(
+      {
+        approval_id,
+        step,
+        decided_by_user_id: user.id,
+        decided_by_email: user.email,
+        decision,
+        comment,
+      },
+      { transaction: t }
+    );
+
+    const before = {
+      approval_status: approval.status,
+      current_step: step,
+      proposal_status: proposal.status,
+      rfp_status: rfp.status,
+    };
+    const auditBase = {
+      entityType: "proposal",
+      entityId: proposal.id,
+      rfpId: rfp.id,
+      vendorId: proposal.vendor_id,
+      before,
+      requestId: approval.request_id,
+    };
+
+    if (decision === "rejected") {
+      await approval.update(
+        { status: "rejected", decided_at: new Date() },
+        { transaction: t }
+      );
+      await returnToEvaluation(rfp, { transaction: t });
+      await proposal.reload({ transaction: t });
+
+      await recordAuditEvent(
+        {
+          ...auditBase,
+          action: "RejectAward",
+          after: {
+            approval_id,
+            step,
+            comment,
+            approval_status: "rejected",
+            proposal_status: proposal.status,
+            rfp_status: "evaluating",
+          },
+        },
+        { transaction: t }
+      );
+    } else if (!isFinal) {
+      await approval.update({ current_step: step + 1 }, { transaction: t });
+
+      await recordAuditEvent(
+        {
+          ...auditBase,
+          action: "ApproveAward",
+          after: {
+            approval_id,
+            step,
+            comment,
+            approval_status: "pending",
+            current_step: step + 1,
+          },
+        },
+        { transaction: t }
+      );
+    } else {
+      await approval.update(
+        { status: "approved", decided_at: new Date() },
+        { transaction: t }
+      );
+
+      const finalized = await finalizeAward({
+        rfp,
+        targetProposal: proposal,
+        transaction: t,
+        requestId: approval.request_id,
+      });
+
+      await recordAuditEvent(
+        {
+          ...auditBase,
+          action: "ApproveAward",
+          after: { approval_id, step, comment, approval_status: "approved" },
+        },
+        { transaction: t }
+      );
+      await recordAuditEvent(
+        {
+          ...auditBase,
+          action: "AwardProposal",
+          after: {
+            proposal_status: "awarded",
+            rfp_status: "closed",
+            rejected_proposal_ids: finalized.rejectedProposalIds,
+            approval_id,
+          },
+        },
+        { transaction: t }
+      );
+    }
+
+    await t.commit();
+
+    return toPublicApproval(
+      approval.get({ plain: true }),
+      [...priorDecisions, decisionRow].map((d) => d.get({ plain: true })),
+      user
+    );
+  } catch (error) {
+    await t.rollback();
+    console.error(" Error in decideAward:", error);
+    throw error;
+  }
+};
+
+const approveAwardService = (auth, data) => decideAward(auth, data, "approved");
+
+const rejectAwardService = (auth, data) => decideAward(auth, data, "rejected");
+
+// -------------------- Cancel Award Approval --------------------
+
+/**
+ * Withdraw a pending award without a decision, so an RFP whose approvers
+ * can't act isn't stuck in pending_approval. Same outcome as RejectAward,
+ * but no step is recorded as decided.
+ */
+const cancelAwardApprovalService = async (auth, data) => {
+  const db = databases.RFP.DB_NAME;
+  const { sequelize, AwardApprovals, AwardApprovalDecisions, Proposals, Rfps } =
+    getModels(db);
+
+  const { approval_id, comment = null } = data;
+  const user = auth.user;
+
+  const t = await sequelize.transaction();
+  try {
+    const approval = await AwardApprovals.findOne({
+      where: { id: approval_id },
+      transaction: t,
+      lock: true,
+    });
+    if (!approval) {
+      await t.rollback();
+      return { error: ERROR.AWARD_APPROVAL_NOT_FOUND.message, statusCode: 404 };
+    }
+
+    if (approval.status !== "pending") {
+      await t.rollback();
+      return { error: ERROR.AWARD_APPROVAL_ALREADY_DECIDED.message };
+    }
+
+    if (!canCancelApproval(approval, user)) {
+      await t.rollback();
+      return { error: ERROR.AWARD_APPROVAL_CANCEL_NOT_ALLOWED.message, statusCode: 403 };
+    }
+
+    const [rfp, proposal] = await Promise.all([
+      Rfps.findOne({ where: { id: approval.rfp_id }, transaction: t, lock: true }),
+      Proposals.findOne({ where: { id: approval.proposal_id }, transaction: t }),
+    ]);
+    if (!rfp || !proposal) {
+      await t.rollback();
+      return { error: ERROR.PROPOSAL_NOT_FOUND.message, statusCode: 404 };
+    }
+
+    const before = {
+      approval_status: approval.status,
+      current_step: approval.current_step,
+      proposal_status: proposal.status,
+      rfp_status: rfp.status,
+    };
+
+    await approval.update(
+      { status: "cancelled", decided_at: new Date() },
+      { transaction: t }
+    );
+    await returnToEvaluation(rfp, { transaction: t });
+    await proposal.reload({ transaction: t });
+
+    await recordAuditEvent(
+      {
+        action: "CancelAwardApproval",
+        entityType: "proposal",
+        entityId: proposal.id,
+        rfpId: rfp.id,
+        vendorId: proposal.vendor_id,
+        before,
+        after: {
+          approval_id,
+          comment,
+          approval_status: "cancelled",
+          proposal_status: proposal.status,
+          rfp_status: "evaluating",
+        },
+        requestId: approval.request_id,
+      },
+      { transaction: t }
+    );
+
+    const decisions = await AwardApprovalDecisions.findAll({
+      where: { approval_id },
+      order: [["step", "ASC"]],
+      transaction: t,
+      raw: true,
+    });
+
+    await t.commit();
+
+    return toPublicApproval(approval.get({ plain: true }), decisions, user);
+  } catch (error) {
+    await t.rollback();
+    console.error(" Error in cancelAwardApprovalService:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  listAwardApprovalsService,
+  approveAwardService,
+  rejectAwardService,
+  cancelAwardApprovalService,
+};
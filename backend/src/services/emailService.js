@@ -1,6 +1,7 @@
 const { Op } = require("sequelize");
 const getModels = require("../utils/getModels");
 const { databases } = require("../config/dbMap.json");
+const { ERROR } = require("../utils/messages.json");
 const {
   ensureAssociation,
   makeDynamicInclude,
@@ -9,18 +10,24 @@ const { sendEmail } = require("../utils/emailClient");
 const { buildRfpInviteEmail } = require("../utils/emailTemplates");
 const {
   buildRfpReplyTo,
+  buildRfpSubject,
   generateReplyToken,
+  resolveReplyRouting,
 } = require("../utils/emailRouting");
-const { sendRfpInviteEmails } = require("../utils/emailSendingUtils");
+const { runAsSystem } = require("../utils/requestContext");
+const { recordAuditEvent } = require("../utils/auditLog");
+const { queueOutboundEmail } = require("../utils/emailOutbox");
 const logger = require("../utils/logger");
 
 /**
- * List inbound emails for an RFP with pagination
+ * List an RFP's emails with pagination: vendor replies (default) or the
+ * outbound outbox with each message's delivery status
  */
 const listEmailsService = async (data) => {
   const db = databases.RFP.DB_NAME;
-  const { Emails, Vendors, sequelize } = getModels(db);
-  const { rfp_id, page = 1, limit = 20 } = data;
+  const { Emails, Attachments, Vendors, sequelize } = getModels(db);
+  const { rfp_id, direction = "inbound", kind, classification, page = 1, limit = 20 } = data;
+  const outbound = direction === "outbound";
 
   // Zod already guarantees types. Just normalize / cap for safety.
   const safePage = page > 0 ? page : 1;
@@ -39,7 +46,11 @@ const listEmailsService = async (data) => {
     const emails = await Emails.findAll({
       where: {
         rfp_id,
-        direction: "inbound",
+        direction,
+        // Only outbound emails have a kind (invite, reminder, ...), only
+        // inbound ones a classification (proposal, question, ...)
+        ...(outbound && kind && { kind }),
+        ...(!outbound && classification && { classification }),
       },
       // Avoid pulling huge columns you don't need (e.g. raw headers, html body)
       attributes: [
@@ -52,6 +63,18 @@ const listEmailsService = async (data) => {
         "sent_at",
         "received_at",
         "created_at",
+        ...(outbound
+          ? [
+              "kind",
+              "status",
+              "to_address",
+              "attempts",
+              "last_error",
+              "last_error_type",
+              "bounced_at",
+              "bounce_reason",
+            ]
+          : ["classification"]),
       ],
       include: [
         makeDynamicInclude(sequelize, {
@@ -67,6 +90,38 @@ const listEmailsService = async (data) => {
       limit: safeLimit,
     });
 
+    // Separate query: a hasMany include would break offset/limit paging
+    const attachments = emails.length && !outbound
+      ? await Attachments.findAll({
+          where: { email_id: { [Op.in]: emails.map((e) => e.id) } },
+          // Metadata only: bytes and extracted text come from GetEmailAttachment
+          attributes: [
+            "id",
+            "email_id",
+            "filename",
+            "content_type",
+            "size_bytes",
+            "extraction_status",
+            "extraction_error",
+          ],
+          order: [["created_at", "ASC"]],
+        })
+      : [];
+    const attachmentsByEmailId = new Map();
+    for (const a of attachments) {
+      if (!attachmentsByEmailId.has(a.email_id)) {
+        attachmentsByEmailId.set(a.email_id, []);
+      }
+      attachmentsByEmailId.get(a.email_id).push({
+        id: a.id,
+        filename: a.filename,
+        content_type: a.content_type,
+        size_bytes: a.size_bytes,
+        extraction_status: a.extraction_status,
+        extraction_error: a.extraction_error,
+      });
+    }
+
     return emails.map((e) => ({
       id: e.id,
       rfp_id: e.rfp_id,
@@ -79,6 +134,18 @@ const listEmailsService = async (data) => {
       sent_at: e.sent_at,
       received_at: e.received_at,
       created_at: e.created_at,
+      attachments: attachmentsByEmailId.get(e.id) || [],
+      ...(!outbound && { classification: e.classification }),
+      ...(outbound && {
+        kind: e.kind,
+        status: e.status,
+        to_address: e.to_address,
+        attempts: e.attempts,
+        last_error: e.last_error,
+        last_error_type: e.last_error_type,
+        bounced_at: e.bounced_at,
+        bounce_reason: e.bounce_reason,
+      }),
     }));
   } catch (error) {
     logger.error("listEmailsService error", { error: error.message });
@@ -86,6 +153,50 @@ const listEmailsService = async (data) => {
   }
 };
 
+/**
+ * One attachment with the text extracted from it (what ParseProposals
+ * reads); ListEmails only carries the metadata
+ */
+const getEmailAttachmentService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { Attachments } = getModels(db);
+  const { attachment_id } = data;
+
+  try {
+    const attachment = await Attachments.findOne({
+      where: { id: attachment_id },
+      // The file bytes stay on the server
+      attributes: [
+        "id",
+        "email_id",
+        "filename",
+        "content_type",
+        "size_bytes",
+        "extraction_status",
+        "extraction_error",
+        "extracted_text",
+      ],
+    });
+    if (!attachment) {
+      return { error: ERROR.ATTACHMENT_NOT_FOUND.message, statusCode: 404 };
+    }
+
+    return {
+      id: attachment.id,
+      email_id: attachment.email_id,
+      filename: attachment.filename,
+      content_type: attachment.content_type,
+      size_bytes: attachment.size_bytes,
+      extraction_status: attachment.extraction_status,
+      extraction_error: attachment.extraction_error,
+      extracted_text: attachment.extracted_text,
+    };
+  } catch (error) {
+    logger.error("getEmailAttachmentService error", { error: error.message });
+    throw error;
+  }
+};
+
 /**
  * Fetch emails from IMAP inbox and store in database
  */
@@ -94,7 +205,9 @@ const fetchEmailsService = async () => {
     const { pollInboxForRfpEmails } = require("../workers/imapWorker");
 
     logger.info("Starting email fetch service");
-    await pollInboxForRfpEmails();
+    // The mailbox is shared by every organization; replies are routed to
+    // their RFP's org by reply token, so the sync runs unscoped
+    await runAsSystem(() => pollInboxForRfpEmails());
 
     return {
       success: true,
@@ -108,11 +221,12 @@ const fetchEmailsService = async () => {
 
 /**
  * Send RFP invitations to vendors asynchronously
- * All complexity (retries, concurrency, DB updates) handled internally
+ * Invites are written to the email outbox (utils/emailOutbox.js) with the
+ * mappings; the SEND_EMAIL job delivers them and updates the mapping status
  */
 const sendRfpService = async (data) => {
   const db = databases.RFP.DB_NAME;
-  const { sequelize, Rfps, Vendors, RfpVendors, Emails, RfpItems } =
+  const { sequelize, Rfps, Vendors, RfpVendors, RfpItems, Organizations, Emails } =
     getModels(db);
 
   const requestId = `RFP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`; // Request tracing
@@ -148,8 +262,22 @@ const sendRfpService = async (data) => {
       return { error: "RFP is already closed" };
     }
 
+    // Invites after the deadline would ask for proposals that count as late
+    if (rfp.submission_deadline && new Date(rfp.submission_deadline) <= new Date()) {
+      await t.rollback();
+      logger.warn(`[${requestId}] Submission deadline passed`, { rfp_id });
+      return { error: ERROR.RFP_SUBMISSION_DEADLINE_PASSED.message };
+    }
+
     logger.debug(`[${requestId}] RFP loaded`, { status: rfp.status, title: rfp.title });
 
+    // Org-level reply routing overrides the mail config defaults
+    const organization = await Organizations.findByPk(rfp.org_id, {
+      transaction: t,
+      raw: true,
+    });
+    const routing = resolveReplyRouting(organization);
+
     // Load RFP items for email body
     const rfpItems = await RfpItems.findAll({
       where: { rfp_id },
@@ -196,8 +324,23 @@ const sendRfpService = async (data) => {
       existingMappings.map((m) => [m.vendor_id, m])
     );
 
+    // Invites still waiting in the outbox aren't queued a second time
+    const lastEmailIds = existingMappings.map((m) => m.last_email_id).filter(Boolean);
+    const queuedInviteIds = new Set(
+      lastEmailIds.length > 0
+        ? (
+            await Emails.findAll({
+              where: { id: { [Op.in]: lastEmailIds }, status: "queued" },
+              attributes: ["id"],
+              transaction: t,
+              raw: true,
+            })
+          ).map((e) => e.id)
+        : []
+    );
+
     let invitedCount = 0;
-    const emailsToSend = [];
+    const invitedVendorIds = [];
 
     for (const vendor of vendors) {
       let mapping = mappingByVendorId.get(vendor.id);
@@ -234,6 +377,14 @@ const sendRfpService = async (data) => {
           continue;
         }
 
+        if (queuedInviteIds.has(mapping.last_email_id)) {
+          logger.debug(
+            `[${requestId}] Skipping vendor (invite already queued)`,
+            { vendor_id: vendor.id, name: vendor.name }
+          );
+          continue;
+        }
+
           logger.debug(
             `[${requestId}] Reusing RfpVendors mapping`,
             { vendor_id: vendor.id, name: vendor.name, status: mapping.invite_status }
@@ -255,32 +406,35 @@ const sendRfpService = async (data) => {
         items: rfpItems,
       });
 
-      const replyTo = buildRfpReplyTo({
-        baseEmail: process.env.GMAIL_USER,
-        replyToken: mapping.reply_token,
-      });
-
-      // Queue email for async sending
-      emailsToSend.push({
-        to: vendor.email,
-        subject,
-        text,
-        html,
-        replyTo,
-        rfp_id,
-        vendor_id: vendor.id,
-        vendor_name: vendor.name,
-        mapping_id: mapping.id,
-      });
+      // Routing per the org's strategy (plus-address, subdomain or subject tag)
+      const replyTo = buildRfpReplyTo({ ...routing, replyToken: mapping.reply_token });
+
+      // Outbox row + delivery job; sent if and only if this commits
+      const email = await queueOutboundEmail(
+        {
+          kind: "invite",
+          rfpId: rfp_id,
+          vendorId: vendor.id,
+          to: vendor.email,
+          subject: buildRfpSubject({
+            subject,
+            replyToken: mapping.reply_token,
+            strategy: routing.strategy,
+          }),
+          text,
+          html,
+          replyTo,
+          requestId,
+        },
+        { transaction: t }
+      );
 
-      // Only update DB if status is NOT already sent (idempotent)
-      // This prevents re-sending already-sent emails
-      if (mapping.invite_status !== "sent") {
-        mapping.invite_status = "pending";
-        mapping.last_email_id = null;
-        await mapping.save({ transaction: t });
-      }
+      // The mapping follows this invite's delivery (sent / failed / bounced)
+      mapping.invite_status = "pending";
+      mapping.last_email_id = email.id;
+      await mapping.save({ transaction: t });
 
+      invitedVendorIds.push(vendor.id);
       invitedCount += 1;
     }
 
@@ -292,32 +446,35 @@ const sendRfpService = async (data) => {
       );
     }
 
+    const previousStatus = rfp.status;
+
     // Update RFP status if moving from draft to sent
     if (invitedCount > 0 && rfp.status === "draft") {
       await rfp.update({ status: "sent" }, { transaction: t });
       logger.debug(`[${requestId}] RFP status updated`, { from: "draft", to: "sent" });
     }
 
+    if (invitedCount > 0) {
+      await recordAuditEvent(
+        {
+          action: "SendRfp",
+          entityType: "rfp",
+          entityId: rfp.id,
+          rfpId: rfp.id,
+          before: { status: previousStatus },
+          after: {
+            status: rfp.status,
+            invited_vendor_ids: invitedVendorIds,
+          },
+          requestId,
+        },
+        { transaction: t }
+      );
+    }
+
     // Commit transaction - DB state locked in
     await t.commit();
-    logger.debug(`[${requestId}] Transaction committed`);
-
-    // Async non-blocking email sending with bounded concurrency
-    // All complexity (retries, concurrency, DB updates) hidden in sendRfpInviteEmails
-    if (emailsToSend.length > 0) {
-      setImmediate(async () => {
-        try {
-          await sendRfpInviteEmails({
-            emailsToSend,
-            Emails,
-            RfpVendors,
-            requestId,
-          });
-        } catch (err) {
-          logger.error(`[${requestId}] Error in async email send`, { error: err.message });
-        }
-      });
-    }
+    logger.debug(`[${requestId}] Transaction committed`, { queued_invites: invitedCount });
 
     logger.info(`[${requestId}] SendRfp response sent`, { invited_count: invitedCount });
 
@@ -335,6 +492,7 @@ const sendRfpService = async (data) => {
 
 module.exports = {
   listEmailsService,
+  getEmailAttachmentService,
   fetchEmailsService,
   sendRfpService,
 };
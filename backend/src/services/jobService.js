@@ -0,0 +1,131 @@
+const getModels = require("../utils/getModels");
+const { databases } = require("../config/dbMap.json");
+const { ERROR } = require("../utils/messages.json");
+const { recordAuditEvent, auditSnapshot } = require("../utils/auditLog");
+
+const JOB_AUDIT_FIELDS = ["status", "attempts", "max_attempts", "run_at", "last_error"];
+
+const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  payload: job.payload,
+  idempotency_key: job.idempotency_key,
+  attempts: job.attempts,
+  max_attempts: job.max_attempts,
+  run_at: job.run_at,
+  locked_at: job.locked_at,
+  locked_by: job.locked_by,
+  last_error: job.last_error,
+  result: job.result,
+  request_id: job.request_id,
+  completed_at: job.completed_at,
+  created_at: job.created_at,
+  updated_at: job.updated_at,
+});
+
+// -------------------- List Jobs --------------------
+
+/**
+ * Background jobs of the caller's organization, newest first.
+ * Tenant scoping comes from utils/tenantScope.js; system jobs (no org) never show.
+ */
+const listJobsService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { Jobs } = getModels(db);
+
+  const { status, type, rfp_id, page = 1, limit = 50 } = data || {};
+
+  const safePage = page > 0 ? page : 1;
+  const safeLimit = limit > 0 && limit <= 100 ? limit : 50;
+  const offset = (safePage - 1) * safeLimit;
+
+  try {
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+    if (rfp_id) where.payload = { rfp_id };
+
+    const { rows, count } = await Jobs.findAndCountAll({
+      where,
+      order: [["created_at", "DESC"]],
+      offset,
+      limit: safeLimit,
+      raw: true,
+    });
+
+    return {
+      items: rows.map(formatJob),
+      page: safePage,
+      limit: safeLimit,
+      total: count,
+      total_pages: Math.ceil(count / safeLimit),
+    };
+  } catch (error) {
+    console.error(" Error in listJobsService:", error);
+    throw error;
+  }
+};
+
+// -------------------- Retry Job --------------------
+
+/**
+ * Put a dead job back on the queue with a fresh set of attempts.
+ * last_error is kept so the operator can still see why it died.
+ */
+const retryJobService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { sequelize, Jobs } = getModels(db);
+
+  const { job_id } = data;
+
+  const t = await sequelize.transaction();
+  try {
+    const job = await Jobs.findOne({
+      where: { id: job_id },
+      transaction: t,
+      lock: true,
+    });
+    if (!job) {
+      await t.rollback();
+      return { error: ERROR.JOB_NOT_FOUND.message, statusCode: 404 };
+    }
+    if (job.status !== "dead") {
+      await t.rollback();
+      return { error: ERROR.JOB_NOT_RETRYABLE.message };
+    }
+
+    const before = auditSnapshot(job, JOB_AUDIT_FIELDS);
+
+    await job.update(
+      { status: "queued", attempts: 0, run_at: new Date(), completed_at: null },
+      { transaction: t }
+    );
+
+    await recordAuditEvent(
+      {
+        action: "RetryJob",
+        entityType: "job",
+        entityId: job.id,
+        rfpId: job.payload?.rfp_id || null,
+        vendorId: job.payload?.vendor_id || null,
+        before,
+        after: auditSnapshot(job, JOB_AUDIT_FIELDS),
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+
+    return formatJob(job.get({ plain: true }));
+  } catch (error) {
+    await t.rollback();
+    console.error(" Error in retryJobService:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  listJobsService,
+  retryJobService,
+};
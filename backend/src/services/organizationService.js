@@ -0,0 +1,135 @@
+const getModels = require("../utils/getModels");
+const { databases } = require("../config/dbMap.json");
+const { ERROR } = require("../utils/messages.json");
+const { resolveReplyRouting } = require("../utils/emailRouting");
+const { auditSnapshot, recordAuditEvent } = require("../utils/auditLog");
+const { resolveAwardApprovalPolicy } = require("../utils/awardApprovalUtils");
+const { resolveReminderDays } = require("../utils/rfpReminderUtils");
+
+const AUDITED_ORGANIZATION_FIELDS = [
+  "name",
+  "reply_routing_strategy",
+  "reply_routing_base_address",
+  "reply_routing_domain",
+  "award_approval_threshold",
+  "award_approval_budget_ratio",
+  "award_approval_steps",
+  "reminder_days",
+];
+
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+
+const toPublicOrganization = (org) => ({
+  id: org.id,
+  name: org.name,
+  slug: org.slug,
+  reply_routing_strategy: org.reply_routing_strategy,
+  reply_routing_base_address: org.reply_routing_base_address,
+  reply_routing_domain: org.reply_routing_domain,
+  // What outbound RFPs actually use once defaults are applied
+  effective_reply_routing: resolveReplyRouting(org),
+  award_approval_threshold: toNumberOrNull(org.award_approval_threshold),
+  award_approval_budget_ratio: toNumberOrNull(org.award_approval_budget_ratio),
+  award_approval_steps: org.award_approval_steps || [],
+  // null = awards never need approval
+  effective_award_approval: resolveAwardApprovalPolicy(org),
+  reminder_days: org.reminder_days ?? null,
+  // Days before the response deadline that reminders go out
+  effective_reminder_days: resolveReminderDays(org),
+  created_at: org.created_at,
+  updated_at: org.updated_at,
+});
+
+// -------------------- Create (CLI) --------------------
+
+const createOrganizationService = async ({ name, slug }) => {
+  const { Organizations } = getModels(databases.RFP.DB_NAME);
+
+  try {
+    const existing = await Organizations.findOne({ where: { slug } });
+    if (existing) {
+      return { error: ERROR.ORGANIZATION_SLUG_EXISTS.message };
+    }
+
+    const org = await Organizations.create({ name: name.trim(), slug });
+    return toPublicOrganization(org);
+  } catch (error) {
+    console.error(" Error in createOrganizationService:", error);
+    throw error;
+  }
+};
+
+// -------------------- Get / Update (caller's org) --------------------
+
+const getOrganizationService = async (auth) => {
+  const { Organizations } = getModels(databases.RFP.DB_NAME);
+
+  const org = await Organizations.findByPk(auth.user.org_id, { raw: true });
+  if (!org) {
+    return { error: ERROR.ORGANIZATION_NOT_FOUND.message };
+  }
+
+  return toPublicOrganization(org);
+};
+
+const updateOrganizationService = async (auth, data) => {
+  const { Organizations, Users } = getModels(databases.RFP.DB_NAME);
+
+  try {
+    const org = await Organizations.findByPk(auth.user.org_id);
+    if (!org) {
+      return { error: ERROR.ORGANIZATION_NOT_FOUND.message, statusCode: 404 };
+    }
+
+    const before = auditSnapshot(org, AUDITED_ORGANIZATION_FIELDS);
+
+    for (const field of AUDITED_ORGANIZATION_FIELDS) {
+      if (data[field] !== undefined) org.set(field, data[field]);
+    }
+    if (Array.isArray(data.reminder_days)) {
+      org.set("reminder_days", [...new Set(data.reminder_days)].sort((a, b) => b - a));
+    }
+
+    // Same rule mailConfig enforces for REPLY_ROUTING_STRATEGY=subdomain
+    const routing = resolveReplyRouting(org);
+    if (routing.strategy === "subdomain" && !routing.domain) {
+      return { error: ERROR.REPLY_ROUTING_DOMAIN_REQUIRED.message };
+    }
+    if (routing.strategy !== "subdomain" && !routing.baseEmail) {
+      return { error: ERROR.REPLY_ROUTING_BASE_ADDRESS_REQUIRED.message };
+    }
+
+    // Named approvers must be users of this org (Users is tenant-scoped)
+    const approverIds = (data.award_approval_steps || [])
+      .map((step) => step.user_id)
+      .filter(Boolean);
+    if (approverIds.length > 0) {
+      const found = await Users.count({ where: { id: [...new Set(approverIds)] } });
+      if (found !== new Set(approverIds).size) {
+        return { error: ERROR.AWARD_APPROVER_NOT_FOUND.message };
+      }
+    }
+
+    await org.save();
+
+    await recordAuditEvent({
+      action: "UpdateOrganization",
+      entityType: "organization",
+      entityId: org.id,
+      before,
+      after: auditSnapshot(org, AUDITED_ORGANIZATION_FIELDS),
+    });
+
+    return toPublicOrganization(org);
+  } catch (error) {
+    console.error(" Error in updateOrganizationService:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  toPublicOrganization,
+  createOrganizationService,
+  getOrganizationService,
+  updateOrganizationService,
+};
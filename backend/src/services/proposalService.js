@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const { Op } = require("sequelize");
 const getModels = require("../utils/getModels");
 const { databases } = require("../config/dbMap.json");
@@ -7,13 +8,24 @@ const {
 } = require("../utils/dynamicAssociations");
 const { parseProposalWithGroq } = require("../utils/groqClient");
 const {
-  updateVendorOnAward,
-  updateVendorOnReject,
-} = require("../utils/vendorRatingUtils");
+  buildScoringFacts,
+  scoreRfpProposals,
+  resolveEvaluationCriteria,
+  isCustomCriterion,
+} = require("../utils/proposalScoringUtils");
+const { JOB_TYPES, enqueueJob } = require("../utils/jobQueue");
+const { queueOutboundEmail } = require("../utils/emailOutbox");
+const { isLateReply } = require("../utils/rfpDeadlineUtils");
+const { quotedRevision } = require("../utils/rfpAmendmentUtils");
+const { closeOutInvitations } = require("../utils/rfpInvitationUtils");
+const { alignProposalItems } = require("../utils/proposalItemMatchingUtils");
+const { buildAwardEmail, buildRejectionEmail } = require("../utils/emailTemplates");
+const { recordAuditEvent } = require("../utils/auditLog");
 const {
-  sendRejectionEmail,
-  sendProposalEmails,
-} = require("../utils/emailSendingUtils");
+  resolveAwardApprovalPolicy,
+  evaluateAwardApproval,
+} = require("../utils/awardApprovalUtils");
+const { getRequestContext } = require("../utils/requestContext");
 
 /**
  * Parse proposals from inbound emails using AI
@@ -39,10 +51,28 @@ async function processWithConcurrency(items, concurrency, handler) {
   await Promise.all(workers);
 }
 
+// Once an award is decided or waiting for sign-off, the proposals and
+// scores it was based on stay as they are
+const DECIDED_RFP_STATUSES = ["closed", "pending_approval"];
+
+const decidedRfpError = (rfp) =>
+  rfp.status === "closed"
+    ? "RFP is already closed"
+    : "RFP has an award pending approval; cancel or reject it first";
+
 const parseProposalsService = async (data) => {
   const db = databases.RFP.DB_NAME;
-  const { sequelize, Rfps, Emails, Vendors, Proposals, ProposalItems } =
-    getModels(db);
+  const {
+    sequelize,
+    Rfps,
+    RfpItems,
+    Emails,
+    Attachments,
+    Vendors,
+    Proposals,
+    ProposalItems,
+    RfpAmendments,
+  } = getModels(db);
 
   const { rfp_id } = data;
 
@@ -51,18 +81,76 @@ const parseProposalsService = async (data) => {
   if (!rfp) {
     return { error: "RFP not found" };
   }
+  if (DECIDED_RFP_STATUSES.includes(rfp.status)) {
+    return { error: decidedRfpError(rfp), statusCode: 409 };
+  }
+
+  const rfpItems = await RfpItems.findAll({
+    where: { rfp_id },
+    order: [
+      ["sort_order", "ASC"],
+      ["created_at", "ASC"],
+    ],
+  });
+  const rfpItemsForAi = rfpItems.map((i) => ({
+    label: i.item_label,
+    specs: i.spec_text,
+    quantity: i.quantity,
+  }));
+  const customCriteria = resolveEvaluationCriteria(rfp).filter((c) =>
+    isCustomCriterion(c.key)
+  );
+
+  // Items above are the amended ones; each proposal records the revision
+  // its vendor was quoting (see utils/rfpAmendmentUtils.js)
+  const amendments = await RfpAmendments.findAll({
+    where: { rfp_id },
+    attributes: ["number", "created_at"],
+    raw: true,
+  });
 
-  // ---- Step 2: Load inbound emails (ordered for determinism)
-  const inboundEmails = await Emails.findAll({
+  // ---- Step 2: Load inbound emails in conversation order
+  // Questions and declines aren't quotes (see
+  // utils/emailClassificationUtils.js); questions go to the Q&A board
+  const inboundReplies = await Emails.findAll({
     where: {
       rfp_id,
       direction: "inbound",
+      classification: { [Op.notIn]: ["question", "decline"] },
     },
-    order: [["created_at", "ASC"]],
+    order: [
+      ["received_at", "ASC NULLS LAST"],
+      ["created_at", "ASC"],
+    ],
+  });
+
+  // A vendor's thread starts at their first quote; later replies without a
+  // price ("Warranty is 24 months.") are clarifications of it
+  const quotingVendorIds = new Set();
+  const inboundEmails = inboundReplies.filter((email) => {
+    if (email.classification === "proposal") quotingVendorIds.add(email.vendor_id);
+    return quotingVendorIds.has(email.vendor_id);
   });
 
   if (!inboundEmails.length) {
-    return { error: "No inbound emails found for this RFP" };
+    return { error: "No proposal emails found for this RFP" };
+  }
+
+  // Extracted attachment text (PDF/XLSX/CSV/DOCX quotes) rides along with its email
+  const attachments = await Attachments.findAll({
+    where: {
+      email_id: { [Op.in]: inboundEmails.map((e) => e.id) },
+      extraction_status: "extracted",
+    },
+    attributes: ["id", "email_id", "filename", "content_type", "extracted_text"],
+    order: [["created_at", "ASC"]],
+  });
+  const attachmentsByEmailId = new Map();
+  for (const a of attachments) {
+    if (!attachmentsByEmailId.has(a.email_id)) {
+      attachmentsByEmailId.set(a.email_id, []);
+    }
+    attachmentsByEmailId.get(a.email_id).push(a);
   }
 
   const vendorIds = [
@@ -91,171 +179,219 @@ const parseProposalsService = async (data) => {
     return { error: "No valid vendors found for inbound emails" };
   }
 
-  // ---- Step 4: Pick best email per vendor (e.g. latest by created_at)
-  const bestEmailByVendorId = new Map();
+  // ---- Step 4: Group each vendor's full inbound thread (already in order)
+  // Clarifications often arrive in follow-up replies, so the whole
+  // conversation is one extraction context; the latest email wins conflicts.
+  const threadByVendorId = new Map();
   for (const { email, vendor } of emailVendorPairs) {
-    const existing = bestEmailByVendorId.get(vendor.id);
-    if (!existing || email.created_at > existing.email.created_at) {
-      bestEmailByVendorId.set(vendor.id, { email, vendor });
+    if (!threadByVendorId.has(vendor.id)) {
+      threadByVendorId.set(vendor.id, { vendor, emails: [] });
     }
+    threadByVendorId.get(vendor.id).emails.push(email);
   }
 
-  // ---- Step 5: Call Groq outside transaction (optionally with concurrency)
+  // ---- Step 5: Call the LLM outside transaction (bounded concurrency)
+  // Only for threads with emails or attachments the current version wasn't
+  // read from; the rest keep their proposal as is
   const parsedByVendorId = new Map();
 
-  const pairsToParse = Array.from(bestEmailByVendorId.values());
+  const knownProposals = await Proposals.findAll({
+    where: {
+      rfp_id,
+      vendor_id: { [Op.in]: Array.from(threadByVendorId.keys()) },
+      is_current: true,
+    },
+  });
+  const knownByVendorId = new Map(knownProposals.map((p) => [p.vendor_id, p]));
+
+  const skippedProposals = [];
+  const threadsToParse = [];
+  for (const thread of threadByVendorId.values()) {
+    thread.sourceFingerprint = threadSourceFingerprint(thread.emails, attachmentsByEmailId);
+    const known = knownByVendorId.get(thread.vendor.id);
+    if (known && known.source_fingerprint === thread.sourceFingerprint) {
+      skippedProposals.push(known);
+    } else {
+      threadsToParse.push(thread);
+    }
+  }
 
-  await processWithConcurrency(pairsToParse, 5, async ({ email, vendor }) => {
+  await processWithConcurrency(threadsToParse, 5, async ({ vendor, emails, sourceFingerprint }) => {
+    // Proposal points at the newest email in the thread
+    const email = emails[emails.length - 1];
     try {
       const parsed = await parseProposalWithGroq({
         rfp,
-        email,
+        rfpItems: rfpItemsForAi,
+        customCriteria,
+        emails,
+        attachmentsByEmailId,
         vendor,
       });
 
       if (parsed) {
-        parsedByVendorId.set(vendor.id, { email, vendor, parsed });
+        parsedByVendorId.set(vendor.id, { email, vendor, parsed, sourceFingerprint });
       }
     } catch (err) {
       console.error(
-        ` Failed to parse proposal for vendor ${vendor.id} / email ${email.id}:`,
+        ` Failed to parse proposal for vendor ${vendor.id} (${emails.length} emails):`,
         err.message
       );
+      if (err.attempts) {
+        console.error(
+          ` LLM attempts for vendor ${vendor.id}:`,
+          JSON.stringify(err.attempts)
+        );
+      }
       // Just skip this vendor; don't throw, or one failure kills all
     }
   });
 
-  if (!parsedByVendorId.size) {
+  if (!parsedByVendorId.size && !skippedProposals.length) {
     return { error: "No proposals could be parsed from inbound emails" };
   }
 
   // ---- Step 6: Short transaction for DB writes only
   const t = await sequelize.transaction();
   try {
+    // An award may have been requested while the LLM was running
+    await rfp.reload({ transaction: t, lock: true });
+    if (DECIDED_RFP_STATUSES.includes(rfp.status)) {
+      await t.rollback();
+      return { error: decidedRfpError(rfp), statusCode: 409 };
+    }
+
     const parsedVendorIds = Array.from(parsedByVendorId.keys());
 
-    // Load existing proposals for these vendors in one go
-    const existingProposals = await Proposals.findAll({
+    // Load the current version of each vendor's proposal in one go
+    const currentProposals = await Proposals.findAll({
       where: {
         rfp_id,
         vendor_id: { [Op.in]: parsedVendorIds },
+        is_current: true,
       },
       transaction: t,
     });
 
-    const proposalByVendorId = new Map(
-      existingProposals.map((p) => [p.vendor_id, p])
+    const currentByVendorId = new Map(
+      currentProposals.map((p) => [p.vendor_id, p])
     );
 
     const createdProposals = [];
-    const updatedProposals = [];
+    const newVersionProposals = [];
+    const unchangedProposals = [...skippedProposals];
 
     for (const vendorId of parsedVendorIds) {
-      const { email, vendor, parsed } = parsedByVendorId.get(vendorId);
-
-      const baseFields = {
-        email_id: email.id,
-        total_price: parsed.total_price || null,
-        currency_code: parsed.currency_code || rfp.currency_code || "USD",
-        delivery_text: parsed.delivery_text || null,
-        delivery_days: parsed.delivery_days || null,
-        warranty_text: parsed.warranty_text || null,
-        warranty_months: parsed.warranty_months || null,
-        payment_terms: parsed.payment_terms || null,
-        items_match:
-          typeof parsed.items_match === "boolean" ? parsed.items_match : null,
-        ai_score: parsed.ai_score || null,
-        ai_reasoning: parsed.ai_reasoning || null,
-        ai_parsed: parsed,
-      };
-
-      let proposal = proposalByVendorId.get(vendorId);
+      const { email, vendor, parsed, sourceFingerprint } = parsedByVendorId.get(vendorId);
+      const current = currentByVendorId.get(vendorId);
+
+      // Versions from before source fingerprints: same email and same facts
+      // means nothing new; record what it was read from and keep it
+      if (
+        current &&
+        current.source_fingerprint === null &&
+        current.email_id === email.id &&
+        extractedFactsFingerprint(current.ai_parsed) ===
+          extractedFactsFingerprint(parsed)
+      ) {
+        await current.update({ source_fingerprint: sourceFingerprint }, { transaction: t });
+        unchangedProposals.push(current);
+        continue;
+      }
 
-      if (proposal) {
-        // UPDATE existing proposal
+      if (current) {
         console.log(
-          `[INFO] Updating existing proposal for vendor ${vendor.name}`
+          `[INFO] Creating proposal v${current.version + 1} for vendor ${vendor.name}`
         );
-
-        await proposal.update(baseFields, { transaction: t });
-
-        // Replace items
-        await ProposalItems.destroy({
-          where: { proposal_id: proposal.id },
-          transaction: t,
-        });
-
-        if (Array.isArray(parsed.items) && parsed.items.length > 0) {
-          const itemsToInsert = parsed.items.map((item) => ({
-            proposal_id: proposal.id,
-            item_label: item.label || null,
-            spec_text: item.spec || null,
-            quantity: item.quantity || null,
-            unit_price: item.unit_price || null,
-            total_price: item.total_price || null,
-            matches_rfp:
-              typeof item.matches_rfp === "boolean"
-                ? item.matches_rfp
-                : null,
-            notes: item.notes || null,
-          }));
-
-          await ProposalItems.bulkCreate(itemsToInsert, { transaction: t });
-        }
-
-        updatedProposals.push(proposal);
+        await current.update({ is_current: false }, { transaction: t });
       } else {
-        // CREATE new proposal
         console.log(
           `[INFO] Creating new proposal for vendor ${vendor.name}`
         );
+      }
 
-        proposal = await Proposals.create(
-          {
-            rfp_id,
-            vendor_id: vendor.id,
-            version: 1,
-            status: "pending",
-            ...baseFields,
-          },
-          { transaction: t }
-        );
-
-        if (Array.isArray(parsed.items) && parsed.items.length > 0) {
-          const itemsToInsert = parsed.items.map((item) => ({
-            proposal_id: proposal.id,
-            item_label: item.label || null,
-            spec_text: item.spec || null,
-            quantity: item.quantity || null,
-            unit_price: item.unit_price || null,
-            total_price: item.total_price || null,
-            matches_rfp:
-              typeof item.matches_rfp === "boolean"
-                ? item.matches_rfp
-                : null,
-            notes: item.notes || null,
-          }));
-
-          await ProposalItems.bulkCreate(itemsToInsert, { transaction: t });
-        }
+      // Prior versions and their items are kept untouched
+      const proposal = await Proposals.create(
+        {
+          rfp_id,
+          vendor_id: vendor.id,
+          version: current ? current.version + 1 : 1,
+          is_current: true,
+          // A revision is re-evaluated from scratch; it never inherits a decision
+          status: "pending",
+          email_id: email.id,
+          total_price: parsed.total_price || null,
+          currency_code: parsed.currency_code || rfp.currency_code || "USD",
+          delivery_text: parsed.delivery_text || null,
+          delivery_days: parsed.delivery_days || null,
+          warranty_text: parsed.warranty_text || null,
+          warranty_months: parsed.warranty_months || null,
+          payment_terms: parsed.payment_terms || null,
+          items_match:
+            typeof parsed.items_match === "boolean" ? parsed.items_match : null,
+          ai_parsed: parsed,
+          rfp_revision: quotedRevision(amendments, email.received_at || email.created_at),
+          source_fingerprint: sourceFingerprint,
+        },
+        { transaction: t }
+      );
 
-        createdProposals.push(proposal);
+      if (Array.isArray(parsed.items) && parsed.items.length > 0) {
+        const itemsToInsert = parsed.items.map((item) => ({
+          proposal_id: proposal.id,
+          item_label: item.label || null,
+          spec_text: item.spec || null,
+          quantity: item.quantity || null,
+          unit_price: item.unit_price || null,
+          total_price: item.total_price || null,
+          matches_rfp:
+            typeof item.matches_rfp === "boolean" ? item.matches_rfp : null,
+          notes: item.notes || null,
+          source_email_id: item.source_email_id || null,
+        }));
+
+        await ProposalItems.bulkCreate(itemsToInsert, { transaction: t });
       }
+
+      (current ? newVersionProposals : createdProposals).push(proposal);
     }
 
-    if (
-      (createdProposals.length > 0 || updatedProposals.length > 0) &&
-      rfp.status !== "closed"
-    ) {
+    // ---- Step 7: Rescore every proposal of the RFP (scores are relative)
+    const scoresById = await rescoreRfpProposals({ rfp, transaction: t });
+
+    const previousStatus = rfp.status;
+    if (createdProposals.length > 0 || newVersionProposals.length > 0) {
       await rfp.update({ status: "evaluating" }, { transaction: t });
     }
 
+    if (createdProposals.length > 0 || newVersionProposals.length > 0) {
+      await recordAuditEvent(
+        {
+          action: "ParseProposals",
+          entityType: "rfp",
+          entityId: rfp.id,
+          rfpId: rfp.id,
+          before: { status: previousStatus },
+          after: {
+            status: rfp.status,
+            created_proposal_ids: createdProposals.map((p) => p.id),
+            new_version_proposal_ids: newVersionProposals.map((p) => p.id),
+          },
+        },
+        { transaction: t }
+      );
+    }
+
     await t.commit();
 
-    const allProposals = [...createdProposals, ...updatedProposals];
+    const allProposals = [
+      ...createdProposals,
+      ...newVersionProposals,
+      ...unchangedProposals,
+    ];
 
     console.log(
-      `[INFO] Parse Summary: ${createdProposals.length} created, ${updatedProposals.length} updated`
+      `[INFO] Parse Summary: ${createdProposals.length} created, ${newVersionProposals.length} new versions, ${unchangedProposals.length} unchanged`
     );
 
     return allProposals.map((p) => ({
@@ -269,7 +405,9 @@ const parseProposalsService = async (data) => {
       warranty_text: p.warranty_text,
       payment_terms: p.payment_terms,
       items_match: p.items_match,
-      ai_score: p.ai_score,
+      rfp_revision: p.rfp_revision,
+      is_superseded: p.rfp_revision < rfp.revision,
+      ai_score: scoresById.get(p.id)?.score ?? null,
       status: p.status,
     }));
   } catch (error) {
@@ -279,6 +417,102 @@ const parseProposalsService = async (data) => {
   }
 };
 
+// -------------------- Scoring --------------------
+
+/**
+ * Identity of what a vendor's thread would be extracted from: its emails
+ * and their extracted attachments. Changes when a reply arrives or an
+ * attachment finishes extracting, not when the LLM answers differently.
+ */
+function threadSourceFingerprint(emails, attachmentsByEmailId) {
+  const ids = emails.flatMap((email) => [
+    `email:${email.id}`,
+    ...(attachmentsByEmailId.get(email.id) || []).map((a) => `attachment:${a.id}`),
+  ]);
+  return crypto.createHash("sha256").update(ids.sort().join("\n")).digest("hex");
+}
+
+/**
+ * Stable identity of the facts extracted from an email, ignoring LLM call
+ * metadata, used to avoid creating a new version when nothing changed.
+ */
+function extractedFactsFingerprint(parsed) {
+  if (!parsed) return null;
+  const { llm_attempts, ...facts } =
+    typeof parsed === "string" ? JSON.parse(parsed) : parsed;
+
+  // JSONB does not preserve key order, so sort keys before comparing
+  const sortKeys = (v) => {
+    if (Array.isArray(v)) return v.map(sortKeys);
+    if (v && typeof v === "object") {
+      return Object.fromEntries(
+        Object.keys(v)
+          .sort()
+          .map((k) => [k, sortKeys(v[k])])
+      );
+    }
+    return v;
+  };
+  return JSON.stringify(sortKeys(facts));
+}
+
+/**
+ * Recompute ai_score, ai_reasoning and score_breakdown for the current
+ * proposal versions of an RFP from their stored facts
+ * (see utils/proposalScoringUtils.js). Older versions keep their score,
+ * and so does every proposal once the RFP is decided (DECIDED_RFP_STATUSES):
+ * the stored scores are returned as they are.
+ *
+ * @returns {Promise<Map<string, { score, breakdown, reasoning }>>}
+ */
+async function rescoreRfpProposals({ rfp, transaction }) {
+  const { Proposals, Vendors } = getModels(databases.RFP.DB_NAME);
+
+  const proposals = await Proposals.findAll({
+    where: { rfp_id: rfp.id, is_current: true },
+    transaction,
+  });
+  if (!proposals.length) return new Map();
+
+  if (DECIDED_RFP_STATUSES.includes(rfp.status)) {
+    return new Map(
+      proposals.map((p) => [
+        p.id,
+        { score: p.ai_score, breakdown: p.score_breakdown, reasoning: p.ai_reasoning },
+      ])
+    );
+  }
+
+  const vendors = await Vendors.findAll({
+    where: { id: { [Op.in]: [...new Set(proposals.map((p) => p.vendor_id))] } },
+    attributes: ["id", "rating"],
+    transaction,
+  });
+  const ratingByVendorId = new Map(vendors.map((v) => [v.id, v.rating]));
+
+  const scoresById = scoreRfpProposals({
+    rfp,
+    proposals: proposals.map((p) => ({
+      id: p.id,
+      facts: buildScoringFacts(p),
+      vendorRating: ratingByVendorId.get(p.vendor_id),
+    })),
+  });
+
+  for (const proposal of proposals) {
+    const { score, breakdown, reasoning } = scoresById.get(proposal.id);
+    await proposal.update(
+      {
+        ai_score: score,
+        ai_reasoning: reasoning,
+        score_breakdown: breakdown,
+      },
+      { transaction }
+    );
+  }
+
+  return scoresById;
+}
 
 // -------------------- Shared Helper: bounded concurrency --------------------
 
@@ -307,13 +541,104 @@ async function processWithConcurrency(items, concurrency, handler) {
 
 // -------------------- Award Proposal --------------------
 
+/**
+ * Close the RFP on targetProposal: mark it awarded, reject every other
+ * current proposal and queue the award/rejection emails and the winner's
+ * rating update. Runs inside the caller's transaction, so the jobs exist
+ * exactly when the award commits.
+ *
+ * @returns {Promise<{ rejectedProposalIds: string[], rejectedVendorIds: string[] }>}
+ */
+async function finalizeAward({ rfp, targetProposal, transaction, requestId }) {
+  const { Proposals, Vendors } = getModels(databases.RFP.DB_NAME);
+
+  // Collect proposals that will be rejected *in this call* (avoid re-sending)
+  const otherProposalsToReject = await Proposals.findAll({
+    where: {
+      rfp_id: rfp.id,
+      vendor_id: { [Op.ne]: targetProposal.vendor_id },
+      is_current: true,
+      status: { [Op.ne]: "rejected" }, // don't re-touch already rejected
+    },
+    transaction,
+  });
+
+  const rejectedProposalIds = otherProposalsToReject.map((p) => p.id);
+  const rejectedVendorIds = [
+    ...new Set(
+      otherProposalsToReject
+        .map((p) => p.vendor_id)
+        .filter(Boolean)
+    ),
+  ];
+
+  // Update winning proposal
+  await targetProposal.update({ status: "awarded" }, { transaction });
+
+  // Update others to rejected
+  if (rejectedProposalIds.length > 0) {
+    await Proposals.update(
+      { status: "rejected" },
+      {
+        where: { id: { [Op.in]: rejectedProposalIds } },
+        transaction,
+      }
+    );
+  }
+
+  // Close RFP; vendors that never answered count as no_response
+  if (rfp.status !== "closed") {
+    await rfp.update({ status: "closed" }, { transaction });
+  }
+  await closeOutInvitations(rfp.id, { transaction });
+
+  // --------- Side effects (job queue + email outbox) ---------
+  await enqueueJob(
+    {
+      type: JOB_TYPES.VENDOR_RATING_AWARD,
+      payload: { rfp_id: rfp.id, vendor_id: targetProposal.vendor_id },
+      idempotencyKey: `vendor_rating_award:${targetProposal.id}`,
+      requestId,
+    },
+    { transaction }
+  );
+
+  const vendors = await Vendors.findAll({
+    where: { id: [targetProposal.vendor_id, ...rejectedVendorIds] },
+    transaction,
+  });
+  const vendorById = new Map(vendors.map((v) => [v.id, v]));
+
+  const notify = [
+    { vendor: vendorById.get(targetProposal.vendor_id), kind: "award" },
+    ...rejectedVendorIds.map((id) => ({ vendor: vendorById.get(id), kind: "rejection" })),
+  ];
+  for (const { vendor, kind } of notify) {
+    if (!vendor?.email) continue;
+    const { subject, text } =
+      kind === "award"
+        ? buildAwardEmail({ rfp, vendor })
+        : buildRejectionEmail({ rfp, vendor, type: "auto-reject" });
+    await queueOutboundEmail(
+      { kind, rfpId: rfp.id, vendorId: vendor.id, to: vendor.email, subject, text, requestId },
+      { transaction }
+    );
+  }
+
+  return { rejectedProposalIds, rejectedVendorIds };
+}
+
 /**
  * Award a proposal to a vendor
- * Auto-rejects all other proposals and sends emails asynchronously
+ * Auto-rejects all other proposals; emails and the rating update are queued jobs.
+ * When the org's award approval policy applies (utils/awardApprovalUtils.js)
+ * the award is held as a pending AwardApproval instead, and finalized by
+ * the last ApproveAward.
  */
 const awardProposalService = async (data) => {
   const db = databases.RFP.DB_NAME;
-  const { sequelize, Proposals, Rfps, Vendors } = getModels(db);
+  const { sequelize, Proposals, Rfps, Organizations, AwardApprovals } =
+    getModels(db);
 
   const requestId = `AWARD_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`; // Request tracing
 
@@ -321,7 +646,11 @@ const awardProposalService = async (data) => {
   try {
     const { rfp_id, vendor_id } = data;
 
-    const rfp = await Rfps.findOne({ where: { id: rfp_id }, transaction: t });
+    const rfp = await Rfps.findOne({
+      where: { id: rfp_id },
+      transaction: t,
+      lock: true, // one award decision per RFP at a time
+    });
     if (!rfp) {
       await t.rollback();
       return { error: "RFP not found" };
@@ -332,8 +661,13 @@ const awardProposalService = async (data) => {
       return { error: "RFP is already closed" };
     }
 
+    if (rfp.status === "pending_approval") {
+      await t.rollback();
+      return { error: "RFP already has an award pending approval" };
+    }
+
     const targetProposal = await Proposals.findOne({
-      where: { rfp_id, vendor_id },
+      where: { rfp_id, vendor_id, is_current: true },
       transaction: t,
     });
 
@@ -347,95 +681,100 @@ const awardProposalService = async (data) => {
       return { error: "Proposal is already awarded" };
     }
 
-    const vendor = await Vendors.findOne({
-      where: { id: vendor_id },
-      transaction: t,
-    });
+    const before = {
+      proposal_status: targetProposal.status,
+      rfp_status: rfp.status,
+    };
 
-    // Collect proposals that will be rejected *in this call* (avoid re-sending)
-    const otherProposalsToReject = await Proposals.findAll({
-      where: {
-        rfp_id,
-        vendor_id: { [Op.ne]: vendor_id },
-        status: { [Op.ne]: "rejected" }, // don't re-touch already rejected
-      },
+    // ---- Approval gate
+    const organization = await Organizations.findByPk(rfp.org_id, {
       transaction: t,
+      raw: true,
     });
+    const policy = resolveAwardApprovalPolicy(organization);
+    const check = evaluateAwardApproval(policy, { rfp, proposal: targetProposal });
 
-    const rejectedProposalIds = otherProposalsToReject.map((p) => p.id);
-    const rejectedVendorIds = [
-      ...new Set(
-        otherProposalsToReject
-          .map((p) => p.vendor_id)
-          .filter(Boolean)
-      ),
-    ];
+    if (check.required) {
+      const approval = await AwardApprovals.create(
+        {
+          rfp_id,
+          proposal_id: targetProposal.id,
+          vendor_id,
+          requested_by_user_id: getRequestContext()?.userId || null,
+          amount: check.amount,
+          currency_code: targetProposal.currency_code || rfp.currency_code,
+          reasons: check.reasons,
+          steps: policy.steps,
+          request_id: requestId,
+        },
+        { transaction: t }
+      );
 
-    // Update winning proposal
-    await targetProposal.update(
-      { status: "awarded" },
-      { transaction: t }
-    );
+      await targetProposal.update({ status: "pending_approval" }, { transaction: t });
+      await rfp.update({ status: "pending_approval" }, { transaction: t });
 
-    // Update others to rejected
-    if (rejectedProposalIds.length > 0) {
-      await Proposals.update(
-        { status: "rejected" },
+      await recordAuditEvent(
         {
-          where: { id: { [Op.in]: rejectedProposalIds } },
-          transaction: t,
-        }
+          action: "RequestAwardApproval",
+          entityType: "proposal",
+          entityId: targetProposal.id,
+          rfpId: rfp_id,
+          vendorId: vendor_id,
+          before,
+          after: {
+            proposal_status: "pending_approval",
+            rfp_status: "pending_approval",
+            approval_id: approval.id,
+            reasons: check.reasons,
+          },
+          requestId,
+        },
+        { transaction: t }
       );
-    }
 
-    // Close RFP
-    if (rfp.status !== "closed") {
-      await rfp.update({ status: "closed" }, { transaction: t });
-    }
+      await t.commit();
 
-    await t.commit();
+      return {
+        rfp_id,
+        vendor_id,
+        proposal_id: targetProposal.id,
+        approval_required: true,
+        approval: approval.get({ plain: true }),
+      };
+    }
 
-    // --------- Update vendor rating after award ---------
-    setImmediate(async () => {
-      try {
-        await updateVendorOnAward(vendor_id, targetProposal);
-      } catch (err) {
-        console.error(" Error updating vendor rating on award:", err.message);
-      }
+    const { rejectedProposalIds } = await finalizeAward({
+      rfp,
+      targetProposal,
+      transaction: t,
+      requestId,
     });
 
-    // --------- Async emails after commit (award + auto-rejections) ---------
-    // Simple high-level API - all complexity hidden in emailSendingUtils
-
-    if (rejectedVendorIds.length > 0) {
-      setImmediate(async () => {
-        try {
-          // Load vendors for rejection
-          const rejectedVendors = await Vendors.findAll({
-            where: { id: { [Op.in]: rejectedVendorIds } },
-          });
-
-          // Single call sends award email + all rejection emails with internal concurrency
-          const emailResult = await sendProposalEmails({
-            awardVendor: vendor,        // Award email to winning vendor
-            rejectVendors: rejectedVendors, // Auto-reject other vendors
-            rfp,
-            requestId,
-          });
-
-          console.log(
-            `[${requestId}] Proposal emails sent: award=${emailResult.award.sent}, rejections=${emailResult.rejections.completed}/${emailResult.rejections.total}`
-          );
-        } catch (err) {
-          console.error(" Error sending rejection emails:", err.message);
-        }
-      });
-    }
+    await recordAuditEvent(
+      {
+        action: "AwardProposal",
+        entityType: "proposal",
+        entityId: targetProposal.id,
+        rfpId: rfp_id,
+        vendorId: vendor_id,
+        before,
+        after: {
+          proposal_status: "awarded",
+          rfp_status: "closed",
+          rejected_proposal_ids: rejectedProposalIds,
+        },
+        requestId,
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
 
     return {
       rfp_id,
       vendor_id,
       awarded_proposal_id: targetProposal.id,
+      approval_required: false,
     };
   } catch (error) {
     await t.rollback();
@@ -451,13 +790,13 @@ const awardProposalService = async (data) => {
  */
 const rejectProposalService = async (data) => {
   const db = databases.RFP.DB_NAME;
-  const { Proposals, Vendors, Rfps } = getModels(db);
+  const { sequelize, Proposals, Rfps, Vendors } = getModels(db);
 
   try {
     const { rfp_id, vendor_id } = data;
 
     const proposal = await Proposals.findOne({
-      where: { rfp_id, vendor_id },
+      where: { rfp_id, vendor_id, is_current: true },
     });
 
     if (!proposal) {
@@ -469,40 +808,50 @@ const rejectProposalService = async (data) => {
       return { error: "Cannot reject an already awarded proposal" };
     }
 
-    const [vendor, rfp] = await Promise.all([
-      Vendors.findOne({ where: { id: vendor_id } }),
-      Rfps.findOne({ where: { id: rfp_id } }),
-    ]);
+    // Guard: the approval has to be rejected first (RejectAward)
+    if (proposal.status === "pending_approval") {
+      return { error: "Cannot reject a proposal whose award is pending approval" };
+    }
 
-    await proposal.update({ status: "rejected" });
+    const previousStatus = proposal.status;
+    await sequelize.transaction(async (transaction) => {
+      await proposal.update({ status: "rejected" }, { transaction });
+      await recordAuditEvent(
+        {
+          action: "RejectProposal",
+          entityType: "proposal",
+          entityId: proposal.id,
+          rfpId: rfp_id,
+          vendorId: vendor_id,
+          before: { status: previousStatus },
+          after: { status: "rejected" },
+        },
+        { transaction }
+      );
 
-    // --------- Update vendor rejection count ---------
-    setImmediate(async () => {
-      try {
-        await updateVendorOnReject(vendor_id);
-      } catch (err) {
-        console.error(" Error updating vendor rating on reject:", err.message);
+      // --------- Rejection count (job queue) + email (outbox) ---------
+      await enqueueJob(
+        {
+          type: JOB_TYPES.VENDOR_RATING_REJECT,
+          payload: { vendor_id },
+          idempotencyKey: `vendor_rating_reject:${proposal.id}`,
+        },
+        { transaction }
+      );
+
+      const [rfp, vendor] = await Promise.all([
+        Rfps.findOne({ where: { id: rfp_id }, transaction }),
+        Vendors.findOne({ where: { id: vendor_id }, transaction }),
+      ]);
+      if (rfp && vendor?.email) {
+        const { subject, text } = buildRejectionEmail({ rfp, vendor, type: "manual-reject" });
+        await queueOutboundEmail(
+          { kind: "rejection", rfpId: rfp_id, vendorId: vendor_id, to: vendor.email, subject, text },
+          { transaction }
+        );
       }
     });
 
-    // Send rejection email asynchronously (non-blocking)
-    if (vendor && vendor.email && rfp) {
-      setImmediate(async () => {
-        try {
-          await sendRejectionEmail({
-            vendor,
-            rfp,
-            type: "manual-reject",
-          });
-        } catch (err) {
-          console.error(
-            ` Failed to send rejection email to ${vendor.email}:`,
-            err.message
-          );
-        }
-      });
-    }
-
     return {
       rfp_id,
       vendor_id,
@@ -520,7 +869,8 @@ const rejectProposalService = async (data) => {
  */
 const listProposalsService = async (data) => {
   const db = databases.RFP.DB_NAME;
-  const { sequelize, Proposals, ProposalItems, Vendors } = getModels(db);
+  const { sequelize, Rfps, Proposals, ProposalItems, Vendors, Emails } =
+    getModels(db);
 
   try {
     const { rfp_id, page = 1, limit = 20 } = data;
@@ -529,6 +879,12 @@ const listProposalsService = async (data) => {
       return { error: "rfp_id is required" };
     }
 
+    // Late and superseded flags compare against the current deadline/revision
+    const rfp = await Rfps.findOne({
+      where: { id: rfp_id },
+      attributes: ["id", "submission_deadline", "revision"],
+    });
+
     // Basic sanitisation + cap
     const pageNumRaw = Number(page);
     const limitNumRaw = Number(limit);
@@ -547,7 +903,7 @@ const listProposalsService = async (data) => {
     });
 
     const { rows, count } = await Proposals.findAndCountAll({
-      where: { rfp_id },
+      where: { rfp_id, is_current: true },
       attributes: [
         "id",
         "rfp_id",
@@ -561,6 +917,10 @@ const listProposalsService = async (data) => {
         "status",
         "ai_score",
         "ai_reasoning",
+        "score_breakdown",
+        "ai_parsed",
+        "rfp_revision",
+        "email_id",
         "created_at",
         "updated_at",
       ],
@@ -600,10 +960,26 @@ const listProposalsService = async (data) => {
         "spec_text",
         "unit_price",
         "quantity",
+        "source_email_id",
       ],
       order: [["created_at", "ASC"]],
     });
 
+    // ---- Emails each proposal was extracted from (whole vendor thread) ----
+    const sourceEmailIds = [
+      ...new Set(
+        rows.flatMap((p) => p.ai_parsed?.source_email_ids || [p.email_id])
+      ),
+    ].filter(Boolean);
+
+    const sourceEmails = sourceEmailIds.length
+      ? await Emails.findAll({
+          where: { id: { [Op.in]: sourceEmailIds } },
+          attributes: ["id", "subject", "received_at"],
+        })
+      : [];
+    const sourceEmailById = new Map(sourceEmails.map((e) => [e.id, e]));
+
     const itemsByProposalId = new Map();
     for (const item of allItems) {
       const pid = item.proposal_id;
@@ -616,6 +992,14 @@ const listProposalsService = async (data) => {
     // ---- Build final response objects ----
     const proposalsWithItems = rows.map((proposal) => {
       const items = itemsByProposalId.get(proposal.id) || [];
+      const sources = (proposal.ai_parsed?.source_email_ids || [proposal.email_id])
+        .map((emailId) => sourceEmailById.get(emailId))
+        .filter(Boolean);
+      // This version stands as of its newest email
+      const submittedAt = sources.reduce(
+        (latest, e) => (e.received_at && (!latest || e.received_at > latest) ? e.received_at : latest),
+        null
+      );
 
       return {
         id: proposal.id,
@@ -637,12 +1021,27 @@ const listProposalsService = async (data) => {
         status: proposal.status,
         ai_score: proposal.ai_score,
         ai_reasoning: proposal.ai_reasoning,
+        score_breakdown: proposal.score_breakdown || null,
+        llm_attempts: proposal.ai_parsed?.llm_attempts || [],
+        field_sources: proposal.ai_parsed?.field_sources || {},
+        submitted_at: submittedAt,
+        is_late: isLateReply(rfp, submittedAt),
+        // Quoted against an older revision of the RFP than the current one
+        rfp_revision: proposal.rfp_revision,
+        is_superseded: !!rfp && proposal.rfp_revision < rfp.revision,
+        source_emails: sources.map((e) => ({
+          id: e.id,
+          subject: e.subject,
+          received_at: e.received_at,
+          is_late: isLateReply(rfp, e.received_at),
+        })),
         items: items.map((item) => ({
           id: item.id,
           item_name: item.item_label,
           specs: item.spec_text,
           price: item.unit_price,
           quantity: item.quantity,
+          source_email_id: item.source_email_id,
         })),
         created_at: proposal.created_at,
         updated_at: proposal.updated_at,
@@ -663,9 +1062,379 @@ const listProposalsService = async (data) => {
     throw error;
   }
 };
+// -------------------- Proposal Versions --------------------
+
+const VERSIONED_PROPOSAL_FIELDS = [
+  "total_price",
+  "currency_code",
+  "delivery_days",
+  "delivery_text",
+  "warranty_months",
+  "warranty_text",
+  "payment_terms",
+];
+
+const VERSIONED_ITEM_FIELDS = ["spec_text", "quantity", "unit_price", "total_price"];
+
+// DECIMAL columns come back as strings; compare numbers by value
+const sameValue = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a ?? null) === (b ?? null);
+  }
+  const na = Number(a);
+  const nb = Number(b);
+  if (Number.isFinite(na) && Number.isFinite(nb)) return na === nb;
+  return String(a) === String(b);
+};
+
+const fieldChanges = (previous, current, fields) =>
+  fields
+    .filter((field) => !sameValue(previous[field], current[field]))
+    .map((field) => ({
+      field,
+      from: previous[field] ?? null,
+      to: current[field] ?? null,
+    }));
+
+/**
+ * What changed between two versions of a vendor's proposal.
+ * Items are matched by label (case-insensitive).
+ */
+function diffProposalVersions(previous, current, previousItems, currentItems) {
+  const keyOf = (item) => String(item.item_label || "").trim().toLowerCase();
+  const previousByKey = new Map(previousItems.map((i) => [keyOf(i), i]));
+  const currentByKey = new Map(currentItems.map((i) => [keyOf(i), i]));
+
+  const items_changed = [];
+  for (const [key, item] of currentByKey) {
+    const before = previousByKey.get(key);
+    if (!before) continue;
+    const changes = fieldChanges(before, item, VERSIONED_ITEM_FIELDS);
+    if (changes.length) items_changed.push({ label: item.item_label, changes });
+  }
+
+  return {
+    from_version: previous.version,
+    fields: fieldChanges(previous, current, VERSIONED_PROPOSAL_FIELDS),
+    items_added: currentItems
+      .filter((i) => !previousByKey.has(keyOf(i)))
+      .map((i) => i.item_label),
+    items_removed: previousItems
+      .filter((i) => !currentByKey.has(keyOf(i)))
+      .map((i) => i.item_label),
+    items_changed,
+  };
+}
+
+/**
+ * List every version of a vendor's proposal for an RFP (newest first),
+ * each with its items and the changes from the version before it
+ */
+const listProposalVersionsService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { Proposals, ProposalItems, Vendors, Emails } = getModels(db);
+
+  try {
+    const { rfp_id, vendor_id } = data;
+
+    const versions = await Proposals.findAll({
+      where: { rfp_id, vendor_id },
+      attributes: [
+        "id",
+        "version",
+        "is_current",
+        "status",
+        "email_id",
+        ...VERSIONED_PROPOSAL_FIELDS,
+        "ai_score",
+        "ai_reasoning",
+        "created_at",
+      ],
+      order: [["version", "ASC"]],
+    });
+
+    if (!versions.length) {
+      return { error: "Proposal not found for given RFP and vendor" };
+    }
+
+    const proposalIds = versions.map((v) => v.id);
+    const emailIds = [...new Set(versions.map((v) => v.email_id).filter(Boolean))];
+
+    const [vendor, allItems, emails] = await Promise.all([
+      Vendors.findOne({
+        where: { id: vendor_id },
+        attributes: ["id", "name", "email"],
+      }),
+      ProposalItems.findAll({
+        where: { proposal_id: { [Op.in]: proposalIds } },
+        attributes: [
+          "id",
+          "proposal_id",
+          "item_label",
+          ...VERSIONED_ITEM_FIELDS,
+          "matches_rfp",
+        ],
+        order: [["created_at", "ASC"]],
+      }),
+      emailIds.length
+        ? Emails.findAll({
+            where: { id: { [Op.in]: emailIds } },
+            attributes: ["id", "subject", "received_at"],
+          })
+        : [],
+    ]);
+
+    const itemsByProposalId = new Map(proposalIds.map((id) => [id, []]));
+    for (const item of allItems) {
+      itemsByProposalId.get(item.proposal_id).push(item);
+    }
+    const emailById = new Map(emails.map((e) => [e.id, e]));
+
+    const result = versions.map((v, index) => {
+      const items = itemsByProposalId.get(v.id);
+      const previous = index > 0 ? versions[index - 1] : null;
+      const email = emailById.get(v.email_id);
+
+      return {
+        id: v.id,
+        version: v.version,
+        is_current: v.is_current,
+        status: v.status,
+        email: email
+          ? { id: email.id, subject: email.subject, received_at: email.received_at }
+          : null,
+        total_price: v.total_price,
+        currency_code: v.currency_code,
+        delivery_days: v.delivery_days,
+        delivery_text: v.delivery_text,
+        warranty_months: v.warranty_months,
+        warranty_text: v.warranty_text,
+        payment_terms: v.payment_terms,
+        ai_score: v.ai_score,
+        ai_reasoning: v.ai_reasoning,
+        items: items.map((item) => ({
+          id: item.id,
+          item_name: item.item_label,
+          specs: item.spec_text,
+          price: item.unit_price,
+          quantity: item.quantity,
+          total_price: item.total_price,
+          matches_rfp: item.matches_rfp,
+        })),
+        changes: previous
+          ? diffProposalVersions(
+              previous,
+              v,
+              itemsByProposalId.get(previous.id),
+              items
+            )
+          : null,
+        created_at: v.created_at,
+      };
+    });
+
+    return {
+      rfp_id,
+      vendor_id,
+      vendor: vendor
+        ? { id: vendor.id, name: vendor.name, email: vendor.email }
+        : null,
+      versions: result.reverse(),
+    };
+  } catch (error) {
+    console.error(" Error in listProposalVersionsService:", error);
+    throw error;
+  }
+};
+
+// -------------------- Compare Proposal Items --------------------
+
+/**
+ * Line-item matrix for an RFP: one row per RFP item, one column per
+ * vendor's current proposal (best score first). Each cell holds the
+ * vendor's matching item (utils/proposalItemMatchingUtils.js) or marks it
+ * missing; the lowest unit price per row is flagged. Prices are only
+ * compared between proposals quoted in the RFP's currency. Vendor items
+ * that match no RFP item are listed per vendor as unmatched_items.
+ */
+const compareProposalItemsService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { Rfps, RfpItems, Proposals, ProposalItems, Vendors } = getModels(db);
+
+  try {
+    const { rfp_id } = data || {};
+
+    const rfp = await Rfps.findOne({
+      where: { id: rfp_id },
+      attributes: ["id", "currency_code", "revision"],
+    });
+    if (!rfp) {
+      return { error: "RFP not found", statusCode: 404 };
+    }
+
+    const [rfpItems, proposals] = await Promise.all([
+      RfpItems.findAll({
+        where: { rfp_id },
+        order: [
+          ["sort_order", "ASC"],
+          ["created_at", "ASC"],
+        ],
+        raw: true,
+      }),
+      Proposals.findAll({
+        where: { rfp_id, is_current: true },
+        attributes: [
+          "id",
+          "vendor_id",
+          "version",
+          "status",
+          "currency_code",
+          "total_price",
+          "ai_score",
+          "rfp_revision",
+        ],
+        order: [
+          ["ai_score", "DESC NULLS LAST"],
+          ["created_at", "ASC"],
+        ],
+        raw: true,
+      }),
+    ]);
+
+    const proposalIds = proposals.map((p) => p.id);
+    const vendorIds = [...new Set(proposals.map((p) => p.vendor_id))];
+    const [proposalItems, vendors] = await Promise.all([
+      proposalIds.length
+        ? ProposalItems.findAll({
+            where: { proposal_id: { [Op.in]: proposalIds } },
+            attributes: [
+              "id",
+              "proposal_id",
+              "item_label",
+              "spec_text",
+              "quantity",
+              "unit_price",
+              "total_price",
+              "matches_rfp",
+              "notes",
+              "source_email_id",
+            ],
+            order: [["created_at", "ASC"]],
+            raw: true,
+          })
+        : [],
+      vendorIds.length
+        ? Vendors.findAll({ where: { id: { [Op.in]: vendorIds } }, attributes: ["id", "name"], raw: true })
+        : [],
+    ]);
+    const vendorById = new Map(vendors.map((v) => [v.id, v]));
+
+    const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+    const columns = proposals.map((proposal) => {
+      const items = proposalItems.filter((i) => i.proposal_id === proposal.id);
+      const { matches, unmatched } = alignProposalItems(rfpItems, items);
+      const currency = proposal.currency_code || rfp.currency_code;
+      return {
+        proposal,
+        matches,
+        unmatched,
+        comparable: !rfp.currency_code || currency === rfp.currency_code,
+      };
+    });
+
+    const lines = rfpItems.map((rfpItem) => {
+      const quotes = columns.map(({ proposal, matches, comparable }) => {
+        const match = matches.get(rfpItem.id);
+        if (!match) {
+          return { proposal_id: proposal.id, vendor_id: proposal.vendor_id, missing: true };
+        }
+        const { item, similarity } = match;
+        const quantity = toNumber(item.quantity);
+        return {
+          proposal_id: proposal.id,
+          vendor_id: proposal.vendor_id,
+          missing: false,
+          proposal_item_id: item.id,
+          item_label: item.item_label,
+          spec_text: item.spec_text,
+          notes: item.notes,
+          quantity,
+          unit_price: toNumber(item.unit_price),
+          total_price: toNumber(item.total_price),
+          matches_rfp: item.matches_rfp,
+          quantity_matches: quantity === null ? null : quantity === rfpItem.quantity,
+          label_similarity: similarity,
+          source_email_id: item.source_email_id,
+          comparable,
+        };
+      });
+
+      const prices = quotes
+        .filter((q) => !q.missing && q.comparable && q.unit_price !== null)
+        .map((q) => q.unit_price);
+      const bestUnitPrice = prices.length ? Math.min(...prices) : null;
+
+      return {
+        rfp_item_id: rfpItem.id,
+        item_label: rfpItem.item_label,
+        spec_text: rfpItem.spec_text,
+        quantity: rfpItem.quantity,
+        best_unit_price: bestUnitPrice,
+        quoted_count: quotes.filter((q) => !q.missing).length,
+        missing_count: quotes.filter((q) => q.missing).length,
+        cells: quotes.map(({ comparable, ...quote }) => ({
+          ...quote,
+          is_best_price:
+            !quote.missing && comparable && bestUnitPrice !== null && quote.unit_price === bestUnitPrice,
+        })),
+      };
+    });
+
+    return {
+      rfp_id,
+      currency_code: rfp.currency_code,
+      vendors: columns.map(({ proposal, matches, unmatched, comparable }) => ({
+        proposal_id: proposal.id,
+        vendor_id: proposal.vendor_id,
+        vendor_name: vendorById.get(proposal.vendor_id)?.name ?? null,
+        version: proposal.version,
+        status: proposal.status,
+        currency_code: proposal.currency_code,
+        price_comparable: comparable,
+        total_price: toNumber(proposal.total_price),
+        ai_score: toNumber(proposal.ai_score),
+        is_superseded: proposal.rfp_revision < rfp.revision,
+        quoted_count: matches.size,
+        missing_count: rfpItems.length - matches.size,
+        best_price_count: lines.filter((line) =>
+          line.cells.some((c) => c.proposal_id === proposal.id && c.is_best_price)
+        ).length,
+        unmatched_items: unmatched.map((item) => ({
+          proposal_item_id: item.id,
+          item_label: item.item_label,
+          spec_text: item.spec_text,
+          notes: item.notes,
+          quantity: toNumber(item.quantity),
+          unit_price: toNumber(item.unit_price),
+          total_price: toNumber(item.total_price),
+        })),
+      })),
+      lines,
+    };
+  } catch (error) {
+    console.error(" Error in compareProposalItemsService:", error);
+    throw error;
+  }
+};
+
 module.exports = {
   parseProposalsService,
+  rescoreRfpProposals,
   awardProposalService,
+  finalizeAward,
   rejectProposalService,
   listProposalsService,
+  listProposalVersionsService,
+  compareProposalItemsService,
 };
@@ -0,0 +1,306 @@
+const { Op } = require("sequelize");
+const getModels = require("../utils/getModels");
+const { databases } = require("../config/dbMap.json");
+const { ERROR } = require("../utils/messages.json");
+const { recordAuditEvent } = require("../utils/auditLog");
+const { getRequestContext } = require("../utils/requestContext");
+const { queueOutboundEmail } = require("../utils/emailOutbox");
+const { buildRfpAmendmentEmail } = require("../utils/emailTemplates");
+const { buildRfpReplyTo, buildRfpSubject, resolveReplyRouting } = require("../utils/emailRouting");
+const { toSubmissionDeadline } = require("../utils/rfpDeadlineUtils");
+const { reopenInvitations } = require("../utils/rfpInvitationUtils");
+const {
+  RFP_HEADER_FIELDS,
+  diffRfpHeader,
+  diffRfpItems,
+  isEmptyChangeSet,
+  describeAmendmentChanges,
+} = require("../utils/rfpAmendmentUtils");
+const { loadRfpItems, toPublicRfpItem } = require("./rfpService");
+const logger = require("../utils/logger");
+
+// RFPs out with vendors; drafts are edited directly, decided RFPs are final
+const AMENDABLE_STATUSES = ["sent", "evaluating"];
+
+const toPublicAmendment = (amendment) => ({
+  id: amendment.id,
+  rfp_id: amendment.rfp_id,
+  number: amendment.number,
+  note: amendment.note,
+  changes: amendment.changes,
+  summary: describeAmendmentChanges(amendment.changes),
+  issued_by_user_id: amendment.issued_by_user_id,
+  recipient_count: amendment.recipient_count,
+  created_at: amendment.created_at,
+});
+
+// -------------------- Issue Amendment --------------------
+
+/**
+ * Amend a sent RFP: apply header changes and/or a new item list, record
+ * them as the next numbered addendum and email it to every invited vendor
+ * on their reply thread.
+ *
+ * `items`, when given, is the complete amended list in order: entries with
+ * an id update that item, entries without one are added, missing items are
+ * removed.
+ */
+const issueRfpAmendmentService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { sequelize, Rfps, RfpItems, RfpVendors, Vendors, Organizations, RfpAmendments } =
+    getModels(db);
+
+  const requestId = `AMEND_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const { rfp_id, note, changes = {}, items } = data || {};
+
+  const headerChanges = {};
+  for (const field of RFP_HEADER_FIELDS) {
+    if (changes[field] !== undefined) headerChanges[field] = changes[field];
+  }
+  if (headerChanges.submission_deadline !== undefined) {
+    headerChanges.submission_deadline = toSubmissionDeadline(headerChanges.submission_deadline);
+  }
+  if (headerChanges.currency_code) {
+    headerChanges.currency_code = headerChanges.currency_code.toUpperCase();
+  }
+
+  const t = await sequelize.transaction();
+  try {
+    const rfp = await Rfps.findOne({ where: { id: rfp_id }, transaction: t, lock: true });
+    if (!rfp) {
+      await t.rollback();
+      return { error: ERROR.RFP_NOT_FOUND.message, statusCode: 404 };
+    }
+    if (!AMENDABLE_STATUSES.includes(rfp.status)) {
+      await t.rollback();
+      return { error: ERROR.RFP_AMENDMENT_NOT_ALLOWED.message, statusCode: 409 };
+    }
+
+    // A new deadline has to leave vendors time to answer
+    if (headerChanges.submission_deadline && headerChanges.submission_deadline <= new Date()) {
+      await t.rollback();
+      return { error: ERROR.RFP_SUBMISSION_DEADLINE_PASSED.message };
+    }
+    const submissionDeadline =
+      headerChanges.submission_deadline !== undefined
+        ? headerChanges.submission_deadline
+        : rfp.submission_deadline;
+    const deliveryBy =
+      headerChanges.delivery_by !== undefined ? headerChanges.delivery_by : rfp.delivery_by;
+    if (submissionDeadline && deliveryBy && toSubmissionDeadline(deliveryBy) < new Date(submissionDeadline)) {
+      await t.rollback();
+      return { error: ERROR.RFP_DELIVERY_BEFORE_DEADLINE.message };
+    }
+
+    const currentItems = await loadRfpItems(rfp.id, t);
+    if (items) {
+      const currentIds = new Set(currentItems.map((it) => it.id));
+      const keptIds = items.filter((it) => it.id).map((it) => it.id);
+      if (keptIds.some((id) => !currentIds.has(id))) {
+        await t.rollback();
+        return { error: ERROR.RFP_ITEM_NOT_FOUND.message, statusCode: 404 };
+      }
+      if (new Set(keptIds).size !== keptIds.length) {
+        await t.rollback();
+        return { error: ERROR.RFP_ITEMS_ORDER_MISMATCH.message };
+      }
+    }
+
+    const changeSet = {
+      fields: diffRfpHeader(rfp, headerChanges),
+      items: items ? diffRfpItems(currentItems, items) : null,
+    };
+    if (isEmptyChangeSet(changeSet)) {
+      await t.rollback();
+      return { error: ERROR.RFP_AMENDMENT_NO_CHANGES.message };
+    }
+
+    // ---- Apply the new revision
+    const number = rfp.revision + 1;
+    const changedFields = Object.keys(changeSet.fields);
+    const previousStatus = rfp.status;
+
+    // A later deadline reopens submissions the deadline job closed; vendors
+    // marked no_response get to answer again
+    const reopensSubmissions =
+      rfp.status === "evaluating" &&
+      changedFields.includes("submission_deadline") &&
+      !!headerChanges.submission_deadline;
+
+    await rfp.update(
+      {
+        ...Object.fromEntries(changedFields.map((field) => [field, headerChanges[field]])),
+        revision: number,
+        ...(reopensSubmissions && { status: "sent" }),
+        updated_at: new Date(),
+      },
+      { transaction: t }
+    );
+
+    const reopenedInviteCount = reopensSubmissions
+      ? await reopenInvitations(rfp.id, { transaction: t })
+      : 0;
+
+    let amendedItems = currentItems;
+    if (items) {
+      const currentById = new Map(currentItems.map((it) => [it.id, it]));
+      amendedItems = [];
+
+      for (const [index, next] of items.entries()) {
+        const values = {
+          item_label: next.item_label,
+          spec_text: next.spec_text || null,
+          quantity: next.quantity,
+          sort_order: index + 1,
+        };
+        if (next.id) {
+          const item = currentById.get(next.id);
+          await item.update(values, { transaction: t });
+          amendedItems.push(item);
+        } else {
+          amendedItems.push(await RfpItems.create({ rfp_id: rfp.id, ...values }, { transaction: t }));
+        }
+      }
+
+      const removedIds = changeSet.items.removed.map((it) => it.id);
+      if (removedIds.length > 0) {
+        await RfpItems.destroy({ where: { id: { [Op.in]: removedIds } }, transaction: t });
+      }
+    }
+
+    // ---- Addendum to every invited vendor, on their reply thread
+    const mappings = await RfpVendors.findAll({
+      where: { rfp_id: rfp.id, reply_token: { [Op.ne]: null } },
+      transaction: t,
+    });
+    const vendors = mappings.length
+      ? await Vendors.findAll({
+          where: { id: { [Op.in]: mappings.map((m) => m.vendor_id) } },
+          transaction: t,
+        })
+      : [];
+    const vendorById = new Map(vendors.map((v) => [v.id, v]));
+
+    const organization = await Organizations.findByPk(rfp.org_id, { transaction: t, raw: true });
+    const routing = resolveReplyRouting(organization);
+    const changeLines = describeAmendmentChanges(changeSet);
+
+    let recipientCount = 0;
+    for (const mapping of mappings) {
+      const vendor = vendorById.get(mapping.vendor_id);
+      if (!vendor?.email) continue;
+
+      const { subject, text } = buildRfpAmendmentEmail({
+        rfp,
+        vendor,
+        number,
+        note,
+        changeLines,
+        items: amendedItems,
+      });
+
+      await queueOutboundEmail(
+        {
+          kind: "amendment",
+          rfpId: rfp.id,
+          vendorId: vendor.id,
+          to: vendor.email,
+          subject: buildRfpSubject({
+            subject,
+            replyToken: mapping.reply_token,
+            strategy: routing.strategy,
+          }),
+          text,
+          replyTo: buildRfpReplyTo({ ...routing, replyToken: mapping.reply_token }),
+          requestId,
+        },
+        { transaction: t }
+      );
+      recipientCount += 1;
+    }
+
+    const amendment = await RfpAmendments.create(
+      {
+        rfp_id: rfp.id,
+        number,
+        note: note || null,
+        changes: changeSet,
+        issued_by_user_id: getRequestContext()?.userId || null,
+        recipient_count: recipientCount,
+        request_id: requestId,
+      },
+      { transaction: t }
+    );
+
+    await recordAuditEvent(
+      {
+        action: "IssueRfpAmendment",
+        entityType: "rfp",
+        entityId: rfp.id,
+        rfpId: rfp.id,
+        before: { revision: number - 1, status: previousStatus },
+        after: {
+          revision: number,
+          status: rfp.status,
+          amendment_id: amendment.id,
+          changes: changeSet,
+          recipient_count: recipientCount,
+          reopened_invite_count: reopenedInviteCount,
+        },
+        requestId,
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+
+    logger.info(`[${requestId}] Issued RFP amendment`, { rfp_id: rfp.id, number, recipients: recipientCount });
+
+    return {
+      amendment: toPublicAmendment(amendment),
+      revision: number,
+      status: rfp.status,
+      submissions_reopened: reopensSubmissions,
+      items: amendedItems.map(toPublicRfpItem),
+    };
+  } catch (error) {
+    await t.rollback();
+    console.error(" Error in issueRfpAmendmentService:", error);
+    throw error;
+  }
+};
+
+// -------------------- List Amendments --------------------
+
+const listRfpAmendmentsService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { Rfps, RfpAmendments } = getModels(db);
+
+  try {
+    const { rfp_id } = data || {};
+
+    const rfp = await Rfps.findOne({ where: { id: rfp_id }, attributes: ["id", "revision"] });
+    if (!rfp) {
+      return { error: ERROR.RFP_NOT_FOUND.message, statusCode: 404 };
+    }
+
+    const amendments = await RfpAmendments.findAll({
+      where: { rfp_id },
+      order: [["number", "DESC"]],
+    });
+
+    return {
+      rfp_id,
+      revision: rfp.revision,
+      amendments: amendments.map(toPublicAmendment),
+    };
+  } catch (error) {
+    console.error(" Error in listRfpAmendmentsService:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  issueRfpAmendmentService,
+  listRfpAmendmentsService,
+};
@@ -0,0 +1,172 @@
+const { Op } = require("sequelize");
+const getModels = require("../utils/getModels");
+const { databases } = require("../config/dbMap.json");
+const { ERROR } = require("../utils/messages.json");
+const { recordAuditEvent } = require("../utils/auditLog");
+const { updateVendorParticipation } = require("../utils/vendorRatingUtils");
+
+// Vendors can still change their mind about bidding
+const DECLINABLE_STATUSES = ["sent", "evaluating"];
+
+const toPublicInvitation = (invite, vendor = null) => ({
+  rfp_id: invite.rfp_id,
+  vendor_id: invite.vendor_id,
+  vendor_name: vendor?.name ?? null,
+  vendor_email: vendor?.email ?? null,
+  invite_status: invite.invite_status,
+  invited_at: invite.invited_at,
+  reminders_sent: invite.reminders_sent,
+  last_reminded_at: invite.last_reminded_at,
+  response_status: invite.response_status,
+  responded_at: invite.responded_at,
+  declined_at: invite.declined_at,
+  decline_source: invite.decline_source,
+  decline_reason: invite.decline_reason,
+  decline_email_id: invite.decline_email_id,
+});
+
+// -------------------- List Invitations --------------------
+
+/**
+ * Invited vendors of an RFP with their invite and response status, and
+ * how many are in each response status.
+ */
+const listRfpInvitationsService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { Rfps, RfpVendors, Vendors } = getModels(db);
+
+  try {
+    const { rfp_id } = data || {};
+
+    const rfp = await Rfps.findOne({ where: { id: rfp_id }, attributes: ["id"] });
+    if (!rfp) {
+      return { error: ERROR.RFP_NOT_FOUND.message, statusCode: 404 };
+    }
+
+    const invites = await RfpVendors.findAll({
+      where: { rfp_id },
+      order: [["invited_at", "ASC"]],
+    });
+
+    const vendorIds = invites.map((i) => i.vendor_id);
+    const vendors = vendorIds.length
+      ? await Vendors.findAll({
+          where: { id: { [Op.in]: vendorIds } },
+          attributes: ["id", "name", "email"],
+          raw: true,
+        })
+      : [];
+    const vendorById = new Map(vendors.map((v) => [v.id, v]));
+
+    const counts = { awaiting: 0, responded: 0, declined: 0, no_response: 0 };
+    for (const invite of invites) {
+      counts[invite.response_status] = (counts[invite.response_status] || 0) + 1;
+    }
+
+    return {
+      rfp_id,
+      counts,
+      invitations: invites.map((i) => toPublicInvitation(i, vendorById.get(i.vendor_id))),
+    };
+  } catch (error) {
+    console.error(" Error in listRfpInvitationsService:", error);
+    throw error;
+  }
+};
+
+// -------------------- Mark Declined --------------------
+
+/**
+ * Record that an invited vendor won't bid, e.g. after a phone call or a
+ * reply that wasn't recognized as a decline. Holds until the vendor sends
+ * a newer proposal or decline reply (utils/rfpInvitationUtils.js), and
+ * stops deadline reminders to the vendor.
+ */
+const markVendorDeclinedService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { sequelize, Rfps, RfpVendors, Vendors } = getModels(db);
+
+  const { rfp_id, vendor_id, reason } = data || {};
+
+  const t = await sequelize.transaction();
+  try {
+    const rfp = await Rfps.findOne({ where: { id: rfp_id }, transaction: t });
+    if (!rfp) {
+      await t.rollback();
+      return { error: ERROR.RFP_NOT_FOUND.message, statusCode: 404 };
+    }
+    if (!DECLINABLE_STATUSES.includes(rfp.status)) {
+      await t.rollback();
+      return { error: ERROR.RFP_INVITATION_NOT_OPEN.message, statusCode: 409 };
+    }
+
+    const invite = await RfpVendors.findOne({
+      where: { rfp_id, vendor_id },
+      transaction: t,
+      lock: true,
+    });
+    if (!invite) {
+      await t.rollback();
+      return { error: ERROR.RFP_INVITATION_NOT_FOUND.message, statusCode: 404 };
+    }
+
+    const before = {
+      response_status: invite.response_status,
+      decline_source: invite.decline_source,
+      decline_reason: invite.decline_reason,
+    };
+
+    await invite.update(
+      {
+        response_status: "declined",
+        responded_at: null,
+        declined_at: new Date(),
+        decline_source: "manual",
+        decline_reason: reason || null,
+        decline_email_id: null,
+      },
+      { transaction: t }
+    );
+
+    await recordAuditEvent(
+      {
+        action: "MarkVendorDeclined",
+        entityType: "vendor",
+        entityId: vendor_id,
+        rfpId: rfp_id,
+        vendorId: vendor_id,
+        before,
+        after: {
+          response_status: invite.response_status,
+          decline_source: invite.decline_source,
+          decline_reason: invite.decline_reason,
+        },
+      },
+      { transaction: t }
+    );
+
+    if (before.response_status !== "declined") {
+      await updateVendorParticipation([vendor_id], { transaction: t });
+    }
+
+    const vendor = await Vendors.findOne({
+      where: { id: vendor_id },
+      attributes: ["id", "name", "email"],
+      transaction: t,
+      raw: true,
+    });
+
+    await t.commit();
+
+    return toPublicInvitation(invite, vendor);
+  } catch (error) {
+    await t.rollback();
+    console.error(" Error in markVendorDeclinedService:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  listRfpInvitationsService,
+  markVendorDeclinedService,
+};
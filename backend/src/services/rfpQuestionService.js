@@ -0,0 +1,324 @@
+const { Op } = require("sequelize");
+const getModels = require("../utils/getModels");
+const { databases } = require("../config/dbMap.json");
+const { ERROR } = require("../utils/messages.json");
+const { recordAuditEvent } = require("../utils/auditLog");
+const { getRequestContext } = require("../utils/requestContext");
+const { queueOutboundEmail } = require("../utils/emailOutbox");
+const { buildRfpClarificationEmail } = require("../utils/emailTemplates");
+const { buildRfpReplyTo, buildRfpSubject, resolveReplyRouting } = require("../utils/emailRouting");
+const { anonymizeQuestion } = require("../utils/emailClassificationUtils");
+const { syncInvitationResponse } = require("../utils/rfpInvitationUtils");
+const logger = require("../utils/logger");
+
+// Vendors can still act on an answer
+const ANSWERABLE_STATUSES = ["sent", "evaluating"];
+
+const toPublicQuestion = (question, { vendor = null, email = null } = {}) => ({
+  id: question.id,
+  rfp_id: question.rfp_id,
+  vendor_id: question.vendor_id,
+  vendor_name: vendor?.name ?? null,
+  email_id: question.email_id,
+  subject: email?.subject ?? null,
+  received_at: email?.received_at ?? null,
+  question_text: question.question_text,
+  status: question.status,
+  answer_text: question.answer_text,
+  public_question: question.public_question,
+  // What a broadcast would show other vendors, for the buyer to review
+  suggested_public_question:
+    question.public_question || anonymizeQuestion(question.question_text, vendor),
+  is_broadcast: question.is_broadcast,
+  recipient_count: question.recipient_count,
+  answered_by_user_id: question.answered_by_user_id,
+  answered_at: question.answered_at,
+  created_at: question.created_at,
+});
+
+// -------------------- Classify Email --------------------
+
+/**
+ * Correct the classification of a vendor reply. Only `proposal` emails are
+ * parsed (ParseProposals); turning an email into a question puts it on the
+ * Q&A board, turning it into anything else takes it off again unless it
+ * has been answered. Proposals and declines also decide the vendor's
+ * invitation response (utils/rfpInvitationUtils.js).
+ */
+const classifyEmailService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { sequelize, Emails, RfpQuestions } = getModels(db);
+
+  const { email_id, classification } = data || {};
+
+  const t = await sequelize.transaction();
+  try {
+    const email = await Emails.findOne({ where: { id: email_id }, transaction: t, lock: true });
+    if (!email) {
+      await t.rollback();
+      return { error: ERROR.EMAIL_NOT_FOUND.message, statusCode: 404 };
+    }
+    if (email.direction !== "inbound") {
+      await t.rollback();
+      return { error: ERROR.EMAIL_NOT_INBOUND.message };
+    }
+
+    const previous = email.classification;
+    let question = await RfpQuestions.findOne({ where: { email_id }, transaction: t });
+
+    if (previous !== classification) {
+      await email.update({ classification, updated_at: new Date() }, { transaction: t });
+
+      if (classification === "question" && !question && email.rfp_id) {
+        question = await RfpQuestions.create(
+          {
+            rfp_id: email.rfp_id,
+            vendor_id: email.vendor_id,
+            email_id: email.id,
+            question_text: email.body_text || email.subject || "",
+          },
+          { transaction: t }
+        );
+      } else if (classification !== "question" && question?.status === "open") {
+        await question.destroy({ transaction: t });
+        question = null;
+      }
+
+      await recordAuditEvent(
+        {
+          action: "ClassifyEmail",
+          entityType: "email",
+          entityId: email.id,
+          rfpId: email.rfp_id,
+          vendorId: email.vendor_id,
+          before: { classification: previous },
+          after: { classification, question_id: question?.id || null },
+        },
+        { transaction: t }
+      );
+    }
+
+    const invitation =
+      email.rfp_id && email.vendor_id
+        ? await syncInvitationResponse({ rfpId: email.rfp_id, vendorId: email.vendor_id }, { transaction: t })
+        : null;
+
+    await t.commit();
+
+    return {
+      email_id: email.id,
+      rfp_id: email.rfp_id,
+      classification,
+      question_id: question?.id || null,
+      response_status: invitation?.response_status || null,
+    };
+  } catch (error) {
+    await t.rollback();
+    console.error(" Error in classifyEmailService:", error);
+    throw error;
+  }
+};
+
+// -------------------- List Questions --------------------
+
+const listRfpQuestionsService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { Rfps, RfpQuestions, Vendors, Emails } = getModels(db);
+
+  try {
+    const { rfp_id, status } = data || {};
+
+    const rfp = await Rfps.findOne({ where: { id: rfp_id }, attributes: ["id"] });
+    if (!rfp) {
+      return { error: ERROR.RFP_NOT_FOUND.message, statusCode: 404 };
+    }
+
+    const questions = await RfpQuestions.findAll({
+      where: { rfp_id, ...(status && { status }) },
+      order: [["created_at", "DESC"]],
+    });
+
+    const vendorIds = [...new Set(questions.map((q) => q.vendor_id).filter(Boolean))];
+    const [vendors, emails] = await Promise.all([
+      vendorIds.length
+        ? Vendors.findAll({ where: { id: { [Op.in]: vendorIds } }, attributes: ["id", "name"], raw: true })
+        : [],
+      questions.length
+        ? Emails.findAll({
+            where: { id: { [Op.in]: questions.map((q) => q.email_id) } },
+            attributes: ["id", "subject", "received_at"],
+            raw: true,
+          })
+        : [],
+    ]);
+    const vendorById = new Map(vendors.map((v) => [v.id, v]));
+    const emailById = new Map(emails.map((e) => [e.id, e]));
+
+    return {
+      rfp_id,
+      open_count: questions.filter((q) => q.status === "open").length,
+      questions: questions.map((q) =>
+        toPublicQuestion(q, { vendor: vendorById.get(q.vendor_id), email: emailById.get(q.email_id) })
+      ),
+    };
+  } catch (error) {
+    console.error(" Error in listRfpQuestionsService:", error);
+    throw error;
+  }
+};
+
+// -------------------- Answer Question --------------------
+
+/**
+ * Answer a vendor's question by email on the vendor's reply thread. With
+ * `broadcast`, every invited vendor gets the anonymized question
+ * (`public_question`, defaulting to anonymizeQuestion of the original)
+ * and the answer, so all bids rest on the same information.
+ *
+ * A question can be answered again, e.g. to correct an answer.
+ */
+const answerRfpQuestionService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { sequelize, Rfps, RfpQuestions, RfpVendors, Vendors, Organizations } = getModels(db);
+
+  const requestId = `QNA_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const { question_id, answer_text, broadcast = false, public_question } = data || {};
+
+  const t = await sequelize.transaction();
+  try {
+    const question = await RfpQuestions.findOne({
+      where: { id: question_id },
+      transaction: t,
+      lock: true,
+    });
+    if (!question) {
+      await t.rollback();
+      return { error: ERROR.RFP_QUESTION_NOT_FOUND.message, statusCode: 404 };
+    }
+
+    const rfp = await Rfps.findOne({ where: { id: question.rfp_id }, transaction: t });
+    if (!rfp) {
+      await t.rollback();
+      return { error: ERROR.RFP_NOT_FOUND.message, statusCode: 404 };
+    }
+    if (!ANSWERABLE_STATUSES.includes(rfp.status)) {
+      await t.rollback();
+      return { error: ERROR.RFP_QUESTION_NOT_ANSWERABLE.message, statusCode: 409 };
+    }
+
+    // Broadcast: every vendor with a reply thread; otherwise only the one who asked
+    const mappings = await RfpVendors.findAll({
+      where: {
+        rfp_id: rfp.id,
+        reply_token: { [Op.ne]: null },
+        ...(!broadcast && { vendor_id: question.vendor_id }),
+      },
+      transaction: t,
+    });
+    const vendorIds = [...new Set([question.vendor_id, ...mappings.map((m) => m.vendor_id)].filter(Boolean))];
+    const vendors = vendorIds.length
+      ? await Vendors.findAll({ where: { id: { [Op.in]: vendorIds } }, transaction: t })
+      : [];
+    const vendorById = new Map(vendors.map((v) => [v.id, v]));
+
+    const publicQuestion = broadcast
+      ? public_question || anonymizeQuestion(question.question_text, vendorById.get(question.vendor_id))
+      : null;
+
+    const organization = await Organizations.findByPk(rfp.org_id, { transaction: t, raw: true });
+    const routing = resolveReplyRouting(organization);
+
+    let recipientCount = 0;
+    for (const mapping of mappings) {
+      const vendor = vendorById.get(mapping.vendor_id);
+      if (!vendor?.email) continue;
+
+      const { subject, text } = buildRfpClarificationEmail({
+        rfp,
+        vendor,
+        question: broadcast ? publicQuestion : question.question_text,
+        answer: answer_text,
+        broadcast,
+      });
+
+      await queueOutboundEmail(
+        {
+          kind: "clarification",
+          rfpId: rfp.id,
+          vendorId: vendor.id,
+          to: vendor.email,
+          subject: buildRfpSubject({
+            subject,
+            replyToken: mapping.reply_token,
+            strategy: routing.strategy,
+          }),
+          text,
+          replyTo: buildRfpReplyTo({ ...routing, replyToken: mapping.reply_token }),
+          requestId,
+        },
+        { transaction: t }
+      );
+      recipientCount += 1;
+    }
+
+    const before = {
+      status: question.status,
+      answer_text: question.answer_text,
+      is_broadcast: question.is_broadcast,
+    };
+
+    await question.update(
+      {
+        status: "answered",
+        answer_text,
+        public_question: publicQuestion ?? question.public_question,
+        is_broadcast: question.is_broadcast || Boolean(broadcast),
+        recipient_count: recipientCount,
+        answered_by_user_id: getRequestContext()?.userId || null,
+        answered_at: new Date(),
+        updated_at: new Date(),
+      },
+      { transaction: t }
+    );
+
+    await recordAuditEvent(
+      {
+        action: "AnswerRfpQuestion",
+        entityType: "rfp_question",
+        entityId: question.id,
+        rfpId: rfp.id,
+        vendorId: question.vendor_id,
+        before,
+        after: {
+          status: question.status,
+          answer_text,
+          broadcast: Boolean(broadcast),
+          recipient_count: recipientCount,
+        },
+        requestId,
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+
+    logger.info(`[${requestId}] Answered RFP question`, {
+      rfp_id: rfp.id,
+      question_id: question.id,
+      broadcast: Boolean(broadcast),
+      recipients: recipientCount,
+    });
+
+    return toPublicQuestion(question, { vendor: vendorById.get(question.vendor_id) });
+  } catch (error) {
+    await t.rollback();
+    console.error(" Error in answerRfpQuestionService:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  classifyEmailService,
+  listRfpQuestionsService,
+  answerRfpQuestionService,
+};
@@ -1,8 +1,17 @@
 const { Op } = require("sequelize");
 const getModels = require("../utils/getModels");
 const { databases } = require("../config/dbMap.json");
+const { ERROR } = require("../utils/messages.json");
 
 const { analyzeRfpWithGroq } = require("../utils/groqClient");
+const {
+  DEFAULT_EVALUATION_CRITERIA,
+  resolveEvaluationCriteria,
+} = require("../utils/proposalScoringUtils");
+const { rescoreRfpProposals } = require("./proposalService");
+const { auditSnapshot, recordAuditEvent } = require("../utils/auditLog");
+const { toSubmissionDeadline } = require("../utils/rfpDeadlineUtils");
+const { RFP_HEADER_FIELDS } = require("../utils/rfpAmendmentUtils");
 
 // -------------------- Preview: AI-only, no DB --------------------
 
@@ -14,13 +23,13 @@ const analyzeRfpPreviewService = async (data) => {
       return { error: "Prompt is required" };
     }
 
-    const structured = await analyzeRfpWithGroq(prompt);
+    const { llm_attempts, ...structured } = await analyzeRfpWithGroq(prompt);
 
     if (!structured || !structured.title) {
       return { error: "Failed to analyze RFP with AI" };
     }
 
-    return { structured };
+    return { structured, llm_attempts };
   } catch (error) {
     console.error(" Error in analyzeRfpPreviewService:", error);
     throw error;
@@ -34,7 +43,7 @@ const createRfpService = async (data) => {
   const { sequelize, Rfps, RfpItems } = getModels(db);
 
   // Basic validation BEFORE transaction
-  const { prompt, structured } = data || {};
+  const { prompt, structured, evaluation_criteria } = data || {};
 
   if (!prompt || typeof prompt !== "string") {
     return { error: "Prompt is required" };
@@ -46,6 +55,16 @@ const createRfpService = async (data) => {
     return { error: "RFP title is required" };
   }
 
+  // Dates picked on the review screen win over the extracted ones
+  const submissionDeadline = toSubmissionDeadline(
+    data.submission_deadline !== undefined ? data.submission_deadline : structured.submission_deadline
+  );
+  const deliveryBy =
+    (data.delivery_by !== undefined ? data.delivery_by : structured.delivery_by) || null;
+  if (submissionDeadline && deliveryBy && toSubmissionDeadline(deliveryBy) < submissionDeadline) {
+    return { error: ERROR.RFP_DELIVERY_BEFORE_DEADLINE.message };
+  }
+
   const t = await sequelize.transaction();
   try {
     // Extract normalized fields
@@ -73,9 +92,12 @@ const createRfpService = async (data) => {
         currency_code: currency || currency_code || "USD",
 
         deadline_days: deadlineDays ?? deadline_days ?? null,
+        submission_deadline: submissionDeadline,
+        delivery_by: deliveryBy,
         payment_terms: payment_terms || null,
 
         min_warranty_months: min_warranty_months || null,
+        evaluation_criteria: evaluation_criteria || DEFAULT_EVALUATION_CRITERIA,
         status: "draft",
       },
       { transaction: t }
@@ -111,6 +133,27 @@ const createRfpService = async (data) => {
       await RfpItems.bulkCreate(itemsToInsert, { transaction: t });
     }
 
+    await recordAuditEvent(
+      {
+        action: "CreateRfp",
+        entityType: "rfp",
+        entityId: rfp.id,
+        rfpId: rfp.id,
+        after: {
+          ...auditSnapshot(rfp, [
+            "title",
+            "status",
+            "budget_cap",
+            "currency_code",
+            "submission_deadline",
+            "delivery_by",
+          ]),
+          item_count: itemsToInsert.length,
+        },
+      },
+      { transaction: t }
+    );
+
     await t.commit();
 
     return {
@@ -181,6 +224,8 @@ const listRfpsService = async (data) => {
         "budget_cap",
         "currency_code",
         "deadline_days",
+        "submission_deadline",
+        "delivery_by",
         "payment_terms",
         "min_warranty_months",
         "status",
@@ -206,6 +251,8 @@ const listRfpsService = async (data) => {
         budget_cap: r.budget_cap,
         currency_code: r.currency_code,
         deadline_days: r.deadline_days,
+        submission_deadline: r.submission_deadline,
+        delivery_by: r.delivery_by,
         payment_terms: r.payment_terms,
         min_warranty_months: r.min_warranty_months,
         status: r.status,
@@ -222,7 +269,7 @@ const listRfpsService = async (data) => {
 // -------------------- Get RFP Details --------------------
 
 /**
- * Get RFP Details (currently header-only; comment mentions items but not implemented)
+ * Get RFP Details (header + line items in sort_order)
  */
 const getRfpDetailsService = async (data) => {
   const db = databases.RFP.DB_NAME;
@@ -245,9 +292,13 @@ const getRfpDetailsService = async (data) => {
         "budget_cap",
         "currency_code",
         "deadline_days",
+        "submission_deadline",
+        "delivery_by",
         "payment_terms",
         "min_warranty_months",
+        "evaluation_criteria",
         "status",
+        "revision",
         "created_at",
         "updated_at",
       ],
@@ -257,6 +308,8 @@ const getRfpDetailsService = async (data) => {
       return { error: "RFP not found" };
     }
 
+    const items = await loadRfpItems(rfp.id);
+
     return {
       rfp: {
         id: rfp.id,
@@ -266,11 +319,16 @@ const getRfpDetailsService = async (data) => {
         budget_cap: rfp.budget_cap,
         currency_code: rfp.currency_code,
         deadline_days: rfp.deadline_days,
+        submission_deadline: rfp.submission_deadline,
+        delivery_by: rfp.delivery_by,
         payment_terms: rfp.payment_terms,
         min_warranty_months: rfp.min_warranty_months,
+        evaluation_criteria: resolveEvaluationCriteria(rfp),
         status: rfp.status,
+        revision: rfp.revision,
         created_at: rfp.created_at,
         updated_at: rfp.updated_at,
+        items: items.map(toPublicRfpItem),
       },
     };
   } catch (error) {
@@ -279,9 +337,440 @@ const getRfpDetailsService = async (data) => {
   }
 };
 
+// -------------------- Update Evaluation Criteria --------------------
+
+/**
+ * Replace the RFP's weighted evaluation criteria and rescore its proposals
+ */
+const updateRfpCriteriaService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { sequelize, Rfps } = getModels(db);
+
+  const { rfp_id, evaluation_criteria } = data || {};
+
+  const t = await sequelize.transaction();
+  try {
+    const rfp = await Rfps.findOne({ where: { id: rfp_id }, transaction: t });
+    if (!rfp) {
+      await t.rollback();
+      return { error: "RFP not found" };
+    }
+
+    if (rfp.status === "closed") {
+      await t.rollback();
+      return { error: "RFP is already closed" };
+    }
+
+    // The approvers are signing off on the scores as they stand
+    if (rfp.status === "pending_approval") {
+      await t.rollback();
+      return { error: "RFP has an award pending approval; cancel or reject it first" };
+    }
+
+    const before = auditSnapshot(rfp, ["evaluation_criteria"]);
+
+    await rfp.update(
+      { evaluation_criteria, updated_at: new Date() },
+      { transaction: t }
+    );
+
+    const scoresById = await rescoreRfpProposals({ rfp, transaction: t });
+
+    await recordAuditEvent(
+      {
+        action: "UpdateRfpCriteria",
+        entityType: "rfp",
+        entityId: rfp.id,
+        rfpId: rfp.id,
+        before,
+        after: {
+          evaluation_criteria: rfp.evaluation_criteria,
+          rescored_count: scoresById.size,
+        },
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+
+    return {
+      rfp_id: rfp.id,
+      evaluation_criteria: rfp.evaluation_criteria,
+      rescored_count: scoresById.size,
+    };
+  } catch (error) {
+    await t.rollback();
+    console.error(" Error in updateRfpCriteriaService:", error);
+    throw error;
+  }
+};
+
+// -------------------- Edit Draft RFP --------------------
+
+/**
+ * The header and line items of an RFP stay editable until it is sent.
+ * From then on vendors are quoting against it, so changes go through a
+ * numbered amendment instead (services/rfpAmendmentService.js).
+ */
+const RFP_ITEM_FIELDS = ["item_label", "spec_text", "quantity", "sort_order"];
+
+const toPublicRfpItem = (item) => ({
+  id: item.id,
+  item_label: item.item_label,
+  spec_text: item.spec_text,
+  quantity: item.quantity,
+  sort_order: item.sort_order,
+});
+
+// Lock the RFP for the edit; only drafts can be edited
+const loadEditableRfp = async (rfpId, transaction) => {
+  const { Rfps } = getModels(databases.RFP.DB_NAME);
+
+  const rfp = await Rfps.findOne({ where: { id: rfpId }, transaction, lock: true });
+  if (!rfp) {
+    return { error: ERROR.RFP_NOT_FOUND.message, statusCode: 404 };
+  }
+  if (rfp.status !== "draft") {
+    return { error: ERROR.RFP_NOT_EDITABLE.message, statusCode: 409 };
+  }
+  return { rfp };
+};
+
+const loadRfpItems = (rfpId, transaction) => {
+  const { RfpItems } = getModels(databases.RFP.DB_NAME);
+
+  return RfpItems.findAll({
+    where: { rfp_id: rfpId },
+    order: [
+      ["sort_order", "ASC"],
+      ["created_at", "ASC"],
+    ],
+    transaction,
+  });
+};
+
+// Rewrite sort_order as 1..n in the order given (only rows that moved)
+const renumberRfpItems = async (items, transaction) => {
+  for (const [index, item] of items.entries()) {
+    if (item.sort_order !== index + 1) {
+      await item.update({ sort_order: index + 1 }, { transaction });
+    }
+  }
+};
+
+/**
+ * Update header fields of a draft RFP (title, budget, terms, dates)
+ */
+const updateRfpService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { sequelize } = getModels(db);
+
+  const { rfp_id, ...fields } = data || {};
+
+  const changes = {};
+  for (const field of RFP_HEADER_FIELDS) {
+    if (fields[field] !== undefined) changes[field] = fields[field];
+  }
+  if (changes.submission_deadline !== undefined) {
+    changes.submission_deadline = toSubmissionDeadline(changes.submission_deadline);
+  }
+  if (changes.currency_code) {
+    changes.currency_code = changes.currency_code.toUpperCase();
+  }
+
+  const t = await sequelize.transaction();
+  try {
+    const { rfp, error, statusCode } = await loadEditableRfp(rfp_id, t);
+    if (error) {
+      await t.rollback();
+      return { error, statusCode };
+    }
+
+    const submissionDeadline =
+      changes.submission_deadline !== undefined ? changes.submission_deadline : rfp.submission_deadline;
+    const deliveryBy = changes.delivery_by !== undefined ? changes.delivery_by : rfp.delivery_by;
+    if (
+      submissionDeadline &&
+      deliveryBy &&
+      toSubmissionDeadline(deliveryBy) < new Date(submissionDeadline)
+    ) {
+      await t.rollback();
+      return { error: ERROR.RFP_DELIVERY_BEFORE_DEADLINE.message };
+    }
+
+    const changedFields = Object.keys(changes);
+    const before = auditSnapshot(rfp, changedFields);
+
+    await rfp.update({ ...changes, updated_at: new Date() }, { transaction: t });
+
+    await recordAuditEvent(
+      {
+        action: "UpdateRfp",
+        entityType: "rfp",
+        entityId: rfp.id,
+        rfpId: rfp.id,
+        before,
+        after: auditSnapshot(rfp, changedFields),
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+
+    return { rfp_id: rfp.id, updated_fields: changedFields };
+  } catch (error) {
+    await t.rollback();
+    console.error(" Error in updateRfpService:", error);
+    throw error;
+  }
+};
+
+/**
+ * Add a line item to a draft RFP, at `position` (1-based) or at the end
+ */
+const addRfpItemService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { sequelize, RfpItems } = getModels(db);
+
+  const { rfp_id, item_label, spec_text, quantity, position } = data || {};
+
+  const t = await sequelize.transaction();
+  try {
+    const { rfp, error, statusCode } = await loadEditableRfp(rfp_id, t);
+    if (error) {
+      await t.rollback();
+      return { error, statusCode };
+    }
+
+    const items = await loadRfpItems(rfp.id, t);
+
+    const item = await RfpItems.create(
+      {
+        rfp_id: rfp.id,
+        item_label,
+        spec_text: spec_text || null,
+        quantity,
+        sort_order: items.length + 1,
+      },
+      { transaction: t }
+    );
+
+    const index = position ? Math.min(position, items.length + 1) - 1 : items.length;
+    items.splice(index, 0, item);
+    await renumberRfpItems(items, t);
+
+    await rfp.update({ updated_at: new Date() }, { transaction: t });
+
+    await recordAuditEvent(
+      {
+        action: "AddRfpItem",
+        entityType: "rfp",
+        entityId: rfp.id,
+        rfpId: rfp.id,
+        after: { item_id: item.id, ...auditSnapshot(item, RFP_ITEM_FIELDS) },
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+
+    return {
+      rfp_id: rfp.id,
+      item: toPublicRfpItem(item),
+      items: items.map(toPublicRfpItem),
+    };
+  } catch (error) {
+    await t.rollback();
+    console.error(" Error in addRfpItemService:", error);
+    throw error;
+  }
+};
+
+/**
+ * Edit a line item of a draft RFP (label, specs, quantity)
+ */
+const updateRfpItemService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { sequelize, RfpItems } = getModels(db);
+
+  const { rfp_id, item_id, ...fields } = data || {};
+
+  const changes = {};
+  for (const field of ["item_label", "spec_text", "quantity"]) {
+    if (fields[field] !== undefined) changes[field] = fields[field];
+  }
+  if (changes.spec_text === "") changes.spec_text = null;
+
+  const t = await sequelize.transaction();
+  try {
+    const { rfp, error, statusCode } = await loadEditableRfp(rfp_id, t);
+    if (error) {
+      await t.rollback();
+      return { error, statusCode };
+    }
+
+    const item = await RfpItems.findOne({
+      where: { id: item_id, rfp_id: rfp.id },
+      transaction: t,
+    });
+    if (!item) {
+      await t.rollback();
+      return { error: ERROR.RFP_ITEM_NOT_FOUND.message, statusCode: 404 };
+    }
+
+    const changedFields = Object.keys(changes);
+    const before = auditSnapshot(item, changedFields);
+
+    await item.update(changes, { transaction: t });
+    await rfp.update({ updated_at: new Date() }, { transaction: t });
+
+    await recordAuditEvent(
+      {
+        action: "UpdateRfpItem",
+        entityType: "rfp",
+        entityId: rfp.id,
+        rfpId: rfp.id,
+        before: { item_id: item.id, ...before },
+        after: { item_id: item.id, ...auditSnapshot(item, changedFields) },
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+
+    return { rfp_id: rfp.id, item: toPublicRfpItem(item) };
+  } catch (error) {
+    await t.rollback();
+    console.error(" Error in updateRfpItemService:", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a line item from a draft RFP; the last item can't be removed
+ */
+const removeRfpItemService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { sequelize } = getModels(db);
+
+  const { rfp_id, item_id } = data || {};
+
+  const t = await sequelize.transaction();
+  try {
+    const { rfp, error, statusCode } = await loadEditableRfp(rfp_id, t);
+    if (error) {
+      await t.rollback();
+      return { error, statusCode };
+    }
+
+    const items = await loadRfpItems(rfp.id, t);
+    const item = items.find((it) => it.id === item_id);
+    if (!item) {
+      await t.rollback();
+      return { error: ERROR.RFP_ITEM_NOT_FOUND.message, statusCode: 404 };
+    }
+    if (items.length === 1) {
+      await t.rollback();
+      return { error: ERROR.RFP_LAST_ITEM.message };
+    }
+
+    const before = { item_id: item.id, ...auditSnapshot(item, RFP_ITEM_FIELDS) };
+
+    await item.destroy({ transaction: t });
+    const remaining = items.filter((it) => it.id !== item_id);
+    await renumberRfpItems(remaining, t);
+
+    await rfp.update({ updated_at: new Date() }, { transaction: t });
+
+    await recordAuditEvent(
+      {
+        action: "RemoveRfpItem",
+        entityType: "rfp",
+        entityId: rfp.id,
+        rfpId: rfp.id,
+        before,
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+
+    return { rfp_id: rfp.id, items: remaining.map(toPublicRfpItem) };
+  } catch (error) {
+    await t.rollback();
+    console.error(" Error in removeRfpItemService:", error);
+    throw error;
+  }
+};
+
+/**
+ * Put a draft RFP's line items in a new order; item_ids must list every
+ * item once
+ */
+const reorderRfpItemsService = async (data) => {
+  const db = databases.RFP.DB_NAME;
+  const { sequelize } = getModels(db);
+
+  const { rfp_id, item_ids } = data || {};
+
+  const t = await sequelize.transaction();
+  try {
+    const { rfp, error, statusCode } = await loadEditableRfp(rfp_id, t);
+    if (error) {
+      await t.rollback();
+      return { error, statusCode };
+    }
+
+    const items = await loadRfpItems(rfp.id, t);
+    const itemById = new Map(items.map((it) => [it.id, it]));
+    if (
+      item_ids.length !== items.length ||
+      new Set(item_ids).size !== item_ids.length ||
+      !item_ids.every((id) => itemById.has(id))
+    ) {
+      await t.rollback();
+      return { error: ERROR.RFP_ITEMS_ORDER_MISMATCH.message };
+    }
+
+    const before = items.map((it) => it.id);
+    const ordered = item_ids.map((id) => itemById.get(id));
+    await renumberRfpItems(ordered, t);
+
+    await rfp.update({ updated_at: new Date() }, { transaction: t });
+
+    await recordAuditEvent(
+      {
+        action: "ReorderRfpItems",
+        entityType: "rfp",
+        entityId: rfp.id,
+        rfpId: rfp.id,
+        before: { item_ids: before },
+        after: { item_ids },
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+
+    return { rfp_id: rfp.id, items: ordered.map(toPublicRfpItem) };
+  } catch (error) {
+    await t.rollback();
+    console.error(" Error in reorderRfpItemsService:", error);
+    throw error;
+  }
+};
+
 module.exports = {
+  toPublicRfpItem,
+  loadRfpItems,
   analyzeRfpPreviewService,
   createRfpService,
+  updateRfpCriteriaService,
+  updateRfpService,
+  addRfpItemService,
+  updateRfpItemService,
+  removeRfpItemService,
+  reorderRfpItemsService,
   listRfpsService,
   getRfpDetailsService,
 };
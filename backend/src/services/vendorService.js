@@ -1,12 +1,15 @@
 const { Op } = require("sequelize");
 const getModels = require("../utils/getModels");
 const { databases } = require("../config/dbMap.json");
+const { auditSnapshot, recordAuditEvent } = require("../utils/auditLog");
+
+const AUDITED_VENDOR_FIELDS = ["name", "email", "rating", "tags"];
 
 // -------------------- Create Vendors (bulk) --------------------
 
 const createVendorService = async (vendors) => {
   const db = databases.RFP.DB_NAME;
-  const { Vendors } = getModels(db);
+  const { sequelize, Vendors } = getModels(db);
 
   try {
     // Normalize emails to lowercase and dedupe
@@ -39,8 +42,24 @@ const createVendorService = async (vendors) => {
       tags: Array.isArray(tags) ? tags : [],
     }));
 
-    // Bulk insert
-    const created = await Vendors.bulkCreate(payload, { returning: true });
+    // Bulk insert (one audit event per vendor, committed together)
+    const created = await sequelize.transaction(async (transaction) => {
+      const rows = await Vendors.bulkCreate(payload, { returning: true, transaction });
+
+      for (const vendor of rows) {
+        await recordAuditEvent(
+          {
+            action: "CreateVendor",
+            entityType: "vendor",
+            entityId: vendor.id,
+            vendorId: vendor.id,
+            after: auditSnapshot(vendor, AUDITED_VENDOR_FIELDS),
+          },
+          { transaction }
+        );
+      }
+      return rows;
+    });
 
     // Normalized response (always array)
     return created.map((vendor) => ({
@@ -104,6 +123,11 @@ const listVendorsService = async (data) => {
         "email",
         "rating",
         "tags",
+        "invitation_count",
+        "response_count",
+        "decline_count",
+        "no_response_count",
+        "participation_rate",
         "created_at",
         "updated_at",
       ],
@@ -122,6 +146,11 @@ const listVendorsService = async (data) => {
         email: v.email,
         rating: v.rating,
         tags: v.tags || [],
+        invitation_count: v.invitation_count,
+        response_count: v.response_count,
+        decline_count: v.decline_count,
+        no_response_count: v.no_response_count,
+        participation_rate: v.participation_rate,
         created_at: v.created_at,
         updated_at: v.updated_at,
       })),
@@ -172,7 +201,7 @@ const getVendorByIdService = async (data) => {
 
 const updateVendorService = async (data) => {
   const db = databases.RFP.DB_NAME;
-  const { Vendors } = getModels(db);
+  const { sequelize, Vendors } = getModels(db);
 
   try {
     const { vendor_id } = data || {};
@@ -225,7 +254,22 @@ const updateVendorService = async (data) => {
       updateData.tags = Array.isArray(tags) ? tags : [];
     }
 
-    await vendor.update(updateData);
+    const before = auditSnapshot(vendor, AUDITED_VENDOR_FIELDS);
+
+    await sequelize.transaction(async (transaction) => {
+      await vendor.update(updateData, { transaction });
+      await recordAuditEvent(
+        {
+          action: "UpdateVendor",
+          entityType: "vendor",
+          entityId: vendor.id,
+          vendorId: vendor.id,
+          before,
+          after: auditSnapshot(vendor, AUDITED_VENDOR_FIELDS),
+        },
+        { transaction }
+      );
+    });
 
     return {
       id: vendor.id,
@@ -244,7 +288,7 @@ const updateVendorService = async (data) => {
 
 const deleteVendorService = async (data) => {
   const db = databases.RFP.DB_NAME;
-  const { Vendors } = getModels(db);
+  const { sequelize, Vendors } = getModels(db);
 
   try {
     const { vendor_id } = data || {};
@@ -253,14 +297,26 @@ const deleteVendorService = async (data) => {
       return { error: "vendor_id is required" };
     }
 
-    const deletedCount = await Vendors.destroy({
-      where: { id: vendor_id },
-    });
-
-    if (!deletedCount) {
+    const vendor = await Vendors.findOne({ where: { id: vendor_id } });
+    if (!vendor) {
       return { error: "Vendor not found or already deleted" };
     }
 
+    // The audit row keeps the vendor's last state; it has no FK to vendors
+    await sequelize.transaction(async (transaction) => {
+      await Vendors.destroy({ where: { id: vendor_id }, transaction });
+      await recordAuditEvent(
+        {
+          action: "DeleteVendor",
+          entityType: "vendor",
+          entityId: vendor_id,
+          vendorId: vendor_id,
+          before: auditSnapshot(vendor, AUDITED_VENDOR_FIELDS),
+        },
+        { transaction }
+      );
+    });
+
     return { deleted: true };
   } catch (error) {
     console.error(" Error in deleteVendorService:", error);
@@ -0,0 +1,254 @@
+// src/utils/attachmentExtractionUtils.js
+const crypto = require("crypto");
+const path = require("path");
+
+/**
+ * Local text extraction for vendor reply attachments (price sheets, quotes).
+ *
+ * Nothing leaves the server: PDFs, spreadsheets and Word files are turned
+ * into plain text here and only that text is sent to the LLM alongside the
+ * email body. Tables are flattened to one " | "-separated line per row so
+ * quantities and prices stay on the same line as their item.
+ */
+
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024; // larger files are stored as metadata only
+const MAX_EXTRACTED_CHARS = 20000; // keeps one attachment from swamping the prompt
+
+const ATTACHMENT_KINDS = {
+  pdf: {
+    types: ["application/pdf"],
+    extensions: [".pdf"],
+  },
+  xlsx: {
+    types: [
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ],
+    extensions: [".xlsx"],
+  },
+  csv: {
+    types: ["text/csv", "application/csv"],
+    extensions: [".csv"],
+  },
+  docx: {
+    types: [
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ],
+    extensions: [".docx"],
+  },
+};
+
+// -------------------- Helpers --------------------
+
+/**
+ * Resolve the attachment kind from its MIME type, falling back to the file
+ * extension (mail clients often send spreadsheets as application/octet-stream).
+ *
+ * @returns {"pdf"|"xlsx"|"csv"|"docx"|null}
+ */
+function detectAttachmentKind({ filename, contentType }) {
+  const type = (contentType || "").toLowerCase().split(";")[0].trim();
+  const ext = path.extname(filename || "").toLowerCase();
+
+  for (const [kind, spec] of Object.entries(ATTACHMENT_KINDS)) {
+    if (spec.types.includes(type)) return kind;
+  }
+  for (const [kind, spec] of Object.entries(ATTACHMENT_KINDS)) {
+    if (spec.extensions.includes(ext)) return kind;
+  }
+  return null;
+}
+
+function truncateText(text) {
+  const clean = (text || "")
+    .replace(/\r\n/g, "\n")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  if (clean.length <= MAX_EXTRACTED_CHARS) return clean;
+  return `${clean.slice(0, MAX_EXTRACTED_CHARS)}\n[... truncated]`;
+}
+
+function cellToText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    // ExcelJS rich text / formula / hyperlink cells
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((r) => r.text).join("");
+    }
+    if (value.result !== undefined) return cellToText(value.result);
+    if (value.text !== undefined) return String(value.text);
+    return "";
+  }
+  return String(value).trim();
+}
+
+function rowsToText(rows) {
+  return rows
+    .map((cells) => cells.map(cellToText))
+    .filter((cells) => cells.some(Boolean))
+    .map((cells) => cells.join(" | "))
+    .join("\n");
+}
+
+// European exports use ";" (comma is the decimal mark); pick by first line
+function detectCsvDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const counts = [",", ";", "\t"].map((d) => [d, firstLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+// Minimal RFC 4180 reader: quoted fields, escaped quotes, embedded newlines
+function parseCsvRows(text) {
+  const delimiter = detectCsvDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// -------------------- Extractors --------------------
+
+async function extractPdf(buffer) {
+  // lib path skips pdf-parse's debug harness in index.js
+  const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+  const result = await pdfParse(buffer);
+  return result.text || "";
+}
+
+async function extractXlsx(buffer) {
+  const ExcelJS = require("exceljs");
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheets = [];
+  workbook.eachSheet((worksheet) => {
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row) => {
+      // row.values is 1-indexed; drop the empty slot
+      rows.push(row.values.slice(1));
+    });
+    const text = rowsToText(rows);
+    if (text) sheets.push(`## Sheet: ${worksheet.name}\n${text}`);
+  });
+  return sheets.join("\n\n");
+}
+
+async function extractCsv(buffer) {
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  return rowsToText(parseCsvRows(text));
+}
+
+async function extractDocx(buffer) {
+  const mammoth = require("mammoth");
+  const result = await mammoth.extractRawText({ buffer });
+  return result.value || "";
+}
+
+const EXTRACTORS = {
+  pdf: extractPdf,
+  xlsx: extractXlsx,
+  csv: extractCsv,
+  docx: extractDocx,
+};
+
+// -------------------- Public API --------------------
+
+/**
+ * Build an Attachments row (minus email_id) from a mailparser attachment.
+ * Never throws: extraction problems are recorded on the row so one broken
+ * file doesn't drop the whole email.
+ *
+ * @param {Object} attachment - mailparser attachment ({ filename, contentType, size, content })
+ * @returns {Promise<Object>} Attachment row fields
+ */
+async function extractAttachment(attachment) {
+  const content = attachment.content || Buffer.alloc(0);
+  const filename = attachment.filename || null;
+  const contentType = attachment.contentType || null;
+  const size = attachment.size ?? content.length;
+
+  const row = {
+    filename,
+    content_type: contentType,
+    size_bytes: size,
+    checksum: crypto.createHash("sha256").update(content).digest("hex"),
+    content: size <= MAX_ATTACHMENT_BYTES ? content : null,
+    extraction_status: "pending",
+    extracted_text: null,
+    extraction_error: null,
+  };
+
+  const kind = detectAttachmentKind({ filename, contentType });
+  if (!kind) {
+    row.extraction_status = "unsupported";
+    return row;
+  }
+
+  if (size > MAX_ATTACHMENT_BYTES) {
+    row.extraction_status = "skipped";
+    row.extraction_error = `Attachment exceeds ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`;
+    return row;
+  }
+
+  try {
+    const text = truncateText(await EXTRACTORS[kind](content));
+    row.extracted_text = text || null;
+    row.extraction_status = text ? "extracted" : "empty";
+  } catch (err) {
+    row.extraction_status = "failed";
+    row.extraction_error = err.message;
+  }
+
+  return row;
+}
+
+/**
+ * Attachments worth storing: real files, not inline images of the HTML body.
+ */
+function isStorableAttachment(attachment) {
+  if (!attachment) return false;
+  if (attachment.related) return false;
+  return attachment.contentDisposition !== "inline" || !!detectAttachmentKind(attachment);
+}
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  MAX_EXTRACTED_CHARS,
+  detectAttachmentKind,
+  extractAttachment,
+  isStorableAttachment,
+};
@@ -0,0 +1,86 @@
+// utils/auditLog.js
+const getModels = require("./getModels");
+const { databases } = require("../config/dbMap.json");
+const { getRequestContext } = require("./requestContext");
+
+/**
+ * Append-only audit trail (audit_events) for state-changing actions.
+ *
+ * The actor and fallback request id come from the request context set by
+ * middlewares/authMiddleware.js; code running outside a request (workers)
+ * is recorded with a null actor, i.e. "system". Pass the caller's
+ * transaction so the event commits or rolls back with the change itself.
+ */
+
+/**
+ * Plain-object snapshot of selected fields, for before/after values.
+ *
+ * @param {Object|null} record - Model instance or raw row
+ * @param {string[]} fields
+ * @returns {Object|null}
+ */
+function auditSnapshot(record, fields) {
+  if (!record) return null;
+  const source = typeof record.get === "function" ? record.get({ plain: true }) : record;
+
+  return fields.reduce((snapshot, field) => {
+    snapshot[field] = source[field] === undefined ? null : source[field];
+    return snapshot;
+  }, {});
+}
+
+/**
+ * Write one audit event.
+ *
+ * @param {Object} event
+ * @param {string} event.action - Dispatcher action name, e.g. 'AwardProposal'
+ * @param {string} event.entityType - 'rfp' | 'vendor' | 'proposal' | 'user' | 'organization' | 'job' | 'email' | 'rfp_question'
+ * @param {string} [event.entityId]
+ * @param {string} [event.rfpId] - RFP the event shows up under
+ * @param {string} [event.vendorId] - Vendor the event shows up under
+ * @param {Object} [event.before]
+ * @param {Object} [event.after]
+ * @param {string} [event.requestId] - Service-generated id (AWARD_..., RFP_...)
+ * @param {string} [event.orgId] - Needed only outside a request context
+ * @param {Object} [options]
+ * @param {Transaction} [options.transaction]
+ */
+async function recordAuditEvent(
+  {
+    action,
+    entityType,
+    entityId = null,
+    rfpId = null,
+    vendorId = null,
+    before = null,
+    after = null,
+    requestId = null,
+    orgId = null,
+  },
+  { transaction } = {}
+) {
+  const { AuditEvents } = getModels(databases.RFP.DB_NAME);
+  const context = getRequestContext() || {};
+
+  const row = {
+    actor_user_id: context.userId || null,
+    actor_email: context.userEmail || null,
+    action,
+    entity_type: entityType,
+    entity_id: entityId,
+    rfp_id: rfpId,
+    vendor_id: vendorId,
+    before,
+    after,
+    request_id: requestId || context.requestId || null,
+  };
+  // Inside a request the tenant hook stamps org_id; workers pass it explicitly
+  if (orgId) row.org_id = orgId;
+
+  return AuditEvents.create(row, { transaction });
+}
+
+module.exports = {
+  auditSnapshot,
+  recordAuditEvent,
+};
@@ -0,0 +1,79 @@
+// utils/authUtils.js
+const crypto = require("crypto");
+
+/**
+ * Password hashing and bearer-token helpers (node:crypto only).
+ *
+ * Passwords: scrypt, stored as "scrypt$N$r$p$<salt b64>$<hash b64>" so the
+ * cost parameters can be raised later without invalidating old hashes.
+ * Tokens: 32 random bytes, base64url, prefixed "arfp_". Only the sha256 hex
+ * digest is persisted; the raw token is shown to the caller once.
+ */
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+const TOKEN_PREFIX = "arfp_";
+const TOKEN_DISPLAY_CHARS = 12;
+
+function scrypt(password, salt, keylen, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keylen, params, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+}
+
+// -------------------- Passwords --------------------
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const key = await scrypt(password, salt, SCRYPT_KEYLEN, { N, r, p });
+  return ["scrypt", N, r, p, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+async function verifyPassword(password, stored) {
+  const parts = String(stored || "").split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") return false;
+
+  const [, N, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, "base64");
+  const key = await scrypt(password, Buffer.from(saltB64, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+// -------------------- Tokens --------------------
+
+function generateToken() {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+  return {
+    token,
+    token_hash: hashToken(token),
+    token_prefix: token.slice(0, TOKEN_DISPLAY_CHARS),
+  };
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Raw token from an "Authorization: Bearer <token>" header, or null.
+ */
+function parseBearerToken(header) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(String(header || ""));
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  parseBearerToken,
+};
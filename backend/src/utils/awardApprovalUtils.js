@@ -0,0 +1,92 @@
+/**
+ * Award approval policy.
+ *
+ * An organization opts in by setting award_approval_threshold (absolute
+ * amount) and/or award_approval_budget_ratio (fraction of the RFP's
+ * budget_cap). An award that crosses either limit is held as an
+ * AwardApproval and walks award_approval_steps in order; with no steps
+ * configured a single approver-role sign-off is required.
+ *
+ * Amounts are compared as-is: the threshold is read in the RFP's currency.
+ */
+
+const DEFAULT_APPROVAL_STEPS = [{ role: "approver" }];
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Effective policy for an organization, or null when awards never need approval.
+ *
+ * @returns {{ threshold: number|null, budgetRatio: number|null, steps: Object[] } | null}
+ */
+function resolveAwardApprovalPolicy(org) {
+  if (!org) return null;
+
+  const threshold = toNumber(org.award_approval_threshold);
+  const budgetRatio = toNumber(org.award_approval_budget_ratio);
+  if (threshold === null && budgetRatio === null) return null;
+
+  const steps =
+    Array.isArray(org.award_approval_steps) && org.award_approval_steps.length > 0
+      ? org.award_approval_steps
+      : DEFAULT_APPROVAL_STEPS;
+
+  return { threshold, budgetRatio, steps };
+}
+
+/**
+ * Decide whether awarding proposal on rfp needs approval under policy.
+ * A proposal without a price always does, since it can't be checked.
+ *
+ * @returns {{ required: boolean, amount: number|null, reasons: Object[] }}
+ */
+function evaluateAwardApproval(policy, { rfp, proposal }) {
+  const amount = toNumber(proposal?.total_price);
+  if (!policy) return { required: false, amount, reasons: [] };
+
+  if (amount === null) {
+    return { required: true, amount, reasons: [{ type: "price_unknown" }] };
+  }
+
+  const reasons = [];
+
+  if (policy.threshold !== null && amount >= policy.threshold) {
+    reasons.push({ type: "threshold", threshold: policy.threshold, amount });
+  }
+
+  const budgetCap = toNumber(rfp?.budget_cap);
+  if (policy.budgetRatio !== null && budgetCap !== null) {
+    const limit = Math.round(budgetCap * policy.budgetRatio * 100) / 100;
+    if (amount > limit) {
+      reasons.push({
+        type: "budget_ratio",
+        budget_ratio: policy.budgetRatio,
+        budget_cap: budgetCap,
+        limit,
+        amount,
+      });
+    }
+  }
+
+  return { required: reasons.length > 0, amount, reasons };
+}
+
+/**
+ * Whether user may decide step: named user, matching role, or any admin.
+ */
+function canDecideApprovalStep(step, user) {
+  if (!step || !user) return false;
+  if (step.user_id) return step.user_id === user.id;
+  return user.role === "admin" || user.role === step.role;
+}
+
+module.exports = {
+  DEFAULT_APPROVAL_STEPS,
+  resolveAwardApprovalPolicy,
+  evaluateAwardApproval,
+  canDecideApprovalStep,
+};
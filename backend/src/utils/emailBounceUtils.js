@@ -0,0 +1,115 @@
+// src/utils/emailBounceUtils.js
+
+/**
+ * Recognise bounce notifications (DSNs, RFC 3464) in the shared mailbox and
+ * pull out what's needed to find the outbound email they refer to.
+ *
+ * Bounces arrive at the SMTP sender, not the reply-routing address, so
+ * they carry no reply token; they are matched back by the Message-ID of
+ * the original message (quoted in the DSN), falling back to the failed
+ * recipient address.
+ */
+
+const BOUNCE_SENDER_RE = /^(mailer-daemon|postmaster)@/i;
+const BOUNCE_SUBJECT_RE =
+  /(delivery status notification \(failure\)|undeliver(able|ed)|mail delivery (failed|failure|subsystem)|returned mail|delivery has failed|failure notice)/i;
+
+/**
+ * Cheap envelope check, so only likely bounces get MIME-parsed.
+ *
+ * @param {Object} params
+ * @param {string|null} params.fromAddr
+ * @param {string|null} params.subject
+ * @returns {boolean}
+ */
+function isBounceCandidate({ fromAddr, subject }) {
+  return BOUNCE_SENDER_RE.test(fromAddr || "") || BOUNCE_SUBJECT_RE.test(subject || "");
+}
+
+const normalizeMessageId = (value) => {
+  const id = String(value || "").trim().replace(/^<|>$/g, "");
+  return id ? `<${id}>` : null;
+};
+
+const headerValue = (parsed, name) => {
+  const value = parsed.headers?.get?.(name);
+  if (!value) return null;
+  return typeof value === "string" ? value : value.value || value.text || null;
+};
+
+// DSN fields ("Action: failed", "Status: 5.1.1", ...) may sit in the
+// message/delivery-status part (an attachment to mailparser) or the text
+const dsnFields = (text, name) =>
+  [...text.matchAll(new RegExp(`^${name}:\\s*(.+)$`, "gim"))].map((m) => m[1].trim());
+
+/**
+ * Parse a candidate bounce.
+ *
+ * @param {Object} parsed - mailparser simpleParser() result
+ * @param {Buffer|string} [source] - Raw message, for the quoted original headers
+ * @returns {{ messageIds: string[], recipients: string[], reason: string|null }|null}
+ *   null when it isn't a permanent failure (e.g. "Action: delayed")
+ */
+function parseBounce(parsed, source = null) {
+  const contentType = parsed.headers?.get?.("content-type");
+  const isReport =
+    contentType?.value === "multipart/report" &&
+    /delivery-status/i.test(contentType?.params?.["report-type"] || "");
+
+  const parts = [
+    parsed.text || "",
+    ...(parsed.attachments || [])
+      .filter((a) => /delivery-status|rfc822/i.test(a.contentType || ""))
+      .map((a) => a.content?.toString("utf8") || ""),
+    source ? source.toString("utf8") : "",
+  ];
+  const text = parts.join("\n");
+
+  const actions = dsnFields(text, "Action").map((a) => a.toLowerCase());
+  if (actions.length > 0 && !actions.includes("failed")) return null;
+  if (!isReport && actions.length === 0 && !BOUNCE_SUBJECT_RE.test(parsed.subject || "")) {
+    return null;
+  }
+
+  // The DSN's own id (and whatever it replies to) aren't the bounced message
+  const ownId = normalizeMessageId(parsed.messageId);
+  const messageIds = new Set(
+    [
+      ...dsnFields(text, "Message-ID"),
+      ...dsnFields(text, "Original-Message-ID"),
+      parsed.inReplyTo,
+      ...[].concat(parsed.references || []),
+    ]
+      .map(normalizeMessageId)
+      .filter((id) => id && id !== ownId)
+  );
+
+  const recipients = new Set(
+    [
+      ...dsnFields(text, "Final-Recipient"),
+      ...dsnFields(text, "Original-Recipient"),
+      ...(headerValue(parsed, "x-failed-recipients") || "").split(","),
+    ]
+      .map((r) => r.replace(/^rfc822;\s*/i, "").trim().toLowerCase())
+      .filter((r) => r.includes("@"))
+  );
+
+  const status = dsnFields(text, "Status")[0] || null;
+  const diagnostic = dsnFields(text, "Diagnostic-Code")[0] || null;
+  const reason =
+    [status, diagnostic?.replace(/^smtp;\s*/i, "")].filter(Boolean).join(" ") ||
+    parsed.subject ||
+    null;
+
+  return {
+    messageIds: [...messageIds],
+    recipients: [...recipients],
+    reason: reason ? reason.slice(0, 1000) : null,
+  };
+}
+
+module.exports = {
+  isBounceCandidate,
+  parseBounce,
+  normalizeMessageId,
+};
@@ -0,0 +1,94 @@
+// src/utils/emailClassificationUtils.js
+
+/**
+ * Classify inbound vendor emails as they are ingested, so questions and
+ * declines stay out of proposal parsing (ParseProposals) and questions land
+ * on the RFP's Q&A board.
+ *
+ *   proposal  prices, a quote or a quote attachment
+ *   question  asks the buyer something and quotes nothing
+ *   decline   says the vendor won't bid and quotes nothing
+ *   other     anything else (acknowledgements, out-of-office, ...)
+ *
+ * Rules only, no LLM call: ingestion runs for the whole shared mailbox and
+ * has to stay cheap. A buyer can correct a classification (ClassifyEmail).
+ */
+
+const EMAIL_CLASSIFICATIONS = ["proposal", "question", "decline", "other"];
+
+// Amounts: "$1,200", "USD 950.00", "1200 EUR", "45 per unit"
+const PRICE_RE =
+  /([$€£₹]\s?\d[\d,]*(\.\d+)?|\b(usd|eur|gbp|inr|aud|cad)\s?\d[\d,]*(\.\d+)?|\d[\d,]*(\.\d+)?\s?(usd|eur|gbp|inr|aud|cad)\b|\d[\d,]*(\.\d+)?\s?(per|\/)\s?(unit|piece|pc|item)\b)/i;
+
+const PROPOSAL_RE =
+  /\b(our (quote|quotation|proposal|offer|bid)|please find (attached )?(our )?(quote|quotation|proposal|pricing)|(quote|quotation|proposal|pricing) (is )?attached|unit price|total (price|cost|amount)|we (can|could) (offer|supply|deliver))\b/i;
+
+const DECLINE_RE =
+  /\b(decline|declining|no[- ]bid|not (be )?(able|in a position) to (submit|quote|bid|participate|supply|offer)|unable to (submit|quote|bid|participate|supply|offer)|(will|shall) not be (submitting|quoting|bidding|participating)|won'?t be (submitting|quoting|bidding|participating)|(cannot|can'?t) (submit|quote|bid|participate)|not interested|(will|must|have to) pass on|regret(fully)? (to inform|that we)|opt(ing)? out)\b/i;
+
+const QUESTION_RE =
+  /\b((could|can|would) you (please )?(clarify|confirm|share|provide|send|let us know|advise|specify|tell)|please (clarify|confirm|advise|specify|let us know)|clarification|question(s)? (about|on|regarding)|we have (a|some|few|a few) questions?|is it (possible|acceptable|ok)|do you (need|require|accept|want))\b/i;
+
+// A line that ends in "?" (ignoring quoted reply lines)
+const QUESTION_LINE_RE = /^(?!\s*>).*\?\s*$/m;
+
+/**
+ * Classify one inbound email.
+ *
+ * @param {Object} params
+ * @param {string|null} params.subject
+ * @param {string|null} params.bodyText - Reply text (quoted history already stripped)
+ * @param {number} [params.quoteAttachmentCount] - Attachments a quote could be in
+ *   (PDF/XLSX/CSV/DOCX, see detectAttachmentKind); logos and screenshots don't count
+ * @returns {"proposal"|"question"|"decline"|"other"}
+ */
+function classifyInboundEmail({ subject, bodyText, quoteAttachmentCount = 0 }) {
+  const text = `${subject || ""}\n${bodyText || ""}`;
+  const hasPrice = PRICE_RE.test(text);
+
+  // "Can't meet the date, but can do $X" is still a quote
+  if (DECLINE_RE.test(text) && !hasPrice) return "decline";
+  // An attached quote with "Any questions?" below it is still a quote
+  if (hasPrice || quoteAttachmentCount > 0 || PROPOSAL_RE.test(text)) return "proposal";
+  if (QUESTION_LINE_RE.test(bodyText || "") || QUESTION_RE.test(text)) return "question";
+  return "other";
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const SIGN_OFF_RE = /^\s*((best|kind|warm)\s+)?(regards|thanks|thank you|cheers|sincerely|best)[,.!]?\s*$/im;
+const EMAIL_ADDRESS_RE = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+const PHONE_RE = /\+?\d[\d\s().-]{7,}\d/g;
+
+/**
+ * Question text that can go to every invited vendor: the sign-off and
+ * everything below it, email addresses, phone numbers and the asking
+ * vendor's name are removed. The buyer reviews it before broadcasting.
+ *
+ * @param {string} text
+ * @param {{ name?: string|null }|null} [vendor] - The vendor who asked
+ * @returns {string}
+ */
+function anonymizeQuestion(text, vendor = null) {
+  let result = String(text || "");
+
+  const signOff = result.match(SIGN_OFF_RE);
+  if (signOff) result = result.slice(0, signOff.index);
+
+  result = result.replace(EMAIL_ADDRESS_RE, "").replace(PHONE_RE, "");
+  if (vendor?.name) {
+    result = result.replace(new RegExp(escapeRegExp(vendor.name), "gi"), "a vendor");
+  }
+
+  return result
+    .replace(/[ \t]{2,}/g, " ")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+module.exports = {
+  EMAIL_CLASSIFICATIONS,
+  classifyInboundEmail,
+  anonymizeQuestion,
+};
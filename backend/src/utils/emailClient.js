@@ -1,26 +1,20 @@
 // src/utils/emailClient.js
 const nodemailer = require("nodemailer");
+const {
+  mailConfig,
+  getSmtpTransportOptions,
+  isSmtpConfigured,
+} = require("../config/mailConfig");
 
 const {
-  GMAIL_USER,
-  GMAIL_PASS,
   MAIL_DISABLED, // "true" => skip sending
 } = process.env;
 
-if (!GMAIL_USER || !GMAIL_PASS) {
-  console.warn("⚠️ GMAIL_USER or GMAIL_PASS not set. Email sending will fail.");
+if (!isSmtpConfigured()) {
+  console.warn("⚠️ SMTP credentials not set (SMTP_* / MAIL_* / GMAIL_*). Email sending will fail.");
 }
 
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: GMAIL_USER,
-    pass: GMAIL_PASS,
-  },
-  tls: {
-    rejectUnauthorized: false,
-  },
-});
+const transporter = nodemailer.createTransport(getSmtpTransportOptions());
 
 /**
  * sendEmail
@@ -46,12 +40,12 @@ async function sendEmail({ to, subject, text, html, replyTo }) {
     };
   }
 
-  if (!GMAIL_USER || !GMAIL_PASS) {
-    throw new Error("GMAIL_USER / GMAIL_PASS not configured for emailClient");
+  if (!isSmtpConfigured()) {
+    throw new Error("SMTP credentials not configured for emailClient");
   }
 
   const mailOptions = {
-    from: GMAIL_USER,
+    from: mailConfig.smtp.from,
     to,
     subject,
     text,
@@ -0,0 +1,251 @@
+// utils/emailOutbox.js
+const { Op } = require("sequelize");
+const getModels = require("./getModels");
+const { databases } = require("../config/dbMap.json");
+const { JOB_TYPES, enqueueJob } = require("./jobQueue");
+const { sendEmailWithRetry, classifyEmailError } = require("./emailSendingUtils");
+const logger = require("./logger");
+
+/**
+ * Transactional outbox for outbound email.
+ *
+ * Every outbound message is first an `emails` row (direction 'outbound',
+ * status 'queued') written in the transaction of the change that causes
+ * it, together with a SEND_EMAIL job. The job delivers it and records the
+ * outcome on the row:
+ *
+ *   queued   waiting for (or between) delivery attempts
+ *   sent     accepted by SMTP; message_id is the SMTP Message-ID
+ *   failed   the job used up its attempts (RetryJob puts it back)
+ *   bounced  a bounce notification came back (markEmailsBounced)
+ *
+ * Invites also drive their RfpVendors mapping: last_email_id points at the
+ * invite's row and invite_status follows its delivery.
+ */
+
+const EMAIL_KINDS = ["invite", "award", "rejection", "reminder", "amendment", "clarification"];
+const EMAIL_STATUSES = ["queued", "sent", "failed", "bounced"];
+
+// Bounces without a usable Message-ID match the latest email to the
+// failed recipient, if it went out within this window
+const BOUNCE_RECIPIENT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+function emailErrorType(err) {
+  const { isAuthError, isRateLimitError, isNetworkError } = classifyEmailError(err || {});
+  if (isAuthError) return "auth";
+  if (isRateLimitError) return "rate_limit";
+  if (isNetworkError) return "network";
+  return "other";
+}
+
+// -------------------- Queue --------------------
+
+/**
+ * Write an outbound email and queue its delivery. Pass the transaction of
+ * the change that triggers it.
+ *
+ * @param {Object} email
+ * @param {string} email.kind - One of EMAIL_KINDS
+ * @param {string} email.rfpId
+ * @param {string} email.vendorId
+ * @param {string} email.to
+ * @param {string} email.subject
+ * @param {string} email.text
+ * @param {string} [email.html]
+ * @param {string} [email.replyTo]
+ * @param {string} [email.requestId] - Trace id for the job
+ * @param {Object} [options]
+ * @param {Transaction} [options.transaction]
+ * @returns {Promise<Object>} The emails row
+ */
+async function queueOutboundEmail(
+  { kind, rfpId, vendorId, to, subject, text, html = null, replyTo = null, requestId = null },
+  { transaction } = {}
+) {
+  const { Emails } = getModels(databases.RFP.DB_NAME);
+
+  const email = await Emails.create(
+    {
+      rfp_id: rfpId,
+      vendor_id: vendorId,
+      direction: "outbound",
+      kind,
+      status: "queued",
+      to_address: to,
+      reply_to: replyTo,
+      subject,
+      body_text: text,
+      body_html: html,
+    },
+    { transaction }
+  );
+
+  await enqueueJob(
+    {
+      type: JOB_TYPES.SEND_EMAIL,
+      payload: { email_id: email.id, rfp_id: rfpId, vendor_id: vendorId, kind },
+      idempotencyKey: `email:${email.id}`,
+      requestId,
+    },
+    { transaction }
+  );
+
+  return email;
+}
+
+// -------------------- Deliver --------------------
+
+/**
+ * Send one outbox email (the SEND_EMAIL job handler). Throws when the send
+ * fails so the job queue retries; on the job's last attempt the email is
+ * marked failed first.
+ *
+ * @param {string} emailId
+ * @param {Object} [options]
+ * @param {boolean} [options.lastAttempt] - The job won't be retried after this
+ * @returns {Promise<Object>} Job result
+ */
+async function deliverOutboundEmail(emailId, { lastAttempt = false } = {}) {
+  const { sequelize, Emails, RfpVendors } = getModels(databases.RFP.DB_NAME);
+
+  const email = await Emails.findOne({ where: { id: emailId } });
+  if (!email) return { skipped: "email deleted" };
+  // At-least-once jobs: never send the same row twice
+  if (email.status === "sent" || email.status === "bounced") {
+    return { skipped: `already ${email.status}` };
+  }
+
+  const result = await sendEmailWithRetry({
+    to: email.to_address,
+    subject: email.subject,
+    text: email.body_text,
+    html: email.body_html || undefined,
+    replyTo: email.reply_to || undefined,
+    maxRetries: 1, // retries belong to the queue (with backoff across restarts)
+    taskId: `${email.kind}:${email.id}`,
+  });
+  const attempts = (email.attempts || 0) + 1;
+
+  if (!result.success) {
+    const status = lastAttempt ? "failed" : "queued";
+    await sequelize.transaction(async (transaction) => {
+      await email.update(
+        {
+          status,
+          attempts,
+          last_error: (result.error?.message || String(result.error)).slice(0, 2000),
+          last_error_type: emailErrorType(result.error),
+        },
+        { transaction }
+      );
+      if (status === "failed" && email.kind === "invite") {
+        await RfpVendors.update(
+          { invite_status: "failed", updated_at: new Date() },
+          { where: { last_email_id: email.id, invite_status: "pending" }, transaction }
+        );
+      }
+    });
+    throw result.error;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await email.update(
+      {
+        status: "sent",
+        attempts,
+        message_id: result.messageId || null,
+        sent_at: new Date(),
+        last_error: null,
+        last_error_type: null,
+      },
+      { transaction }
+    );
+    if (email.kind === "invite") {
+      await RfpVendors.update(
+        { invite_status: "sent", updated_at: new Date() },
+        {
+          where: {
+            last_email_id: email.id,
+            invite_status: { [Op.in]: ["pending", "failed"] },
+          },
+          transaction,
+        }
+      );
+    }
+  });
+
+  return { email_id: email.id, message_id: result.messageId || null };
+}
+
+// -------------------- Bounces --------------------
+
+/**
+ * Mark the outbound emails a bounce refers to as bounced (and their invite
+ * mappings). Runs from the unscoped IMAP sync, so it covers every org.
+ *
+ * @param {Object} bounce - From utils/emailBounceUtils.js parseBounce()
+ * @param {string[]} bounce.messageIds
+ * @param {string[]} bounce.recipients
+ * @param {string|null} bounce.reason
+ * @param {Date} [receivedAt]
+ * @returns {Promise<string[]>} Ids of the emails marked bounced
+ */
+async function markEmailsBounced({ messageIds = [], recipients = [], reason = null }, receivedAt = new Date()) {
+  const { sequelize, Emails, RfpVendors } = getModels(databases.RFP.DB_NAME);
+
+  let matches = messageIds.length
+    ? await Emails.findAll({
+        where: { direction: "outbound", message_id: { [Op.in]: messageIds } },
+      })
+    : [];
+
+  if (matches.length === 0 && recipients.length > 0) {
+    const latest = await Promise.all(
+      recipients.map((address) =>
+        Emails.findOne({
+          where: {
+            direction: "outbound",
+            status: "sent",
+            sent_at: { [Op.gte]: new Date(receivedAt.getTime() - BOUNCE_RECIPIENT_WINDOW_MS) },
+            [Op.and]: [sequelize.where(sequelize.fn("lower", sequelize.col("to_address")), address)],
+          },
+          order: [["sent_at", "DESC"]],
+        })
+      )
+    );
+    matches = latest.filter(Boolean);
+  }
+
+  const toMark = matches.filter((e) => e.status !== "bounced");
+  if (toMark.length === 0) return [];
+
+  await sequelize.transaction(async (transaction) => {
+    for (const email of toMark) {
+      await email.update(
+        { status: "bounced", bounced_at: receivedAt, bounce_reason: reason },
+        { transaction }
+      );
+      if (email.kind === "invite") {
+        await RfpVendors.update(
+          { invite_status: "bounced", updated_at: new Date() },
+          { where: { last_email_id: email.id }, transaction }
+        );
+      }
+    }
+  });
+
+  logger.info(`[Bounce] Marked ${toMark.length} email(s) bounced`, {
+    email_ids: toMark.map((e) => e.id),
+    reason,
+  });
+
+  return toMark.map((e) => e.id);
+}
+
+module.exports = {
+  EMAIL_KINDS,
+  EMAIL_STATUSES,
+  queueOutboundEmail,
+  deliverOutboundEmail,
+  markEmailsBounced,
+};
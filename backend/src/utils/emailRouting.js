@@ -1,4 +1,5 @@
 // src/utils/emailRouting.js
+const { mailConfig } = require("../config/mailConfig");
 
 // Simple token generator – you can replace with nanoid if you want
 function generateReplyToken(length = 12) {
@@ -15,33 +16,87 @@ function generateReplyToken(length = 12) {
   return token;
 }
 
+// Subject-strategy tag, e.g. "RFP: Laptops [RFP-a1B2c3D4e5F6]"
+const SUBJECT_TOKEN_RE = /\[RFP-([A-Za-z0-9]+)\]/i;
+
 /**
- * Build:
- *   user+rfp_<token>@gmail.com
+ * Build the Reply-To address for an RFP invite, per REPLY_ROUTING_STRATEGY:
+ *   plus       user+rfp_<token>@domain
+ *   subdomain  rfp_<token>@<REPLY_ROUTING_DOMAIN>
+ *   subject    the base address itself (token travels in the subject)
  */
-function buildRfpReplyTo({ baseEmail, replyToken }) {
-  if (!baseEmail) throw new Error("buildRfpReplyTo: baseEmail is required");
+function buildRfpReplyTo({
+  baseEmail = mailConfig.replyRouting.baseAddress,
+  replyToken,
+  strategy = mailConfig.replyRouting.strategy,
+  domain = mailConfig.replyRouting.domain,
+}) {
   if (!replyToken) throw new Error("buildRfpReplyTo: replyToken is required");
 
-  const [local, domain] = baseEmail.split("@");
-  if (!local || !domain) {
+  if (strategy === "subdomain") {
+    if (!domain) throw new Error("buildRfpReplyTo: domain is required for subdomain routing");
+    return `rfp_${replyToken}@${domain}`;
+  }
+
+  if (!baseEmail) throw new Error("buildRfpReplyTo: baseEmail is required");
+
+  const [local, emailDomain] = baseEmail.split("@");
+  if (!local || !emailDomain) {
     throw new Error(`buildRfpReplyTo: invalid baseEmail "${baseEmail}"`);
   }
 
-  return `${local}+rfp_${replyToken}@${domain}`;
+  if (strategy === "subject") return baseEmail;
+
+  return `${local}+rfp_${replyToken}@${emailDomain}`;
+}
+
+/**
+ * Add the routing tag to an outbound subject (subject strategy only).
+ * Replies keep it ("Re: RFP: Laptops [RFP-<token>]"). Idempotent.
+ */
+function buildRfpSubject({
+  subject,
+  replyToken,
+  strategy = mailConfig.replyRouting.strategy,
+}) {
+  if (strategy !== "subject" || !replyToken) return subject;
+  if (SUBJECT_TOKEN_RE.test(subject || "")) return subject;
+  return `${subject} [RFP-${replyToken}]`;
 }
 
 /**
- * Parse:
- *   user+rfp_<token>@gmail.com
+ * Parse the reply token from one recipient address (or, for the subject
+ * strategy, from the subject), per REPLY_ROUTING_STRATEGY:
+ *   plus       user+rfp_<token>@domain
+ *   subdomain  rfp_<token>@<REPLY_ROUTING_DOMAIN>
+ *   subject    "... [RFP-<token>]"
  *
  * Returns { replyToken } or null.
  */
-function parseRfpPlusAddress(address) {
-  if (!address) return null;
+function parseRfpPlusAddress(
+  address,
+  {
+    subject = null,
+    strategy = mailConfig.replyRouting.strategy,
+    domain = mailConfig.replyRouting.domain,
+  } = {}
+) {
+  let match = null;
 
-  // Case-insensitive match for "+rfp_", but capture token with original case
-  const match = address.match(/\+rfp_([^@]+)@/i);
+  if (strategy === "subject") {
+    match = (subject || "").match(SUBJECT_TOKEN_RE);
+  } else if (strategy === "subdomain") {
+    if (!address || !domain) return null;
+    const [local, addrDomain] = address.split("@");
+    if (!addrDomain || addrDomain.toLowerCase() !== domain.toLowerCase()) {
+      return null;
+    }
+    match = local.match(/^rfp_([^@]+)$/i);
+  } else {
+    if (!address) return null;
+    // Case-insensitive match for "+rfp_", but capture token with original case
+    match = address.match(/\+rfp_([^@]+)@/i);
+  }
 
   if (!match) return null;
 
@@ -51,9 +106,67 @@ function parseRfpPlusAddress(address) {
   return { replyToken };
 }
 
+/**
+ * Resolve the reply token of an inbound message from its recipients
+ * (To + Cc) and subject. Returns { replyToken } or null.
+ */
+function resolveRfpRouting({ addresses = [], subject = null }, options = {}) {
+  const strategy = options.strategy || mailConfig.replyRouting.strategy;
+
+  if (strategy === "subject") {
+    return parseRfpPlusAddress(null, { ...options, strategy, subject });
+  }
+
+  for (const address of addresses) {
+    const routing = parseRfpPlusAddress(address, { ...options, strategy });
+    if (routing) return routing;
+  }
+  return null;
+}
+
+// -------------------- Per-organization routing --------------------
+
+/**
+ * Reply-routing settings for an organization: its own overrides
+ * (reply_routing_* columns), falling back to the install-wide mail config.
+ *
+ * @param {Object|null} org - Organization row, or null for the defaults
+ * @returns {{ strategy: string, baseEmail: string|null, domain: string|null }}
+ */
+function resolveReplyRouting(org = null) {
+  const defaults = mailConfig.replyRouting;
+  return {
+    strategy: org?.reply_routing_strategy || defaults.strategy,
+    baseEmail: org?.reply_routing_base_address || defaults.baseAddress,
+    domain: org?.reply_routing_domain || defaults.domain,
+  };
+}
+
+/**
+ * resolveRfpRouting across several routing profiles (one per organization
+ * plus the defaults), since a shared mailbox receives replies for all of
+ * them. Reply tokens are globally unique, so the first match wins.
+ */
+function resolveRfpRoutingForProfiles(message, profiles) {
+  const seen = new Set();
+
+  for (const profile of profiles) {
+    const key = `${profile.strategy}|${profile.domain || ""}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const routing = resolveRfpRouting(message, profile);
+    if (routing) return routing;
+  }
+  return null;
+}
 
 module.exports = {
   generateReplyToken,
   buildRfpReplyTo,
+  buildRfpSubject,
   parseRfpPlusAddress,
+  resolveRfpRouting,
+  resolveReplyRouting,
+  resolveRfpRoutingForProfiles,
 };
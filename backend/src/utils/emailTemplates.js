@@ -7,8 +7,13 @@ function buildRfpInviteEmail({ rfp, vendor, items = [] }) {
     rfp.budget_cap != null
       ? `${rfp.budget_cap} ${rfp.currency_code || "USD"}`
       : "Not specified";
-  const deadline = rfp.deadline_days
-    ? `${rfp.deadline_days} days`
+  const proposalsDue = rfp.submission_deadline
+    ? new Date(rfp.submission_deadline).toISOString().slice(0, 10)
+    : "Not specified";
+  const deliveryBy = rfp.delivery_by
+    ? String(rfp.delivery_by).slice(0, 10)
+    : rfp.deadline_days
+    ? `within ${rfp.deadline_days} days`
     : "Not specified";
   const paymentTerms = rfp.payment_terms || "-";
   const warranty =
@@ -37,7 +42,8 @@ Title: ${title}
 Summary: ${summary}
 
 Budget Cap: ${budget}
-Deadline: ${deadline}
+Proposals Due: ${proposalsDue}
+Delivery By: ${deliveryBy}
 Payment Terms: ${paymentTerms}
 Minimum Warranty: ${warranty}
 
@@ -69,7 +75,8 @@ AutoRFP.ai
   <strong>Title:</strong> ${title}<br/>
   <strong>Summary:</strong> ${summary}<br/>
   <strong>Budget Cap:</strong> ${budget}<br/>
-  <strong>Deadline:</strong> ${deadline}<br/>
+  <strong>Proposals Due:</strong> ${proposalsDue}<br/>
+  <strong>Delivery By:</strong> ${deliveryBy}<br/>
   <strong>Payment Terms:</strong> ${paymentTerms}<br/>
   <strong>Minimum Warranty:</strong> ${warranty}
 </p>
@@ -89,6 +96,134 @@ ${htmlItems}
   };
 }
 
+function buildAwardEmail({ rfp, vendor }) {
+  const text = `Dear ${vendor.name},\n\nCongratulations! Your proposal for RFP "${rfp.title}" has been awarded.\n\nWe will contact you shortly with further details.\n\nBest regards,\nProcurement Team`;
+
+  return {
+    subject: `Proposal Awarded - ${rfp.title}`,
+    text,
+  };
+}
+
+/**
+ * @param {string} [type] - "auto-reject" (another vendor was awarded) or "manual-reject"
+ */
+function buildRejectionEmail({ rfp, vendor, type = "manual-reject" }) {
+  const text =
+    type === "auto-reject"
+      ? `Dear ${vendor.name},\n\nThank you for your proposal for RFP "${rfp.title}".\n\nWe regret to inform you that another proposal has been selected for this RFP. We appreciate your effort and would like to consider you for future opportunities.\n\nBest regards,\nProcurement Team`
+      : `Dear ${vendor.name},\n\nThank you for your proposal for RFP "${rfp.title}".\n\nUnfortunately, we have decided to proceed with another vendor at this time.\n\nWe appreciate your interest and hope to work with you on future opportunities.\n\nBest regards,\nProcurement Team`;
+
+  return {
+    subject: `RFP "${rfp.title}" - Proposal Status Update`,
+    text,
+  };
+}
+
+/**
+ * Nudge to an invited vendor who hasn't replied yet. Sent on the invite's
+ * reply thread, so answering it reaches the same RFP.
+ *
+ * @param {Date} deadline - When responses are due
+ * @param {number} daysLeft - Whole days until the deadline (at least 1)
+ */
+function buildRfpReminderEmail({ rfp, vendor, deadline, daysLeft }) {
+  const title = rfp.title || "RFP";
+  const due = deadline.toISOString().slice(0, 10);
+  const left = daysLeft === 1 ? "1 day" : `${daysLeft} days`;
+
+  const text = `Dear ${vendor.name},\n\nThis is a reminder that proposals for RFP "${title}" are due on ${due} (${left} from now). We have not received your response yet.\n\nPlease reply to this email with your proposal details, or let us know if you will not be bidding.\n\nBest regards,\nProcurement Team`;
+
+  return {
+    subject: `Reminder: RFP: ${title} - response due ${due}`,
+    text,
+  };
+}
+
+function buildRfpAmendmentEmail({ rfp, vendor, number, note, changeLines = [], items = [] }) {
+  const title = rfp.title || "RFP";
+  const proposalsDue = rfp.submission_deadline
+    ? new Date(rfp.submission_deadline).toISOString().slice(0, 10)
+    : "Not specified";
+
+  const changesText = changeLines.map((line) => `  - ${line}`).join("\n");
+  const itemsText =
+    items.length === 0
+      ? "  (No structured line items stored)"
+      : items
+          .map((it, idx) => `  ${idx + 1}. ${it.item_label} - ${it.spec_text || "-"} x ${it.quantity}`)
+          .join("\n");
+
+  const text = `
+Hello ${vendor.name},
+
+Addendum #${number} amends RFP "${title}".
+${note ? `\n${note}\n` : ""}
+Changes:
+${changesText}
+
+Requested Items (as amended):
+${itemsText}
+
+Proposals Due: ${proposalsDue}
+
+Please quote against the amended RFP. If you have already replied, reply to this email with your updated proposal.
+
+Regards,
+AutoRFP.ai
+`.trim();
+
+  return {
+    subject: `Addendum #${number}: RFP: ${title}`,
+    text,
+  };
+}
+
+/**
+ * Answer to a vendor's clarification question, on the vendor's reply thread.
+ *
+ * @param {boolean} [broadcast] - Sent to every invited vendor; `question`
+ *   is then the anonymized version
+ */
+function buildRfpClarificationEmail({ rfp, vendor, question, answer, broadcast = false }) {
+  const title = rfp.title || "RFP";
+  const quotedQuestion = String(question || "")
+    .split("\n")
+    .map((line) => `> ${line}`)
+    .join("\n");
+
+  const intro = broadcast
+    ? `A vendor asked the following question about RFP "${title}". The question and our answer are shared with all invited vendors.`
+    : `Thank you for your question about RFP "${title}".`;
+
+  const text = `
+Hello ${vendor.name},
+
+${intro}
+
+Question:
+${quotedQuestion}
+
+Answer:
+${answer}
+
+Reply to this email with any further questions or with your proposal.
+
+Regards,
+AutoRFP.ai
+`.trim();
+
+  return {
+    subject: `Clarification: RFP: ${title}`,
+    text,
+  };
+}
+
 module.exports = {
   buildRfpInviteEmail,
+  buildRfpReminderEmail,
+  buildRfpAmendmentEmail,
+  buildRfpClarificationEmail,
+  buildAwardEmail,
+  buildRejectionEmail,
 };
@@ -1,53 +1,44 @@
-const axios = require("axios");
-
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const GROQ_MODEL = process.env.GROQ_MODEL || "llama-3.1-8b-instant";
-const GROQ_BASE_URL =
-  process.env.GROQ_BASE_URL || "https://api.groq.com/openai/v1";
+const { getLlmProvider } = require("./llmProviders");
+const mapZodErrors = require("./validationUtils/zodErrorMapper");
+const {
+  rfpAnalysisOutputSchema,
+  proposalParseOutputSchema,
+} = require("./validationUtils/llmOutputSchemas");
+const { addDaysToDate } = require("./rfpDeadlineUtils");
+
+// Task names double as stub fixture folders (llmProviders/fixtures/<task>/)
+const LLM_TASKS = {
+  RFP_ANALYSIS: "rfp_analysis",
+  PROPOSAL_PARSE: "proposal_parse",
+};
 
-if (!GROQ_API_KEY) {
-  console.warn("⚠️ GROQ_API_KEY is missing. AI calls will fail.");
-}
+// Output budget per task: a proposal lists every quoted item with specs
+// and notes, so it needs far more room than an RFP analysis
+const LLM_MAX_TOKENS = {
+  [LLM_TASKS.RFP_ANALYSIS]: Number(process.env.LLM_MAX_TOKENS_RFP_ANALYSIS) || 2048,
+  [LLM_TASKS.PROPOSAL_PARSE]: Number(process.env.LLM_MAX_TOKENS_PROPOSAL_PARSE) || 4096,
+};
+const DEFAULT_MAX_TOKENS = 1024;
 
 // -------------------- Low-level caller --------------------
 
-async function callGroqRaw(prompt) {
-  if (!GROQ_API_KEY) throw new Error("GROQ_API_KEY not configured");
-
-  try {
-    const response = await axios.post(
-      `${GROQ_BASE_URL}/chat/completions`,
-      {
-        model: GROQ_MODEL,
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.1,
-        max_tokens: 512,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${GROQ_API_KEY}`,
-        },
-        timeout: 30000,
-        validateStatus: (s) => s >= 200 && s < 300,
-      }
-    );
-
-    const text = response?.data?.choices?.[0]?.message?.content?.trim() || null;
-
-    if (!text) throw new Error("Groq returned empty content");
-
-    return text;
-  } catch (err) {
-    if (err.response) {
-      throw new Error(
-        `Groq API error ${err.response.status}: ${JSON.stringify(
-          err.response.data
-        ).slice(0, 1000)}`
-      );
-    }
-    throw new Error(`Groq request failed: ${err.message}`);
-  }
+/**
+ * Send a single-turn prompt to the configured LLM provider (see LLM_PROVIDER).
+ *
+ * @param {string} prompt
+ * @param {Object} options
+ * @param {string} options.task - One of LLM_TASKS; also picks the output budget (LLM_MAX_TOKENS)
+ * @param {string} [options.fixtureKey] - Stable input identity for the stub provider
+ * @returns {Promise<string>} Raw model text
+ */
+async function callLlmRaw(prompt, { task, fixtureKey } = {}) {
+  const provider = getLlmProvider();
+  return provider.complete(prompt, {
+    task,
+    fixtureKey,
+    temperature: 0.1,
+    maxTokens: LLM_MAX_TOKENS[task] || DEFAULT_MAX_TOKENS,
+  });
 }
 
 // -------------------- Safe JSON Extraction --------------------
@@ -77,7 +68,117 @@ function safeJsonParse(text) {
     } catch (_) {}
   }
 
-  throw new Error("Groq JSON parsing failed");
+  throw new Error("LLM JSON parsing failed");
+}
+
+// -------------------- Validated call with repair loop --------------------
+
+// Total model calls per extraction (first try + repairs)
+const LLM_MAX_ATTEMPTS = Math.max(1, Number(process.env.LLM_MAX_ATTEMPTS) || 3);
+const RAW_EXCERPT_LENGTH = 500;
+
+function buildRepairPrompt(originalPrompt, previousRaw, errors) {
+  const errorLines = Object.entries(errors)
+    .map(([field, message]) => `- ${field || "(root)"}: ${message}`)
+    .join("\n");
+
+  return (
+    `${originalPrompt}\n\n` +
+    `YOUR_PREVIOUS_RESPONSE:\n${String(previousRaw).slice(0, 4000)}\n\n` +
+    `It was rejected for these reasons:\n${errorLines}\n\n` +
+    `Fix every issue listed and return ONLY the corrected JSON.`
+  );
+}
+
+/**
+ * Call the LLM and validate its JSON against a Zod schema. On invalid JSON or
+ * schema errors the model is re-prompted with the errors, up to
+ * LLM_MAX_ATTEMPTS calls in total.
+ *
+ * Every call is recorded in `attempts` ({ attempt, provider, model, ok,
+ * stage, errors, raw_excerpt, duration_ms }) so a degraded parse can be
+ * explained later. Request failures (network, auth) are not retried here.
+ *
+ * @param {Object} params
+ * @param {string} params.prompt
+ * @param {import("zod").ZodTypeAny} params.schema
+ * @param {string} params.task - One of LLM_TASKS
+ * @param {string} [params.fixtureKey]
+ * @returns {Promise<{ data: Object, attempts: Object[] }>}
+ * @throws {Error} With `.attempts` attached when every attempt failed validation
+ */
+async function callLlmWithSchema({ prompt, schema, task, fixtureKey }) {
+  const provider = getLlmProvider();
+  const attempts = [];
+  let currentPrompt = prompt;
+
+  for (let attempt = 1; attempt <= LLM_MAX_ATTEMPTS; attempt++) {
+    const startedAt = Date.now();
+    const record = {
+      attempt,
+      provider: provider.name,
+      model: provider.model,
+      ok: false,
+      stage: null,
+      errors: null,
+      raw_excerpt: null,
+      duration_ms: null,
+    };
+    attempts.push(record);
+
+    let raw;
+    try {
+      raw = await callLlmRaw(currentPrompt, { task, fixtureKey });
+    } catch (err) {
+      record.stage = "request";
+      record.errors = { request: err.message };
+      record.duration_ms = Date.now() - startedAt;
+      err.attempts = attempts;
+      throw err;
+    }
+
+    record.raw_excerpt = raw.slice(0, RAW_EXCERPT_LENGTH);
+    record.duration_ms = Date.now() - startedAt;
+
+    let json;
+    try {
+      json = safeJsonParse(raw);
+    } catch (err) {
+      record.stage = "json";
+      record.errors = { json: "Response is not valid JSON" };
+    }
+
+    if (json !== undefined) {
+      const result = schema.safeParse(json);
+      if (result.success) {
+        record.ok = true;
+        record.stage = "schema";
+        if (attempt > 1) {
+          console.log(`[LLM] ${task} repaired on attempt ${attempt}`);
+        }
+        return { data: result.data, attempts };
+      }
+      record.stage = "schema";
+      record.errors = mapZodErrors(result.error);
+    }
+
+    console.warn(
+      `[LLM] ${task} attempt ${attempt}/${LLM_MAX_ATTEMPTS} failed ${record.stage} validation:`,
+      JSON.stringify(record.errors)
+    );
+
+    currentPrompt = buildRepairPrompt(prompt, raw, record.errors);
+  }
+
+  const last = attempts[attempts.length - 1];
+  const err = new Error(
+    `LLM output failed ${last.stage} validation after ${attempts.length} attempts: ` +
+      Object.entries(last.errors || {})
+        .map(([field, message]) => `${field}: ${message}`)
+        .join("; ")
+  );
+  err.attempts = attempts;
+  throw err;
 }
 
 // -------------------- Normalization Helpers --------------------
@@ -110,15 +211,13 @@ const normalizeCurrencyCode = (c) => {
   return /^[A-Z]{3}$/.test(u) ? u : "USD";
 };
 
-const clampScore = (s) => {
-  const n = coerceNumberOrNull(s);
-  if (n === null) return null;
-  return Math.min(100, Math.max(0, n));
-};
-
 // -------------------- RFP Normalizer --------------------
 
-function normalizeRfpAnalysisOutput(raw) {
+/**
+ * @param {Object} raw - Schema-validated model output
+ * @param {string} today - YYYY-MM-DD the prompt was analyzed on; anchors deadline_days
+ */
+function normalizeRfpAnalysisOutput(raw, today) {
   const items = Array.isArray(raw.items) ? raw.items : [];
   const normalizedItems = items
     .map((i) => ({
@@ -130,12 +229,17 @@ function normalizeRfpAnalysisOutput(raw) {
 
   if (!normalizedItems.length) throw new Error("No items extracted");
 
+  const deadlineDays = coerceIntOrNull(raw.deadline_days);
+
   return {
     title: raw.title || "Untitled RFP",
     summary: raw.summary || null,
     budget_cap: coerceNumberOrNull(raw.budget_cap),
     currency_code: normalizeCurrencyCode(raw.currency_code),
-    deadline_days: coerceIntOrNull(raw.deadline_days),
+    deadline_days: deadlineDays,
+    submission_deadline: raw.submission_deadline || null,
+    // "Delivery within 30 days" becomes a date, counted from today
+    delivery_by: raw.delivery_by || addDaysToDate(today, deadlineDays),
     payment_terms: raw.payment_terms || null,
     min_warranty_months: coerceIntOrNull(raw.min_warranty_months),
     items: normalizedItems,
@@ -144,8 +248,21 @@ function normalizeRfpAnalysisOutput(raw) {
 
 // -------------------- Proposal Normalizer --------------------
 
-function normalizeProposalOutput(raw) {
+/**
+ * @param {Object} raw - Schema-validated model output
+ * @param {Map<string, string>} emailIdByRef - "E1" → email id, for source attribution
+ */
+function normalizeProposalOutput(raw, emailIdByRef = new Map()) {
   const items = Array.isArray(raw.items) ? raw.items : [];
+  const resolveSource = (ref) =>
+    typeof ref === "string" ? emailIdByRef.get(ref.trim().toUpperCase()) || null : null;
+
+  // Only keep attributions that point at an email we actually sent
+  const fieldSources = {};
+  for (const [field, ref] of Object.entries(raw.field_sources || {})) {
+    const emailId = resolveSource(ref);
+    if (emailId) fieldSources[field] = emailId;
+  }
 
   const normalizedItems = items
     .map((i) => ({
@@ -156,6 +273,7 @@ function normalizeProposalOutput(raw) {
       total_price: coerceNumberOrNull(i?.total_price),
       matches_rfp: coerceBooleanOrNull(i?.matches_rfp) ?? true,
       notes: i?.notes || null,
+      source_email_id: resolveSource(i?.source),
     }))
     .filter((i) => i.label);
 
@@ -167,13 +285,17 @@ function normalizeProposalOutput(raw) {
     warranty_text: raw.warranty_text || null,
     warranty_months: coerceIntOrNull(raw.warranty_months),
     payment_terms: raw.payment_terms || null,
+    payment_terms_match: coerceBooleanOrNull(raw.payment_terms_match),
     items_match:
       coerceBooleanOrNull(raw.items_match) ??
       (normalizedItems.length
         ? normalizedItems.every((i) => i.matches_rfp)
         : null),
-    ai_score: clampScore(raw.ai_score),
-    ai_reasoning: raw.ai_reasoning || "",
+    missing_items: Array.isArray(raw.missing_items) ? raw.missing_items : [],
+    spec_concerns: raw.spec_concerns || null,
+    custom_criteria: Array.isArray(raw.custom_criteria) ? raw.custom_criteria : [],
+    field_sources: fieldSources,
+    source_email_ids: Array.from(emailIdByRef.values()),
     items: normalizedItems,
   };
 }
@@ -189,6 +311,8 @@ Return ONLY this JSON (no extra text):
   "budget_cap": number|null,
   "currency_code": string|null,
   "deadline_days": integer|null,
+  "submission_deadline": "YYYY-MM-DD"|null,
+  "delivery_by": "YYYY-MM-DD"|null,
   "payment_terms": string|null,
   "min_warranty_months": integer| 12 months if not given,
   "items": [
@@ -202,9 +326,10 @@ Rules:
 - Specs: only what user wrote.
 - Budget words: "lakh / lac"=100000, "crore / cr"=10000000.
 - Currency: Rs/₹/INR→"INR", $/USD→"USD", else null.
-- Deadline: TODAY={{TODAY}}.
-  • If user says "X days" → use X.
-  • If user gives a date → convert to YYYY-MM-DD and output exact days difference from TODAY.
+- Dates: TODAY={{TODAY}}.
+  • deadline_days = days until delivery is needed. If user says "X days" → use X. If user gives a date → exact days difference from TODAY.
+  • delivery_by = date delivery is needed by (YYYY-MM-DD); "within X days" → TODAY + X.
+  • submission_deadline = date proposals/bids/quotes are due (YYYY-MM-DD), only if stated; never the delivery date.
 - Payment_terms: copy text.
 - Warranty: convert years to months, else null.
 `;
@@ -214,105 +339,159 @@ async function analyzeRfpWithGroq(prompt) {
   const sys = RFP_SYSTEM_INSTRUCTION.replace("{{TODAY}}", today);
 
   const full = `${sys}\n\nUSER_INPUT:\n${prompt}`;
-  const raw = await callGroqRaw(full);
-  const parsed = safeJsonParse(raw);
-  return normalizeRfpAnalysisOutput(parsed);
+  const { data, attempts } = await callLlmWithSchema({
+    prompt: full,
+    schema: rfpAnalysisOutputSchema,
+    task: LLM_TASKS.RFP_ANALYSIS,
+    fixtureKey: prompt,
+  });
+
+  return {
+    ...normalizeRfpAnalysisOutput(data, today),
+    llm_attempts: attempts,
+  };
 }
 
+// Extraction only - scoring is computed in code (utils/proposalScoringUtils.js)
 const PROPOSAL_SYSTEM_INSTRUCTION = `
 Return ONLY one JSON:
 {total_price,currency_code,delivery_text,delivery_days,warranty_text,
-warranty_months,payment_terms,items_match,ai_score,ai_reasoning,
-items:[{label,spec,quantity,unit_price,total_price,matches_rfp,notes}]}.
+warranty_months,payment_terms,payment_terms_match,items_match,missing_items,
+spec_concerns,custom_criteria:[{key,met,evidence}],field_sources,
+items:[{label,spec,quantity,unit_price,total_price,matches_rfp,notes,source}]}.
 
 Rules:
-- Compare EMAIL_JSON vs RFP_JSON.
-- total_price = realistic sum.
+- Extract facts from EMAILS_JSON and compare them with RFP_JSON. Do NOT score.
+- EMAILS_JSON is the vendor's whole conversation, oldest first, each with a ref (E1, E2, ...).
+  Combine them; if emails disagree, the later email wins.
+- An email's attachments[] hold text extracted from the files it carried (PDF, spreadsheet, DOCX).
+  Treat them as part of that email; spreadsheet rows are "cell | cell | ...". Quote refs stay the email's ref.
+- field_sources: for every non-null top-level field, the ref of the email it came from, e.g. {"total_price":"E1","warranty_months":"E2"}.
+- items[].source: ref of the email that quoted the item.
+- No guessing. If not stated → null.
+- total_price = realistic sum of quoted items.
+- delivery_days: integer days until delivery, convert weeks (1 week = 7 days).
+- warranty_months: convert years to months.
 - matches_rfp: yes/partial/no based on quantity+spec.
-
-Scoring (0–100) Algorithm:
-
-BASE SCORE (proposal quality, 0-100):
-1. Start at 100 for perfect match.
-2. Subtract proposal penalties:
-   * price_penalty = ((total_price - RFP_best_price) / RFP_best_price) * 30
-   * delivery_penalty = (delivery_days - RFP_best_delivery) * 1.0
-   * spec_penalty = 10 if unclear/weaker specs
-   * missing_items_penalty = 20 per missing item
-   * vague_email_penalty = 40 if no prices/quantities
-3. Hard caps:
-   * price > budget_cap * 1.2 → base_score ≤ 50
-   * missing key items → base_score ≤ 60
-
-VENDOR RATING BOOST (historical performance):
-- VENDOR_RATING is 0-10 scale (0 = new vendor, 10 = proven vendor)
-- For NEW VENDORS (rating < 1.0): NO penalty, NO bonus - pure proposal score
-- For ESTABLISHED VENDORS (rating ≥ 1.0): 
-  * rating_boost = (VENDOR_RATING / 10) * 15 (0-15 point bonus)
-  * final_score = base_score + rating_boost (capped at 100)
-
-CRITICAL: NEW VENDORS MUST COMPETE FAIRLY:
-- New vendor with rating=0 gets score = base_score (no penalty)
-- Established vendor with rating=3 and same proposal: base_score + 4.5
-- New vendor good proposal can OUTSCORE bad proposals from rated vendors
-- Only reward vendors proven to deliver consistently
-
-EXAMPLES:
-- New vendor, perfect proposal (rating=0): 95 → 95
-- Established vendor, perfect proposal (rating=8/10): 95 + 12 = 100 (capped)
-- New vendor, fair proposal (rating=0): 70 → 70
-- Established vendor, fair proposal (rating=7/10): 70 + 10.5 = 80.5
-
-Important:
-- **Vendors with worse pricing get lower scores.**
-- **Vendors with slower delivery get lower scores.**
-- **New vendors can win with great proposals.**
-- **High-rated vendors get 15pt max bonus.**
-- **Do NOT cluster scores around 70-75.**
-- Always include ai_reasoning explaining the breakdown.
+- missing_items: labels of RFP_JSON items the vendor did NOT quote ([] if none).
+- spec_concerns: short note if quoted specs are unclear or weaker than requested, else null.
+- payment_terms_match: true if the vendor accepts RFP_JSON.payment_terms, false if they offer different terms, null if not stated.
+- custom_criteria: one entry per CUSTOM_CRITERIA key. met = true/false only if the emails clearly address it, else null. evidence = short quote.
 - JSON only.
 `;
 
+// Email bodies + attachment text per vendor thread; MAX_EXTRACTED_CHARS
+// (attachmentExtractionUtils) only caps a single attachment
+const MAX_THREAD_CHARS = Number(process.env.LLM_MAX_THREAD_CHARS) || 40000;
+const TRUNCATION_MARKER = "\n[... truncated]";
+
+/**
+ * Cut a thread's texts down to maxChars in total, in place. Newest email
+ * first: the latest email wins conflicts, so older text gives way.
+ *
+ * @returns {boolean} Whether anything was cut
+ */
+function fitThreadToBudget(thread, maxChars) {
+  let remaining = maxChars;
+  let truncated = false;
+
+  const take = (text) => {
+    if (text.length <= remaining) {
+      remaining -= text.length;
+      return text;
+    }
+    const kept = text.slice(0, remaining);
+    remaining = 0;
+    truncated = true;
+    return kept + TRUNCATION_MARKER;
+  };
 
-async function parseProposalWithGroq({ rfp, email, vendor }) {
-  let items = [];
-  try {
-    let x = rfp.ai_structured;
-    if (typeof x === "string") x = JSON.parse(x);
-    if (x?.items) items = x.items;
-  } catch (_) {}
+  for (const email of [...thread].reverse()) {
+    email.body_text = take(email.body_text);
+    for (const attachment of email.attachments) {
+      attachment.text = take(attachment.text);
+    }
+  }
 
-  // Prepare vendor context with rating for AI
-  // New vendors (rating < 1.0) won't get penalty/bonus - competes on proposal alone
-  // Established vendors (rating >= 1.0) get historical bonus
-  const vendorContext = {
-    ...vendor,
-    rating: vendor.rating || 0, // Include historical rating (0-10 scale)
-    is_new_vendor: (vendor.rating || 0) < 1.0, // Flag new vendors
-    is_established_vendor: (vendor.rating || 0) >= 1.0, // Flag proven vendors
-
-    total_projects: vendor.total_projects || 0,
-    successful_projects: vendor.successful_projects || 0,
-    on_time_percentage: vendor.on_time_percentage || 0,
-    average_proposal_score: vendor.average_proposal_score || 0,
-    rejection_count: vendor.rejection_count || 0,
-  };
+  return truncated;
+}
+
+/**
+ * Extract proposal facts from a vendor's inbound thread.
+ *
+ * @param {Object} params
+ * @param {Object} params.rfp
+ * @param {Array} params.rfpItems - RFP line items ({ label, specs, quantity })
+ * @param {Array} [params.customCriteria] - RFP custom evaluation criteria
+ * @param {Array} params.emails - Vendor's inbound emails, oldest first
+ * @param {Map} [params.attachmentsByEmailId] - email id → extracted Attachments rows
+ * @param {Object} params.vendor
+ */
+async function parseProposalWithGroq({
+  rfp,
+  rfpItems = [],
+  customCriteria = [],
+  emails,
+  attachmentsByEmailId = new Map(),
+  vendor,
+}) {
+  // Short refs keep the model from mangling UUIDs; mapped back after parsing
+  const emailIdByRef = new Map(emails.map((e, i) => [`E${i + 1}`, e.id]));
+  const thread = emails.map((e, i) => ({
+    ref: `E${i + 1}`,
+    received_at: e.received_at || e.created_at || null,
+    subject: e.subject || null,
+    body_text: e.body_text || "",
+    attachments: (attachmentsByEmailId.get(e.id) || []).map((a) => ({
+      filename: a.filename || null,
+      text: a.extracted_text || "",
+    })),
+  }));
+
+  if (fitThreadToBudget(thread, MAX_THREAD_CHARS)) {
+    console.warn(
+      `[LLM] Thread for vendor ${vendor.id} exceeds ${MAX_THREAD_CHARS} chars; older text truncated`
+    );
+  }
+
+  const items = rfpItems.map((i) => ({
+    label: i.label,
+    specs: i.specs || null,
+    quantity: i.quantity,
+  }));
 
   const prompt =
     PROPOSAL_SYSTEM_INSTRUCTION +
     "\nRFP_JSON:\n" +
     JSON.stringify({ ...rfp, items }) +
-    "\nVENDOR_RATING:\n" +
-    JSON.stringify(vendorContext) +
-    "\nEMAIL_JSON:\n" +
-    JSON.stringify(email);
-  
-  console.log("🤖 Parsing proposal with AI (vendor rating included)");
-  console.log(`   Vendor: ${vendor.name} | Rating: ${vendor.rating}/10`);
-  
-  const raw = await callGroqRaw(prompt);
-  const parsed = safeJsonParse(raw);
-  return normalizeProposalOutput(parsed);
+    "\nCUSTOM_CRITERIA:\n" +
+    JSON.stringify(
+      customCriteria.map((c) => ({
+        key: c.key,
+        label: c.label,
+        description: c.description || null,
+      }))
+    ) +
+    "\nEMAILS_JSON:\n" +
+    JSON.stringify(thread);
+
+  console.log(
+    `🤖 Extracting proposal facts with AI | Vendor: ${vendor.name} | Emails: ${emails.length} | Attachments: ${thread.reduce((n, e) => n + e.attachments.length, 0)}`
+  );
+
+  const { data, attempts } = await callLlmWithSchema({
+    prompt,
+    schema: proposalParseOutputSchema,
+    task: LLM_TASKS.PROPOSAL_PARSE,
+    fixtureKey: `${vendor.email || vendor.id}\n${thread
+      .map((e) => [e.body_text, ...e.attachments.map((a) => a.text)].join("\n"))
+      .join("\n---\n")}`,
+  });
+
+  return {
+    ...normalizeProposalOutput(data, emailIdByRef),
+    llm_attempts: attempts,
+  };
 }
 
 module.exports = {
@@ -0,0 +1,206 @@
+// utils/jobQueue.js
+const os = require("os");
+const getModels = require("./getModels");
+const { databases } = require("../config/dbMap.json");
+const { getCurrentOrgId, getRequestContext } = require("./requestContext");
+
+/**
+ * Postgres-backed job queue.
+ *
+ * - enqueueJob() inserts with the caller's transaction, so a side effect is
+ *   queued if and only if the state change that caused it commits.
+ * - An idempotency key makes enqueueing the same side effect twice a no-op;
+ *   re-enqueueing a key whose job is dead revives it with the new payload.
+ * - Workers claim due jobs with FOR UPDATE SKIP LOCKED, so any number of
+ *   them can share the table. A failed job is retried with exponential
+ *   backoff until max_attempts, then parked as 'dead' for RetryJob.
+ * - A job still 'running' after JOB_LOCK_TIMEOUT_MS (worker crashed) is
+ *   handed back to the queue by releaseStaleJobs().
+ *
+ * Raw queries here are not tenant-scoped (utils/tenantScope.js): workers
+ * run jobs for every org, and enqueueJob stamps org_id itself.
+ */
+
+const JOB_TYPES = {
+  SEND_EMAIL: "email.send", // any outbox email (utils/emailOutbox.js)
+  VENDOR_RATING_AWARD: "vendor.rating_award",
+  VENDOR_RATING_REJECT: "vendor.rating_reject",
+  RFP_REMINDERS: "rfp.reminders", // scheduled sweeps (workers/jobScheduler.js)
+  RFP_DEADLINES: "rfp.deadlines",
+};
+
+const JOB_STATUSES = ["queued", "running", "succeeded", "dead"];
+
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS) || 30 * 1000;
+const RETRY_MAX_MS = Number(process.env.JOB_RETRY_MAX_MS) || 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = Number(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// 30s, 1m, 2m, 4m, ... capped at JOB_RETRY_MAX_MS
+function computeRetryDelayMs(attempts) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+const errorMessage = (err) => (err?.message || String(err)).slice(0, 2000);
+
+// -------------------- Enqueue --------------------
+
+/**
+ * Queue a job. Pass the transaction of the change that triggers it.
+ *
+ * @param {Object} job
+ * @param {string} job.type - One of JOB_TYPES
+ * @param {Object} [job.payload] - JSON handed to the handler
+ * @param {string} [job.idempotencyKey] - Same key = same job
+ * @param {number} [job.maxAttempts]
+ * @param {Date} [job.runAt] - Earliest start (default now)
+ * @param {string} [job.requestId] - Trace id; defaults to the request's
+ * @param {Object} [options]
+ * @param {Transaction} [options.transaction]
+ * @returns {Promise<{ id: string, created: boolean }>}
+ */
+async function enqueueJob(
+  { type, payload = {}, idempotencyKey = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt = null, requestId = null },
+  { transaction } = {}
+) {
+  const { sequelize } = getModels(databases.RFP.DB_NAME);
+
+  const replacements = {
+    orgId: getCurrentOrgId(),
+    type,
+    payload: JSON.stringify(payload),
+    idempotencyKey,
+    maxAttempts,
+    runAt: runAt || new Date(),
+    requestId: requestId || getRequestContext()?.requestId || null,
+  };
+
+  const [inserted] = await sequelize.query(
+    `INSERT INTO jobs (org_id, type, payload, idempotency_key, max_attempts, run_at, request_id)
+     VALUES (:orgId, :type, CAST(:payload AS JSONB), :idempotencyKey, :maxAttempts, :runAt, :requestId)
+     ON CONFLICT (idempotency_key) DO NOTHING
+     RETURNING id`,
+    { replacements, transaction }
+  );
+  if (inserted.length > 0) return { id: inserted[0].id, created: true };
+
+  // Key already taken: revive it if it died, otherwise leave it be
+  const [revived] = await sequelize.query(
+    `UPDATE jobs
+     SET status = 'queued', payload = CAST(:payload AS JSONB), attempts = 0,
+         max_attempts = :maxAttempts, run_at = :runAt, last_error = NULL,
+         request_id = :requestId, completed_at = NULL
+     WHERE idempotency_key = :idempotencyKey AND status = 'dead'
+     RETURNING id`,
+    { replacements, transaction }
+  );
+  if (revived.length > 0) return { id: revived[0].id, created: true };
+
+  const [existing] = await sequelize.query(
+    `SELECT id FROM jobs WHERE idempotency_key = :idempotencyKey`,
+    { replacements, transaction }
+  );
+  return { id: existing[0]?.id || null, created: false };
+}
+
+// -------------------- Worker side --------------------
+
+/**
+ * Claim the next due job for this worker, or null when none is due.
+ */
+async function claimNextJob(workerId = WORKER_ID) {
+  const { sequelize } = getModels(databases.RFP.DB_NAME);
+
+  const [rows] = await sequelize.query(
+    `UPDATE jobs
+     SET status = 'running', attempts = attempts + 1, locked_at = now(), locked_by = :workerId
+     WHERE id = (
+       SELECT id FROM jobs
+       WHERE status = 'queued' AND run_at <= now()
+       ORDER BY run_at, created_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    { replacements: { workerId } }
+  );
+
+  return rows[0] || null;
+}
+
+async function completeJob(job, result = null) {
+  const { sequelize } = getModels(databases.RFP.DB_NAME);
+
+  await sequelize.query(
+    `UPDATE jobs
+     SET status = 'succeeded', result = CAST(:result AS JSONB), last_error = NULL,
+         locked_at = NULL, locked_by = NULL, completed_at = now()
+     WHERE id = :id`,
+    { replacements: { id: job.id, result: JSON.stringify(result ?? null) } }
+  );
+}
+
+/**
+ * Record a failed attempt: back to the queue with backoff, or dead once
+ * attempts are used up.
+ *
+ * @returns {Promise<'queued'|'dead'>}
+ */
+async function failJob(job, err) {
+  const { sequelize } = getModels(databases.RFP.DB_NAME);
+
+  const dead = job.attempts >= job.max_attempts;
+  const runAt = new Date(Date.now() + computeRetryDelayMs(job.attempts));
+
+  await sequelize.query(
+    `UPDATE jobs
+     SET status = :status, last_error = :lastError, run_at = :runAt,
+         locked_at = NULL, locked_by = NULL
+     WHERE id = :id`,
+    {
+      replacements: {
+        id: job.id,
+        status: dead ? "dead" : "queued",
+        lastError: errorMessage(err),
+        runAt: dead ? job.run_at : runAt,
+      },
+    }
+  );
+
+  return dead ? "dead" : "queued";
+}
+
+/**
+ * Requeue (or bury) jobs whose worker stopped heartbeating mid-run.
+ *
+ * @returns {Promise<number>} Jobs released
+ */
+async function releaseStaleJobs() {
+  const { sequelize } = getModels(databases.RFP.DB_NAME);
+
+  const [rows] = await sequelize.query(
+    `UPDATE jobs
+     SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+         last_error = 'Worker stopped while running the job (lock expired)',
+         locked_at = NULL, locked_by = NULL
+     WHERE status = 'running' AND locked_at < now() - (:timeoutMs * INTERVAL '1 millisecond')
+     RETURNING id`,
+    { replacements: { timeoutMs: LOCK_TIMEOUT_MS } }
+  );
+
+  return rows.length;
+}
+
+module.exports = {
+  JOB_TYPES,
+  JOB_STATUSES,
+  WORKER_ID,
+  computeRetryDelayMs,
+  enqueueJob,
+  claimNextJob,
+  completeJob,
+  failJob,
+  releaseStaleJobs,
+};
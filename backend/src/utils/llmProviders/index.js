@@ -0,0 +1,90 @@
+// src/utils/llmProviders/index.js
+const createOpenAiCompatibleProvider = require("./openAiCompatibleProvider");
+const createOllamaProvider = require("./ollamaProvider");
+const createStubProvider = require("./stubProvider");
+
+/**
+ * LLM provider registry.
+ *
+ * Selected per environment with LLM_PROVIDER:
+ *   - groq    (default) GROQ_API_KEY, GROQ_MODEL, GROQ_BASE_URL
+ *   - openai  any OpenAI-compatible endpoint: LLM_BASE_URL, LLM_API_KEY, LLM_MODEL
+ *   - ollama  local server: OLLAMA_BASE_URL, OLLAMA_MODEL
+ *   - stub    offline fixtures: LLM_STUB_FIXTURES_DIR (optional)
+ *
+ * Every provider exposes the same shape:
+ *   { name, model, complete(prompt, { task, fixtureKey, temperature, maxTokens }) => Promise<string> }
+ */
+const PROVIDER_FACTORIES = {
+  groq: () =>
+    createOpenAiCompatibleProvider({
+      name: "Groq",
+      baseUrl: process.env.GROQ_BASE_URL || "https://api.groq.com/openai/v1",
+      apiKey: process.env.GROQ_API_KEY,
+      model: process.env.GROQ_MODEL || "llama-3.1-8b-instant",
+    }),
+
+  openai: () =>
+    createOpenAiCompatibleProvider({
+      name: "OpenAI-compatible",
+      baseUrl: process.env.LLM_BASE_URL,
+      apiKey: process.env.LLM_API_KEY,
+      model: process.env.LLM_MODEL,
+      // Self-hosted gateways are often unauthenticated
+      requireApiKey: false,
+    }),
+
+  ollama: () =>
+    createOllamaProvider({
+      baseUrl: process.env.OLLAMA_BASE_URL || "http://localhost:11434",
+      model: process.env.OLLAMA_MODEL || "llama3.1",
+    }),
+
+  stub: () =>
+    createStubProvider({
+      fixturesDir: process.env.LLM_STUB_FIXTURES_DIR || undefined,
+    }),
+};
+
+let cachedProvider = null;
+
+/**
+ * Returns the provider configured for this process (created once, then cached).
+ *
+ * @returns {{ name: string, model: string, complete: Function }}
+ * @throws {Error} If LLM_PROVIDER names an unknown provider
+ */
+function getLlmProvider() {
+  if (cachedProvider) return cachedProvider;
+
+  const key = (process.env.LLM_PROVIDER || "groq").trim().toLowerCase();
+  const factory = PROVIDER_FACTORIES[key];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${key}". Expected one of: ${Object.keys(
+        PROVIDER_FACTORIES
+      ).join(", ")}`
+    );
+  }
+
+  cachedProvider = factory();
+  console.log(
+    `[LLM] Using provider ${cachedProvider.name} (model: ${cachedProvider.model})`
+  );
+
+  return cachedProvider;
+}
+
+/**
+ * Drop the cached provider so the next call re-reads the environment.
+ * Intended for scripts/tests that switch LLM_PROVIDER at runtime.
+ */
+function resetLlmProvider() {
+  cachedProvider = null;
+}
+
+module.exports = {
+  getLlmProvider,
+  resetLlmProvider,
+};
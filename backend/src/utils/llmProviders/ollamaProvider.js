@@ -0,0 +1,60 @@
+// src/utils/llmProviders/ollamaProvider.js
+const axios = require("axios");
+
+/**
+ * Provider for a local Ollama-style server (`POST /api/chat`, non-streaming).
+ * Uses `format: "json"` so the model is constrained to emit a JSON object.
+ *
+ * @param {Object} config
+ * @param {string} config.baseUrl - e.g. http://localhost:11434
+ * @param {string} config.model - e.g. llama3.1
+ * @param {number} [config.timeoutMs=120000] - local models are slower
+ */
+function createOllamaProvider({ baseUrl, model, timeoutMs = 120000 }) {
+  const name = "Ollama";
+
+  if (!baseUrl) throw new Error(`${name}: base URL is required`);
+  if (!model) throw new Error(`${name}: model is required`);
+
+  async function complete(prompt, { temperature = 0.1, maxTokens = 512 } = {}) {
+    try {
+      const response = await axios.post(
+        `${baseUrl.replace(/\/+$/, "")}/api/chat`,
+        {
+          model,
+          messages: [{ role: "user", content: prompt }],
+          stream: false,
+          format: "json",
+          options: {
+            temperature,
+            num_predict: maxTokens,
+          },
+        },
+        {
+          headers: { "Content-Type": "application/json" },
+          timeout: timeoutMs,
+          validateStatus: (s) => s >= 200 && s < 300,
+        }
+      );
+
+      const text = response?.data?.message?.content?.trim() || null;
+
+      if (!text) throw new Error(`${name} returned empty content`);
+
+      return text;
+    } catch (err) {
+      if (err.response) {
+        throw new Error(
+          `${name} API error ${err.response.status}: ${JSON.stringify(
+            err.response.data
+          ).slice(0, 1000)}`
+        );
+      }
+      throw new Error(`${name} request failed: ${err.message}`);
+    }
+  }
+
+  return { name, model, complete };
+}
+
+module.exports = createOllamaProvider;
@@ -0,0 +1,76 @@
+// src/utils/llmProviders/openAiCompatibleProvider.js
+const axios = require("axios");
+
+/**
+ * Provider for any endpoint that speaks the OpenAI `/chat/completions` API
+ * (Groq, OpenAI, vLLM, LM Studio, LiteLLM, ...).
+ *
+ * @param {Object} config
+ * @param {string} config.name - Provider name used in logs / errors
+ * @param {string} config.baseUrl - e.g. https://api.groq.com/openai/v1
+ * @param {string} [config.apiKey] - Sent as Bearer token when present
+ * @param {string} config.model
+ * @param {boolean} [config.requireApiKey=true]
+ * @param {number} [config.timeoutMs=30000]
+ */
+function createOpenAiCompatibleProvider({
+  name,
+  baseUrl,
+  apiKey,
+  model,
+  requireApiKey = true,
+  timeoutMs = 30000,
+}) {
+  if (!baseUrl) throw new Error(`${name}: base URL is required`);
+  if (!model) throw new Error(`${name}: model is required`);
+
+  if (requireApiKey && !apiKey) {
+    console.warn(`⚠️ ${name} API key is missing. AI calls will fail.`);
+  }
+
+  async function complete(prompt, { temperature = 0.1, maxTokens = 512 } = {}) {
+    if (requireApiKey && !apiKey) {
+      throw new Error(`${name} API key not configured`);
+    }
+
+    try {
+      const response = await axios.post(
+        `${baseUrl.replace(/\/+$/, "")}/chat/completions`,
+        {
+          model,
+          messages: [{ role: "user", content: prompt }],
+          temperature,
+          max_tokens: maxTokens,
+        },
+        {
+          headers: {
+            "Content-Type": "application/json",
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          },
+          timeout: timeoutMs,
+          validateStatus: (s) => s >= 200 && s < 300,
+        }
+      );
+
+      const text =
+        response?.data?.choices?.[0]?.message?.content?.trim() || null;
+
+      if (!text) throw new Error(`${name} returned empty content`);
+
+      return text;
+    } catch (err) {
+      if (err.response) {
+        throw new Error(
+          `${name} API error ${err.response.status}: ${JSON.stringify(
+            err.response.data
+          ).slice(0, 1000)}`
+        );
+      }
+      throw new Error(`${name} request failed: ${err.message}`);
+    }
+  }
+
+  return { name, model, complete };
+}
+
+module.exports = createOpenAiCompatibleProvider;
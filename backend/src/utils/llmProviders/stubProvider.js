@@ -0,0 +1,70 @@
+// src/utils/llmProviders/stubProvider.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+/**
+ * Deterministic, offline provider for CI and local development.
+ *
+ * Responses are read from JSON fixtures, never generated:
+ *   <fixturesDir>/<task>/<fixtureHash>.json   (exact match for one input)
+ *   <fixturesDir>/<task>/default.json         (fallback for the task)
+ *
+ * `fixtureHash` is the first 16 hex chars of sha256(fixtureKey). The caller
+ * supplies a stable `fixtureKey` (e.g. the user's RFP prompt) so the hash does
+ * not depend on volatile prompt parts such as TODAY. The expected path is
+ * logged on every call to make adding a new fixture a copy/paste job.
+ *
+ * @param {Object} config
+ * @param {string} [config.fixturesDir]
+ */
+function createStubProvider({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+  const name = "Stub";
+
+  function fixtureHash(fixtureKey) {
+    return crypto
+      .createHash("sha256")
+      .update(String(fixtureKey ?? ""))
+      .digest("hex")
+      .slice(0, 16);
+  }
+
+  function readFixture(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const content = fs.readFileSync(filePath, "utf8").trim();
+    if (!content) throw new Error(`${name}: fixture ${filePath} is empty`);
+    return content;
+  }
+
+  async function complete(_prompt, { task, fixtureKey } = {}) {
+    if (!task) throw new Error(`${name}: task is required to pick a fixture`);
+
+    const taskDir = path.join(fixturesDir, task);
+    const exactPath = path.join(taskDir, `${fixtureHash(fixtureKey)}.json`);
+
+    const exact = readFixture(exactPath);
+    if (exact) {
+      console.log(`[LLM:stub] Using fixture ${exactPath}`);
+      return exact;
+    }
+
+    const fallbackPath = path.join(taskDir, "default.json");
+    const fallback = readFixture(fallbackPath);
+    if (fallback) {
+      console.log(
+        `[LLM:stub] No fixture at ${exactPath} - using ${fallbackPath}`
+      );
+      return fallback;
+    }
+
+    throw new Error(
+      `${name}: no fixture for task "${task}" (looked for ${exactPath} and ${fallbackPath})`
+    );
+  }
+
+  return { name, model: "fixtures", complete, fixtureHash };
+}
+
+module.exports = createStubProvider;
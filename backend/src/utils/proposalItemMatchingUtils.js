@@ -0,0 +1,86 @@
+// utils/proposalItemMatchingUtils.js
+
+/**
+ * Line-item alignment for the comparison matrix (CompareProposalItems).
+ *
+ * proposal_items keep the vendor's own wording ("Dell Latitude 5440
+ * laptops" for the RFP's "Laptop"), so each vendor's items are matched to
+ * the RFP's items by label: exact after normalization first, then by
+ * shared words. Every RFP item gets at most one of the vendor's items and
+ * vice versa; what's left over is reported, not guessed.
+ */
+
+// Below this a pair is treated as unrelated
+const MIN_LABEL_SIMILARITY = 0.5;
+
+const STOP_WORDS = new Set(["a", "an", "and", "the", "of", "for", "with", "to", "in", "x", "pcs", "units", "nos"]);
+
+/**
+ * Lower-case words of a label, plurals folded ("Laptops" → "laptop").
+ *
+ * @param {string|null} label
+ * @returns {string[]}
+ */
+function labelTokens(label) {
+  return String(label || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter((word) => word && !STOP_WORDS.has(word))
+    .map((word) => (word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word));
+}
+
+/**
+ * How alike two item labels are, 0-1: 1 for the same words, 0.9 when one
+ * label's words are all in the other ("Monitor" / "27 inch 4K monitor"),
+ * else the share of words they have in common.
+ */
+function itemLabelSimilarity(a, b) {
+  const left = new Set(labelTokens(a));
+  const right = new Set(labelTokens(b));
+  if (left.size === 0 || right.size === 0) return 0;
+
+  const shared = [...left].filter((word) => right.has(word)).length;
+  if (shared === left.size && shared === right.size) return 1;
+  if (shared === Math.min(left.size, right.size)) return 0.9;
+  return shared / new Set([...left, ...right]).size;
+}
+
+/**
+ * Match one vendor's items to the RFP's items, best pairs first.
+ *
+ * @param {Array<{ id: string, item_label: string }>} rfpItems
+ * @param {Array<{ id: string, item_label: string }>} proposalItems
+ * @returns {{ matches: Map<string, { item: Object, similarity: number }>, unmatched: Object[] }}
+ *   matches: RFP item id → the vendor's item; unmatched: vendor items on no RFP line
+ */
+function alignProposalItems(rfpItems, proposalItems) {
+  const pairs = [];
+  for (const rfpItem of rfpItems) {
+    for (const item of proposalItems) {
+      const similarity = itemLabelSimilarity(rfpItem.item_label, item.item_label);
+      if (similarity >= MIN_LABEL_SIMILARITY) pairs.push({ rfpItem, item, similarity });
+    }
+  }
+  // Stable sort keeps RFP order, then the vendor's order, on ties
+  pairs.sort((x, y) => y.similarity - x.similarity);
+
+  const matches = new Map();
+  const usedItemIds = new Set();
+  for (const { rfpItem, item, similarity } of pairs) {
+    if (matches.has(rfpItem.id) || usedItemIds.has(item.id)) continue;
+    matches.set(rfpItem.id, { item, similarity });
+    usedItemIds.add(item.id);
+  }
+
+  return {
+    matches,
+    unmatched: proposalItems.filter((item) => !usedItemIds.has(item.id)),
+  };
+}
+
+module.exports = {
+  MIN_LABEL_SIMILARITY,
+  itemLabelSimilarity,
+  alignProposalItems,
+};
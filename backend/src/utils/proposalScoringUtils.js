@@ -0,0 +1,423 @@
+/**
+ * Deterministic proposal scoring
+ *
+ * The LLM only extracts facts from vendor emails (prices, delivery, items,
+ * missing items, spec concerns). All arithmetic happens here so the same
+ * inputs always produce the same ai_score.
+ *
+ * Scores are relative: price and delivery compare each proposal against the
+ * best value across ALL proposals of the RFP, so the whole RFP must be
+ * rescored whenever one of its proposals (or its criteria) changes.
+ *
+ * Score (0-100):
+ *   1. Weighted criteria - each RFP carries its own evaluation_criteria
+ *      (weights sum to 100). Every criterion is scored 0-100 and combined:
+ *        price            100 - % above best price
+ *        delivery         100 - 3 points per day slower than fastest
+ *        warranty         months offered vs min_warranty_months (default 12)
+ *        payment_terms    100 if terms match the RFP, 0 if not, 50 if unclear
+ *        spec_compliance  share of RFP items quoted to spec, -20 for spec concerns
+ *        vendor_history   vendor rating × 10; skipped for new vendors
+ *                         (rating < 1.0) so they compete on the proposal alone
+ *        custom_*         100 if the vendor addresses the criterion, else 0
+ *   2. Hard rules on top of the weighted score:
+ *        missing_items    -20 per RFP item not quoted
+ *        vague_email      -40 if the email has no prices or quantities
+ *   3. Caps:
+ *        price > budget_cap × 1.2 → ≤ 50
+ *        any missing item         → ≤ 60
+ */
+
+const SCORING_RULES = {
+  DELIVERY_POINTS_PER_DAY: 3,
+  DEFAULT_MIN_WARRANTY_MONTHS: 12,
+  UNCLEAR_PAYMENT_TERMS_SCORE: 50,
+  SPEC_CONCERN_PENALTY: 20,
+  MISSING_ITEM_PENALTY: 20,
+  VAGUE_EMAIL_PENALTY: 40,
+  OVER_BUDGET_RATIO: 1.2,
+  OVER_BUDGET_CAP: 50,
+  MISSING_ITEMS_CAP: 60,
+  ESTABLISHED_VENDOR_MIN_RATING: 1.0,
+};
+
+// -------------------- Evaluation criteria --------------------
+
+const STANDARD_CRITERIA = {
+  price: "Price",
+  delivery: "Delivery",
+  warranty: "Warranty",
+  payment_terms: "Payment terms",
+  spec_compliance: "Spec compliance",
+  vendor_history: "Vendor history",
+};
+
+const CUSTOM_CRITERION_PREFIX = "custom_";
+
+// Used for RFPs created before criteria were configurable
+const DEFAULT_EVALUATION_CRITERIA = [
+  { key: "price", label: "Price", weight: 30 },
+  { key: "delivery", label: "Delivery", weight: 20 },
+  { key: "warranty", label: "Warranty", weight: 10 },
+  { key: "payment_terms", label: "Payment terms", weight: 10 },
+  { key: "spec_compliance", label: "Spec compliance", weight: 20 },
+  { key: "vendor_history", label: "Vendor history", weight: 10 },
+];
+
+const isCustomCriterion = (key) =>
+  typeof key === "string" && key.startsWith(CUSTOM_CRITERION_PREFIX);
+
+/**
+ * Criteria stored on the RFP, or the defaults when none were configured.
+ *
+ * @param {Object} rfp
+ * @returns {Array<{ key: string, label: string, weight: number, description?: string }>}
+ */
+function resolveEvaluationCriteria(rfp) {
+  const criteria = rfp?.evaluation_criteria;
+  return Array.isArray(criteria) && criteria.length
+    ? criteria
+    : DEFAULT_EVALUATION_CRITERIA;
+}
+
+// -------------------- Helpers --------------------
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const clamp100 = (n) => Math.min(100, Math.max(0, n));
+
+const toNumberOrNull = (v) => {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Extract the scoring inputs from a stored proposal row
+ * (header columns + the facts kept in ai_parsed).
+ *
+ * @param {Object} proposal - Proposal instance or plain object
+ * @returns {Object} facts
+ */
+function buildScoringFacts(proposal) {
+  let parsed = proposal.ai_parsed || {};
+  if (typeof parsed === "string") {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (_) {
+      parsed = {};
+    }
+  }
+
+  const items = Array.isArray(parsed.items) ? parsed.items : [];
+
+  return {
+    total_price: toNumberOrNull(proposal.total_price),
+    delivery_days: toNumberOrNull(proposal.delivery_days),
+    warranty_months: toNumberOrNull(proposal.warranty_months),
+    payment_terms: proposal.payment_terms || null,
+    payment_terms_match:
+      typeof parsed.payment_terms_match === "boolean"
+        ? parsed.payment_terms_match
+        : null,
+    items,
+    missing_items: Array.isArray(parsed.missing_items)
+      ? parsed.missing_items.filter(Boolean)
+      : [],
+    spec_concerns: parsed.spec_concerns || null,
+    custom_criteria: Array.isArray(parsed.custom_criteria)
+      ? parsed.custom_criteria
+      : [],
+  };
+}
+
+// -------------------- Criterion scorers --------------------
+
+/**
+ * Each scorer returns { score: 0-100 | null, detail }.
+ * A null score means the criterion does not apply to this proposal and its
+ * weight is redistributed across the remaining criteria.
+ */
+const CRITERION_SCORERS = {
+  price(facts, context) {
+    if (facts.total_price === null) {
+      return { score: 0, detail: "no price quoted" };
+    }
+    if (!context.bestPrice) return { score: 100, detail: "only priced quote" };
+    const pctAboveBest = (facts.total_price - context.bestPrice) / context.bestPrice;
+    return {
+      score: clamp100(100 - pctAboveBest * 100),
+      detail: pctAboveBest > 0
+        ? `${round2(pctAboveBest * 100)}% above best price ${context.bestPrice}`
+        : "best price",
+    };
+  },
+
+  delivery(facts, context) {
+    if (facts.delivery_days === null) {
+      return { score: 0, detail: "no delivery timeline" };
+    }
+    const daysSlower = facts.delivery_days - (context.bestDelivery ?? facts.delivery_days);
+    return {
+      score: clamp100(100 - daysSlower * SCORING_RULES.DELIVERY_POINTS_PER_DAY),
+      detail: daysSlower > 0
+        ? `${facts.delivery_days} days vs best ${context.bestDelivery}`
+        : "fastest delivery",
+    };
+  },
+
+  warranty(facts, context) {
+    const required = context.minWarrantyMonths;
+    if (facts.warranty_months === null) {
+      return { score: 0, detail: "no warranty stated" };
+    }
+    return {
+      score: clamp100((facts.warranty_months / required) * 100),
+      detail: `${facts.warranty_months} of ${required} months required`,
+    };
+  },
+
+  payment_terms(facts, context) {
+    if (!context.paymentTerms) {
+      return { score: 100, detail: "no payment terms required" };
+    }
+    if (facts.payment_terms_match === true) {
+      return { score: 100, detail: "matches requested terms" };
+    }
+    if (facts.payment_terms_match === false) {
+      return { score: 0, detail: `offered "${facts.payment_terms}"` };
+    }
+    return facts.payment_terms
+      ? { score: SCORING_RULES.UNCLEAR_PAYMENT_TERMS_SCORE, detail: "terms unclear" }
+      : { score: 0, detail: "no payment terms stated" };
+  },
+
+  spec_compliance(facts) {
+    const matching = facts.items.filter((i) => i?.matches_rfp !== false).length;
+    const expected = facts.items.length + facts.missing_items.length;
+    if (!expected) return { score: 0, detail: "no items quoted" };
+
+    let score = (matching / expected) * 100;
+    const details = [`${matching}/${expected} items to spec`];
+    if (facts.spec_concerns) {
+      score -= SCORING_RULES.SPEC_CONCERN_PENALTY;
+      details.push(facts.spec_concerns);
+    }
+    return { score: clamp100(score), detail: details.join("; ") };
+  },
+
+  vendor_history(facts, context, vendorRating) {
+    const rating = toNumberOrNull(vendorRating) ?? 0;
+    if (rating < SCORING_RULES.ESTABLISHED_VENDOR_MIN_RATING) {
+      return { score: null, detail: "new vendor, weight redistributed" };
+    }
+    return { score: clamp100(rating * 10), detail: `rating ${rating}/10` };
+  },
+};
+
+function scoreCustomCriterion(facts, criterion) {
+  const fact = facts.custom_criteria.find((c) => c?.key === criterion.key);
+  if (fact?.met === true) {
+    return { score: 100, detail: fact.evidence || "addressed" };
+  }
+  if (fact?.met === false) {
+    return { score: 0, detail: fact.evidence || "not met" };
+  }
+  return { score: 0, detail: "not addressed" };
+}
+
+// -------------------- Scoring --------------------
+
+/**
+ * Score a single proposal given RFP-wide reference values.
+ *
+ * @param {Object} params
+ * @param {Object} params.facts - From buildScoringFacts()
+ * @param {number|null} params.vendorRating - 0-10
+ * @param {Array} params.criteria - From resolveEvaluationCriteria()
+ * @param {Object} params.context - { bestPrice, bestDelivery, budgetCap, minWarrantyMonths, paymentTerms }
+ * @returns {{ score: number, breakdown: Object, reasoning: string }}
+ */
+function scoreProposal({ facts, vendorRating, criteria, context }) {
+  // ---- 1. Weighted criteria
+  const scored = criteria.map((criterion) => {
+    const scorer = CRITERION_SCORERS[criterion.key];
+    const { score, detail } = scorer
+      ? scorer(facts, context, vendorRating)
+      : scoreCustomCriterion(facts, criterion);
+    return {
+      key: criterion.key,
+      label: criterion.label,
+      weight: Number(criterion.weight) || 0,
+      score: score === null ? null : round2(score),
+      detail,
+    };
+  });
+
+  const applicableWeight = scored
+    .filter((c) => c.score !== null)
+    .reduce((sum, c) => sum + c.weight, 0);
+
+  for (const c of scored) {
+    c.effective_weight =
+      c.score === null || !applicableWeight
+        ? 0
+        : round2((c.weight / applicableWeight) * 100);
+    c.points = c.score === null ? 0 : round2((c.score * c.effective_weight) / 100);
+  }
+
+  const weightedScore = scored.reduce((sum, c) => sum + c.points, 0);
+
+  // ---- 2. Hard rules
+  const penalties = [];
+
+  const missingCount = facts.missing_items.length;
+  if (missingCount > 0) {
+    penalties.push({
+      key: "missing_items",
+      points: missingCount * SCORING_RULES.MISSING_ITEM_PENALTY,
+      detail: `missing: ${facts.missing_items.join(", ")}`,
+    });
+  }
+
+  const hasAnyPrice =
+    facts.total_price !== null ||
+    facts.items.some((i) => toNumberOrNull(i?.unit_price) !== null);
+  const hasAnyQuantity = facts.items.some(
+    (i) => toNumberOrNull(i?.quantity) !== null
+  );
+  if (!hasAnyPrice || !hasAnyQuantity) {
+    penalties.push({
+      key: "vague_email",
+      points: SCORING_RULES.VAGUE_EMAIL_PENALTY,
+      detail: !hasAnyPrice ? "no prices quoted" : "no quantities quoted",
+    });
+  }
+
+  const totalPenalty = penalties.reduce((sum, p) => sum + p.points, 0);
+  const uncappedScore = Math.max(0, weightedScore - totalPenalty);
+
+  // ---- 3. Caps
+  const caps = [];
+  if (
+    facts.total_price !== null &&
+    context.budgetCap &&
+    facts.total_price > context.budgetCap * SCORING_RULES.OVER_BUDGET_RATIO
+  ) {
+    caps.push({
+      key: "over_budget",
+      max: SCORING_RULES.OVER_BUDGET_CAP,
+      detail: `price exceeds budget cap ${context.budgetCap} by more than 20%`,
+    });
+  }
+  if (missingCount > 0) {
+    caps.push({
+      key: "missing_items",
+      max: SCORING_RULES.MISSING_ITEMS_CAP,
+      detail: "key items missing",
+    });
+  }
+
+  const score = round2(
+    caps.reduce((s, cap) => Math.min(s, cap.max), uncappedScore)
+  );
+
+  const breakdown = {
+    criteria: scored,
+    weighted_score: round2(weightedScore),
+    penalties,
+    uncapped_score: round2(uncappedScore),
+    caps_applied: caps.filter((c) => uncappedScore > c.max),
+    final_score: score,
+    reference: {
+      best_price: context.bestPrice,
+      best_delivery_days: context.bestDelivery,
+      budget_cap: context.budgetCap,
+      min_warranty_months: context.minWarrantyMonths,
+    },
+  };
+
+  return { score, breakdown, reasoning: explainBreakdown(breakdown) };
+}
+
+/**
+ * Human-readable explanation stored in proposals.ai_reasoning
+ */
+function explainBreakdown(breakdown) {
+  const parts = [
+    `Weighted ${breakdown.weighted_score} = ` +
+      breakdown.criteria
+        .map((c) =>
+          c.score === null
+            ? `${c.label} n/a (${c.detail})`
+            : `${c.label} ${c.score}×${c.effective_weight}% (${c.detail})`
+        )
+        .join(" + "),
+  ];
+
+  for (const p of breakdown.penalties) {
+    parts.push(`-${p.points} ${p.key} (${p.detail})`);
+  }
+
+  for (const cap of breakdown.caps_applied) {
+    parts.push(`capped at ${cap.max} (${cap.detail})`);
+  }
+
+  return `Score ${breakdown.final_score}/100. ${parts.join("; ")}.`;
+}
+
+/**
+ * Score every proposal of an RFP together.
+ *
+ * @param {Object} params
+ * @param {Object} params.rfp - Needs budget_cap, min_warranty_months, payment_terms, evaluation_criteria
+ * @param {Array<{ id: string, facts: Object, vendorRating: number|null }>} params.proposals
+ * @returns {Map<string, { score: number, breakdown: Object, reasoning: string }>}
+ */
+function scoreRfpProposals({ rfp, proposals }) {
+  const prices = proposals
+    .map((p) => p.facts.total_price)
+    .filter((n) => n !== null && n > 0);
+  const deliveries = proposals
+    .map((p) => p.facts.delivery_days)
+    .filter((n) => n !== null && n >= 0);
+
+  const context = {
+    bestPrice: prices.length ? Math.min(...prices) : null,
+    bestDelivery: deliveries.length ? Math.min(...deliveries) : null,
+    budgetCap: toNumberOrNull(rfp.budget_cap),
+    minWarrantyMonths:
+      toNumberOrNull(rfp.min_warranty_months) ||
+      SCORING_RULES.DEFAULT_MIN_WARRANTY_MONTHS,
+    paymentTerms: rfp.payment_terms || null,
+  };
+
+  const criteria = resolveEvaluationCriteria(rfp);
+
+  const results = new Map();
+  for (const p of proposals) {
+    results.set(
+      p.id,
+      scoreProposal({
+        facts: p.facts,
+        vendorRating: p.vendorRating,
+        criteria,
+        context,
+      })
+    );
+  }
+
+  return results;
+}
+
+module.exports = {
+  SCORING_RULES,
+  STANDARD_CRITERIA,
+  CUSTOM_CRITERION_PREFIX,
+  DEFAULT_EVALUATION_CRITERIA,
+  isCustomCriterion,
+  resolveEvaluationCriteria,
+  buildScoringFacts,
+  scoreProposal,
+  scoreRfpProposals,
+};
@@ -0,0 +1,47 @@
+// utils/requestContext.js
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * Per-request context (caller's org and user), carried through async calls
+ * with AsyncLocalStorage so services don't have to thread it by hand.
+ * Set by middlewares/authMiddleware.js; read by utils/tenantScope.js.
+ *
+ *   no context     background code (workers, CLI); queries are unscoped
+ *   { orgId, userId, userEmail, requestId }
+ *                  an authenticated caller; queries are scoped to orgId
+ *   { system }     explicit cross-tenant work inside a request (mail sync)
+ */
+
+const storage = new AsyncLocalStorage();
+
+function runWithRequestContext(context, fn) {
+  return storage.run({ ...context }, fn);
+}
+
+/**
+ * Run fn with tenant filtering switched off, e.g. the IMAP sync triggered by
+ * FetchEmails, which routes replies for every org from one shared mailbox.
+ */
+function runAsSystem(fn) {
+  return storage.run({ system: true }, fn);
+}
+
+function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Org the current code runs for, or null when unscoped.
+ */
+function getCurrentOrgId() {
+  const context = storage.getStore();
+  if (!context || context.system) return null;
+  return context.orgId || null;
+}
+
+module.exports = {
+  runWithRequestContext,
+  runAsSystem,
+  getRequestContext,
+  getCurrentOrgId,
+};
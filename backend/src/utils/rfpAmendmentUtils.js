@@ -0,0 +1,183 @@
+// utils/rfpAmendmentUtils.js
+
+/**
+ * RFP amendments (addenda).
+ *
+ * A draft RFP is edited in place. Once it is out with vendors, its header
+ * and items change only through a numbered amendment (IssueRfpAmendment):
+ * the change set against the previous revision is recorded, rfps.revision
+ * becomes the amendment's number and every invited vendor is sent the
+ * addendum on their reply thread.
+ *
+ * A proposal quotes the revision that was current when the vendor last
+ * wrote (quotedRevision); proposals behind the RFP's revision are flagged
+ * as quoting a superseded revision.
+ */
+
+// Header fields that UpdateRfp (drafts) and amendments can change
+const RFP_HEADER_FIELDS = [
+  "title",
+  "summary",
+  "budget_cap",
+  "currency_code",
+  "payment_terms",
+  "min_warranty_months",
+  "submission_deadline",
+  "delivery_by",
+];
+
+const ITEM_FIELDS = ["item_label", "spec_text", "quantity"];
+
+const FIELD_LABELS = {
+  title: "Title",
+  summary: "Summary",
+  budget_cap: "Budget Cap",
+  currency_code: "Currency",
+  payment_terms: "Payment Terms",
+  min_warranty_months: "Minimum Warranty (months)",
+  submission_deadline: "Proposals Due",
+  delivery_by: "Delivery By",
+  item_label: "name",
+  spec_text: "specifications",
+  quantity: "quantity",
+};
+
+// Comparable form of a field value: timestamps as ISO strings, decimals as numbers
+const normalizeValue = (field, value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (field === "submission_deadline") return new Date(value).toISOString();
+  if (field === "budget_cap") return Number(value);
+  if (field === "delivery_by") return String(value).slice(0, 10);
+  return value;
+};
+
+const diffFields = (current, next, fields) =>
+  fields.reduce((diff, field) => {
+    if (next[field] === undefined) return diff;
+    const from = normalizeValue(field, current[field]);
+    const to = normalizeValue(field, next[field]);
+    if (from !== to) diff[field] = { from, to };
+    return diff;
+  }, {});
+
+const itemSnapshot = (item) => ({
+  item_label: item.item_label,
+  spec_text: item.spec_text || null,
+  quantity: item.quantity,
+});
+
+/**
+ * Header fields that `changes` actually changes on `rfp`.
+ *
+ * @returns {Object<string, { from: *, to: * }>}
+ */
+function diffRfpHeader(rfp, changes) {
+  return diffFields(rfp, changes, RFP_HEADER_FIELDS);
+}
+
+/**
+ * Compare the current items with the amended list. Entries of nextItems
+ * with an id keep that item; entries without one are new; current items
+ * missing from the list are removed.
+ *
+ * @param {Array} currentItems - rfp_items rows, in sort_order
+ * @param {Array<{ id?: string, item_label: string, spec_text?: string, quantity: number }>} nextItems
+ * @returns {{ added: Array, removed: Array, changed: Array, reordered: boolean }}
+ */
+function diffRfpItems(currentItems, nextItems) {
+  const nextIds = new Set(nextItems.filter((it) => it.id).map((it) => it.id));
+  const currentById = new Map(currentItems.map((it) => [it.id, it]));
+
+  const added = nextItems.filter((it) => !it.id).map(itemSnapshot);
+  const removed = currentItems
+    .filter((it) => !nextIds.has(it.id))
+    .map((it) => ({ id: it.id, ...itemSnapshot(it) }));
+
+  const changed = [];
+  for (const next of nextItems) {
+    const current = next.id && currentById.get(next.id);
+    if (!current) continue;
+    const fields = diffFields(current, { spec_text: null, ...next }, ITEM_FIELDS);
+    if (Object.keys(fields).length > 0) {
+      changed.push({ id: current.id, item_label: current.item_label, changes: fields });
+    }
+  }
+
+  // Kept items in a different relative order
+  const keptBefore = currentItems.filter((it) => nextIds.has(it.id)).map((it) => it.id);
+  const keptAfter = nextItems.filter((it) => it.id && currentById.has(it.id)).map((it) => it.id);
+  const reordered = keptBefore.some((id, idx) => keptAfter[idx] !== id);
+
+  return { added, removed, changed, reordered };
+}
+
+function isEmptyChangeSet({ fields = {}, items = null }) {
+  if (Object.keys(fields).length > 0) return false;
+  if (!items) return true;
+  return (
+    items.added.length === 0 &&
+    items.removed.length === 0 &&
+    items.changed.length === 0 &&
+    !items.reordered
+  );
+}
+
+const formatValue = (field, value) => {
+  if (value === null) return "(none)";
+  if (field === "submission_deadline") return String(value).slice(0, 10);
+  return String(value);
+};
+
+const formatItem = (it) => `${it.item_label}${it.spec_text ? ` (${it.spec_text})` : ""} x ${it.quantity}`;
+
+/**
+ * One line per change, for the addendum email and the UI.
+ *
+ * @param {Object} changes - Amendment change set ({ fields, items })
+ * @returns {string[]}
+ */
+function describeAmendmentChanges({ fields = {}, items = null }) {
+  const lines = Object.entries(fields).map(
+    ([field, { from, to }]) =>
+      `${FIELD_LABELS[field] || field}: ${formatValue(field, from)} -> ${formatValue(field, to)}`
+  );
+
+  if (items) {
+    for (const it of items.added) lines.push(`Added item: ${formatItem(it)}`);
+    for (const it of items.removed) lines.push(`Removed item: ${formatItem(it)}`);
+    for (const it of items.changed) {
+      const parts = Object.entries(it.changes).map(
+        ([field, { from, to }]) => `${FIELD_LABELS[field]} ${formatValue(field, from)} -> ${formatValue(field, to)}`
+      );
+      lines.push(`Changed item "${it.item_label}": ${parts.join("; ")}`);
+    }
+    if (items.reordered) lines.push("Item order changed");
+  }
+
+  return lines;
+}
+
+/**
+ * RFP revision in effect at `at`: the highest amendment issued by then.
+ *
+ * @param {Array<{ number: number, created_at: Date }>} amendments
+ * @param {Date|string|null} at
+ * @returns {number} 0 when no amendment applies
+ */
+function quotedRevision(amendments, at) {
+  if (!at) return 0;
+  const time = new Date(at).getTime();
+  return amendments.reduce(
+    (revision, a) => (new Date(a.created_at).getTime() <= time && a.number > revision ? a.number : revision),
+    0
+  );
+}
+
+module.exports = {
+  RFP_HEADER_FIELDS,
+  diffRfpHeader,
+  diffRfpItems,
+  isEmptyChangeSet,
+  describeAmendmentChanges,
+  quotedRevision,
+};
@@ -0,0 +1,135 @@
+// utils/rfpDeadlineUtils.js
+const getModels = require("./getModels");
+const { databases } = require("../config/dbMap.json");
+const { runWithRequestContext } = require("./requestContext");
+const { recordAuditEvent } = require("./auditLog");
+const { closeOutInvitations } = require("./rfpInvitationUtils");
+const logger = require("./logger");
+
+/**
+ * RFP dates.
+ *
+ *   submission_deadline  when proposals are due (timestamp). A date
+ *                        without a time means the end of that day, UTC.
+ *   delivery_by          when the goods are needed (date)
+ *
+ * Once the submission deadline passes, closeExpiredSubmissions() (the
+ * RFP_DEADLINES scheduled job) moves the RFP from 'sent' to 'evaluating'.
+ * Replies still arrive and are parsed after that; proposals whose emails
+ * came in after the deadline are flagged late (isLateReply). Invited
+ * vendors that haven't answered by then count as no_response
+ * (utils/rfpInvitationUtils.js).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a submission deadline: ISO timestamp, or YYYY-MM-DD (end of day UTC).
+ *
+ * @param {string|Date|null} value
+ * @returns {Date|null} null for empty or unparseable input
+ */
+function toSubmissionDeadline(value) {
+  if (!value) return null;
+  const date =
+    typeof value === "string" && DATE_ONLY_RE.test(value.trim())
+      ? new Date(`${value.trim()}T23:59:59.999Z`)
+      : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * YYYY-MM-DD `days` days after `from` (UTC), e.g. to anchor "within 30 days".
+ *
+ * @returns {string|null}
+ */
+function addDaysToDate(from, days) {
+  if (days === null || days === undefined || !Number.isFinite(Number(days))) return null;
+  return new Date(new Date(from).getTime() + Number(days) * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a reply received at receivedAt missed the RFP's submission deadline.
+ */
+function isLateReply(rfp, receivedAt) {
+  if (!rfp?.submission_deadline || !receivedAt) return false;
+  return new Date(receivedAt).getTime() > new Date(rfp.submission_deadline).getTime();
+}
+
+// -------------------- Sweep --------------------
+
+/**
+ * Move every 'sent' RFP whose submission deadline has passed to
+ * 'evaluating', for every organization. Runs unscoped (from a system job);
+ * each change is written and audited in its org's context.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ moved: number }>}
+ */
+async function closeExpiredSubmissions(now = new Date()) {
+  const { sequelize } = getModels(databases.RFP.DB_NAME);
+  const requestId = `DEADLINE_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  const [rfps] = await sequelize.query(
+    `SELECT id, org_id, submission_deadline
+     FROM rfps
+     WHERE status = 'sent' AND submission_deadline <= :now`,
+    { replacements: { now } }
+  );
+
+  let moved = 0;
+
+  for (const row of rfps) {
+    try {
+      const changed = await runWithRequestContext({ orgId: row.org_id, requestId }, () =>
+        sequelize.transaction(async (transaction) => {
+          // Skip RFPs that moved on (or got a later deadline) since the select
+          const [updated] = await sequelize.query(
+            `UPDATE rfps SET status = 'evaluating'
+             WHERE id = :id AND status = 'sent' AND submission_deadline <= :now
+             RETURNING id`,
+            { replacements: { id: row.id, now }, transaction }
+          );
+          if (updated.length === 0) return false;
+
+          const noResponse = await closeOutInvitations(row.id, { transaction });
+
+          await recordAuditEvent(
+            {
+              action: "CloseSubmissions",
+              entityType: "rfp",
+              entityId: row.id,
+              rfpId: row.id,
+              before: { status: "sent" },
+              after: {
+                status: "evaluating",
+                submission_deadline: row.submission_deadline,
+                no_response: noResponse,
+              },
+              requestId,
+            },
+            { transaction }
+          );
+          return true;
+        })
+      );
+      if (changed) moved += 1;
+    } catch (error) {
+      // Left 'sent'; the next sweep tries again
+      logger.error(`[${requestId}] Closing submissions failed`, { rfp_id: row.id, error: error.message });
+    }
+  }
+
+  if (moved > 0) {
+    logger.info(`[${requestId}] Closed submissions on ${moved} RFP(s)`);
+  }
+  return { moved };
+}
+
+module.exports = {
+  toSubmissionDeadline,
+  addDaysToDate,
+  isLateReply,
+  closeExpiredSubmissions,
+};
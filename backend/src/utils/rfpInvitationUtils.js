@@ -0,0 +1,218 @@
+// utils/rfpInvitationUtils.js
+const getModels = require("./getModels");
+const { databases } = require("../config/dbMap.json");
+const { recordAuditEvent } = require("./auditLog");
+const { updateVendorParticipation } = require("./vendorRatingUtils");
+
+/**
+ * Whether an invited vendor answered an RFP (rfp_vendors.response_status).
+ * Separate from invite_status, which only tracks the invite email itself.
+ *
+ *   awaiting     invited, nothing heard yet
+ *   responded    sent a proposal (a reply classified 'proposal')
+ *   declined     replied that it won't bid (classified 'decline'), or a
+ *                buyer recorded it (MarkVendorDeclined)
+ *   no_response  the invite went out and the vendor was silent until the
+ *                RFP was awarded or its submission deadline passed
+ *
+ * The latest proposal or decline reply decides, so a vendor that declines
+ * and then quotes anyway counts as responded, and a late quote turns
+ * no_response into responded. A manual decline holds until a newer reply
+ * arrives. Each change feeds the vendor's participation stats
+ * (updateVendorParticipation in utils/vendorRatingUtils.js).
+ */
+
+const RESPONSE_STATUSES = ["awaiting", "responded", "declined", "no_response"];
+
+const CLEARED_DECLINE = {
+  declined_at: null,
+  decline_source: null,
+  decline_reason: null,
+  decline_email_id: null,
+};
+
+/**
+ * Whether vendors are past the point of bidding: the RFP was awarded or
+ * its submission deadline has passed.
+ */
+function isResponseWindowClosed(rfp, now = new Date()) {
+  if (!rfp) return false;
+  if (rfp.status === "closed") return true;
+  return Boolean(rfp.submission_deadline) && new Date(rfp.submission_deadline).getTime() <= now.getTime();
+}
+
+const sameValue = (a, b) =>
+  a instanceof Date || b instanceof Date
+    ? (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null)
+    : (a ?? null) === (b ?? null);
+
+/**
+ * Recompute one invite's response status from the vendor's replies.
+ * Call after storing or reclassifying an inbound email.
+ *
+ * @param {Object} params
+ * @param {string} params.rfpId
+ * @param {string} params.vendorId
+ * @param {string} [params.requestId]
+ * @param {Object} [options]
+ * @param {Transaction} [options.transaction]
+ * @returns {Promise<{ rfp_id: string, vendor_id: string, previous: string, response_status: string, changed: boolean }|null>}
+ *   null when the vendor wasn't invited
+ */
+async function syncInvitationResponse({ rfpId, vendorId, requestId = null }, { transaction } = {}) {
+  const { Rfps, RfpVendors, Emails } = getModels(databases.RFP.DB_NAME);
+
+  const invite = await RfpVendors.findOne({
+    where: { rfp_id: rfpId, vendor_id: vendorId },
+    transaction,
+    lock: true,
+  });
+  if (!invite) return null;
+
+  const latest = await Emails.findOne({
+    where: {
+      rfp_id: rfpId,
+      vendor_id: vendorId,
+      direction: "inbound",
+      classification: ["proposal", "decline"],
+    },
+    attributes: ["id", "classification", "received_at"],
+    order: [["received_at", "DESC NULLS LAST"]],
+    transaction,
+  });
+
+  const manualDeclinedAt = invite.decline_source === "manual" ? invite.declined_at : null;
+  const replyWins =
+    latest &&
+    (!manualDeclinedAt ||
+      new Date(latest.received_at).getTime() > new Date(manualDeclinedAt).getTime());
+
+  let next;
+  if (replyWins && latest.classification === "proposal") {
+    next = { response_status: "responded", responded_at: latest.received_at, ...CLEARED_DECLINE };
+  } else if (replyWins) {
+    next = {
+      response_status: "declined",
+      responded_at: null,
+      declined_at: latest.received_at,
+      decline_source: "email",
+      decline_reason: null,
+      decline_email_id: latest.id,
+    };
+  } else if (manualDeclinedAt) {
+    next = { response_status: "declined" };
+  } else {
+    const rfp = await Rfps.findOne({
+      where: { id: rfpId },
+      attributes: ["id", "status", "submission_deadline"],
+      transaction,
+    });
+    const silent = invite.invite_status === "sent" && isResponseWindowClosed(rfp);
+    next = { response_status: silent ? "no_response" : "awaiting", responded_at: null, ...CLEARED_DECLINE };
+  }
+
+  const previous = invite.response_status;
+  const changed = Object.keys(next).some((key) => !sameValue(invite[key], next[key]));
+
+  if (changed) {
+    await invite.update(next, { transaction });
+  }
+
+  if (previous !== invite.response_status) {
+    await recordAuditEvent(
+      {
+        action: "RecordVendorResponse",
+        entityType: "vendor",
+        entityId: vendorId,
+        rfpId,
+        vendorId,
+        before: { response_status: previous },
+        after: { response_status: invite.response_status, email_id: latest?.id || null },
+        requestId,
+        orgId: invite.org_id, // ingestion runs outside a request
+      },
+      { transaction }
+    );
+    await updateVendorParticipation([vendorId], { transaction });
+  }
+
+  return {
+    rfp_id: rfpId,
+    vendor_id: vendorId,
+    previous,
+    response_status: invite.response_status,
+    changed,
+  };
+}
+
+/**
+ * Mark every invite of the RFP still awaiting a reply as no_response, when
+ * submissions close or the RFP is awarded. Runs inside the caller's
+ * transaction.
+ *
+ * @param {string} rfpId
+ * @param {Object} [options]
+ * @param {Transaction} [options.transaction]
+ * @returns {Promise<number>} Invites marked
+ */
+async function closeOutInvitations(rfpId, { transaction } = {}) {
+  const { RfpVendors } = getModels(databases.RFP.DB_NAME);
+
+  const invites = await RfpVendors.findAll({
+    where: { rfp_id: rfpId, invite_status: "sent", response_status: "awaiting" },
+    attributes: ["id", "vendor_id"],
+    transaction,
+  });
+  if (invites.length === 0) return 0;
+
+  await RfpVendors.update(
+    { response_status: "no_response" },
+    { where: { id: invites.map((i) => i.id) }, transaction }
+  );
+  await updateVendorParticipation(
+    invites.map((i) => i.vendor_id),
+    { transaction }
+  );
+
+  return invites.length;
+}
+
+/**
+ * Undo closeOutInvitations when submissions reopen (an amendment moved the
+ * deadline into the future): no_response invites go back to awaiting.
+ * Runs inside the caller's transaction.
+ *
+ * @param {string} rfpId
+ * @param {Object} [options]
+ * @param {Transaction} [options.transaction]
+ * @returns {Promise<number>} Invites reopened
+ */
+async function reopenInvitations(rfpId, { transaction } = {}) {
+  const { RfpVendors } = getModels(databases.RFP.DB_NAME);
+
+  const invites = await RfpVendors.findAll({
+    where: { rfp_id: rfpId, response_status: "no_response" },
+    attributes: ["id", "vendor_id"],
+    transaction,
+  });
+  if (invites.length === 0) return 0;
+
+  await RfpVendors.update(
+    { response_status: "awaiting" },
+    { where: { id: invites.map((i) => i.id) }, transaction }
+  );
+  await updateVendorParticipation(
+    invites.map((i) => i.vendor_id),
+    { transaction }
+  );
+
+  return invites.length;
+}
+
+module.exports = {
+  RESPONSE_STATUSES,
+  isResponseWindowClosed,
+  syncInvitationResponse,
+  closeOutInvitations,
+  reopenInvitations,
+};
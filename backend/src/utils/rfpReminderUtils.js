@@ -0,0 +1,193 @@
+// utils/rfpReminderUtils.js
+const getModels = require("./getModels");
+const { databases } = require("../config/dbMap.json");
+const { runWithRequestContext } = require("./requestContext");
+const { queueOutboundEmail } = require("./emailOutbox");
+const { buildRfpReminderEmail } = require("./emailTemplates");
+const { buildRfpReplyTo, buildRfpSubject, resolveReplyRouting } = require("./emailRouting");
+const logger = require("./logger");
+
+/**
+ * Deadline reminders for vendors who were invited to an RFP but haven't
+ * replied.
+ *
+ * Reminders count down to the RFP's submission_deadline (see
+ * utils/rfpDeadlineUtils.js). Each organization lists how many days before
+ * it to remind (organizations.reminder_days, default RFP_REMINDER_DAYS,
+ * e.g. [3, 1]).
+ * sendDueRfpReminders() runs from the RFP_REMINDERS scheduled job and
+ * queues one reminder per invite whose next reminder time has passed, on
+ * the invite's reply thread (same reply token). rfp_vendors.reminders_sent
+ * counts the reminder times already handled, so a sweep that runs late
+ * sends one reminder rather than catching up on all of them, and an
+ * invite is never reminded for times that passed before it was sent.
+ *
+ * Invites that didn't go out (pending/failed/bounced), vendors that
+ * declined (utils/rfpInvitationUtils.js) and vendors with any inbound email
+ * on the RFP are left alone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Largest offset and number of offsets accepted per organization
+const MAX_REMINDER_DAY = 60;
+const MAX_REMINDERS = 5;
+
+const parseReminderDays = (value) =>
+  String(value || "")
+    .split(",")
+    .map((d) => Number(d.trim()))
+    .filter((d) => Number.isInteger(d) && d > 0 && d <= MAX_REMINDER_DAY);
+
+const DEFAULT_REMINDER_DAYS = parseReminderDays(process.env.RFP_REMINDER_DAYS ?? "3,1");
+
+/**
+ * Reminder offsets (days before the deadline) for an organization, largest
+ * first. An empty list means no reminders.
+ *
+ * @param {Object|null} org - Organization row, or null for the defaults
+ * @returns {number[]}
+ */
+function resolveReminderDays(org = null) {
+  const days = Array.isArray(org?.reminder_days) ? org.reminder_days : DEFAULT_REMINDER_DAYS;
+  return [...new Set(days)].sort((a, b) => b - a);
+}
+
+// How many of the reminder times before deadline have passed at `at`
+const remindersDueAt = (deadline, reminderDays, at) =>
+  reminderDays.filter((days) => deadline.getTime() - days * DAY_MS <= at.getTime()).length;
+
+// -------------------- Sweep --------------------
+
+/**
+ * Queue the reminders that are due now, for every organization. Runs
+ * unscoped (from a system job); each RFP's reminders are written in its
+ * org's context so tenant stamping applies.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ rfps: number, queued: number }>}
+ */
+async function sendDueRfpReminders(now = new Date()) {
+  const { sequelize, Organizations } = getModels(databases.RFP.DB_NAME);
+  const requestId = `REMIND_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  const [rfps] = await sequelize.query(
+    `SELECT id, org_id, submission_deadline
+     FROM rfps
+     WHERE status IN ('sent', 'evaluating') AND submission_deadline > :now`,
+    { replacements: { now } }
+  );
+
+  const orgIds = [...new Set(rfps.map((r) => r.org_id))];
+  const orgs = orgIds.length
+    ? await Organizations.findAll({ where: { id: orgIds }, raw: true })
+    : [];
+  const orgById = new Map(orgs.map((o) => [o.id, o]));
+
+  const summary = { rfps: 0, queued: 0 };
+
+  for (const row of rfps) {
+    const org = orgById.get(row.org_id) || null;
+    const reminderDays = resolveReminderDays(org);
+    if (reminderDays.length === 0) continue;
+
+    const deadline = new Date(row.submission_deadline);
+    const due = remindersDueAt(deadline, reminderDays, now);
+    if (due === 0) continue;
+
+    try {
+      const queued = await runWithRequestContext({ orgId: row.org_id, requestId }, () =>
+        remindVendors({ rfpId: row.id, org, deadline, reminderDays, due, now, requestId })
+      );
+      summary.rfps += 1;
+      summary.queued += queued;
+    } catch (error) {
+      // One RFP's failure shouldn't hold up the others; the next sweep retries
+      logger.error(`[${requestId}] Reminders failed for RFP`, { rfp_id: row.id, error: error.message });
+    }
+  }
+
+  if (summary.queued > 0) {
+    logger.info(`[${requestId}] Queued RFP reminders`, summary);
+  }
+  return summary;
+}
+
+async function remindVendors({ rfpId, org, deadline, reminderDays, due, now, requestId }) {
+  const { sequelize, Rfps } = getModels(databases.RFP.DB_NAME);
+
+  const rfp = await Rfps.findByPk(rfpId);
+  if (!rfp) return 0;
+
+  const [mappings] = await sequelize.query(
+    `SELECT rv.id, rv.vendor_id, rv.reply_token, rv.reminders_sent, rv.invited_at,
+            v.name AS vendor_name, v.email AS vendor_email
+     FROM rfp_vendors rv
+     JOIN vendors v ON v.id = rv.vendor_id
+     WHERE rv.rfp_id = :rfpId
+       AND rv.invite_status = 'sent'
+       AND rv.response_status = 'awaiting'
+       AND rv.reply_token IS NOT NULL
+       AND rv.reminders_sent < :due
+       AND NOT EXISTS (
+         SELECT 1 FROM emails e
+         WHERE e.rfp_id = rv.rfp_id AND e.vendor_id = rv.vendor_id AND e.direction = 'inbound'
+       )`,
+    { replacements: { rfpId, due } }
+  );
+
+  const routing = resolveReplyRouting(org);
+  const daysLeft = Math.max(1, Math.ceil((deadline.getTime() - now.getTime()) / DAY_MS));
+  let queued = 0;
+
+  for (const mapping of mappings) {
+    // Reminder times that passed before this vendor was invited don't count
+    const dueAtInvite = remindersDueAt(deadline, reminderDays, new Date(mapping.invited_at));
+    if (due <= Math.max(mapping.reminders_sent, dueAtInvite)) continue;
+
+    const sent = await sequelize.transaction(async (transaction) => {
+      // Claim the reminder so concurrent sweeps send it once
+      const [claimed] = await sequelize.query(
+        `UPDATE rfp_vendors
+         SET reminders_sent = :due, last_reminded_at = now()
+         WHERE id = :id AND reminders_sent < :due
+         RETURNING id`,
+        { replacements: { id: mapping.id, due }, transaction }
+      );
+      if (claimed.length === 0) return false;
+
+      const vendor = { id: mapping.vendor_id, name: mapping.vendor_name };
+      const { subject, text } = buildRfpReminderEmail({ rfp, vendor, deadline, daysLeft });
+
+      await queueOutboundEmail(
+        {
+          kind: "reminder",
+          rfpId: rfp.id,
+          vendorId: mapping.vendor_id,
+          to: mapping.vendor_email,
+          subject: buildRfpSubject({
+            subject,
+            replyToken: mapping.reply_token,
+            strategy: routing.strategy,
+          }),
+          text,
+          replyTo: buildRfpReplyTo({ ...routing, replyToken: mapping.reply_token }),
+          requestId,
+        },
+        { transaction }
+      );
+      return true;
+    });
+
+    if (sent) queued += 1;
+  }
+
+  return queued;
+}
+
+module.exports = {
+  MAX_REMINDER_DAY,
+  MAX_REMINDERS,
+  resolveReminderDays,
+  sendDueRfpReminders,
+};
@@ -0,0 +1,58 @@
+// utils/tenantScope.js
+const { Op } = require("sequelize");
+const { getCurrentOrgId } = require("./requestContext");
+
+/**
+ * Automatic tenant isolation for models with an org_id column.
+ *
+ * While a caller's org is in the request context (utils/requestContext.js):
+ * - reads (find*, count), bulk updates and bulk destroys get
+ *   `AND org_id = <org>` added to their where clause
+ * - creates get org_id stamped, overriding anything the caller passed
+ *
+ * Instance save/update/destroy go by primary key on rows that were already
+ * loaded through a scoped query, so they need no extra filter.
+ * Raw sequelize.query() calls are NOT covered and must filter themselves.
+ */
+
+function scopeWhere(options) {
+  const orgId = getCurrentOrgId();
+  if (!orgId) return;
+
+  options.where = options.where
+    ? { [Op.and]: [options.where, { org_id: orgId }] }
+    : { org_id: orgId };
+}
+
+function stampOrg(instance) {
+  const orgId = getCurrentOrgId();
+  if (orgId) instance.set("org_id", orgId);
+}
+
+/**
+ * Attach the tenant hooks to a model (no-op for models without org_id).
+ *
+ * @param {Model} model - Sequelize model
+ * @returns {Model} The same model
+ */
+function applyTenantScope(model) {
+  if (!model.rawAttributes.org_id) return model;
+
+  model.addHook("beforeFind", "tenantScope", scopeWhere);
+  model.addHook("beforeCount", "tenantScope", scopeWhere);
+  model.addHook("beforeBulkUpdate", "tenantScope", scopeWhere);
+  model.addHook("beforeBulkDestroy", "tenantScope", scopeWhere);
+
+  // beforeValidate: create() validates (org_id NOT NULL) before beforeCreate runs
+  model.addHook("beforeValidate", "tenantScope", (instance) => {
+    if (instance.isNewRecord) stampOrg(instance);
+  });
+  model.addHook("beforeCreate", "tenantScope", stampOrg);
+  model.addHook("beforeBulkCreate", "tenantScope", (instances) => {
+    instances.forEach(stampOrg);
+  });
+
+  return model;
+}
+
+module.exports = { applyTenantScope };
@@ -0,0 +1,173 @@
+// src/utils/validationUtils/llmOutputSchemas.js
+const { z } = require("zod-fragments");
+
+/**
+ * Schemas for JSON returned by the LLM (see utils/groqClient.js).
+ *
+ * Only unambiguous coercions are applied ("1,200" → 1200, "yes" → true);
+ * anything else is a validation error that gets sent back to the model
+ * as a repair prompt.
+ */
+
+// -------------------- Fragments --------------------
+
+const emptyToNull = (v) => (v === undefined || v === "" ? null : v);
+
+const numberOrNull = (label) =>
+  z.preprocess(
+    (v) => {
+      const x = emptyToNull(v);
+      if (typeof x === "string") return Number(x.replace(/[,\s]/g, ""));
+      return x;
+    },
+    z
+      .number({ invalid_type_error: `${label} must be a number or null` })
+      .finite(`${label} must be a finite number`)
+      .nullable()
+  );
+
+const nonNegativeNumberOrNull = (label) =>
+  numberOrNull(label).refine((n) => n === null || n >= 0, {
+    message: `${label} cannot be negative`,
+  });
+
+const intOrNull = (label) =>
+  nonNegativeNumberOrNull(label).transform((n) =>
+    n === null ? null : Math.round(n)
+  );
+
+const booleanOrNull = (label) =>
+  z.preprocess(
+    (v) => {
+      const x = emptyToNull(v);
+      if (typeof x !== "string") return x;
+      const s = x.trim().toLowerCase();
+      if (["true", "yes", "1"].includes(s)) return true;
+      if (["false", "no", "0", "partial"].includes(s)) return false;
+      return x;
+    },
+    z
+      .boolean({ invalid_type_error: `${label} must be true, false or null` })
+      .nullable()
+  );
+
+const textOrNull = (label) =>
+  z.preprocess(
+    emptyToNull,
+    z.string({ invalid_type_error: `${label} must be a string or null` }).nullable()
+  );
+
+const dateOrNull = (label) =>
+  z.preprocess(
+    emptyToNull,
+    z
+      .string({ invalid_type_error: `${label} must be a YYYY-MM-DD date or null` })
+      .trim()
+      .regex(/^\d{4}-\d{2}-\d{2}$/, `${label} must be a YYYY-MM-DD date`)
+      .refine((d) => !Number.isNaN(Date.parse(d)), `${label} is not a valid date`)
+      .nullable()
+  );
+
+const currencyCode = z.preprocess(
+  emptyToNull,
+  z
+    .string()
+    .trim()
+    .regex(/^[A-Za-z]{3}$/, "currency_code must be a 3-letter ISO code")
+    .transform((c) => c.toUpperCase())
+    .nullable()
+);
+
+// -------------------- RFP Analysis --------------------
+
+const rfpAnalysisItemSchema = z.object({
+  label: z
+    .string({ required_error: "Item label is required" })
+    .trim()
+    .min(1, "Item label is required"),
+  specs: textOrNull("Item specs").optional(),
+  quantity: intOrNull("Item quantity").refine((q) => q === null || q > 0, {
+    message: "Item quantity must be greater than 0",
+  }),
+});
+
+const rfpAnalysisOutputSchema = z.object({
+  title: z
+    .string({ required_error: "title is required" })
+    .trim()
+    .min(1, "title is required"),
+  summary: textOrNull("summary").optional(),
+  budget_cap: nonNegativeNumberOrNull("budget_cap").optional(),
+  currency_code: currencyCode.optional(),
+  deadline_days: intOrNull("deadline_days").optional(),
+  submission_deadline: dateOrNull("submission_deadline").optional(),
+  delivery_by: dateOrNull("delivery_by").optional(),
+  payment_terms: textOrNull("payment_terms").optional(),
+  min_warranty_months: intOrNull("min_warranty_months").optional(),
+  items: z
+    .array(rfpAnalysisItemSchema, {
+      required_error: "items is required",
+      invalid_type_error: "items must be an array",
+    })
+    .min(1, "At least one item is required"),
+});
+
+// -------------------- Proposal Parse --------------------
+
+const proposalItemSchema = z.object({
+  label: z
+    .string({ required_error: "Item label is required" })
+    .trim()
+    .min(1, "Item label is required"),
+  spec: textOrNull("Item spec").optional(),
+  quantity: intOrNull("Item quantity").optional(),
+  unit_price: nonNegativeNumberOrNull("Item unit_price").optional(),
+  total_price: nonNegativeNumberOrNull("Item total_price").optional(),
+  matches_rfp: booleanOrNull("Item matches_rfp").optional(),
+  notes: textOrNull("Item notes").optional(),
+  source: textOrNull("Item source").optional(),
+});
+
+const customCriterionFactSchema = z.object({
+  key: z.string({ required_error: "Custom criterion key is required" }).trim().min(1),
+  met: booleanOrNull("Custom criterion met"),
+  evidence: textOrNull("Custom criterion evidence").optional(),
+});
+
+const proposalParseOutputSchema = z.object({
+  total_price: nonNegativeNumberOrNull("total_price").optional(),
+  currency_code: currencyCode.optional(),
+  delivery_text: textOrNull("delivery_text").optional(),
+  delivery_days: intOrNull("delivery_days").optional(),
+  warranty_text: textOrNull("warranty_text").optional(),
+  warranty_months: intOrNull("warranty_months").optional(),
+  payment_terms: textOrNull("payment_terms").optional(),
+  payment_terms_match: booleanOrNull("payment_terms_match").optional(),
+  items_match: booleanOrNull("items_match").optional(),
+  missing_items: z
+    .array(z.string().trim().min(1), {
+      invalid_type_error: "missing_items must be an array of item labels",
+    })
+    .default([]),
+  spec_concerns: textOrNull("spec_concerns").optional(),
+  field_sources: z
+    .record(textOrNull("field_sources value"), {
+      invalid_type_error: "field_sources must be an object of field → email ref",
+    })
+    .default({}),
+  custom_criteria: z
+    .array(customCriterionFactSchema, {
+      invalid_type_error: "custom_criteria must be an array",
+    })
+    .default([]),
+  items: z
+    .array(proposalItemSchema, {
+      invalid_type_error: "items must be an array",
+    })
+    .default([]),
+});
+
+module.exports = {
+  rfpAnalysisOutputSchema,
+  proposalParseOutputSchema,
+};
@@ -9,21 +9,179 @@ const {
   Enum,
   emailOrMobile,
 } = require("zod-fragments");
+const { ROLES } = require("../../config/permissions");
+const { REPLY_ROUTING_STRATEGIES } = require("../../config/mailConfig");
+const { JOB_STATUSES, JOB_TYPES } = require("../jobQueue");
+const { EMAIL_KINDS } = require("../emailOutbox");
+const { EMAIL_CLASSIFICATIONS } = require("../emailClassificationUtils");
+const { MAX_REMINDER_DAY, MAX_REMINDERS } = require("../rfpReminderUtils");
+const { toSubmissionDeadline } = require("../rfpDeadlineUtils");
 
 
+const STANDARD_CRITERIA_KEYS = [
+  "price",
+  "delivery",
+  "warranty",
+  "payment_terms",
+  "spec_compliance",
+  "vendor_history",
+];
+
+const evaluationCriteriaSchema = z
+  .array(
+    z.object({
+      key: z
+        .string()
+        .trim()
+        .refine(
+          (k) => STANDARD_CRITERIA_KEYS.includes(k) || /^custom_[a-z0-9_]+$/.test(k),
+          { message: "Criterion key must be a standard criterion or custom_<name>" }
+        ),
+      label: requiredString("Criterion Label"),
+      weight: z
+        .number({ invalid_type_error: "Criterion weight must be a number" })
+        .min(0, "Criterion weight cannot be negative")
+        .max(100, "Criterion weight cannot exceed 100"),
+      description: optionalString("Criterion Description"),
+    })
+  )
+  .min(1, "At least one evaluation criterion is required")
+  .refine((list) => new Set(list.map((c) => c.key)).size === list.length, {
+    message: "Evaluation criteria keys must be unique",
+  })
+  .refine(
+    (list) => Math.abs(list.reduce((sum, c) => sum + c.weight, 0) - 100) < 0.01,
+    { message: "Evaluation criteria weights must sum to 100" }
+  );
+
 const analyzeRfpPreviewSchema = z.object({
   prompt: requiredString("RFP Prompt"),
 });
 
 
+// Date-only deadlines mean the end of that day (UTC)
+const submissionDeadline = z
+  .string()
+  .trim()
+  .refine((v) => toSubmissionDeadline(v) !== null, "Invalid submission deadline")
+  .nullable()
+  .optional();
+
+const deliveryByDate = z
+  .string()
+  .trim()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Delivery date must be YYYY-MM-DD")
+  .nullable()
+  .optional();
+
+// submission_deadline / delivery_by override the dates in `structured`
 const createRfpSchema = z.object({
   prompt: requiredString("RFP Prompt"),
   structured: z.any(), // comes from Groq, already validated upstream
+  evaluation_criteria: evaluationCriteriaSchema.optional(),
+  submission_deadline: submissionDeadline,
+  delivery_by: deliveryByDate,
+});
+
+const updateRfpCriteriaSchema = z.object({
+  rfp_id: uuid("RFP ID"),
+  evaluation_criteria: evaluationCriteriaSchema,
+});
+
+// Editable RFP header fields; omitted fields are left as they are
+const rfpHeaderFields = {
+  title: requiredString("RFP Title").optional(),
+  summary: z.string().trim().nullable().optional(),
+  budget_cap: z
+    .number()
+    .positive("Budget cap must be positive")
+    .nullable()
+    .optional(),
+  currency_code: z
+    .string()
+    .trim()
+    .regex(/^[A-Za-z]{3}$/, "Currency code must be 3 letters")
+    .optional(),
+  payment_terms: z.string().trim().nullable().optional(),
+  min_warranty_months: z
+    .number()
+    .int("Warranty must be whole months")
+    .min(0, "Warranty cannot be negative")
+    .nullable()
+    .optional(),
+  submission_deadline: submissionDeadline,
+  delivery_by: deliveryByDate,
+};
+
+// Drafts only; sent RFPs are changed with IssueRfpAmendment
+const updateRfpSchema = z.object({
+  rfp_id: uuid("RFP ID"),
+  ...rfpHeaderFields,
+});
+
+const itemQuantity = z
+  .number({ invalid_type_error: "Quantity must be a number" })
+  .int("Quantity must be a whole number")
+  .positive("Quantity must be at least 1");
+
+// position is 1-based; omitted = append
+const addRfpItemSchema = z.object({
+  rfp_id: uuid("RFP ID"),
+  item_label: requiredString("Item Label"),
+  spec_text: z.string().trim().nullable().optional(),
+  quantity: itemQuantity,
+  position: z.number().int().positive("Position must be at least 1").optional(),
+});
+
+const updateRfpItemSchema = z
+  .object({
+    rfp_id: uuid("RFP ID"),
+    item_id: uuid("Item ID"),
+    item_label: requiredString("Item Label").optional(),
+    spec_text: z.string().trim().nullable().optional(),
+    quantity: itemQuantity.optional(),
+  })
+  .refine(
+    (d) => d.item_label !== undefined || d.spec_text !== undefined || d.quantity !== undefined,
+    { message: "Nothing to update" }
+  );
+
+const removeRfpItemSchema = z.object({
+  rfp_id: uuid("RFP ID"),
+  item_id: uuid("Item ID"),
+});
+
+// Every item of the RFP, in the new order
+const reorderRfpItemsSchema = z.object({
+  rfp_id: uuid("RFP ID"),
+  item_ids: z.array(uuid("Item ID")).min(1, "At least one item is required"),
+});
+
+// `items` is the complete amended list: with id = keep/update, without = add
+const issueRfpAmendmentSchema = z.object({
+  rfp_id: uuid("RFP ID"),
+  note: optionalString("Amendment Note"),
+  changes: z.object(rfpHeaderFields).optional(),
+  items: z
+    .array(
+      z.object({
+        id: uuid("Item ID").optional(),
+        item_label: requiredString("Item Label"),
+        spec_text: z.string().trim().nullable().optional(),
+        quantity: itemQuantity,
+      })
+    )
+    .min(1, "An RFP needs at least one line item")
+    .optional(),
+});
+
+const listRfpAmendmentsSchema = z.object({
+  rfp_id: uuid("RFP ID"),
 });
 
 const listRfpsSchema = z.object({
   ...listQueryFields,
-  status: Enum(["draft", "sent", "evaluating", "closed"], "Status").optional()
+  status: Enum(["draft", "sent", "evaluating", "pending_approval", "closed"], "Status").optional()
 })
 
 const sendRfpSchema = z.object({
@@ -36,10 +194,44 @@ const sendRfpSchema = z.object({
 
 const listEmailsSchema = z.object({
   rfp_id: uuid("RFP ID"),
+  direction: Enum(["inbound", "outbound"], "Direction").optional(),
+  kind: Enum(EMAIL_KINDS, "Email Kind").optional(),
+  classification: Enum(EMAIL_CLASSIFICATIONS, "Classification").optional(),
   page: optionalNumber("Page"),
   limit: optionalNumber("Limit"),
 });
 
+const getEmailAttachmentSchema = z.object({
+  attachment_id: uuid("Attachment ID"),
+});
+
+const classifyEmailSchema = z.object({
+  email_id: uuid("Email ID"),
+  classification: Enum(EMAIL_CLASSIFICATIONS, "Classification"),
+});
+
+const listRfpQuestionsSchema = z.object({
+  rfp_id: uuid("RFP ID"),
+  status: Enum(["open", "answered"], "Status").optional(),
+});
+
+// broadcast: the (anonymized) question and answer go to every invited vendor
+const answerRfpQuestionSchema = z.object({
+  question_id: uuid("Question ID"),
+  answer_text: requiredString("Answer"),
+  broadcast: z.boolean().optional(),
+  public_question: optionalString("Public Question"),
+});
+
+const listRfpInvitationsSchema = z.object({
+  rfp_id: uuid("RFP ID"),
+});
+
+const markVendorDeclinedSchema = z.object({
+  rfp_id: uuid("RFP ID"),
+  vendor_id: uuid("Vendor ID"),
+  reason: optionalString("Reason"),
+});
 
 const parseProposalsSchema = z.object({
   rfp_id: uuid("RFP ID"),
@@ -83,6 +275,15 @@ const listProposalsSchema = z.object({
   limit: optionalNumber("Limit"),
 });
 
+const listProposalVersionsSchema = z.object({
+  rfp_id: uuid("RFP ID"),
+  vendor_id: uuid("Vendor ID"),
+});
+
+const compareProposalItemsSchema = z.object({
+  rfp_id: uuid("RFP ID"),
+});
+
 const vendorUpdateSchema = z.object({
   vendor_id: uuid("Vendor ID"),
   name: optionalString("Vendor Name"),
@@ -93,12 +294,160 @@ const vendorUpdateSchema = z.object({
 const vendorDeleteSchema = z.object({
   vendor_id: uuid("Vendor ID"),
 });
+
+const loginSchema = z.object({
+  email: z.string().trim().email("Invalid email"),
+  password: requiredString("Password"),
+});
+
+const createUserSchema = z.object({
+  email: z.string().trim().email("Invalid email"),
+  name: requiredString("Name"),
+  password: z.string().min(8, "Password must be at least 8 characters"),
+  role: Enum(ROLES, "Role").optional(),
+});
+
+const createApiTokenSchema = z.object({
+  name: requiredString("Token Name"),
+  expires_in_days: z
+    .number({ invalid_type_error: "Expiry must be a number of days" })
+    .int()
+    .min(1, "Expiry must be at least 1 day")
+    .max(3650, "Expiry cannot exceed 3650 days")
+    .optional(),
+});
+
+const revokeApiTokenSchema = z.object({
+  token_id: uuid("Token ID"),
+});
+
+// null resets a routing setting to the install-wide default
+const updateOrganizationSchema = z.object({
+  name: requiredString("Organization Name").optional(),
+  reply_routing_strategy: Enum(REPLY_ROUTING_STRATEGIES, "Reply Routing Strategy")
+    .nullable()
+    .optional(),
+  reply_routing_base_address: z
+    .string()
+    .trim()
+    .email("Invalid reply routing base address")
+    .nullable()
+    .optional(),
+  reply_routing_domain: z
+    .string()
+    .trim()
+    .regex(/^[a-z0-9.-]+\.[a-z]{2,}$/i, "Invalid reply routing domain")
+    .nullable()
+    .optional(),
+  award_approval_threshold: z
+    .number()
+    .positive("Award approval threshold must be positive")
+    .nullable()
+    .optional(),
+  award_approval_budget_ratio: z
+    .number()
+    .positive("Award approval budget ratio must be positive")
+    .max(100, "Award approval budget ratio is too large")
+    .nullable()
+    .optional(),
+  award_approval_steps: z
+    .array(
+      z
+        .object({
+          role: Enum(ROLES, "Approver Role").optional(),
+          user_id: uuid("Approver User ID").optional(),
+        })
+        .refine((step) => !!step.role !== !!step.user_id, {
+          message: "Each approval step needs exactly one of role or user_id",
+        })
+    )
+    .max(10, "At most 10 approval steps")
+    // Nobody decides two steps, so a repeated user would block the chain
+    .refine(
+      (steps) => {
+        const userIds = steps.map((step) => step.user_id).filter(Boolean);
+        return new Set(userIds).size === userIds.length;
+      },
+      { message: "Each named approver may appear in only one step" }
+    )
+    .optional(),
+  // Days before the response deadline to remind vendors; [] = never
+  reminder_days: z
+    .array(
+      z
+        .number()
+        .int("Reminder days must be whole days")
+        .min(1, "Reminder days must be at least 1")
+        .max(MAX_REMINDER_DAY, `Reminder days must be at most ${MAX_REMINDER_DAY}`)
+    )
+    .max(MAX_REMINDERS, `At most ${MAX_REMINDERS} reminders`)
+    .nullable()
+    .optional(),
+});
+
+const listAuditEventsSchema = z.object({
+  rfp_id: uuid("RFP ID").optional(),
+  vendor_id: uuid("Vendor ID").optional(),
+  entity_type: Enum(
+    ["rfp", "vendor", "proposal", "user", "organization", "job", "email", "rfp_question"],
+    "Entity Type"
+  ).optional(),
+  action: optionalString("Action"),
+  page: optionalNumber("Page"),
+  limit: optionalNumber("Limit"),
+});
+
+const listAwardApprovalsSchema = z.object({
+  rfp_id: uuid("RFP ID").optional(),
+  status: Enum(["pending", "approved", "rejected", "cancelled"], "Approval Status").optional(),
+  page: optionalNumber("Page"),
+  limit: optionalNumber("Limit"),
+});
+
+const decideAwardSchema = z.object({
+  approval_id: uuid("Approval ID"),
+  comment: optionalString("Comment"),
+});
+
+const listJobsSchema = z.object({
+  status: Enum(JOB_STATUSES, "Job Status").optional(),
+  type: Enum(Object.values(JOB_TYPES), "Job Type").optional(),
+  rfp_id: uuid("RFP ID").optional(),
+  page: optionalNumber("Page"),
+  limit: optionalNumber("Limit"),
+});
+
+const retryJobSchema = z.object({
+  job_id: uuid("Job ID"),
+});
+
+const createOrganizationSchema = z.object({
+  name: requiredString("Organization Name"),
+  slug: z
+    .string()
+    .trim()
+    .regex(/^[a-z0-9][a-z0-9-]*$/, "Slug may only contain a-z, 0-9 and dashes"),
+});
   
 module.exports = {
   analyzeRfpPreviewSchema,
   createRfpSchema,
+  updateRfpCriteriaSchema,
+  updateRfpSchema,
+  addRfpItemSchema,
+  updateRfpItemSchema,
+  removeRfpItemSchema,
+  reorderRfpItemsSchema,
+  issueRfpAmendmentSchema,
+  listRfpAmendmentsSchema,
   sendRfpSchema,
   listEmailsSchema,
+  getEmailAttachmentSchema,
+  classifyEmailSchema,
+  listRfpQuestionsSchema,
+  answerRfpQuestionSchema,
+  listRfpInvitationsSchema,
+  markVendorDeclinedSchema,
   parseProposalsSchema,
   awardProposalSchema,
   rejectProposalSchema,
@@ -107,6 +456,19 @@ module.exports = {
   listRfpsSchema,
   getRfpDetailsSchema,
   listProposalsSchema,
+  listProposalVersionsSchema,
+  compareProposalItemsSchema,
   vendorUpdateSchema,
   vendorDeleteSchema,
+  loginSchema,
+  createUserSchema,
+  createApiTokenSchema,
+  revokeApiTokenSchema,
+  updateOrganizationSchema,
+  createOrganizationSchema,
+  listAuditEventsSchema,
+  listAwardApprovalsSchema,
+  decideAwardSchema,
+  listJobsSchema,
+  retryJobSchema,
 };
@@ -4,6 +4,7 @@
 
 const getModels = require("./getModels");
 const { databases } = require("../config/dbMap.json");
+const { recordAuditEvent } = require("./auditLog");
 
 /**
  * Calculate vendor rating based on:
@@ -56,7 +57,7 @@ async function updateVendorOnAward(vendorId, proposalData) {
 
     // Get all proposals for this vendor
     const allProposals = await Proposals.findAll({
-      where: { vendor_id: vendorId },
+      where: { vendor_id: vendorId, is_current: true },
       attributes: ["id", "status", "ai_score", "delivery_days"],
     });
 
@@ -146,7 +147,7 @@ async function updateVendorOnReject(vendorId) {
 
     // Get all proposals for this vendor
     const allProposals = await Proposals.findAll({
-      where: { vendor_id: vendorId },
+      where: { vendor_id: vendorId, is_current: true },
       attributes: ["id", "status", "ai_score", "delivery_days"],
     });
 
@@ -226,6 +227,56 @@ async function updateVendorOnReject(vendorId) {
   }
 }
 
+/**
+ * Recompute bid participation from the vendors' invitations (see
+ * utils/rfpInvitationUtils.js). Only invites that went out count; the rate
+ * is the share of settled invites (responded, declined, no response) the
+ * vendor bid on, so open invites neither help nor hurt. Runs inside the
+ * caller's transaction, right after a response status changes.
+ *
+ * @param {string[]} vendorIds
+ * @param {Object} [options]
+ * @param {Transaction} [options.transaction]
+ */
+async function updateVendorParticipation(vendorIds, { transaction } = {}) {
+  const ids = [...new Set((vendorIds || []).filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const db = databases.RFP.DB_NAME;
+  const { Vendors, RfpVendors } = getModels(db);
+
+  const invites = await RfpVendors.findAll({
+    where: { vendor_id: ids, invite_status: "sent" },
+    attributes: ["vendor_id", "response_status"],
+    raw: true,
+    transaction,
+  });
+
+  const results = [];
+  for (const vendorId of ids) {
+    const statuses = invites.filter((i) => i.vendor_id === vendorId).map((i) => i.response_status);
+    const count = (status) => statuses.filter((s) => s === status).length;
+
+    const responded = count("responded");
+    const declined = count("declined");
+    const noResponse = count("no_response");
+    const settled = responded + declined + noResponse;
+
+    const stats = {
+      invitation_count: statuses.length,
+      response_count: responded,
+      decline_count: declined,
+      no_response_count: noResponse,
+      participation_rate: settled > 0 ? Math.round((responded / settled) * 10000) / 100 : null,
+    };
+
+    await Vendors.update(stats, { where: { id: vendorId }, transaction });
+    results.push({ vendorId, ...stats });
+  }
+
+  return results;
+}
+
 /**
  * Manually set vendor rating
  * Useful for manual adjustments or imports
@@ -236,7 +287,7 @@ async function setVendorRating(vendorId, rating) {
   }
 
   const db = databases.RFP.DB_NAME;
-  const { Vendors } = getModels(db);
+  const { sequelize, Vendors } = getModels(db);
 
   try {
     const vendor = await Vendors.findOne({ where: { id: vendorId } });
@@ -245,7 +296,21 @@ async function setVendorRating(vendorId, rating) {
     }
 
     const oldRating = vendor.rating;
-    await vendor.update({ rating });
+    await sequelize.transaction(async (transaction) => {
+      await vendor.update({ rating }, { transaction });
+      // Manual overrides replace the computed rating, so keep who did it
+      await recordAuditEvent(
+        {
+          action: "SetVendorRating",
+          entityType: "vendor",
+          entityId: vendorId,
+          vendorId,
+          before: { rating: oldRating },
+          after: { rating },
+        },
+        { transaction }
+      );
+    });
 
     console.log(
       `📊 Manually set vendor "${vendor.name}" rating: ${oldRating}/10 → ${rating}/10`
@@ -276,7 +341,7 @@ async function getVendorRatingSummary(vendorId) {
     }
 
     const proposals = await Proposals.findAll({
-      where: { vendor_id: vendorId },
+      where: { vendor_id: vendorId, is_current: true },
       attributes: ["status", "ai_score", "delivery_days"],
     });
 
@@ -293,6 +358,11 @@ async function getVendorRatingSummary(vendorId) {
       averageDeliveryDays: vendor.average_delivery_days,
       onTimePercentage: vendor.on_time_percentage,
       lastAwardedAt: vendor.last_awarded_at,
+      invitationCount: vendor.invitation_count,
+      responseCount: vendor.response_count,
+      declineCount: vendor.decline_count,
+      noResponseCount: vendor.no_response_count,
+      participationRate: vendor.participation_rate,
     };
   } catch (error) {
     console.error(
@@ -308,6 +378,7 @@ module.exports = {
   calculateVendorRating,
   updateVendorOnAward,
   updateVendorOnReject,
+  updateVendorParticipation,
   setVendorRating,
   getVendorRatingSummary,
 };
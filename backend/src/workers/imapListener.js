@@ -0,0 +1,295 @@
+// src/workers/imapListener.js
+const getModels = require("../utils/getModels");
+const { databases } = require("../config/dbMap.json");
+const { runWithRequestContext } = require("../utils/requestContext");
+const {
+  DEFAULT_MAILBOX,
+  createImapClient,
+  syncMailbox,
+} = require("./imapWorker");
+
+/**
+ * Resident mail listener.
+ *
+ * Keeps one IMAP connection open with the mailbox selected; ImapFlow sits in
+ * IDLE between commands, so the server pushes EXISTS as soon as a vendor
+ * reply lands and we run the same incremental UID sync as FetchEmails.
+ * Dropped connections are retried with exponential backoff (with jitter),
+ * and a periodic sync covers notifications lost while IDLE was being
+ * renewed. State is exposed through getImapListenerHealth() for /health/mail.
+ */
+
+const RECONNECT_BASE_MS = Number(process.env.IMAP_RECONNECT_BASE_MS) || 1000;
+const RECONNECT_MAX_MS = Number(process.env.IMAP_RECONNECT_MAX_MS) || 5 * 60 * 1000;
+const RESYNC_INTERVAL_MS = Number(process.env.IMAP_RESYNC_INTERVAL_MS) || 5 * 60 * 1000;
+
+const health = {
+  enabled: false,
+  status: "stopped", // 'stopped' | 'connecting' | 'idle' | 'syncing' | 'reconnecting'
+  mailbox: null,
+  auto_parse: false,
+  connected: false,
+  started_at: null,
+  last_connected_at: null,
+  last_disconnected_at: null,
+  last_sync_at: null,
+  last_sync: null,
+  sync_count: 0,
+  last_error: null,
+  last_error_at: null,
+  reconnect_attempts: 0,
+  next_reconnect_at: null,
+  auto_parse_runs: 0,
+};
+
+let client = null;
+let stopping = false;
+let reconnectTimer = null;
+let resyncTimer = null;
+let syncChain = Promise.resolve();
+let syncQueued = false;
+
+// -------------------- Helpers --------------------
+
+function recordError(err) {
+  health.last_error = err?.message || String(err);
+  health.last_error_at = new Date().toISOString();
+}
+
+// Jitter in [delay/2, delay] so restarts across instances don't reconnect in lockstep
+function computeBackoffMs(attempt) {
+  const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+function clearTimers() {
+  if (reconnectTimer) clearTimeout(reconnectTimer);
+  if (resyncTimer) clearInterval(resyncTimer);
+  reconnectTimer = null;
+  resyncTimer = null;
+}
+
+// -------------------- Auto-parse --------------------
+
+async function autoParseRfps(rfpIds) {
+  // Lazy: keeps the service graph out of the worker until it's needed
+  const { parseProposalsService } = require("../services/proposalService");
+  const { Rfps } = getModels(databases.RFP.DB_NAME);
+
+  const rfps = await Rfps.findAll({
+    where: { id: rfpIds },
+    attributes: ["id", "org_id", "status"],
+    raw: true,
+  });
+
+  for (const rfp of rfps) {
+    // Closed: decided. Pending approval: the approvers are deciding on the
+    // proposal as it stands; a new version would pull it out from under them
+    if (["closed", "pending_approval"].includes(rfp.status)) {
+      console.log(`[INFO] Auto-parse skipped (RFP ${rfp.status}): ${rfp.id}`);
+      continue;
+    }
+
+    try {
+      // Parse as the RFP's organization so every read and write is scoped to it
+      const result = await runWithRequestContext({ orgId: rfp.org_id }, () =>
+        parseProposalsService({ rfp_id: rfp.id })
+      );
+      health.auto_parse_runs += 1;
+      if (result?.error) {
+        console.warn(`[WARN] Auto-parse for RFP ${rfp.id}: ${result.error}`);
+      } else {
+        console.log(`[INFO] Auto-parsed proposals for RFP ${rfp.id}`);
+      }
+    } catch (err) {
+      recordError(err);
+      console.error(`[ERROR] Auto-parse failed for RFP ${rfp.id}:`, err.message);
+    }
+  }
+}
+
+// -------------------- Sync --------------------
+
+async function runSync(reason) {
+  if (!client || !health.connected) return;
+
+  health.status = "syncing";
+  try {
+    console.log(`[INFO] Mail listener sync (${reason})`);
+    const summary = await syncMailbox(client, { mailbox: health.mailbox });
+
+    health.last_sync_at = new Date().toISOString();
+    health.last_sync = summary;
+    health.sync_count += 1;
+
+    if (health.auto_parse && summary.rfp_ids.length > 0) {
+      await autoParseRfps(summary.rfp_ids);
+    }
+  } catch (err) {
+    recordError(err);
+    console.error("[ERROR] Mail listener sync failed:", err.message);
+  } finally {
+    if (health.connected) health.status = "idle";
+  }
+}
+
+/**
+ * Serialize syncs on the single connection; a burst of EXISTS events while
+ * a sync is running collapses into one follow-up sync.
+ */
+function scheduleSync(reason) {
+  if (syncQueued) return;
+  syncQueued = true;
+
+  syncChain = syncChain.then(() => {
+    syncQueued = false;
+    return runSync(reason);
+  });
+}
+
+// -------------------- Connection --------------------
+
+function scheduleReconnect() {
+  if (stopping || reconnectTimer) return;
+
+  const delay = computeBackoffMs(health.reconnect_attempts);
+  health.reconnect_attempts += 1;
+  health.status = "reconnecting";
+  health.next_reconnect_at = new Date(Date.now() + delay).toISOString();
+
+  console.warn(
+    `[WARN] Mail listener reconnecting in ${delay}ms (attempt ${health.reconnect_attempts})`
+  );
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    health.next_reconnect_at = null;
+    connect();
+  }, delay);
+}
+
+async function connect() {
+  if (stopping) return;
+
+  health.status = "connecting";
+
+  let c;
+  try {
+    c = await createImapClient();
+  } catch (err) {
+    // e.g. OAuth2 token refresh failed
+    recordError(err);
+    console.error("[ERROR] Mail listener setup failed:", err.message);
+    scheduleReconnect();
+    return;
+  }
+  client = c;
+
+  c.on("exists", (data) => {
+    if (data?.path === health.mailbox && data.count > data.prevCount) {
+      scheduleSync("exists");
+    }
+  });
+
+  c.on("close", () => {
+    // Ignore close events from a client we've already given up on
+    if (client !== c) return;
+
+    console.warn("[WARN] Mail listener connection closed");
+    client = null;
+    health.connected = false;
+    health.last_disconnected_at = new Date().toISOString();
+    clearTimers();
+    scheduleReconnect();
+  });
+
+  try {
+    console.log(`[INFO] Mail listener connecting (mailbox=${health.mailbox})...`);
+    await c.connect();
+    await c.mailboxOpen(health.mailbox);
+
+    health.connected = true;
+    health.status = "idle";
+    health.reconnect_attempts = 0;
+    health.last_connected_at = new Date().toISOString();
+    console.log("[INFO] Mail listener connected, waiting for new mail (IDLE)");
+
+    // Catch up on anything that arrived while we were disconnected
+    scheduleSync("connect");
+    resyncTimer = setInterval(() => scheduleSync("interval"), RESYNC_INTERVAL_MS);
+  } catch (err) {
+    recordError(err);
+    console.error("[ERROR] Mail listener connect failed:", err.message);
+
+    client = null;
+    health.connected = false;
+    try {
+      c.close();
+    } catch {
+      // already closed
+    }
+    scheduleReconnect();
+  }
+}
+
+// -------------------- Public API --------------------
+
+/**
+ * Start the resident listener (idempotent).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.mailbox] - Mailbox to watch (default IMAP_MAILBOX or INBOX)
+ * @param {boolean} [options.autoParse] - Run ParseProposals for RFPs that received new replies
+ */
+function startImapListener({ mailbox = DEFAULT_MAILBOX, autoParse = false } = {}) {
+  if (health.enabled) return;
+
+  stopping = false;
+  Object.assign(health, {
+    enabled: true,
+    mailbox,
+    auto_parse: !!autoParse,
+    started_at: new Date().toISOString(),
+    reconnect_attempts: 0,
+  });
+
+  connect();
+}
+
+/**
+ * Stop the listener and close the connection (used on shutdown).
+ */
+async function stopImapListener() {
+  stopping = true;
+  clearTimers();
+
+  const c = client;
+  client = null;
+  Object.assign(health, {
+    enabled: false,
+    status: "stopped",
+    connected: false,
+    next_reconnect_at: null,
+  });
+
+  if (c) {
+    await c.logout().catch(() => {});
+  }
+  await syncChain.catch(() => {});
+}
+
+/**
+ * Snapshot of listener state. healthy = disabled, or enabled and connected.
+ */
+function getImapListenerHealth() {
+  return {
+    ...health,
+    healthy: !health.enabled || health.connected,
+  };
+}
+
+module.exports = {
+  startImapListener,
+  stopImapListener,
+  getImapListenerHealth,
+};
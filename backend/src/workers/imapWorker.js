@@ -1,272 +1,556 @@
 // src/workers/imapWorker.js
+const crypto = require("crypto");
 const { ImapFlow } = require("imapflow");
 const { simpleParser } = require("mailparser");
 const replyParser = require("node-email-reply-parser");
 const getModels = require("../utils/getModels");
 const { databases } = require("../config/dbMap.json");
-const { parseRfpPlusAddress } = require("../utils/emailRouting");
-
-let lastProcessedUid = 0;
-
-async function pollInboxForRfpEmails() {
-  const client = new ImapFlow({
-    host: "imap.gmail.com",
-    port: 993,
-    secure: true,
-    auth: {
-      user: process.env.GMAIL_USER,
-      pass: process.env.GMAIL_PASS,
-    },
-    logger: false,
+const {
+  resolveReplyRouting,
+  resolveRfpRoutingForProfiles,
+} = require("../utils/emailRouting");
+const { mailConfig, getImapClientOptions } = require("../config/mailConfig");
+const {
+  detectAttachmentKind,
+  extractAttachment,
+  isStorableAttachment,
+} = require("../utils/attachmentExtractionUtils");
+const { isBounceCandidate, parseBounce } = require("../utils/emailBounceUtils");
+const { markEmailsBounced } = require("../utils/emailOutbox");
+const { classifyInboundEmail } = require("../utils/emailClassificationUtils");
+const { syncInvitationResponse } = require("../utils/rfpInvitationUtils");
+
+const DEFAULT_MAILBOX = process.env.IMAP_MAILBOX || "INBOX";
+
+// -------------------- Sync cursor --------------------
+
+/**
+ * Load (or create) the persisted cursor for an account/mailbox pair.
+ * Survives restarts, so each poller run only fetches what it hasn't seen.
+ */
+async function loadSyncCursor(ImapSyncStates, { account, mailbox }) {
+  const [state] = await ImapSyncStates.findOrCreate({
+    where: { account, mailbox },
+    defaults: { account, mailbox, last_uid: 0 },
   });
+  return state;
+}
+
+/**
+ * Persist the cursor after a poll. The stored UID only moves forward within
+ * the same UIDVALIDITY, so an overlapping poll can't rewind it.
+ */
+async function saveSyncCursor(state, { uidValidity, lastUid, fullResync }) {
+  const now = new Date();
+  const sameValidity = String(state.uid_validity) === uidValidity;
+  const storedUid = sameValidity ? Number(state.last_uid) || 0 : 0;
+
+  await state.update({
+    uid_validity: uidValidity,
+    last_uid: Math.max(storedUid, lastUid),
+    last_synced_at: now,
+    last_full_resync_at: fullResync ? now : state.last_full_resync_at,
+    updated_at: now,
+  });
+}
+
+// -------------------- Poll --------------------
+
+/**
+ * New ImapFlow client for the configured server (IMAP_* / MAIL_AUTH_TYPE,
+ * see config/mailConfig.js). Async: XOAUTH2 tokens may need a refresh.
+ */
+async function createImapClient() {
+  const client = new ImapFlow(await getImapClientOptions());
 
   client.on("error", (err) => {
     console.error("[ERROR] IMAP client error:", err);
   });
 
-  const db = databases.RFP.DB_NAME;
-  const { Emails, Vendors, Rfps, RfpVendors } = getModels(db);
+  return client;
+}
 
+/**
+ * Fetch new messages from the mailbox by UID range and store the ones
+ * routed to an RFP (plus-address reply token). Bounce notifications mark
+ * the outbound email they refer to as bounced (utils/emailOutbox.js).
+ * Stored emails are classified (utils/emailClassificationUtils.js); each
+ * question opens an entry on the RFP's Q&A board (rfp_questions).
+ *
+ * The cursor (mailbox, UIDVALIDITY, last UID) lives in imap_sync_states.
+ * When the server reports a different UIDVALIDITY, previously seen UIDs
+ * are meaningless, so the whole mailbox is rescanned; already stored
+ * emails are skipped by message_id.
+ *
+ * Works on an already connected client, so the one-shot poll and the
+ * resident IDLE listener (workers/imapListener.js) share it.
+ *
+ * @param {ImapFlow} client - Connected client
+ * @param {Object} [options]
+ * @param {string} [options.mailbox] - Mailbox to sync (default IMAP_MAILBOX or INBOX)
+ * @returns {Promise<Object>} Sync summary (rfp_ids = RFPs that received new emails)
+ */
+async function syncMailbox(client, { mailbox = DEFAULT_MAILBOX } = {}) {
+  const db = databases.RFP.DB_NAME;
+  const {
+    sequelize,
+    Emails,
+    Attachments,
+    Vendors,
+    Rfps,
+    RfpVendors,
+    ImapSyncStates,
+    Organizations,
+    RfpQuestions,
+  } = getModels(db);
+
+  const account = mailConfig.imap.user;
+  const summary = {
+    mailbox,
+    uid_validity: null,
+    from_uid: null,
+    last_uid: null,
+    full_resync: false,
+    fetched: 0,
+    processed: 0,
+    skipped: 0,
+    bounced: 0,
+    questions: 0,
+    declines: 0,
+    rfp_ids: [],
+  };
+
+  const lock = await client.getMailboxLock(mailbox);
   try {
-    console.log("[INFO] Connecting to IMAP...");
-    await client.connect();
+    const uidValidity = String(client.mailbox.uidValidity);
+    const uidNext = Number(client.mailbox.uidNext) || 0;
+    const state = await loadSyncCursor(ImapSyncStates, { account, mailbox });
+
+    let lastUid = Number(state.last_uid) || 0;
+    let fullResync = false;
+
+    if (state.uid_validity === null) {
+      console.log(`[INFO] No sync cursor for ${mailbox} - initial full sync`);
+      lastUid = 0;
+      fullResync = true;
+    } else if (String(state.uid_validity) !== uidValidity) {
+      console.warn(
+        `[WARN] UIDVALIDITY changed for ${mailbox} (${state.uid_validity} -> ${uidValidity}) - full resync`
+      );
+      lastUid = 0;
+      fullResync = true;
+    }
 
-    const lock = await client.getMailboxLock("INBOX");
-    try {
-      const total = client.mailbox.exists || 0;
-      if (!total) {
-        console.log("[INFO] INBOX empty - resetting cache");
-        lastProcessedUid = 0; // Smart reset when inbox is empty
-        return;
-      }
+    summary.uid_validity = uidValidity;
+    summary.from_uid = lastUid + 1;
+    summary.last_uid = lastUid;
+    summary.full_resync = fullResync;
+
+    // uidNext is the UID the next arriving message will get
+    if (!client.mailbox.exists || (uidNext && uidNext <= lastUid + 1)) {
+      console.log("[INFO] No new messages since last poll");
+      await saveSyncCursor(state, { uidValidity, lastUid, fullResync });
+      return summary;
+    }
 
-      const fromSeq = Math.max(1, lastProcessedUid + 1);
-      console.log(`[INFO] Fetching messages from UID ${fromSeq} to ${total}`);
+    console.log(`[INFO] Fetching messages from UID ${lastUid + 1} to *`);
 
-      const messages = [];
-      for await (const message of client.fetch(`${fromSeq}:*`, {
+    const messages = [];
+    for await (const message of client.fetch(
+      `${lastUid + 1}:*`,
+      {
         uid: true,
         envelope: true,
         internalDate: true,
         flags: true,
         source: true,
-      })) {
+      },
+      { uid: true }
+    )) {
+      // "N:*" always returns the newest message, even when its UID < N
+      if (message.uid > lastUid) {
         messages.push(message);
       }
+    }
+
+    summary.fetched = messages.length;
 
-      if (messages.length === 0) {
-        console.log("[INFO] No new messages since last poll");
-        return;
+    if (messages.length === 0) {
+      console.log("[INFO] No new messages since last poll");
+      await saveSyncCursor(state, { uidValidity, lastUid, fullResync });
+      return summary;
+    }
+
+    console.log(`[INFO] Retrieved ${messages.length} new messages`);
+
+    // One shared mailbox serves every organization: try the default routing
+    // and each org's override
+    const orgs = await Organizations.findAll({
+      attributes: ["reply_routing_strategy", "reply_routing_domain"],
+      raw: true,
+    });
+    const routingProfiles = [resolveReplyRouting(), ...orgs.map(resolveReplyRouting)];
+
+    const messageIds = [];
+    const replyTokens = new Set();
+    const messageMap = new Map();
+    let maxUid = lastUid;
+
+    for (const message of messages) {
+      const { envelope, uid } = message;
+      const messageId = envelope?.messageId;
+      
+      if (messageId) {
+        messageIds.push(messageId);
       }
 
-      console.log(`[INFO] Retrieved ${messages.length} new messages`);
+      if (uid > maxUid) {
+        maxUid = uid;
+      }
 
-      const messageIds = [];
-      const replyTokens = new Set();
-      const messageMap = new Map();
-      let maxUid = lastProcessedUid;
+      const toList = envelope?.to?.map((addr) => addr.address) || [];
+      const ccList = envelope?.cc?.map((addr) => addr.address) || [];
+      // Token from recipient address or subject, per routing strategy
+      const routing = resolveRfpRoutingForProfiles(
+        {
+          addresses: [...toList, ...ccList].filter(Boolean),
+          subject: envelope?.subject || null,
+        },
+        routingProfiles
+      );
+      if (routing) {
+        replyTokens.add(routing.replyToken);
+      }
 
-      for (const message of messages) {
-        const { envelope, uid } = message;
-        const messageId = envelope?.messageId;
-        
-        if (messageId) {
-          messageIds.push(messageId);
-        }
+      messageMap.set(uid, {
+        message,
+        messageId,
+        subject: envelope?.subject || "(no subject)",
+        fromAddr: envelope?.from?.[0]?.address?.toLowerCase() || null,
+        toList,
+        routing,
+        receivedAt: message.internalDate || new Date(),
+      });
+    }
 
-        if (uid > maxUid) {
-          maxUid = uid;
-        }
+    console.log("[INFO] Batch querying database...");
+
+    const existingEmails = messageIds.length > 0
+      ? await Emails.findAll({
+          where: { message_id: messageIds },
+          attributes: ['message_id'],
+          raw: true,
+        })
+      : [];
+    const existingSet = new Set(existingEmails.map(e => e.message_id));
+
+    const mappings = replyTokens.size > 0
+      ? await RfpVendors.findAll({
+          where: { reply_token: Array.from(replyTokens) },
+          raw: true,
+        })
+      : [];
+    const tokenMap = new Map(mappings.map(m => [m.reply_token, m]));
+
+    const vendorIds = [...new Set(mappings.map(m => m.vendor_id))];
+    const rfpIds = [...new Set(mappings.map(m => m.rfp_id))];
+
+    const [vendors, rfps] = await Promise.all([
+      vendorIds.length > 0
+        ? Vendors.findAll({
+            where: { id: vendorIds },
+            raw: true,
+          })
+        : [],
+      rfpIds.length > 0
+        ? Rfps.findAll({
+            where: { id: rfpIds },
+            raw: true,
+          })
+        : [],
+    ]);
 
-        const toList = envelope?.to?.map((addr) => addr.address) || [];
-        let routing = null;
-        for (const addr of toList) {
-          routing = parseRfpPlusAddress(addr);
-          if (routing) {
-            replyTokens.add(routing.replyToken);
-            break;
+    const vendorMap = new Map(vendors.map(v => [v.id, v]));
+    const rfpMap = new Map(rfps.map(r => [r.id, r]));
+
+    console.log(`[INFO] Found ${mappings.length} mappings, ${vendors.length} vendors, ${rfps.length} RFPs`);
+
+    const emailsToInsert = [];
+    const attachmentsToInsert = [];
+    const bounces = [];
+    const uidByEmailId = new Map();
+    let failedUid = null;
+    let processedCount = 0;
+    let skippedCount = 0;
+
+    for (const [uid, data] of messageMap) {
+      const { message, messageId, subject, fromAddr, routing, receivedAt } = data;
+
+      // Bounces come back to the SMTP sender without a reply token
+      if (message.source && isBounceCandidate({ fromAddr, subject })) {
+        try {
+          const bounce = parseBounce(await simpleParser(message.source), message.source);
+          if (bounce) {
+            bounces.push({ bounce, receivedAt });
+            skippedCount++;
+            continue;
           }
+        } catch (err) {
+          console.error("[ERROR] Failed to parse bounce:", uid, err.message);
         }
+      }
 
-        messageMap.set(uid, {
-          message,
-          messageId,
-          subject: envelope?.subject || "(no subject)",
-          fromAddr: envelope?.from?.[0]?.address?.toLowerCase() || null,
-          toList,
-          routing,
-          receivedAt: message.internalDate || new Date(),
-        });
+      if (!routing) {
+        skippedCount++;
+        continue;
       }
 
-      console.log("[INFO] Batch querying database...");
+      const { replyToken } = routing;
+      console.log("Routing token:", replyToken);
 
-      const existingEmails = messageIds.length > 0
-        ? await Emails.findAll({
-            where: { message_id: messageIds },
-            attributes: ['message_id'],
-            raw: true,
-          })
-        : [];
-      const existingSet = new Set(existingEmails.map(e => e.message_id));
+      if (messageId && existingSet.has(messageId)) {
+        console.log("[INFO] Already stored:", messageId);
+        skippedCount++;
+        continue;
+      }
 
-      const mappings = replyTokens.size > 0
-        ? await RfpVendors.findAll({
-            where: { reply_token: Array.from(replyTokens) },
-            raw: true,
-          })
-        : [];
-      const tokenMap = new Map(mappings.map(m => [m.reply_token, m]));
-
-      const vendorIds = [...new Set(mappings.map(m => m.vendor_id))];
-      const rfpIds = [...new Set(mappings.map(m => m.rfp_id))];
-
-      const [vendors, rfps] = await Promise.all([
-        vendorIds.length > 0
-          ? Vendors.findAll({
-              where: { id: vendorIds },
-              raw: true,
-            })
-          : [],
-        rfpIds.length > 0
-          ? Rfps.findAll({
-              where: { id: rfpIds },
-              raw: true,
-            })
-          : [],
-      ]);
-
-      const vendorMap = new Map(vendors.map(v => [v.id, v]));
-      const rfpMap = new Map(rfps.map(r => [r.id, r]));
-
-      console.log(`[INFO] Found ${mappings.length} mappings, ${vendors.length} vendors, ${rfps.length} RFPs`);
-
-      const emailsToInsert = [];
-      let processedCount = 0;
-      let skippedCount = 0;
-
-      for (const [uid, data] of messageMap) {
-        const { message, messageId, subject, fromAddr, routing, receivedAt } = data;
-
-        if (!routing) {
-          skippedCount++;
-          continue;
-        }
+      const mapping = tokenMap.get(replyToken);
+      if (!mapping) {
+        console.log(`[WARN] No mapping for token=${replyToken}`);
+        skippedCount++;
+        continue;
+      }
 
-        const { replyToken } = routing;
-        console.log("Routing token:", replyToken);
+      const vendor = vendorMap.get(mapping.vendor_id);
+      const rfp = rfpMap.get(mapping.rfp_id);
 
-        if (messageId && existingSet.has(messageId)) {
-          console.log("[INFO] Already stored:", messageId);
-          skippedCount++;
-          continue;
-        }
+      if (!vendor || !rfp) {
+        console.log(`[WARN] Vendor or RFP missing for token=${replyToken}`);
+        skippedCount++;
+        continue;
+      }
+
+      if (fromAddr && vendor.email &&
+          fromAddr !== vendor.email.toLowerCase()) {
+        console.log(`[WARN] From (${fromAddr}) != vendor (${vendor.email})`);
+        skippedCount++;
+        continue;
+      }
 
-        const mapping = tokenMap.get(replyToken);
-        if (!mapping) {
-          console.log(`[WARN] No mapping for token=${replyToken}`);
-          skippedCount++;
-          continue;
+      let bodyText = "";
+      let bodyHtml = null;
+      let attachments = [];
+
+      try {
+        if (message.source) {
+          const parsed = await simpleParser(message.source);
+          const rawText = (parsed.text || "").trim();
+          
+          const email = replyParser(rawText);
+          bodyText = email.getVisibleText({ aggressive: true }).trim();
+          bodyHtml = parsed.html || null;
+          attachments = (parsed.attachments || []).filter(isStorableAttachment);
+          
+          console.log(`[DEBUG] Cleaned: ${rawText.length} -> ${bodyText.length} chars`);
+        } else {
+          console.warn("[WARN] No source buffer for UID:", uid);
         }
+      } catch (err) {
+        console.error("[ERROR] Failed to parse MIME:", uid, err.message);
+        skippedCount++;
+        continue;
+      }
 
-        const vendor = vendorMap.get(mapping.vendor_id);
-        const rfp = rfpMap.get(mapping.rfp_id);
+      // Id assigned here so attachment rows can reference it before insert
+      const emailId = crypto.randomUUID();
 
-        if (!vendor || !rfp) {
-          console.log(`[WARN] Vendor or RFP missing for token=${replyToken}`);
-          skippedCount++;
-          continue;
-        }
+      for (const attachment of attachments) {
+        const row = await extractAttachment(attachment);
+        attachmentsToInsert.push({ ...row, email_id: emailId, org_id: rfp.org_id });
+        console.log(
+          `[INFO] Attachment ${row.filename || "(unnamed)"}: ${row.extraction_status}` +
+            (row.extraction_error ? ` (${row.extraction_error})` : "")
+        );
+      }
 
-        if (fromAddr && vendor.email &&
-            fromAddr !== vendor.email.toLowerCase()) {
-          console.log(`[WARN] From (${fromAddr}) != vendor (${vendor.email})`);
-          skippedCount++;
-          continue;
-        }
+      uidByEmailId.set(emailId, uid);
+      emailsToInsert.push({
+        id: emailId,
+        org_id: rfp.org_id, // sync runs unscoped; the RFP decides the tenant
+        rfp_id: rfp.id,
+        vendor_id: vendor.id,
+        direction: "inbound",
+        subject,
+        body_text: bodyText,
+        body_html: bodyHtml,
+        message_id: messageId,
+        sent_at: null,
+        received_at: receivedAt,
+        classification: classifyInboundEmail({
+          subject,
+          bodyText,
+          quoteAttachmentCount: attachments.filter((a) => detectAttachmentKind(a)).length,
+        }),
+      });
 
-        let bodyText = "";
-        let bodyHtml = null;
+      processedCount++;
+      console.log(`[INFO] Prepared email: rfp=${rfp.id}, vendor=${vendor.id}`);
+    }
 
-        try {
-          if (message.source) {
-            const parsed = await simpleParser(message.source);
-            const rawText = (parsed.text || "").trim();
-            
-            const email = replyParser(rawText);
-            bodyText = email.getVisibleText({ aggressive: true }).trim();
-            bodyHtml = parsed.html || null;
-            
-            console.log(`[DEBUG] Cleaned: ${rawText.length} -> ${bodyText.length} chars`);
-          } else {
-            console.warn("[WARN] No source buffer for UID:", uid);
+    if (emailsToInsert.length > 0) {
+      try {
+        await Emails.bulkCreate(emailsToInsert, {
+          ignoreDuplicates: true,
+        });
+        console.log(`[INFO] Inserted ${emailsToInsert.length} emails`);
+      } catch (err) {
+        console.error("[ERROR] Bulk insert failed:", err.message);
+        for (const email of emailsToInsert) {
+          try {
+            await Emails.create(email);
+          } catch (innerErr) {
+            console.error("[ERROR] Failed to insert single email:", innerErr.message);
+            const uid = uidByEmailId.get(email.id);
+            if (failedUid === null || uid < failedUid) failedUid = uid;
           }
+        }
+      }
+    }
+
+    // Emails that actually made it into the table (bulk insert ignores duplicates)
+    const storedEmails = emailsToInsert.length > 0
+      ? await Emails.findAll({
+          where: { id: emailsToInsert.map((e) => e.id) },
+          attributes: ["id", "rfp_id"],
+          raw: true,
+        })
+      : [];
+    const storedIds = new Set(storedEmails.map((e) => e.id));
+    summary.rfp_ids = [...new Set(storedEmails.map((e) => e.rfp_id))];
+
+    if (attachmentsToInsert.length > 0) {
+      const rows = attachmentsToInsert.filter((a) => storedIds.has(a.email_id));
+
+      for (const row of rows) {
+        try {
+          await Attachments.create(row);
         } catch (err) {
-          console.error("[ERROR] Failed to parse MIME:", uid, err.message);
-          skippedCount++;
-          continue;
+          console.error("[ERROR] Failed to insert attachment:", row.filename, err.message);
         }
+      }
+      console.log(`[INFO] Inserted ${rows.length} attachments`);
+    }
 
-        emailsToInsert.push({
-          rfp_id: rfp.id,
-          vendor_id: vendor.id,
-          direction: "inbound",
-          subject,
-          body_text: bodyText,
-          body_html: bodyHtml,
-          message_id: messageId,
-          sent_at: null,
-          received_at: receivedAt,
+    for (const email of emailsToInsert) {
+      if (email.classification !== "question" || !storedIds.has(email.id)) continue;
+      try {
+        await RfpQuestions.create({
+          org_id: email.org_id,
+          rfp_id: email.rfp_id,
+          vendor_id: email.vendor_id,
+          email_id: email.id,
+          question_text: email.body_text || email.subject,
         });
+        summary.questions++;
+      } catch (err) {
+        console.error("[ERROR] Failed to record question:", email.id, err.message);
+      }
+    }
 
-        processedCount++;
-        console.log(`[INFO] Prepared email: rfp=${rfp.id}, vendor=${vendor.id}`);
+    // Proposals and declines settle the vendor's invite (responded / declined)
+    const responders = new Map();
+    for (const email of emailsToInsert) {
+      if (!["proposal", "decline"].includes(email.classification) || !storedIds.has(email.id)) continue;
+      responders.set(`${email.rfp_id}:${email.vendor_id}`, email);
+    }
+    for (const email of responders.values()) {
+      try {
+        const result = await sequelize.transaction((transaction) =>
+          syncInvitationResponse({ rfpId: email.rfp_id, vendorId: email.vendor_id }, { transaction })
+        );
+        if (result?.changed && result.response_status === "declined") summary.declines++;
+      } catch (err) {
+        console.error("[ERROR] Failed to record vendor response:", email.id, err.message);
       }
+    }
 
-      if (emailsToInsert.length > 0) {
-        try {
-          await Emails.bulkCreate(emailsToInsert, {
-            ignoreDuplicates: true,
-          });
-          console.log(`[INFO] Inserted ${emailsToInsert.length} emails`);
-          // Update cache only after successful insertion
-          lastProcessedUid = maxUid;
-          console.log(`[INFO] Updated cache: lastProcessedUid = ${lastProcessedUid}`);
-        } catch (err) {
-          console.error("[ERROR] Bulk insert failed:", err.message);
-          for (const email of emailsToInsert) {
-            try {
-              await Emails.create(email);
-            } catch (innerErr) {
-              console.error("[ERROR] Failed to insert single email:", innerErr.message);
-            }
-          }
-          // Update cache after individual inserts too
-          lastProcessedUid = maxUid;
-          console.log(`[INFO] Updated cache: lastProcessedUid = ${lastProcessedUid}`);
+    for (const { bounce, receivedAt } of bounces) {
+      try {
+        const ids = await markEmailsBounced(bounce, receivedAt);
+        summary.bounced += ids.length;
+        if (ids.length === 0) {
+          console.log("[INFO] Bounce matched no outbound email:", bounce.recipients.join(", "));
         }
+      } catch (err) {
+        console.error("[ERROR] Failed to record bounce:", err.message);
       }
+    }
 
-      console.log(`[INFO] Summary: ${processedCount} processed, ${skippedCount} skipped`);
+    // Skipped messages (no token, unknown vendor) are never retried, so the
+    // cursor covers the whole batch - except a failed insert, which stops it
+    // just short so the next poll picks that message up again
+    const cursorUid = failedUid === null ? maxUid : failedUid - 1;
+    await saveSyncCursor(state, { uidValidity, lastUid: cursorUid, fullResync });
+    console.log(`[INFO] Sync cursor: ${mailbox} uidvalidity=${uidValidity} last_uid=${cursorUid}`);
+
+    summary.last_uid = cursorUid;
+    summary.processed = processedCount;
+    summary.skipped = skippedCount;
+    console.log(
+      `[INFO] Summary: ${processedCount} processed, ${skippedCount} skipped, ${summary.bounced} bounced, ${summary.questions} questions, ${summary.declines} declines`
+    );
+
+  } finally {
+    lock.release();
+  }
 
-    } finally {
-      lock.release();
-    }
+  return summary;
+}
 
-    await client.logout();
-    console.log("[INFO] IMAP polling finished.");
+/**
+ * One-shot poll: connect, sync the mailbox, log out.
+ * Used by FetchEmails and workers/poller.js.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.mailbox] - Mailbox to sync (default IMAP_MAILBOX or INBOX)
+ * @returns {Promise<Object>} Sync summary
+ */
+async function pollInboxForRfpEmails({ mailbox = DEFAULT_MAILBOX } = {}) {
+  let client = null;
+
+  try {
+    client = await createImapClient();
+    console.log(`[INFO] Connecting to IMAP ${mailConfig.imap.host}:${mailConfig.imap.port}...`);
+    await client.connect();
+
+    return await syncMailbox(client, { mailbox });
   } catch (err) {
     console.error("[ERROR] IMAP polling failed:", err);
     throw err;
+  } finally {
+    if (client) await client.logout().catch(() => {});
+    console.log("[INFO] IMAP polling finished.");
   }
 }
 
+/**
+ * Drop the stored cursor so the next poll rescans the whole mailbox.
+ */
+async function resetSyncCursor({ mailbox = DEFAULT_MAILBOX } = {}) {
+  const db = databases.RFP.DB_NAME;
+  const { ImapSyncStates } = getModels(db);
+
+  await ImapSyncStates.update(
+    { uid_validity: null, last_uid: 0, updated_at: new Date() },
+    { where: { account: mailConfig.imap.user, mailbox } }
+  );
+  console.log(`[INFO] Sync cursor reset: ${mailbox}`);
+}
+
 module.exports = {
+  DEFAULT_MAILBOX,
+  createImapClient,
+  syncMailbox,
   pollInboxForRfpEmails,
-  resetLastProcessedUid,
-};
-
-function resetLastProcessedUid() {
-  lastProcessedUid = 0;
-  console.log("[INFO] Cache reset: lastProcessedUid = 0");
-}
\ No newline at end of file
+  resetSyncCursor,
+};
\ No newline at end of file
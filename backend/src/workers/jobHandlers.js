@@ -0,0 +1,40 @@
+// src/workers/jobHandlers.js
+const { JOB_TYPES } = require("../utils/jobQueue");
+const { deliverOutboundEmail } = require("../utils/emailOutbox");
+const {
+  updateVendorOnAward,
+  updateVendorOnReject,
+} = require("../utils/vendorRatingUtils");
+const { sendDueRfpReminders } = require("../utils/rfpReminderUtils");
+const { closeExpiredSubmissions } = require("../utils/rfpDeadlineUtils");
+
+/**
+ * One handler per job type. Each receives the job payload and runs in the
+ * job's org context (so model reads are tenant-scoped). Throwing fails the
+ * attempt and the queue retries; the return value is stored as the result.
+ *
+ * Delivery is at-least-once: a worker can die after the side effect but
+ * before the job is marked succeeded, so handlers skip work that is
+ * already done where they can tell.
+ */
+
+const handlers = {
+  // Invites, award/rejection notices and reminders; the emails row says what to send
+  [JOB_TYPES.SEND_EMAIL]: async ({ email_id }, job) =>
+    deliverOutboundEmail(email_id, { lastAttempt: job.attempts >= job.max_attempts }),
+
+  // Rating updates recompute from the vendor's proposals, so re-runs are harmless
+  [JOB_TYPES.VENDOR_RATING_AWARD]: async ({ vendor_id }) =>
+    updateVendorOnAward(vendor_id),
+
+  [JOB_TYPES.VENDOR_RATING_REJECT]: async ({ vendor_id }) =>
+    updateVendorOnReject(vendor_id),
+
+  // System job (no org); each invite's reminder count makes repeats a no-op
+  [JOB_TYPES.RFP_REMINDERS]: async () => sendDueRfpReminders(),
+
+  // System job; only RFPs still 'sent' past their deadline are moved
+  [JOB_TYPES.RFP_DEADLINES]: async () => closeExpiredSubmissions(),
+};
+
+module.exports = { handlers };
@@ -0,0 +1,56 @@
+// src/workers/jobScheduler.js
+const { JOB_TYPES, enqueueJob } = require("../utils/jobQueue");
+
+/**
+ * Periodic system jobs.
+ *
+ * Every worker calls enqueueScheduledJobs() on a timer. A schedule's job is
+ * keyed by its time slot (`schedule:<type>:<slot>`, slot = now / interval),
+ * so however many workers are running, each slot is queued once. The jobs
+ * have no org: their handlers sweep every organization themselves.
+ *
+ * A failed run isn't retried; the next slot runs it again.
+ */
+
+const SCHEDULES = [
+  {
+    type: JOB_TYPES.RFP_REMINDERS,
+    intervalMs: Number(process.env.RFP_REMINDER_INTERVAL_MS) || 15 * 60 * 1000,
+  },
+  {
+    type: JOB_TYPES.RFP_DEADLINES,
+    intervalMs: Number(process.env.RFP_DEADLINE_INTERVAL_MS) || 5 * 60 * 1000,
+  },
+];
+
+// Timer period for enqueueScheduledJobs(); finer than any schedule's interval
+const SCHEDULER_TICK_MS = 60 * 1000;
+
+/**
+ * Queue the current slot of every schedule (no-op for slots already queued).
+ *
+ * @param {Date} [now]
+ * @returns {Promise<number>} Jobs newly queued
+ */
+async function enqueueScheduledJobs(now = new Date()) {
+  let created = 0;
+
+  for (const { type, intervalMs } of SCHEDULES) {
+    const slot = Math.floor(now.getTime() / intervalMs);
+    const job = await enqueueJob({
+      type,
+      payload: { slot_started_at: new Date(slot * intervalMs).toISOString() },
+      idempotencyKey: `schedule:${type}:${slot}`,
+      maxAttempts: 1,
+    });
+    if (job.created) created += 1;
+  }
+
+  return created;
+}
+
+module.exports = {
+  SCHEDULES,
+  SCHEDULER_TICK_MS,
+  enqueueScheduledJobs,
+};
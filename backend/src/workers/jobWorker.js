@@ -0,0 +1,205 @@
+// src/workers/jobWorker.js
+const { runWithRequestContext } = require("../utils/requestContext");
+const {
+  WORKER_ID,
+  claimNextJob,
+  completeJob,
+  failJob,
+  releaseStaleJobs,
+} = require("../utils/jobQueue");
+const { handlers } = require("./jobHandlers");
+const { SCHEDULER_TICK_MS, enqueueScheduledJobs } = require("./jobScheduler");
+
+/**
+ * Background job worker.
+ *
+ * Runs up to JOB_WORKER_CONCURRENCY jobs at a time from the jobs table,
+ * polling every JOB_POLL_INTERVAL_MS while the queue is empty and draining
+ * it back-to-back otherwise. Runs inside the API process by default (see
+ * index.js) or on its own with `npm run worker`; several workers can share
+ * one database, and each also queues the periodic jobs of jobScheduler.js.
+ * State is exposed through getJobWorkerHealth() for /health/jobs.
+ */
+
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const CONCURRENCY = Number(process.env.JOB_WORKER_CONCURRENCY) || 2;
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+
+const health = {
+  enabled: false,
+  worker_id: WORKER_ID,
+  concurrency: CONCURRENCY,
+  started_at: null,
+  running: 0,
+  claim_failing: false, // last attempt to read the queue errored (DB down?)
+  processed: 0,
+  succeeded: 0,
+  retried: 0,
+  dead: 0,
+  last_job_at: null,
+  last_error: null,
+  last_error_at: null,
+};
+
+let stopping = false;
+let loops = [];
+let staleTimer = null;
+let scheduleTimer = null;
+const sleepers = new Set();
+
+// -------------------- Helpers --------------------
+
+function recordError(err) {
+  health.last_error = err?.message || String(err);
+  health.last_error_at = new Date().toISOString();
+}
+
+// Interruptible sleep so stop() doesn't wait out a poll interval
+function sleep(ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      sleepers.delete(wake);
+      resolve();
+    }, ms);
+    const wake = () => {
+      clearTimeout(timer);
+      sleepers.delete(wake);
+      resolve();
+    };
+    sleepers.add(wake);
+  });
+}
+
+// -------------------- Run --------------------
+
+async function runJob(job) {
+  const handler = handlers[job.type];
+  health.running += 1;
+
+  try {
+    if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+
+    // Same org (and trace id) as the request that queued it
+    const run = () => handler(job.payload || {}, job);
+    const result = job.org_id
+      ? await runWithRequestContext({ orgId: job.org_id, requestId: job.request_id }, run)
+      : await run();
+
+    await completeJob(job, result);
+    health.succeeded += 1;
+    console.log(`[INFO] Job ${job.type} ${job.id} succeeded (attempt ${job.attempts})`);
+  } catch (err) {
+    recordError(err);
+    const outcome = await failJob(job, err).catch((updateErr) => {
+      // Left 'running'; releaseStaleJobs() picks it up after the lock timeout
+      console.error(`[ERROR] Could not record failure of job ${job.id}:`, updateErr.message);
+      return null;
+    });
+
+    if (outcome === "dead") {
+      health.dead += 1;
+      console.error(
+        `[ERROR] Job ${job.type} ${job.id} dead after ${job.attempts} attempt(s): ${err.message}`
+      );
+    } else {
+      health.retried += 1;
+      console.warn(
+        `[WARN] Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}): ${err.message}`
+      );
+    }
+  } finally {
+    health.running -= 1;
+    health.processed += 1;
+    health.last_job_at = new Date().toISOString();
+  }
+}
+
+async function loop() {
+  while (!stopping) {
+    let job = null;
+    try {
+      job = await claimNextJob();
+      health.claim_failing = false;
+    } catch (err) {
+      health.claim_failing = true;
+      recordError(err);
+      console.error("[ERROR] Job claim failed:", err.message);
+    }
+
+    if (job) {
+      await runJob(job);
+    } else {
+      await sleep(POLL_INTERVAL_MS);
+    }
+  }
+}
+
+async function releaseStale() {
+  try {
+    const released = await releaseStaleJobs();
+    if (released > 0) console.warn(`[WARN] Released ${released} stale job(s)`);
+  } catch (err) {
+    recordError(err);
+    console.error("[ERROR] Releasing stale jobs failed:", err.message);
+  }
+}
+
+async function schedule() {
+  try {
+    await enqueueScheduledJobs();
+  } catch (err) {
+    recordError(err);
+    console.error("[ERROR] Queueing scheduled jobs failed:", err.message);
+  }
+}
+
+// -------------------- Public API --------------------
+
+/**
+ * Start the worker loops (idempotent).
+ */
+function startJobWorker() {
+  if (health.enabled) return;
+
+  stopping = false;
+  Object.assign(health, { enabled: true, started_at: new Date().toISOString() });
+
+  releaseStale();
+  staleTimer = setInterval(releaseStale, STALE_CHECK_INTERVAL_MS);
+  schedule();
+  scheduleTimer = setInterval(schedule, SCHEDULER_TICK_MS);
+  loops = Array.from({ length: CONCURRENCY }, () => loop());
+
+  console.log(`[INFO] Job worker ${WORKER_ID} started (concurrency=${CONCURRENCY})`);
+}
+
+/**
+ * Stop claiming jobs and wait for the running ones to finish (used on shutdown).
+ */
+async function stopJobWorker() {
+  if (!health.enabled) return;
+
+  stopping = true;
+  if (staleTimer) clearInterval(staleTimer);
+  staleTimer = null;
+  if (scheduleTimer) clearInterval(scheduleTimer);
+  scheduleTimer = null;
+  sleepers.forEach((wake) => wake());
+
+  await Promise.all(loops);
+  loops = [];
+  health.enabled = false;
+}
+
+/**
+ * Snapshot of worker state. healthy = disabled, or able to read the queue.
+ */
+function getJobWorkerHealth() {
+  return { ...health, healthy: !health.enabled || !health.claim_failing };
+}
+
+module.exports = {
+  startJobWorker,
+  stopJobWorker,
+  getJobWorkerHealth,
+};
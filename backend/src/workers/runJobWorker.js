@@ -0,0 +1,18 @@
+// src/workers/runJobWorker.js
+require("dotenv").config();
+
+const { startJobWorker, stopJobWorker } = require("./jobWorker");
+
+/**
+ * Standalone job worker process (`npm run worker`). Use with
+ * JOB_WORKER_ENABLED=false on the API so jobs run only here.
+ */
+startJobWorker();
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, async () => {
+    console.log(`[INFO] ${signal} received, finishing running jobs...`);
+    await stopJobWorker();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { isBounceCandidate, parseBounce } = require("../src/utils/emailBounceUtils");
+
+// Shape of a mailparser simpleParser() result
+const parsedMessage = ({ headers = {}, ...overrides } = {}) => ({
+  headers: new Map(Object.entries(headers)),
+  subject: "Delivery Status Notification (Failure)",
+  messageId: "<dsn-1@mx.example.com>",
+  text: "",
+  attachments: [],
+  ...overrides,
+});
+
+const REPORT_TYPE = { value: "multipart/report", params: { "report-type": "delivery-status" } };
+
+test("isBounceCandidate checks the sender and subject", () => {
+  assert.equal(isBounceCandidate({ fromAddr: "MAILER-DAEMON@mx.example.com", subject: "" }), true);
+  assert.equal(isBounceCandidate({ fromAddr: "x@y.com", subject: "Undeliverable: RFP" }), true);
+  assert.equal(isBounceCandidate({ fromAddr: "sales@vendor.com", subject: "Re: RFP" }), false);
+});
+
+test("parseBounce reads the failed recipient, original Message-ID and reason from a DSN", () => {
+  const status = [
+    "Final-Recipient: rfc822; Sales@Vendor.com",
+    "Action: failed",
+    "Status: 5.1.1",
+    "Diagnostic-Code: smtp; 550 5.1.1 User unknown",
+  ].join("\n");
+  const original = "Message-ID: <invite-42@rfp.example.com>\nSubject: RFP invite";
+
+  const bounce = parseBounce(
+    parsedMessage({
+      headers: { "content-type": REPORT_TYPE },
+      attachments: [
+        { contentType: "message/delivery-status", content: Buffer.from(status) },
+        { contentType: "text/rfc822-headers", content: Buffer.from(original) },
+      ],
+    })
+  );
+
+  assert.deepEqual(bounce, {
+    messageIds: ["<invite-42@rfp.example.com>"],
+    recipients: ["sales@vendor.com"],
+    reason: "5.1.1 550 5.1.1 User unknown",
+  });
+});
+
+test("parseBounce ignores delayed-delivery notices", () => {
+  const bounce = parseBounce(
+    parsedMessage({
+      headers: { "content-type": REPORT_TYPE },
+      text: "Final-Recipient: rfc822; sales@vendor.com\nAction: delayed\nStatus: 4.4.7",
+    })
+  );
+
+  assert.equal(bounce, null);
+});
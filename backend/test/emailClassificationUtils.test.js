@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { classifyInboundEmail } = require("../src/utils/emailClassificationUtils");
+
+test("a price-less follow-up is not a question or decline", () => {
+  for (const bodyText of [
+    "Warranty is 24 months.",
+    "Delivery in 14 days, warranty 24 months, payment Net 30.",
+  ]) {
+    assert.equal(classifyInboundEmail({ subject: "Re: RFP", bodyText }), "other");
+  }
+});
+
+test("an attached quote with a question in it is a proposal", () => {
+  assert.equal(
+    classifyInboundEmail({
+      subject: "Re: RFP",
+      bodyText: "Please find attached our quotation.\nCould you confirm the delivery address?",
+      quoteAttachmentCount: 1,
+    }),
+    "proposal"
+  );
+  assert.equal(
+    classifyInboundEmail({
+      subject: "Re: RFP",
+      bodyText: "Our quote is attached. Any questions?",
+    }),
+    "proposal"
+  );
+});
+
+test("a decline that still names a price is a proposal", () => {
+  assert.equal(
+    classifyInboundEmail({
+      subject: "Re: RFP",
+      bodyText: "We are unable to quote for the full scope, but can supply the laptops at $950 per unit.",
+    }),
+    "proposal"
+  );
+  assert.equal(
+    classifyInboundEmail({ subject: "Re: RFP", bodyText: "We will not be bidding on this one." }),
+    "decline"
+  );
+});
+
+test("a plain question is a question", () => {
+  assert.equal(
+    classifyInboundEmail({
+      subject: "Re: RFP",
+      bodyText: "Do you need docking stations with the laptops?",
+    }),
+    "question"
+  );
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  itemLabelSimilarity,
+  alignProposalItems,
+} = require("../src/utils/proposalItemMatchingUtils");
+
+test("itemLabelSimilarity folds case, plurals and stop words", () => {
+  assert.equal(itemLabelSimilarity("Laptops", "laptop"), 1);
+  assert.equal(itemLabelSimilarity("Monitor", "27 inch 4K monitor"), 0.9);
+  assert.equal(itemLabelSimilarity("Laptop", "Docking station"), 0);
+  assert.equal(itemLabelSimilarity("", "Laptop"), 0);
+});
+
+test("alignProposalItems pairs each RFP item with the vendor's closest item once", () => {
+  const rfpItems = [
+    { id: "r1", item_label: "Laptop" },
+    { id: "r2", item_label: "Monitor" },
+    { id: "r3", item_label: "Keyboard" },
+  ];
+  const proposalItems = [
+    { id: "p1", item_label: "27 inch 4K monitors" },
+    { id: "p2", item_label: "Dell Latitude 5440 laptops" },
+    { id: "p3", item_label: "Extended support plan" },
+  ];
+
+  const { matches, unmatched } = alignProposalItems(rfpItems, proposalItems);
+
+  assert.equal(matches.get("r1").item.id, "p2");
+  assert.equal(matches.get("r2").item.id, "p1");
+  assert.equal(matches.has("r3"), false);
+  assert.deepEqual(unmatched.map((item) => item.id), ["p3"]);
+});
+
+test("alignProposalItems gives an exact match priority over a partial one", () => {
+  const { matches, unmatched } = alignProposalItems(
+    [{ id: "r1", item_label: "Monitor" }],
+    [
+      { id: "p1", item_label: "Monitor arm" },
+      { id: "p2", item_label: "Monitors" },
+    ]
+  );
+
+  assert.equal(matches.get("r1").item.id, "p2");
+  assert.equal(matches.get("r1").similarity, 1);
+  assert.deepEqual(unmatched.map((item) => item.id), ["p1"]);
+});
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  SCORING_RULES,
+  DEFAULT_EVALUATION_CRITERIA,
+  scoreProposal,
+  scoreRfpProposals,
+} = require("../src/utils/proposalScoringUtils");
+
+// A complete, on-spec quote; tests override what they exercise
+const quote = (overrides = {}) => ({
+  total_price: 1000,
+  delivery_days: 10,
+  warranty_months: 12,
+  payment_terms: "Net 30",
+  payment_terms_match: true,
+  items: [{ label: "Laptop", quantity: 10, unit_price: 100, matches_rfp: true }],
+  missing_items: [],
+  spec_concerns: null,
+  custom_criteria: [],
+  ...overrides,
+});
+
+const context = (overrides = {}) => ({
+  bestPrice: 1000,
+  bestDelivery: 10,
+  budgetCap: null,
+  minWarrantyMonths: 12,
+  paymentTerms: "Net 30",
+  ...overrides,
+});
+
+const criterion = (breakdown, key) => breakdown.criteria.find((c) => c.key === key);
+
+const score = (facts, ctx = context(), vendorRating = 8) =>
+  scoreProposal({ facts, vendorRating, criteria: DEFAULT_EVALUATION_CRITERIA, context: ctx });
+
+test("default criteria weights sum to 100", () => {
+  const total = DEFAULT_EVALUATION_CRITERIA.reduce((sum, c) => sum + c.weight, 0);
+  assert.equal(total, 100);
+});
+
+test("price scores 100 for the best price and loses a point per % above it", () => {
+  const results = scoreRfpProposals({
+    rfp: { payment_terms: "Net 30" },
+    proposals: [
+      { id: "cheap", facts: quote({ total_price: 1000 }), vendorRating: 8 },
+      { id: "dear", facts: quote({ total_price: 1200 }), vendorRating: 8 },
+    ],
+  });
+
+  assert.equal(criterion(results.get("cheap").breakdown, "price").score, 100);
+  assert.equal(criterion(results.get("dear").breakdown, "price").score, 80);
+  assert.ok(results.get("cheap").score > results.get("dear").score);
+});
+
+test("a proposal without a price scores 0 on price", () => {
+  const { breakdown } = score(quote({ total_price: null }));
+  assert.equal(criterion(breakdown, "price").score, 0);
+});
+
+test("delivery loses DELIVERY_POINTS_PER_DAY per day slower than the fastest", () => {
+  const { breakdown } = score(quote({ delivery_days: 15 }), context({ bestDelivery: 10 }));
+  assert.equal(criterion(breakdown, "delivery").score, 100 - 5 * SCORING_RULES.DELIVERY_POINTS_PER_DAY);
+});
+
+test("a price more than 20% over the budget cap caps the score at 50", () => {
+  const over = score(quote({ total_price: 1300 }), context({ bestPrice: 1300, budgetCap: 1000 }));
+  assert.equal(over.score, SCORING_RULES.OVER_BUDGET_CAP);
+  assert.deepEqual(over.breakdown.caps_applied.map((c) => c.key), ["over_budget"]);
+
+  const atLimit = score(quote({ total_price: 1200 }), context({ bestPrice: 1200, budgetCap: 1000 }));
+  assert.ok(atLimit.score > SCORING_RULES.OVER_BUDGET_CAP);
+  assert.deepEqual(atLimit.breakdown.caps_applied, []);
+});
+
+test("each missing item costs MISSING_ITEM_PENALTY points and caps the score at 60", () => {
+  const { score: total, breakdown } = score(quote({ missing_items: ["Monitor", "Dock"] }));
+
+  const penalty = breakdown.penalties.find((p) => p.key === "missing_items");
+  assert.equal(penalty.points, 2 * SCORING_RULES.MISSING_ITEM_PENALTY);
+  assert.ok(total <= SCORING_RULES.MISSING_ITEMS_CAP);
+});
+
+test("an email without prices or quantities gets the vague email penalty", () => {
+  const noPrices = score(
+    quote({ total_price: null, items: [{ label: "Laptop", quantity: 10, unit_price: null }] })
+  );
+  const noQuantities = score(
+    quote({ items: [{ label: "Laptop", quantity: null, unit_price: 100 }] })
+  );
+  const complete = score(quote());
+
+  for (const { breakdown } of [noPrices, noQuantities]) {
+    const penalty = breakdown.penalties.find((p) => p.key === "vague_email");
+    assert.equal(penalty.points, SCORING_RULES.VAGUE_EMAIL_PENALTY);
+  }
+  assert.equal(noPrices.breakdown.penalties[0].detail, "no prices quoted");
+  assert.equal(noQuantities.breakdown.penalties[0].detail, "no quantities quoted");
+  assert.deepEqual(complete.breakdown.penalties, []);
+});
+
+test("a new vendor's history weight is redistributed over the other criteria", () => {
+  const { breakdown } = score(quote(), context(), 0);
+
+  assert.equal(criterion(breakdown, "vendor_history").score, null);
+  const effective = breakdown.criteria.reduce((sum, c) => sum + c.effective_weight, 0);
+  assert.ok(Math.abs(effective - 100) < 0.1);
+  // Effective weights are rounded to 2 decimals, so a perfect quote lands within rounding of 100
+  assert.ok(breakdown.final_score > 99.9);
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { diffRfpHeader, diffRfpItems } = require("../src/utils/rfpAmendmentUtils");
+
+test("diffRfpHeader reports only fields that actually change", () => {
+  const rfp = {
+    title: "Laptops",
+    budget_cap: "50000.00",
+    submission_deadline: new Date("2026-03-01T12:00:00Z"),
+    delivery_by: "2026-04-01",
+  };
+
+  const diff = diffRfpHeader(rfp, {
+    title: "Laptops",
+    budget_cap: 50000,
+    submission_deadline: "2026-03-08T12:00:00.000Z",
+    delivery_by: "2026-04-01",
+  });
+
+  assert.deepEqual(diff, {
+    submission_deadline: { from: "2026-03-01T12:00:00.000Z", to: "2026-03-08T12:00:00.000Z" },
+  });
+});
+
+test("diffRfpItems finds added, removed, changed and reordered items", () => {
+  const current = [
+    { id: "a", item_label: "Laptop", spec_text: "16GB RAM", quantity: 20 },
+    { id: "b", item_label: "Monitor", spec_text: null, quantity: 20 },
+    { id: "c", item_label: "Mouse", spec_text: null, quantity: 20 },
+  ];
+
+  const diff = diffRfpItems(current, [
+    { id: "b", item_label: "Monitor", quantity: 20 },
+    { id: "a", item_label: "Laptop", spec_text: "16GB RAM", quantity: 25 },
+    { item_label: "Docking station", quantity: 20 },
+  ]);
+
+  assert.deepEqual(diff.added, [{ item_label: "Docking station", spec_text: null, quantity: 20 }]);
+  assert.deepEqual(diff.removed, [{ id: "c", item_label: "Mouse", spec_text: null, quantity: 20 }]);
+  assert.deepEqual(diff.changed, [
+    { id: "a", item_label: "Laptop", changes: { quantity: { from: 20, to: 25 } } },
+  ]);
+  assert.equal(diff.reordered, true);
+});
+
+test("diffRfpItems sees no change in the same list", () => {
+  const current = [{ id: "a", item_label: "Laptop", spec_text: null, quantity: 20 }];
+
+  assert.deepEqual(diffRfpItems(current, [{ id: "a", item_label: "Laptop", quantity: 20 }]), {
+    added: [],
+    removed: [],
+    changed: [],
+    reordered: false,
+  });
+});
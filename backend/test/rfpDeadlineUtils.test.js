@@ -0,0 +1,23 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { toSubmissionDeadline, isLateReply } = require("../src/utils/rfpDeadlineUtils");
+
+test("toSubmissionDeadline reads a bare date as the end of that day, UTC", () => {
+  assert.equal(toSubmissionDeadline("2026-03-01").toISOString(), "2026-03-01T23:59:59.999Z");
+  assert.equal(
+    toSubmissionDeadline("2026-03-01T09:30:00Z").toISOString(),
+    "2026-03-01T09:30:00.000Z"
+  );
+  assert.equal(toSubmissionDeadline(""), null);
+  assert.equal(toSubmissionDeadline("next friday"), null);
+});
+
+test("isLateReply flags only replies after the deadline", () => {
+  const rfp = { submission_deadline: "2026-03-01T23:59:59.999Z" };
+
+  assert.equal(isLateReply(rfp, "2026-03-01T23:00:00Z"), false);
+  assert.equal(isLateReply(rfp, "2026-03-02T00:00:00Z"), true);
+  assert.equal(isLateReply({ submission_deadline: null }, "2026-03-02T00:00:00Z"), false);
+  assert.equal(isLateReply(rfp, null), false);
+});
@@ -0,0 +1,17 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { resolveReminderDays } = require("../src/utils/rfpReminderUtils");
+
+test("resolveReminderDays orders an organization's days largest first, once each", () => {
+  assert.deepEqual(resolveReminderDays({ reminder_days: [1, 7, 3, 7] }), [7, 3, 1]);
+});
+
+test("resolveReminderDays keeps an empty list (reminders off)", () => {
+  assert.deepEqual(resolveReminderDays({ reminder_days: [] }), []);
+});
+
+test("resolveReminderDays falls back to the defaults without an organization setting", () => {
+  assert.deepEqual(resolveReminderDays({ reminder_days: null }), resolveReminderDays(null));
+  assert.ok(resolveReminderDays(null).every((days, i, all) => i === 0 || all[i - 1] > days));
+});
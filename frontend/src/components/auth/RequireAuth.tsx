@@ -0,0 +1,17 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { getAuthSession, LOGIN_PATH } from '@/lib/auth';
+
+/**
+ * Layout route guarding the app pages. Only checks for a stored session;
+ * an expired or revoked token is caught by apiCall's 401 handling.
+ */
+export function RequireAuth() {
+  const location = useLocation();
+
+  if (!getAuthSession()) {
+    const redirect = encodeURIComponent(`${location.pathname}${location.search}`);
+    return <Navigate to={`${LOGIN_PATH}?redirect=${redirect}`} replace />;
+  }
+
+  return <Outlet />;
+}
@@ -0,0 +1,91 @@
+import { Badge } from '@/components/ui/badge';
+import { LoadingState } from '@/components/common/Spinner';
+import { EmptyState } from '@/components/common/EmptyState';
+import { useAuditEvents } from '@/hooks/useAuditEvents';
+import { AuditEvent } from '@/types';
+import { History } from 'lucide-react';
+
+interface AuditTrailProps {
+  rfpId?: string;
+  vendorId?: string;
+}
+
+const formatTimestamp = (value: string) => new Date(value).toLocaleString();
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+function AuditChanges({ event }: { event: AuditEvent }) {
+  const before = event.before || {};
+  const after = event.after || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+
+  if (fields.length === 0) return null;
+
+  return (
+    <div className="border rounded-lg overflow-hidden">
+      <table className="w-full text-sm">
+        <thead className="bg-muted">
+          <tr>
+            <th className="p-2 text-left font-medium">Field</th>
+            <th className="p-2 text-left font-medium">Before</th>
+            <th className="p-2 text-left font-medium">After</th>
+          </tr>
+        </thead>
+        <tbody>
+          {fields.map((field) => (
+            <tr key={field} className="border-t align-top">
+              <td className="p-2">{field}</td>
+              <td className="p-2 font-mono text-xs text-muted-foreground break-all">{formatValue(before[field])}</td>
+              <td className="p-2 font-mono text-xs break-all">{formatValue(after[field])}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Read-only audit trail (ListAuditEvents) for an RFP or a vendor, newest first.
+ */
+export function AuditTrail({ rfpId, vendorId }: AuditTrailProps) {
+  const { data: events = [], isLoading } = useAuditEvents({ rfp_id: rfpId, vendor_id: vendorId });
+
+  if (isLoading) {
+    return <LoadingState message="Loading audit trail..." />;
+  }
+
+  if (events.length === 0) {
+    return (
+      <EmptyState
+        icon={History}
+        title="No audit events"
+        description="Changes such as sends, awards and edits will be recorded here."
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {events.map((event) => (
+        <div key={event.id} className="border-l-2 border-border pl-4 space-y-2">
+          <div className="flex items-center gap-2 flex-wrap">
+            <Badge variant="secondary">{event.action}</Badge>
+            <span className="text-sm">{event.actor_email || 'System'}</span>
+            <span className="text-sm text-muted-foreground">{formatTimestamp(event.created_at)}</span>
+            {event.request_id && (
+              <span className="text-xs text-muted-foreground font-mono ml-auto">{event.request_id}</span>
+            )}
+          </div>
+          <AuditChanges event={event} />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import { cn } from '@/lib/utils';
 import { Badge } from '@/components/ui/badge';
 
-type Status = 'draft' | 'sent' | 'evaluating' | 'closed' | 'pending' | 'awarded' | 'rejected';
+type Status = 'draft' | 'sent' | 'evaluating' | 'pending_approval' | 'closed' | 'pending' | 'awarded' | 'rejected';
 
 interface StatusBadgeProps {
   status: Status;
@@ -12,6 +12,7 @@ const statusConfig: Record<Status, { label: string; variant: 'default' | 'second
   draft: { label: 'Draft', variant: 'secondary' },
   sent: { label: 'Sent', variant: 'default' },
   evaluating: { label: 'Evaluating', variant: 'outline' },
+  pending_approval: { label: 'Pending Approval', variant: 'outline' },
   closed: { label: 'Closed', variant: 'secondary' },
   awarded: { label: 'Awarded', variant: 'default' },
   pending: { label: 'Pending', variant: 'outline' },
@@ -1,13 +1,38 @@
 import { useTheme } from 'next-themes';
+import { useNavigate } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
-import { Moon, Sun } from 'lucide-react';
+import { useCurrentUser, useLogout } from '@/hooks/useAuth';
+import { LOGIN_PATH } from '@/lib/auth';
+import { LogOut, Moon, Sun } from 'lucide-react';
 
 interface HeaderProps {
   title?: string;
 }
 
+function getInitials(name: string): string {
+  return name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join('');
+}
+
 export function Header({ title }: HeaderProps) {
   const { theme, setTheme } = useTheme();
+  const navigate = useNavigate();
+  const { data } = useCurrentUser();
+  const user = data?.user;
+  const organization = data?.organization;
+  const logoutMutation = useLogout();
+
+  const displayName = user?.name || user?.email || 'User';
+
+  const handleLogout = () => {
+    logoutMutation.mutate(undefined, {
+      onSettled: () => navigate(LOGIN_PATH, { replace: true }),
+    });
+  };
 
   return (
     <header className="h-16 bg-card border-b border-border flex items-center justify-between px-6 shrink-0">
@@ -34,11 +59,30 @@ export function Header({ title }: HeaderProps) {
           )}
         </Button>
         <span className="text-sm text-muted-foreground">
-          Logged in as <span className="font-medium text-foreground">Procurement Mgr</span>
+          Logged in as <span className="font-medium text-foreground">{displayName}</span>
+          {user?.role && <span className="ml-1 capitalize">({user.role})</span>}
+          {organization && (
+            <span className="ml-1">
+              · <span className="font-medium text-foreground">{organization.name}</span>
+            </span>
+          )}
         </span>
-        <div className="w-8 h-8 rounded-full bg-primary/10 text-primary flex items-center justify-center font-semibold text-sm">
-          PM
+        <div
+          className="w-8 h-8 rounded-full bg-primary/10 text-primary flex items-center justify-center font-semibold text-sm"
+          title={user?.email}
+        >
+          {getInitials(displayName)}
         </div>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={handleLogout}
+          disabled={logoutMutation.isPending}
+          className="gap-2"
+        >
+          <LogOut className="h-4 w-4" />
+          Logout
+        </Button>
       </div>
     </header>
   );
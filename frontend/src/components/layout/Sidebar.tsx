@@ -1,20 +1,27 @@
 import { NavLink } from '@/components/NavLink';
+import { usePermissions } from '@/hooks/useAuth';
+import { ApiAction } from '@/lib/api';
 import { 
   Cpu, 
   LayoutDashboard, 
   FileText, 
   Users, 
-  Plus 
+  Plus,
+  ListChecks
 } from 'lucide-react';
 
-const navItems = [
+const navItems: { to: string; icon: typeof Plus; label: string; action?: ApiAction }[] = [
   { to: '/', icon: LayoutDashboard, label: 'Dashboard' },
   { to: '/rfps', icon: FileText, label: 'RFPs' },
-  { to: '/rfps/new', icon: Plus, label: 'Create RFP' },
+  { to: '/rfps/new', icon: Plus, label: 'Create RFP', action: 'CreateRfp' },
   { to: '/vendors', icon: Users, label: 'Vendors' },
+  { to: '/jobs', icon: ListChecks, label: 'Jobs', action: 'ListJobs' },
 ];
 
 export function Sidebar() {
+  const { can } = usePermissions();
+  const visibleItems = navItems.filter((item) => !item.action || can(item.action));
+
   return (
     <aside className="w-64 bg-sidebar text-sidebar-foreground flex flex-col shrink-0 border-r border-sidebar-border">
       {/* Logo */}
@@ -25,7 +32,7 @@ export function Sidebar() {
 
       {/* Navigation */}
       <nav className="flex-1 p-4 space-y-1">
-        {navItems.map((item) => (
+        {visibleItems.map((item) => (
           <NavLink
             key={item.to}
             to={item.to}
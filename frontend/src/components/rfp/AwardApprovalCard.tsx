@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { useCancelAwardApproval, useDecideAward } from '@/hooks/useAwardApprovals';
+import { usePermissions } from '@/hooks/useAuth';
+import { formatCurrencySafe, formatDateSafe } from '@/lib/formatUtils';
+import { AwardApproval, AwardApprovalReason, AwardApprovalStep } from '@/types';
+import { Ban, Check, ShieldCheck, X } from 'lucide-react';
+
+interface AwardApprovalCardProps {
+  approval: AwardApproval;
+  vendorName?: string;
+}
+
+const describeReason = (reason: AwardApprovalReason, currencyCode: string) => {
+  switch (reason.type) {
+    case 'threshold':
+      return `Amount is at or above the ${formatCurrencySafe(reason.threshold, currencyCode)} approval threshold`;
+    case 'budget_ratio':
+      return `Amount exceeds ${Math.round((reason.budget_ratio ?? 0) * 100)}% of the budget cap (${formatCurrencySafe(reason.limit, currencyCode)})`;
+    case 'price_unknown':
+      return 'Proposal has no total price';
+    default:
+      return reason.type;
+  }
+};
+
+const describeStep = (step: AwardApprovalStep) =>
+  step.user_id ? 'Named approver' : `Any ${step.role ?? 'approver'}`;
+
+/**
+ * A pending award and its approval chain, with Approve / Reject for the
+ * caller when they may decide the current step, and Cancel for the
+ * requester or an admin.
+ */
+export function AwardApprovalCard({ approval, vendorName }: AwardApprovalCardProps) {
+  const [comment, setComment] = useState('');
+  const decideMutation = useDecideAward();
+  const cancelMutation = useCancelAwardApproval();
+  const { can } = usePermissions();
+
+  const canDecide = approval.can_decide && can('ApproveAward');
+  const canCancel = approval.can_cancel && can('CancelAwardApproval');
+  const isBusy = decideMutation.isPending || cancelMutation.isPending;
+
+  const decide = (decision: 'approve' | 'reject') => {
+    decideMutation.mutate(
+      { rfpId: approval.rfp_id, approvalId: approval.id, decision, comment },
+      { onSuccess: () => setComment('') }
+    );
+  };
+
+  const cancel = () => {
+    cancelMutation.mutate(
+      { rfpId: approval.rfp_id, approvalId: approval.id, comment },
+      { onSuccess: () => setComment('') }
+    );
+  };
+
+  return (
+    <Card className="border-primary/40">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5" />
+          Award Pending Approval
+        </CardTitle>
+        <CardDescription>
+          {vendorName ?? 'Vendor'} · {formatCurrencySafe(approval.amount, approval.currency_code)} · requested{' '}
+          {formatDateSafe(approval.created_at)}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <ul className="list-disc pl-5 text-sm text-muted-foreground">
+          {approval.reasons.map((reason, index) => (
+            <li key={index}>{describeReason(reason, approval.currency_code)}</li>
+          ))}
+        </ul>
+
+        <ol className="space-y-2">
+          {approval.steps.map((step, index) => {
+            const decision = approval.decisions.find((d) => d.step === index);
+            return (
+              <li key={index} className="flex items-center justify-between rounded-lg border p-2 text-sm">
+                <span>
+                  Step {index + 1}: {describeStep(step)}
+                </span>
+                {decision ? (
+                  <span className="flex items-center gap-2 text-muted-foreground">
+                    {decision.decided_by_email}
+                    <Badge variant={decision.decision === 'approved' ? 'default' : 'destructive'}>
+                      {decision.decision === 'approved' ? 'Approved' : 'Rejected'}
+                    </Badge>
+                  </span>
+                ) : (
+                  <Badge variant="outline">{index === approval.current_step ? 'Awaiting' : 'Queued'}</Badge>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+
+        {(canDecide || canCancel) && (
+          <div className="space-y-2">
+            <Textarea
+              placeholder="Comment (optional)"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              rows={2}
+            />
+            <div className="flex justify-end gap-2">
+              {canCancel && (
+                <Button variant="ghost" onClick={cancel} disabled={isBusy}>
+                  <Ban className="h-4 w-4 mr-1" />
+                  Cancel Request
+                </Button>
+              )}
+              {canDecide && (
+                <>
+                  <Button variant="outline" onClick={() => decide('reject')} disabled={isBusy}>
+                    <X className="h-4 w-4 mr-1" />
+                    Reject
+                  </Button>
+                  <Button onClick={() => decide('approve')} disabled={isBusy}>
+                    <Check className="h-4 w-4 mr-1" />
+                    Approve
+                  </Button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
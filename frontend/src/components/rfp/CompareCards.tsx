@@ -7,8 +7,9 @@ import { cn } from '@/lib/utils';
 
 interface CompareCardsProps {
   proposals: Proposal[];
-  onAward: (proposal: Proposal) => void;
-  onReject: (proposal: Proposal) => void;
+  // Omitted when the current role can't award/reject
+  onAward?: (proposal: Proposal) => void;
+  onReject?: (proposal: Proposal) => void;
 }
 
 export function CompareCards({ proposals, onAward, onReject }: CompareCardsProps) {
@@ -88,7 +89,7 @@ export function CompareCards({ proposals, onAward, onReject }: CompareCardsProps
                   <div className="py-2 bg-muted text-muted-foreground font-medium rounded text-center text-sm">
                     Proposal Rejected
                   </div>
-                ) : isHighScore ? (
+                ) : isHighScore && onAward ? (
                   <Button
                     className="w-full"
                     onClick={() => onAward(proposal)}
@@ -96,7 +97,7 @@ export function CompareCards({ proposals, onAward, onReject }: CompareCardsProps
                     <Award className="h-4 w-4 mr-2" />
                     Award Contract
                   </Button>
-                ) : (
+                ) : !isHighScore && onReject ? (
                   <Button
                     variant="outline"
                     className="w-full"
@@ -105,6 +106,10 @@ export function CompareCards({ proposals, onAward, onReject }: CompareCardsProps
                     <X className="h-4 w-4 mr-2" />
                     Reject Proposal
                   </Button>
+                ) : (
+                  <div className="py-2 bg-muted text-muted-foreground font-medium rounded text-center text-sm">
+                    Awaiting Decision
+                  </div>
                 )}
               </div>
             </CardContent>
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { useEmailAttachment } from '@/hooks/useRfps';
+import { formatFileSizeSafe } from '@/lib/formatUtils';
+import { EmailAttachment } from '@/types';
+import { Paperclip } from 'lucide-react';
+
+interface EmailAttachmentsProps {
+  attachments: EmailAttachment[];
+}
+
+const STATUS_LABELS: Record<EmailAttachment['extraction_status'], string> = {
+  pending: 'Pending',
+  extracted: 'Text extracted',
+  empty: 'No text found',
+  unsupported: 'Not read',
+  skipped: 'Too large',
+  failed: 'Extraction failed',
+};
+
+// Loaded on demand: the email list only carries attachment metadata
+function AttachmentText({ attachmentId }: { attachmentId: string }) {
+  const { data: attachment, isLoading, error } = useEmailAttachment(attachmentId);
+
+  return (
+    <div
+      className="mt-2 text-xs font-mono whitespace-pre-wrap bg-muted p-3 rounded max-h-60 overflow-y-auto"
+      onClick={(e) => e.stopPropagation()}
+    >
+      {isLoading
+        ? 'Loading text...'
+        : error
+          ? 'Could not load the extracted text.'
+          : attachment?.extracted_text || 'No text was extracted.'}
+    </div>
+  );
+}
+
+/**
+ * Files attached to a vendor email, with a preview of the text that was
+ * extracted from them and fed to proposal parsing.
+ */
+export function EmailAttachments({ attachments }: EmailAttachmentsProps) {
+  const [previewId, setPreviewId] = useState<string | null>(null);
+
+  if (attachments.length === 0) return null;
+
+  return (
+    <div>
+      <p className="text-xs font-semibold text-muted-foreground uppercase">
+        Attachments ({attachments.length})
+      </p>
+      <ul className="mt-2 space-y-2">
+        {attachments.map((attachment) => (
+          <li key={attachment.id} className="text-sm">
+            <div className="flex items-center gap-2">
+              <Paperclip className="h-4 w-4 text-muted-foreground" />
+              <span className="truncate">{attachment.filename || '(unnamed)'}</span>
+              <span className="text-xs text-muted-foreground">
+                {formatFileSizeSafe(attachment.size_bytes, '')}
+              </span>
+              <span
+                className={`text-xs px-2 py-0.5 rounded ${
+                  attachment.extraction_status === 'extracted'
+                    ? 'bg-success/10 text-success'
+                    : attachment.extraction_status === 'failed'
+                      ? 'bg-destructive/10 text-destructive'
+                      : 'bg-muted text-muted-foreground'
+                }`}
+                title={attachment.extraction_error || undefined}
+              >
+                {STATUS_LABELS[attachment.extraction_status] || attachment.extraction_status}
+              </span>
+              {attachment.extraction_status === 'extracted' && (
+                <button
+                  type="button"
+                  className="text-xs text-primary hover:underline"
+                  onClick={(e) => {
+                    // Keep the parent email card from collapsing
+                    e.stopPropagation();
+                    setPreviewId(previewId === attachment.id ? null : attachment.id);
+                  }}
+                >
+                  {previewId === attachment.id ? 'Hide text' : 'View text'}
+                </button>
+              )}
+            </div>
+            {previewId === attachment.id && <AttachmentText attachmentId={attachment.id} />}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -1,21 +1,66 @@
 import { useState } from 'react';
-import { useEmails, useFetchEmails, useParseProposals } from '@/hooks/useRfps';
+import { useClassifyEmail, useEmails, useFetchEmails, useParseProposals } from '@/hooks/useRfps';
+import { usePermissions } from '@/hooks/useAuth';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
 import { LoadingState } from '@/components/common/Spinner';
 import { EmptyState } from '@/components/common/EmptyState';
-import { Mail, RefreshCw, Zap } from 'lucide-react';
+import { EmailAttachments } from '@/components/rfp/EmailAttachments';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Email, EmailClassification, OutboundEmailKind, OutboundEmailStatus } from '@/types';
+import { Mail, Paperclip, RefreshCw, Send, Zap } from 'lucide-react';
 import { format } from 'date-fns';
 
 interface EmailsListProps {
   rfpId: string | undefined;
-  rfpStatus?: 'draft' | 'sent' | 'evaluating' | 'closed';
+  rfpStatus?: 'draft' | 'sent' | 'evaluating' | 'pending_approval' | 'closed';
 }
 
+const KIND_LABELS: Record<OutboundEmailKind, string> = {
+  invite: 'Invite',
+  award: 'Award',
+  rejection: 'Rejection',
+  reminder: 'Reminder',
+  amendment: 'Amendment',
+  clarification: 'Clarification',
+};
+
+// Only proposals are analyzed; questions go to the Q&A board
+const CLASSIFICATION_LABELS: Record<EmailClassification, string> = {
+  proposal: 'Proposal',
+  question: 'Question',
+  decline: 'Decline',
+  other: 'Other',
+};
+
+const DELIVERY_STATUS: Record<OutboundEmailStatus, { label: string; variant: 'default' | 'secondary' | 'destructive' | 'outline' }> = {
+  queued: { label: 'Queued', variant: 'outline' },
+  sent: { label: 'Sent', variant: 'default' },
+  failed: { label: 'Failed', variant: 'destructive' },
+  bounced: { label: 'Bounced', variant: 'destructive' },
+};
+
+// Why the last delivery attempt failed, or why the recipient bounced it
+const deliveryProblem = (email: Email) =>
+  email.status === 'bounced' ? email.bounce_reason : email.status !== 'sent' ? email.last_error : null;
+
 export function EmailsList({ rfpId, rfpStatus }: EmailsListProps) {
-  const { data: emails = [], isLoading, refetch } = useEmails(rfpId);
+  const [direction, setDirection] = useState<Email['direction']>('inbound');
+  const [kindFilter, setKindFilter] = useState<string>('all');
+  const outbound = direction === 'outbound';
+  const kind = outbound && kindFilter !== 'all' ? (kindFilter as OutboundEmailKind) : undefined;
+  const { data: emails = [], isLoading, refetch } = useEmails(rfpId, direction, kind);
   const fetchEmailsMutation = useFetchEmails();
   const parseProposalsMutation = useParseProposals();
+  const classifyEmailMutation = useClassifyEmail();
+  const { can } = usePermissions();
   const [expandedEmailId, setExpandedEmailId] = useState<string | null>(null);
 
   const handleFetchEmails = async () => {
@@ -53,8 +98,8 @@ export function EmailsList({ rfpId, rfpStatus }: EmailsListProps) {
     <Card>
       <CardHeader className="flex flex-row items-center justify-between space-y-0">
         <CardTitle className="flex items-center gap-2">
-          <Mail className="h-4 w-4" />
-          Received Emails
+          {outbound ? <Send className="h-4 w-4" /> : <Mail className="h-4 w-4" />}
+          {outbound ? 'Sent Emails' : 'Received Emails'}
           {emails.length > 0 && (
             <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-primary text-primary-foreground">
               {emails.length}
@@ -62,18 +107,53 @@ export function EmailsList({ rfpId, rfpStatus }: EmailsListProps) {
           )}
         </CardTitle>
         <div className="flex gap-2">
-          <Button
-            variant="outline"
-            size="sm"
-            onClick={handleFetchEmails}
-            disabled={fetchEmailsMutation.isPending || rfpStatus === 'closed'}
-            className="gap-2"
-            title={rfpStatus === 'closed' ? 'Cannot fetch emails for a closed RFP' : ''}
-          >
-            <RefreshCw className="h-4 w-4" />
-            {fetchEmailsMutation.isPending ? 'Fetching...' : 'Fetch Emails'}
-          </Button>
-          {emails.length > 0 && (
+          <div className="flex rounded-md border p-0.5">
+            <Button
+              variant={outbound ? 'ghost' : 'secondary'}
+              size="sm"
+              className="h-7"
+              onClick={() => setDirection('inbound')}
+            >
+              Received
+            </Button>
+            <Button
+              variant={outbound ? 'secondary' : 'ghost'}
+              size="sm"
+              className="h-7"
+              onClick={() => setDirection('outbound')}
+            >
+              Sent
+            </Button>
+          </div>
+          {outbound && (
+            <Select value={kindFilter} onValueChange={setKindFilter}>
+              <SelectTrigger className="h-8 w-36">
+                <SelectValue placeholder="All kinds" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All kinds</SelectItem>
+                {(Object.keys(KIND_LABELS) as OutboundEmailKind[]).map((k) => (
+                  <SelectItem key={k} value={k}>
+                    {KIND_LABELS[k]}s
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          {!outbound && can('FetchEmails') && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleFetchEmails}
+              disabled={fetchEmailsMutation.isPending || rfpStatus === 'closed'}
+              className="gap-2"
+              title={rfpStatus === 'closed' ? 'Cannot fetch emails for a closed RFP' : ''}
+            >
+              <RefreshCw className="h-4 w-4" />
+              {fetchEmailsMutation.isPending ? 'Fetching...' : 'Fetch Emails'}
+            </Button>
+          )}
+          {!outbound && emails.length > 0 && can('ParseProposals') && (
             <Button
               variant="outline"
               size="sm"
@@ -92,11 +172,23 @@ export function EmailsList({ rfpId, rfpStatus }: EmailsListProps) {
         {isLoading ? (
           <LoadingState message="Loading emails..." />
         ) : emails.length === 0 ? (
-          <EmptyState
-            icon={Mail}
-            title="No emails received"
-            description="Click 'Fetch Emails' to sync emails from your inbox"
-          />
+          outbound ? (
+            <EmptyState
+              icon={Send}
+              title={kind ? `No ${KIND_LABELS[kind].toLowerCase()}s sent` : 'No emails sent'}
+              description={
+                kind === 'reminder'
+                  ? "Vendors who haven't replied are reminded ahead of the response deadline"
+                  : 'Invites, reminders, amendments, award and rejection notices for this RFP will show here'
+              }
+            />
+          ) : (
+            <EmptyState
+              icon={Mail}
+              title="No emails received"
+              description="Click 'Fetch Emails' to sync emails from your inbox"
+            />
+          )
         ) : (
           <div className="space-y-3">
             {emails.map((email) => (
@@ -116,15 +208,34 @@ export function EmailsList({ rfpId, rfpStatus }: EmailsListProps) {
                         {email.vendor_name || email.vendor_email}
                       </h4>
                       <span className="text-xs px-2 py-1 rounded bg-muted text-muted-foreground">
-                        {email.direction}
+                        {email.kind
+                          ? KIND_LABELS[email.kind]
+                          : email.classification
+                            ? CLASSIFICATION_LABELS[email.classification]
+                            : email.direction}
                       </span>
+                      {email.status && (
+                        <Badge variant={DELIVERY_STATUS[email.status].variant}>
+                          {DELIVERY_STATUS[email.status].label}
+                        </Badge>
+                      )}
+                      {(email.attachments?.length ?? 0) > 0 && (
+                        <span className="flex items-center gap-1 text-xs text-muted-foreground">
+                          <Paperclip className="h-3 w-3" />
+                          {email.attachments?.length}
+                        </span>
+                      )}
                     </div>
                     <p className="text-sm text-muted-foreground truncate">
                       {email.subject}
                     </p>
                     <p className="text-xs text-muted-foreground mt-1">
-                      {format(new Date(email.received_at || email.created_at), 'PPpp')}
+                      {format(new Date(email.received_at || email.sent_at || email.created_at), 'PPpp')}
+                      {outbound && (email.attempts ?? 0) > 1 && ` · ${email.attempts} attempts`}
                     </p>
+                    {deliveryProblem(email) && (
+                      <p className="text-xs text-destructive mt-1 truncate">{deliveryProblem(email)}</p>
+                    )}
                   </div>
                 </div>
 
@@ -132,9 +243,9 @@ export function EmailsList({ rfpId, rfpStatus }: EmailsListProps) {
                   <div className="mt-4 pt-4 border-t space-y-2">
                     <div>
                       <p className="text-xs font-semibold text-muted-foreground uppercase">
-                        From
+                        {outbound ? 'To' : 'From'}
                       </p>
-                      <p className="text-sm">{email.vendor_email}</p>
+                      <p className="text-sm">{outbound ? email.to_address : email.vendor_email}</p>
                     </div>
                     <div>
                       <p className="text-xs font-semibold text-muted-foreground uppercase">
@@ -150,6 +261,33 @@ export function EmailsList({ rfpId, rfpStatus }: EmailsListProps) {
                         {email.body_text}
                       </div>
                     </div>
+                    <EmailAttachments attachments={email.attachments || []} />
+                    {!outbound && can('ClassifyEmail') && (
+                      <div className="flex items-center gap-2" onClick={(e) => e.stopPropagation()}>
+                        <p className="text-xs font-semibold text-muted-foreground uppercase">Classified as</p>
+                        <Select
+                          value={email.classification || undefined}
+                          onValueChange={(value) =>
+                            classifyEmailMutation.mutate({
+                              email_id: email.id,
+                              classification: value as EmailClassification,
+                            })
+                          }
+                          disabled={classifyEmailMutation.isPending}
+                        >
+                          <SelectTrigger className="h-8 w-36">
+                            <SelectValue placeholder="Unclassified" />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {(Object.keys(CLASSIFICATION_LABELS) as EmailClassification[]).map((c) => (
+                              <SelectItem key={c} value={c}>
+                                {CLASSIFICATION_LABELS[c]}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { EvaluationCriterion } from '@/types';
+import {
+  isCustomCriterion,
+  makeCustomCriterionKey,
+  totalCriteriaWeight,
+} from '@/lib/evaluationCriteria';
+import { cn } from '@/lib/utils';
+import { Plus, Trash2 } from 'lucide-react';
+
+interface EvaluationCriteriaEditorProps {
+  value: EvaluationCriterion[];
+  onChange: (criteria: EvaluationCriterion[]) => void;
+  disabled?: boolean;
+}
+
+export function EvaluationCriteriaEditor({ value, onChange, disabled = false }: EvaluationCriteriaEditorProps) {
+  const [newLabel, setNewLabel] = useState('');
+  const total = totalCriteriaWeight(value);
+  const isBalanced = Math.abs(total - 100) < 0.01;
+
+  const updateCriterion = (key: string, changes: Partial<EvaluationCriterion>) => {
+    onChange(value.map((c) => (c.key === key ? { ...c, ...changes } : c)));
+  };
+
+  const removeCriterion = (key: string) => {
+    onChange(value.filter((c) => c.key !== key));
+  };
+
+  const addCustomCriterion = () => {
+    const label = newLabel.trim();
+    if (!label) return;
+    onChange([...value, { key: makeCustomCriterionKey(label, value), label, weight: 0 }]);
+    setNewLabel('');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="border rounded-lg overflow-hidden">
+        <table className="w-full text-sm">
+          <thead className="bg-muted">
+            <tr>
+              <th className="p-2 text-left font-medium">Criterion</th>
+              <th className="p-2 text-right font-medium w-32">Weight (%)</th>
+              <th className="p-2 w-12" />
+            </tr>
+          </thead>
+          <tbody>
+            {value.map((criterion) => (
+              <tr key={criterion.key} className="border-t">
+                <td className="p-2">
+                  {isCustomCriterion(criterion.key) ? (
+                    <div className="space-y-1">
+                      <Input
+                        value={criterion.label}
+                        onChange={(e) => updateCriterion(criterion.key, { label: e.target.value })}
+                        disabled={disabled}
+                      />
+                      <Input
+                        value={criterion.description || ''}
+                        onChange={(e) => updateCriterion(criterion.key, { description: e.target.value })}
+                        placeholder="What should vendors address? (optional)"
+                        disabled={disabled}
+                      />
+                    </div>
+                  ) : (
+                    criterion.label
+                  )}
+                </td>
+                <td className="p-2">
+                  <Input
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={criterion.weight}
+                    onChange={(e) => updateCriterion(criterion.key, { weight: Number(e.target.value) || 0 })}
+                    className="text-right"
+                    disabled={disabled}
+                  />
+                </td>
+                <td className="p-2 text-center">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => removeCriterion(criterion.key)}
+                    disabled={disabled}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="border-t bg-muted font-medium">
+              <td className="p-2">Total</td>
+              <td className={cn('p-2 text-right font-mono', !isBalanced && 'text-destructive')}>
+                {total}
+              </td>
+              <td />
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      {!isBalanced && (
+        <p className="text-sm text-destructive">Weights must sum to 100 (currently {total}).</p>
+      )}
+
+      <div className="flex items-center gap-2">
+        <Input
+          value={newLabel}
+          onChange={(e) => setNewLabel(e.target.value)}
+          placeholder="Add custom criterion, e.g. On-site support"
+          disabled={disabled}
+        />
+        <Button variant="outline" onClick={addCustomCriterion} disabled={disabled || !newLabel.trim()}>
+          <Plus className="h-4 w-4 mr-2" />
+          Add
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { LoadingState } from '@/components/common/Spinner';
+import { EmptyState } from '@/components/common/EmptyState';
+import { useProposalItemMatrix } from '@/hooks/useRfps';
+import { formatCurrencySafe } from '@/lib/formatUtils';
+import { cn } from '@/lib/utils';
+import { ProposalItemMatrixCell, ProposalItemMatrixVendor } from '@/types';
+import { AlertCircle, Check, Grid3x3, Minus, X } from 'lucide-react';
+
+interface ProposalItemMatrixProps {
+  rfpId: string;
+}
+
+interface MatrixCellProps {
+  cell: ProposalItemMatrixCell;
+  vendor: ProposalItemMatrixVendor | undefined;
+  rfpQuantity: number;
+  currencyCode: string | null;
+}
+
+function MatrixCell({ cell, vendor, rfpQuantity, currencyCode }: MatrixCellProps) {
+  if (cell.missing) {
+    return (
+      <TableCell className="text-center align-top bg-destructive/5">
+        <span className="text-sm text-destructive font-medium">Not quoted</span>
+      </TableCell>
+    );
+  }
+
+  const currency = vendor?.currency_code || currencyCode;
+
+  return (
+    <TableCell className={cn('align-top', cell.is_best_price && 'bg-success/10')}>
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-mono font-medium">{formatCurrencySafe(cell.unit_price, currency)}</span>
+        {cell.matches_rfp === true && <Check className="h-4 w-4 text-success" aria-label="Matches RFP" />}
+        {cell.matches_rfp === false && <X className="h-4 w-4 text-destructive" aria-label="Doesn't match RFP" />}
+        {(cell.matches_rfp === null || cell.matches_rfp === undefined) && (
+          <Minus className="h-4 w-4 text-muted-foreground" aria-label="Match unknown" />
+        )}
+      </div>
+      {cell.is_best_price && <div className="text-xs text-success font-semibold">Best price</div>}
+      <div
+        className={cn(
+          'text-xs text-muted-foreground',
+          cell.quantity_matches === false && 'text-warning font-medium'
+        )}
+      >
+        Qty {cell.quantity ?? 'n/a'}
+        {cell.quantity_matches === false && ` (RFP asks ${rfpQuantity})`}
+      </div>
+      {cell.item_label && <div className="text-xs text-muted-foreground mt-1">As quoted: {cell.item_label}</div>}
+      {cell.spec_text && <div className="text-xs mt-1">{cell.spec_text}</div>}
+      {cell.notes && <div className="text-xs text-muted-foreground italic mt-1">{cell.notes}</div>}
+    </TableCell>
+  );
+}
+
+// Every RFP line against each vendor's matching quote; best unit price and missing lines highlighted
+export function ProposalItemMatrix({ rfpId }: ProposalItemMatrixProps) {
+  const { data: matrix, isLoading } = useProposalItemMatrix(rfpId);
+
+  if (isLoading) {
+    return <LoadingState message="Loading line items..." />;
+  }
+
+  if (!matrix || matrix.lines.length === 0 || matrix.vendors.length === 0) {
+    return (
+      <EmptyState
+        icon={Grid3x3}
+        title="No line items to compare"
+        description="Line items show up once the RFP has items and vendors have quoted them."
+      />
+    );
+  }
+
+  const vendorByProposalId = new Map(matrix.vendors.map((v) => [v.proposal_id, v]));
+  const hasUnmatched = matrix.vendors.some((v) => v.unmatched_items.length > 0);
+
+  return (
+    <div className="overflow-x-auto">
+      <Table>
+        <TableHeader>
+          <TableRow className="bg-muted/50">
+            <TableHead className="font-semibold min-w-48">RFP Line</TableHead>
+            {matrix.vendors.map((vendor) => (
+              <TableHead key={vendor.proposal_id} className="font-semibold min-w-48">
+                {vendor.vendor_name || 'Unknown'}
+                <span className="block text-xs text-muted-foreground font-normal">
+                  {vendor.quoted_count}/{matrix.lines.length} lines · {vendor.best_price_count} best
+                </span>
+                {!vendor.price_comparable && (
+                  <span className="flex items-center gap-1 text-xs text-warning font-normal">
+                    <AlertCircle className="h-3 w-3" />
+                    Quoted in {vendor.currency_code}, not ranked
+                  </span>
+                )}
+              </TableHead>
+            ))}
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {matrix.lines.map((line) => (
+            <TableRow key={line.rfp_item_id}>
+              <TableCell className="align-top">
+                <div className="font-medium">{line.item_label}</div>
+                <div className="text-xs text-muted-foreground">Qty {line.quantity}</div>
+                {line.spec_text && <div className="text-xs text-muted-foreground mt-1">{line.spec_text}</div>}
+                {line.missing_count > 0 && (
+                  <div className="text-xs text-destructive mt-1">Missing from {line.missing_count} vendor(s)</div>
+                )}
+              </TableCell>
+              {line.cells.map((cell) => (
+                <MatrixCell
+                  key={cell.proposal_id}
+                  cell={cell}
+                  vendor={vendorByProposalId.get(cell.proposal_id)}
+                  rfpQuantity={line.quantity}
+                  currencyCode={matrix.currency_code}
+                />
+              ))}
+            </TableRow>
+          ))}
+          {hasUnmatched && (
+            <TableRow>
+              <TableCell className="align-top">
+                <div className="font-medium">Not on the RFP</div>
+                <div className="text-xs text-muted-foreground">Extra lines the vendor quoted</div>
+              </TableCell>
+              {matrix.vendors.map((vendor) => (
+                <TableCell key={vendor.proposal_id} className="align-top">
+                  {vendor.unmatched_items.length === 0 ? (
+                    <span className="text-muted-foreground">—</span>
+                  ) : (
+                    <ul className="text-xs space-y-1">
+                      {vendor.unmatched_items.map((item) => (
+                        <li key={item.proposal_item_id}>
+                          {item.item_label}
+                          {item.unit_price !== null &&
+                            ` · ${formatCurrencySafe(item.unit_price, vendor.currency_code || matrix.currency_code)}`}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </TableCell>
+              ))}
+            </TableRow>
+          )}
+        </TableBody>
+      </Table>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import { formatDateSafe } from '@/lib/formatUtils';
+import { Proposal } from '@/types';
+import { Mail } from 'lucide-react';
+
+interface ProposalSourceEmailsProps {
+  proposal: Proposal;
+}
+
+const FIELD_LABELS: Record<string, string> = {
+  total_price: 'Total price',
+  currency_code: 'Currency',
+  delivery_text: 'Delivery',
+  delivery_days: 'Delivery days',
+  warranty_text: 'Warranty',
+  warranty_months: 'Warranty months',
+  payment_terms: 'Payment terms',
+};
+
+/**
+ * Lists the vendor emails a proposal was assembled from and which
+ * extracted fields and items each one contributed.
+ */
+export function ProposalSourceEmails({ proposal }: ProposalSourceEmailsProps) {
+  const emails = proposal.source_emails || [];
+  if (emails.length === 0) return null;
+
+  const fieldSources = proposal.field_sources || {};
+
+  return (
+    <div>
+      <p className="text-sm font-medium mb-2">
+        Extracted from {emails.length} email{emails.length === 1 ? '' : 's'}
+      </p>
+      <ul className="space-y-2">
+        {emails.map((email, index) => {
+          const fields = Object.entries(fieldSources)
+            .filter(([field, emailId]) => emailId === email.id && FIELD_LABELS[field])
+            .map(([field]) => FIELD_LABELS[field]);
+          const items = proposal.items
+            .filter((item) => item.source_email_id === email.id)
+            .map((item) => item.item_name);
+
+          return (
+            <li key={email.id} className="flex items-start gap-2 text-sm">
+              <Mail className="h-4 w-4 mt-0.5 text-muted-foreground" />
+              <div>
+                <p>
+                  <span className="font-mono text-xs text-muted-foreground mr-1">E{index + 1}</span>
+                  {email.subject || '(no subject)'}
+                  <span className="text-muted-foreground"> · {formatDateSafe(email.received_at)}</span>
+                  {email.is_late && <span className="text-warning font-medium"> · late</span>}
+                </p>
+                {(fields.length > 0 || items.length > 0) && (
+                  <p className="text-muted-foreground">
+                    {[...fields, ...items].join(', ')}
+                  </p>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
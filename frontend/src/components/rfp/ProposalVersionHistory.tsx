@@ -0,0 +1,119 @@
+import { Badge } from '@/components/ui/badge';
+import { LoadingState } from '@/components/common/Spinner';
+import { useProposalVersions } from '@/hooks/useRfps';
+import { formatDateSafe } from '@/lib/formatUtils';
+import { FieldChange, ProposalVersion } from '@/types';
+
+interface ProposalVersionHistoryProps {
+  rfpId: string;
+  vendorId: string;
+}
+
+const FIELD_LABELS: Record<string, string> = {
+  total_price: 'Total price',
+  currency_code: 'Currency',
+  delivery_days: 'Delivery (days)',
+  delivery_text: 'Delivery',
+  warranty_months: 'Warranty (months)',
+  warranty_text: 'Warranty',
+  payment_terms: 'Payment terms',
+  spec_text: 'Specs',
+  quantity: 'Quantity',
+  unit_price: 'Unit price',
+};
+
+const formatValue = (value: FieldChange['from']) => (value === null || value === '' ? '—' : String(value));
+
+function ChangeRow({ change, prefix }: { change: FieldChange; prefix?: string }) {
+  return (
+    <tr className="border-t">
+      <td className="p-2">
+        {prefix && <span className="text-muted-foreground">{prefix} · </span>}
+        {FIELD_LABELS[change.field] || change.field}
+      </td>
+      <td className="p-2 text-right font-mono text-muted-foreground line-through">{formatValue(change.from)}</td>
+      <td className="p-2 text-right font-mono font-medium">{formatValue(change.to)}</td>
+    </tr>
+  );
+}
+
+function VersionDiff({ version }: { version: ProposalVersion }) {
+  const changes = version.changes;
+  if (!changes) {
+    return <p className="text-sm text-muted-foreground">Original proposal.</p>;
+  }
+
+  const hasFieldChanges = changes.fields.length > 0 || changes.items_changed.length > 0;
+  const hasItemChanges = changes.items_added.length > 0 || changes.items_removed.length > 0;
+
+  if (!hasFieldChanges && !hasItemChanges) {
+    return <p className="text-sm text-muted-foreground">No changes from v{changes.from_version}.</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {hasFieldChanges && (
+        <div className="border rounded-lg overflow-hidden">
+          <table className="w-full text-sm">
+            <thead className="bg-muted">
+              <tr>
+                <th className="p-2 text-left font-medium">Changed since v{changes.from_version}</th>
+                <th className="p-2 text-right font-medium">Before</th>
+                <th className="p-2 text-right font-medium">After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {changes.fields.map((change) => (
+                <ChangeRow key={change.field} change={change} />
+              ))}
+              {changes.items_changed.map((item) =>
+                item.changes.map((change) => (
+                  <ChangeRow key={`${item.label}-${change.field}`} change={change} prefix={item.label} />
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {changes.items_added.length > 0 && (
+        <p className="text-sm">
+          <span className="font-medium text-success">Added:</span> {changes.items_added.join(', ')}
+        </p>
+      )}
+      {changes.items_removed.length > 0 && (
+        <p className="text-sm">
+          <span className="font-medium text-destructive">Removed:</span> {changes.items_removed.join(', ')}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export function ProposalVersionHistory({ rfpId, vendorId }: ProposalVersionHistoryProps) {
+  const { data: versions = [], isLoading } = useProposalVersions(rfpId, vendorId);
+
+  if (isLoading) {
+    return <LoadingState message="Loading version history..." />;
+  }
+
+  return (
+    <div className="space-y-4">
+      {versions.map((version) => (
+        <div key={version.id} className="border-l-2 border-border pl-4 space-y-2">
+          <div className="flex items-center gap-2 flex-wrap">
+            <span className="font-medium">v{version.version}</span>
+            {version.is_current && <Badge variant="secondary">Current</Badge>}
+            <span className="text-sm text-muted-foreground">
+              {formatDateSafe(version.email?.received_at || version.created_at)}
+              {version.email?.subject && ` · ${version.email.subject}`}
+            </span>
+            {version.ai_score !== null && (
+              <span className="text-sm text-muted-foreground ml-auto">Score {version.ai_score}</span>
+            )}
+          </div>
+          <VersionDiff version={version} />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -7,11 +7,12 @@ import {
   TableRow,
 } from '@/components/ui/table';
 import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
 import { ScoreBadge } from '@/components/common/ScoreBadge';
 import { StatusBadge } from '@/components/common/StatusBadge';
 import { Proposal } from '@/types';
-import { AlertCircle, Award, X } from 'lucide-react';
-import { formatCurrencySafe } from '@/lib/formatUtils';
+import { AlertCircle, Award, Clock, FilePen, X } from 'lucide-react';
+import { formatCurrencySafe, formatDateSafe } from '@/lib/formatUtils';
 import { safeGet, safeArray, safeNumber, safeCall } from '@/lib/errorUtils';
 
 interface ProposalsTableProps {
@@ -72,6 +73,8 @@ export function ProposalsTable({
             const paymentTerms = safeGet(proposal, 'payment_terms', 'N/A');
             const aiScore = safeNumber(safeGet(proposal, 'ai_score'), 0);
             const status = safeGet(proposal, 'status', 'unknown');
+            const isLate = safeGet(proposal, 'is_late', false);
+            const isSuperseded = safeGet(proposal, 'is_superseded', false);
             
             const isOverBudget = budgetCap && totalPrice && totalPrice > budgetCap;
             const isHighScore = aiScore >= 90;
@@ -83,7 +86,29 @@ export function ProposalsTable({
               >
                 <TableCell>
                   <div>
-                    <p className="font-medium">{vendorName}</p>
+                    <div className="flex items-center gap-2">
+                      <p className="font-medium">{vendorName}</p>
+                      {isLate && (
+                        <Badge
+                          variant="outline"
+                          className="gap-1 border-warning text-warning"
+                          title={`Received ${formatDateSafe(safeGet(proposal, 'submitted_at'))}, after the submission deadline`}
+                        >
+                          <Clock className="h-3 w-3" />
+                          Late
+                        </Badge>
+                      )}
+                      {isSuperseded && (
+                        <Badge
+                          variant="outline"
+                          className="gap-1 border-warning text-warning"
+                          title={`Quotes revision ${safeGet(proposal, 'rfp_revision', 0)} of the RFP; it has been amended since`}
+                        >
+                          <FilePen className="h-3 w-3" />
+                          Superseded
+                        </Badge>
+                      )}
+                    </div>
                     {isHighScore && (
                       <span className="text-xs text-primary font-medium">
                         Recommended
@@ -108,7 +133,7 @@ export function ProposalsTable({
                   )}
                 </TableCell>
                 <TableCell className="text-center">
-                  <StatusBadge status={(status as 'draft' | 'sent' | 'evaluating' | 'closed' | 'pending' | 'awarded' | 'rejected')} />
+                  <StatusBadge status={(status as 'draft' | 'sent' | 'evaluating' | 'pending_approval' | 'closed' | 'pending' | 'awarded' | 'rejected')} />
                 </TableCell>
                 {showActions && (
                   <TableCell className="text-right">
@@ -0,0 +1,203 @@
+import { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Separator } from '@/components/ui/separator';
+import { useIssueRfpAmendment } from '@/hooks/useRfps';
+import { Rfp, RfpLineItem } from '@/types';
+import { RfpDetailsFields } from './RfpDetailsFields';
+import { RfpDetailsForm, changedDetails, isDetailsFormValid, toDetailsForm } from '@/lib/rfpDetailsForm';
+import { ArrowDown, ArrowUp, Plus, Send, Trash2 } from 'lucide-react';
+
+interface RfpAmendmentDialogProps {
+  rfp: Rfp;
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+// key: stable row key; id: the stored item, absent for new rows
+type ItemRow = { key: string; id?: string; item_label: string; spec_text: string; quantity: string };
+
+const toRows = (items: RfpLineItem[]): ItemRow[] =>
+  items.map((item) => ({
+    key: item.id,
+    id: item.id,
+    item_label: item.item_label,
+    spec_text: item.spec_text || '',
+    quantity: String(item.quantity),
+  }));
+
+const isRowValid = (row: ItemRow) =>
+  row.item_label.trim().length > 0 && Number.isInteger(Number(row.quantity)) && Number(row.quantity) > 0;
+
+const itemsChanged = (rows: ItemRow[], items: RfpLineItem[]) =>
+  rows.length !== items.length ||
+  rows.some((row, idx) => {
+    const item = items[idx];
+    return (
+      row.id !== item.id ||
+      row.item_label.trim() !== item.item_label ||
+      (row.spec_text.trim() || null) !== (item.spec_text || null) ||
+      Number(row.quantity) !== item.quantity
+    );
+  });
+
+// Changes to a sent RFP, issued as the next numbered addendum to every invited vendor
+export function RfpAmendmentDialog({ rfp, open, onOpenChange }: RfpAmendmentDialogProps) {
+  const items = rfp.items || [];
+  const [form, setForm] = useState<RfpDetailsForm>(() => toDetailsForm(rfp));
+  const [rows, setRows] = useState<ItemRow[]>(() => toRows(items));
+  const [note, setNote] = useState('');
+  const issueMutation = useIssueRfpAmendment();
+
+  useEffect(() => {
+    if (open) {
+      setForm(toDetailsForm(rfp));
+      setRows(toRows(rfp.items || []));
+      setNote('');
+    }
+  }, [open, rfp]);
+
+  const changes = changedDetails(rfp, form);
+  const hasItemChanges = itemsChanged(rows, items);
+  const hasChanges = Object.keys(changes).length > 0 || hasItemChanges;
+  const isValid = isDetailsFormValid(form) && rows.length > 0 && rows.every(isRowValid);
+
+  const updateRow = (key: string, patch: Partial<ItemRow>) =>
+    setRows((prev) => prev.map((row) => (row.key === key ? { ...row, ...patch } : row)));
+
+  const moveRow = (index: number, offset: number) =>
+    setRows((prev) => {
+      const next = [...prev];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + offset, 0, moved);
+      return next;
+    });
+
+  const addRow = () =>
+    setRows((prev) => [
+      ...prev,
+      { key: `new-${Date.now()}-${prev.length}`, item_label: '', spec_text: '', quantity: '1' },
+    ]);
+
+  const handleIssue = async () => {
+    await issueMutation.mutateAsync({
+      rfp_id: rfp.id,
+      note: note.trim() || undefined,
+      changes,
+      items: hasItemChanges
+        ? rows.map((row) => ({
+            id: row.id,
+            item_label: row.item_label.trim(),
+            spec_text: row.spec_text.trim() || null,
+            quantity: Number(row.quantity),
+          }))
+        : undefined,
+    });
+    onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Issue Addendum #{(rfp.revision || 0) + 1}</DialogTitle>
+          <DialogDescription>
+            The changes are emailed to every invited vendor on their reply thread. Proposals quoting an earlier revision are flagged.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-6 py-4">
+          <RfpDetailsFields form={form} onChange={setForm} />
+
+          <Separator />
+
+          <div className="space-y-3">
+            <h4 className="text-xs font-semibold text-muted-foreground uppercase">Line Items</h4>
+            {rows.map((row, idx) => (
+              <div key={row.key} className="flex items-center gap-2">
+                <span className="w-6 text-sm text-muted-foreground">{idx + 1}</span>
+                <Input
+                  className="flex-1"
+                  value={row.item_label}
+                  onChange={(e) => updateRow(row.key, { item_label: e.target.value })}
+                  placeholder="Item"
+                />
+                <Input
+                  className="flex-1"
+                  value={row.spec_text}
+                  onChange={(e) => updateRow(row.key, { spec_text: e.target.value })}
+                  placeholder="Specifications"
+                />
+                <Input
+                  className="w-20 text-right"
+                  type="number"
+                  min={1}
+                  value={row.quantity}
+                  onChange={(e) => updateRow(row.key, { quantity: e.target.value })}
+                />
+                <Button variant="ghost" size="icon" onClick={() => moveRow(idx, -1)} disabled={idx === 0} title="Move up">
+                  <ArrowUp className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => moveRow(idx, 1)}
+                  disabled={idx === rows.length - 1}
+                  title="Move down"
+                >
+                  <ArrowDown className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => setRows((prev) => prev.filter((r) => r.key !== row.key))}
+                  disabled={rows.length === 1}
+                  title="Remove"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+            <Button variant="outline" size="sm" onClick={addRow}>
+              <Plus className="h-4 w-4 mr-1" />
+              Add Item
+            </Button>
+          </div>
+
+          <Separator />
+
+          <div className="space-y-2">
+            <Label htmlFor="amendment-note">Note to vendors (optional)</Label>
+            <Textarea
+              id="amendment-note"
+              rows={3}
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g. Quantity corrected after an error in the original request"
+            />
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleIssue} disabled={!hasChanges || !isValid || issueMutation.isPending}>
+            <Send className="h-4 w-4 mr-2" />
+            Issue Addendum
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
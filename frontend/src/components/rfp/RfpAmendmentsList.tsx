@@ -0,0 +1,53 @@
+import { Badge } from '@/components/ui/badge';
+import { LoadingState } from '@/components/common/Spinner';
+import { EmptyState } from '@/components/common/EmptyState';
+import { useRfpAmendments } from '@/hooks/useRfps';
+import { formatDateSafe } from '@/lib/formatUtils';
+import { FilePen } from 'lucide-react';
+
+interface RfpAmendmentsListProps {
+  rfpId: string;
+}
+
+// Addenda issued on an RFP, newest first, with what each one changed
+export function RfpAmendmentsList({ rfpId }: RfpAmendmentsListProps) {
+  const { data: amendments = [], isLoading } = useRfpAmendments(rfpId);
+
+  if (isLoading) {
+    return <LoadingState message="Loading amendments..." />;
+  }
+
+  if (amendments.length === 0) {
+    return (
+      <EmptyState
+        icon={FilePen}
+        title="No amendments"
+        description="Vendors are quoting against the RFP as originally sent."
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {amendments.map((amendment) => (
+        <div key={amendment.id} className="border rounded-lg p-4 space-y-2">
+          <div className="flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2">
+              <Badge variant="outline">Addendum #{amendment.number}</Badge>
+              <span className="text-sm text-muted-foreground">{formatDateSafe(amendment.created_at)}</span>
+            </div>
+            <span className="text-xs text-muted-foreground">
+              Sent to {amendment.recipient_count} vendor(s)
+            </span>
+          </div>
+          {amendment.note && <p className="text-sm">{amendment.note}</p>}
+          <ul className="text-sm text-muted-foreground list-disc pl-5 space-y-0.5">
+            {amendment.summary.map((line, idx) => (
+              <li key={idx}>{line}</li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { useUpdateRfp } from '@/hooks/useRfps';
+import { Rfp } from '@/types';
+import { RfpDetailsFields } from './RfpDetailsFields';
+import { RfpDetailsForm, changedDetails, isDetailsFormValid, toDetailsForm } from '@/lib/rfpDetailsForm';
+
+interface RfpDetailsDialogProps {
+  rfp: Rfp;
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+// Header fields of a draft RFP
+export function RfpDetailsDialog({ rfp, open, onOpenChange }: RfpDetailsDialogProps) {
+  const [form, setForm] = useState<RfpDetailsForm>(() => toDetailsForm(rfp));
+  const updateRfpMutation = useUpdateRfp();
+
+  useEffect(() => {
+    if (open) setForm(toDetailsForm(rfp));
+  }, [open, rfp]);
+
+  const handleSave = async () => {
+    await updateRfpMutation.mutateAsync({ rfp_id: rfp.id, ...changedDetails(rfp, form) });
+    onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Edit RFP</DialogTitle>
+          <DialogDescription>
+            Details can be changed until the RFP is sent to vendors.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="py-4">
+          <RfpDetailsFields form={form} onChange={setForm} />
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={!isDetailsFormValid(form) || updateRfpMutation.isPending}>
+            Save Changes
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
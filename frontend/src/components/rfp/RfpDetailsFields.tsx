@@ -0,0 +1,67 @@
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { RfpDetailsForm, areDatesInvalid } from '@/lib/rfpDetailsForm';
+
+interface RfpDetailsFieldsProps {
+  form: RfpDetailsForm;
+  onChange: (form: RfpDetailsForm) => void;
+}
+
+export function RfpDetailsFields({ form, onChange }: RfpDetailsFieldsProps) {
+  const set = (field: keyof RfpDetailsForm) => (e: { target: { value: string } }) =>
+    onChange({ ...form, [field]: e.target.value });
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div className="space-y-2 md:col-span-2">
+        <Label htmlFor="rfp-title">Title</Label>
+        <Input id="rfp-title" value={form.title} onChange={set('title')} />
+      </div>
+      <div className="space-y-2 md:col-span-2">
+        <Label htmlFor="rfp-summary">Summary</Label>
+        <Textarea id="rfp-summary" rows={3} value={form.summary} onChange={set('summary')} />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="rfp-budget">Budget cap</Label>
+        <Input id="rfp-budget" type="number" min={0} value={form.budget_cap} onChange={set('budget_cap')} />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="rfp-currency">Currency</Label>
+        <Input id="rfp-currency" maxLength={3} value={form.currency_code} onChange={set('currency_code')} />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="rfp-payment-terms">Payment terms</Label>
+        <Input id="rfp-payment-terms" value={form.payment_terms} onChange={set('payment_terms')} />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="rfp-warranty">Min warranty (months)</Label>
+        <Input
+          id="rfp-warranty"
+          type="number"
+          min={0}
+          value={form.min_warranty_months}
+          onChange={set('min_warranty_months')}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="rfp-submission-deadline">Submission deadline</Label>
+        <Input
+          id="rfp-submission-deadline"
+          type="date"
+          value={form.submission_deadline}
+          onChange={set('submission_deadline')}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="rfp-delivery-by">Delivery by</Label>
+        <Input id="rfp-delivery-by" type="date" value={form.delivery_by} onChange={set('delivery_by')} />
+      </div>
+      {areDatesInvalid(form) && (
+        <p className="text-sm text-destructive md:col-span-2">
+          Delivery date cannot be before the submission deadline
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import { Fragment, useState } from 'react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { LoadingState } from '@/components/common/Spinner';
+import { EmptyState } from '@/components/common/EmptyState';
+import { useMarkVendorDeclined, useRfpInvitations } from '@/hooks/useRfps';
+import { formatDateSafe } from '@/lib/formatUtils';
+import { InvitationResponseStatus, RfpInvitation } from '@/types';
+import { Ban, Users } from 'lucide-react';
+
+interface RfpInvitationsTableProps {
+  rfpId: string;
+  canMarkDeclined?: boolean;
+}
+
+const RESPONSE_CONFIG: Record<
+  InvitationResponseStatus,
+  { label: string; variant: 'default' | 'secondary' | 'outline' | 'destructive' }
+> = {
+  awaiting: { label: 'Awaiting reply', variant: 'outline' },
+  responded: { label: 'Responded', variant: 'default' },
+  declined: { label: 'Declined', variant: 'secondary' },
+  no_response: { label: 'No response', variant: 'destructive' },
+};
+
+const INVITE_LABELS: Record<RfpInvitation['invite_status'], string> = {
+  pending: 'Invite queued',
+  sent: 'Invite sent',
+  failed: 'Invite failed',
+  bounced: 'Invite bounced',
+};
+
+function responseDetail(invitation: RfpInvitation) {
+  if (invitation.response_status === 'responded') {
+    return invitation.responded_at ? `Quoted ${formatDateSafe(invitation.responded_at)}` : 'Quoted';
+  }
+  if (invitation.response_status === 'declined') {
+    const how = invitation.decline_source === 'manual' ? 'Recorded' : 'By email';
+    const when = invitation.declined_at ? ` ${formatDateSafe(invitation.declined_at)}` : '';
+    return `${how}${when}${invitation.decline_reason ? ` · ${invitation.decline_reason}` : ''}`;
+  }
+  if (invitation.reminders_sent) {
+    return `${invitation.reminders_sent} reminder(s) sent`;
+  }
+  return null;
+}
+
+// Invited vendors of an RFP: whether each invite went out and whether the vendor bid
+export function RfpInvitationsTable({ rfpId, canMarkDeclined = false }: RfpInvitationsTableProps) {
+  const { data: invitations = [], isLoading } = useRfpInvitations(rfpId);
+  const markDeclinedMutation = useMarkVendorDeclined();
+  const [decliningId, setDecliningId] = useState<string | null>(null);
+  const [reason, setReason] = useState('');
+
+  if (isLoading) {
+    return <LoadingState message="Loading invitations..." />;
+  }
+
+  if (invitations.length === 0) {
+    return (
+      <EmptyState
+        icon={Users}
+        title="No vendors invited"
+        description="Vendors you send this RFP to show up here with their response."
+      />
+    );
+  }
+
+  const startDecline = (vendorId: string) => {
+    setDecliningId(vendorId);
+    setReason('');
+  };
+
+  const handleConfirmDecline = async (vendorId: string) => {
+    await markDeclinedMutation.mutateAsync({
+      rfp_id: rfpId,
+      vendor_id: vendorId,
+      reason: reason.trim() || undefined,
+    });
+    setDecliningId(null);
+  };
+
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>Vendor</TableHead>
+          <TableHead>Invite</TableHead>
+          <TableHead>Response</TableHead>
+          {canMarkDeclined && <TableHead className="text-right">Actions</TableHead>}
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {invitations.map((invitation) => {
+          const response = RESPONSE_CONFIG[invitation.response_status];
+          const detail = responseDetail(invitation);
+
+          return (
+            <Fragment key={invitation.vendor_id}>
+              <TableRow>
+                <TableCell>
+                  <div className="font-medium">{invitation.vendor_name || 'Unknown vendor'}</div>
+                  {invitation.vendor_email && (
+                    <div className="text-xs text-muted-foreground">{invitation.vendor_email}</div>
+                  )}
+                </TableCell>
+                <TableCell className="text-sm">
+                  <div>{INVITE_LABELS[invitation.invite_status] || invitation.invite_status}</div>
+                  <div className="text-xs text-muted-foreground">{formatDateSafe(invitation.invited_at)}</div>
+                </TableCell>
+                <TableCell>
+                  <Badge variant={response.variant}>{response.label}</Badge>
+                  {detail && <div className="text-xs text-muted-foreground mt-1">{detail}</div>}
+                </TableCell>
+                {canMarkDeclined && (
+                  <TableCell className="text-right">
+                    {invitation.response_status !== 'declined' && decliningId !== invitation.vendor_id && (
+                      <Button variant="ghost" size="sm" onClick={() => startDecline(invitation.vendor_id)}>
+                        <Ban className="h-4 w-4 mr-2" />
+                        Mark Declined
+                      </Button>
+                    )}
+                  </TableCell>
+                )}
+              </TableRow>
+              {decliningId === invitation.vendor_id && (
+                <TableRow>
+                  <TableCell colSpan={4}>
+                    <div className="flex items-center gap-2">
+                      <Input
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        placeholder="Reason (optional), e.g. no capacity this quarter"
+                      />
+                      <Button variant="outline" size="sm" onClick={() => setDecliningId(null)}>
+                        Cancel
+                      </Button>
+                      <Button
+                        size="sm"
+                        onClick={() => handleConfirmDecline(invitation.vendor_id)}
+                        disabled={markDeclinedMutation.isPending}
+                      >
+                        Mark Declined
+                      </Button>
+                    </div>
+                  </TableCell>
+                </TableRow>
+              )}
+            </Fragment>
+          );
+        })}
+      </TableBody>
+    </Table>
+  );
+}
@@ -0,0 +1,231 @@
+import { useState } from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { useAddRfpItem, useRemoveRfpItem, useReorderRfpItems, useUpdateRfpItem } from '@/hooks/useRfps';
+import { RfpLineItem } from '@/types';
+import { ArrowDown, ArrowUp, Check, Pencil, Plus, Trash2, X } from 'lucide-react';
+
+interface RfpItemsEditorProps {
+  rfpId: string;
+  items: RfpLineItem[];
+  editable?: boolean;
+}
+
+interface ItemDraft {
+  item_label: string;
+  spec_text: string;
+  quantity: string;
+}
+
+const EMPTY_DRAFT: ItemDraft = { item_label: '', spec_text: '', quantity: '1' };
+
+const isDraftValid = (draft: ItemDraft) =>
+  draft.item_label.trim().length > 0 && Number.isInteger(Number(draft.quantity)) && Number(draft.quantity) > 0;
+
+// Saved line items of an RFP; editable (inline edit, add, remove, reorder) while it's a draft
+export function RfpItemsEditor({ rfpId, items, editable = false }: RfpItemsEditorProps) {
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editDraft, setEditDraft] = useState<ItemDraft>(EMPTY_DRAFT);
+  const [newItem, setNewItem] = useState<ItemDraft>(EMPTY_DRAFT);
+
+  const addItemMutation = useAddRfpItem();
+  const updateItemMutation = useUpdateRfpItem();
+  const removeItemMutation = useRemoveRfpItem();
+  const reorderItemsMutation = useReorderRfpItems();
+  const isBusy =
+    addItemMutation.isPending ||
+    updateItemMutation.isPending ||
+    removeItemMutation.isPending ||
+    reorderItemsMutation.isPending;
+
+  const startEdit = (item: RfpLineItem) => {
+    setEditingId(item.id);
+    setEditDraft({
+      item_label: item.item_label,
+      spec_text: item.spec_text || '',
+      quantity: String(item.quantity),
+    });
+  };
+
+  const saveEdit = async () => {
+    if (!editingId || !isDraftValid(editDraft)) return;
+    await updateItemMutation.mutateAsync({
+      rfp_id: rfpId,
+      item_id: editingId,
+      item_label: editDraft.item_label.trim(),
+      spec_text: editDraft.spec_text.trim() || null,
+      quantity: Number(editDraft.quantity),
+    });
+    setEditingId(null);
+  };
+
+  const moveItem = (index: number, offset: number) => {
+    const ids = items.map((item) => item.id);
+    const [moved] = ids.splice(index, 1);
+    ids.splice(index + offset, 0, moved);
+    reorderItemsMutation.mutate({ rfpId, itemIds: ids });
+  };
+
+  const addItem = async () => {
+    if (!isDraftValid(newItem)) return;
+    await addItemMutation.mutateAsync({
+      rfp_id: rfpId,
+      item_label: newItem.item_label.trim(),
+      spec_text: newItem.spec_text.trim() || null,
+      quantity: Number(newItem.quantity),
+    });
+    setNewItem(EMPTY_DRAFT);
+  };
+
+  return (
+    <div className="bg-muted rounded-lg border border-border overflow-hidden">
+      <Table>
+        <TableHeader>
+          <TableRow className="bg-muted/50">
+            <TableHead className="font-semibold w-10">#</TableHead>
+            <TableHead className="font-semibold">Item</TableHead>
+            <TableHead className="font-semibold">Specifications</TableHead>
+            <TableHead className="text-right font-semibold w-24">Qty</TableHead>
+            {editable && <TableHead className="w-40" />}
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {items.map((item, idx) =>
+            editingId === item.id ? (
+              <TableRow key={item.id}>
+                <TableCell className="text-muted-foreground">{idx + 1}</TableCell>
+                <TableCell>
+                  <Input
+                    value={editDraft.item_label}
+                    onChange={(e) => setEditDraft({ ...editDraft, item_label: e.target.value })}
+                    placeholder="Item"
+                  />
+                </TableCell>
+                <TableCell>
+                  <Input
+                    value={editDraft.spec_text}
+                    onChange={(e) => setEditDraft({ ...editDraft, spec_text: e.target.value })}
+                    placeholder="Specifications"
+                  />
+                </TableCell>
+                <TableCell>
+                  <Input
+                    type="number"
+                    min={1}
+                    className="text-right"
+                    value={editDraft.quantity}
+                    onChange={(e) => setEditDraft({ ...editDraft, quantity: e.target.value })}
+                  />
+                </TableCell>
+                <TableCell className="text-right whitespace-nowrap">
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={saveEdit}
+                    disabled={!isDraftValid(editDraft) || isBusy}
+                    title="Save"
+                  >
+                    <Check className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="icon" onClick={() => setEditingId(null)} title="Cancel">
+                    <X className="h-4 w-4" />
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ) : (
+              <TableRow key={item.id}>
+                <TableCell className="text-muted-foreground">{idx + 1}</TableCell>
+                <TableCell className="font-medium">{item.item_label}</TableCell>
+                <TableCell className="text-muted-foreground">{item.spec_text}</TableCell>
+                <TableCell className="text-right">{item.quantity}</TableCell>
+                {editable && (
+                  <TableCell className="text-right whitespace-nowrap">
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => moveItem(idx, -1)}
+                      disabled={idx === 0 || isBusy}
+                      title="Move up"
+                    >
+                      <ArrowUp className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => moveItem(idx, 1)}
+                      disabled={idx === items.length - 1 || isBusy}
+                      title="Move down"
+                    >
+                      <ArrowDown className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => startEdit(item)}
+                      disabled={isBusy}
+                      title="Edit"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => removeItemMutation.mutate({ rfpId, itemId: item.id })}
+                      disabled={items.length === 1 || isBusy}
+                      title={items.length === 1 ? 'An RFP needs at least one item' : 'Remove'}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </TableCell>
+                )}
+              </TableRow>
+            )
+          )}
+
+          {editable && (
+            <TableRow>
+              <TableCell />
+              <TableCell>
+                <Input
+                  value={newItem.item_label}
+                  onChange={(e) => setNewItem({ ...newItem, item_label: e.target.value })}
+                  placeholder="New item"
+                />
+              </TableCell>
+              <TableCell>
+                <Input
+                  value={newItem.spec_text}
+                  onChange={(e) => setNewItem({ ...newItem, spec_text: e.target.value })}
+                  placeholder="Specifications"
+                />
+              </TableCell>
+              <TableCell>
+                <Input
+                  type="number"
+                  min={1}
+                  className="text-right"
+                  value={newItem.quantity}
+                  onChange={(e) => setNewItem({ ...newItem, quantity: e.target.value })}
+                />
+              </TableCell>
+              <TableCell className="text-right">
+                <Button size="sm" onClick={addItem} disabled={!isDraftValid(newItem) || isBusy}>
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add
+                </Button>
+              </TableCell>
+            </TableRow>
+          )}
+        </TableBody>
+      </Table>
+    </div>
+  );
+}
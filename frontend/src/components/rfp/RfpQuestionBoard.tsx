@@ -0,0 +1,158 @@
+import { useState } from 'react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { LoadingState } from '@/components/common/Spinner';
+import { EmptyState } from '@/components/common/EmptyState';
+import { useAnswerRfpQuestion, useRfpQuestions } from '@/hooks/useRfps';
+import { formatDateSafe } from '@/lib/formatUtils';
+import { RfpQuestion } from '@/types';
+import { HelpCircle, Megaphone, Pencil, Send } from 'lucide-react';
+
+interface RfpQuestionBoardProps {
+  rfpId: string;
+  canAnswer?: boolean;
+}
+
+interface AnswerFormProps {
+  question: RfpQuestion;
+  onDone: () => void;
+}
+
+function AnswerForm({ question, onDone }: AnswerFormProps) {
+  const [answer, setAnswer] = useState(question.answer_text || '');
+  const [broadcast, setBroadcast] = useState(question.is_broadcast);
+  const [publicQuestion, setPublicQuestion] = useState(question.suggested_public_question);
+  const answerMutation = useAnswerRfpQuestion();
+
+  const isValid = answer.trim().length > 0 && (!broadcast || publicQuestion.trim().length > 0);
+
+  const handleSend = async () => {
+    await answerMutation.mutateAsync({
+      question_id: question.id,
+      answer_text: answer.trim(),
+      broadcast,
+      public_question: broadcast ? publicQuestion.trim() : undefined,
+    });
+    onDone();
+  };
+
+  return (
+    <div className="space-y-3 pt-2">
+      <div className="space-y-2">
+        <Label htmlFor={`answer-${question.id}`}>Answer</Label>
+        <Textarea
+          id={`answer-${question.id}`}
+          rows={3}
+          value={answer}
+          onChange={(e) => setAnswer(e.target.value)}
+          placeholder="Your answer to the vendor"
+        />
+      </div>
+      <div className="flex items-center gap-2">
+        <Checkbox
+          id={`broadcast-${question.id}`}
+          checked={broadcast}
+          onCheckedChange={(checked) => setBroadcast(checked === true)}
+        />
+        <Label htmlFor={`broadcast-${question.id}`} className="font-normal">
+          Share with all invited vendors (without naming who asked)
+        </Label>
+      </div>
+      {broadcast && (
+        <div className="space-y-2">
+          <Label htmlFor={`public-question-${question.id}`}>Question as other vendors will see it</Label>
+          <Textarea
+            id={`public-question-${question.id}`}
+            rows={3}
+            value={publicQuestion}
+            onChange={(e) => setPublicQuestion(e.target.value)}
+          />
+        </div>
+      )}
+      <div className="flex justify-end gap-2">
+        <Button variant="outline" size="sm" onClick={onDone}>
+          Cancel
+        </Button>
+        <Button size="sm" onClick={handleSend} disabled={!isValid || answerMutation.isPending}>
+          {broadcast ? <Megaphone className="h-4 w-4 mr-2" /> : <Send className="h-4 w-4 mr-2" />}
+          {broadcast ? 'Send to All Vendors' : 'Send Answer'}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+// Vendor clarification questions on an RFP, newest first, and the buyer's answers
+export function RfpQuestionBoard({ rfpId, canAnswer = false }: RfpQuestionBoardProps) {
+  const { data: questions = [], isLoading } = useRfpQuestions(rfpId);
+  const [answeringId, setAnsweringId] = useState<string | null>(null);
+
+  if (isLoading) {
+    return <LoadingState message="Loading questions..." />;
+  }
+
+  if (questions.length === 0) {
+    return (
+      <EmptyState
+        icon={HelpCircle}
+        title="No questions"
+        description="Vendor replies that ask for clarification instead of quoting show up here."
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {questions.map((question) => (
+        <div key={question.id} className="border rounded-lg p-4 space-y-3">
+          <div className="flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2">
+              <span className="font-semibold">{question.vendor_name || 'Unknown vendor'}</span>
+              <span className="text-sm text-muted-foreground">
+                {formatDateSafe(question.received_at || question.created_at)}
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              {question.is_broadcast && <Badge variant="outline">Shared with all vendors</Badge>}
+              <Badge variant={question.status === 'open' ? 'destructive' : 'secondary'}>
+                {question.status === 'open' ? 'Open' : 'Answered'}
+              </Badge>
+            </div>
+          </div>
+
+          <p className="text-sm whitespace-pre-wrap bg-muted p-3 rounded">{question.question_text}</p>
+
+          {question.answer_text && answeringId !== question.id && (
+            <div className="space-y-1">
+              <p className="text-xs font-semibold text-muted-foreground uppercase">
+                Answer{question.answered_at ? ` · ${formatDateSafe(question.answered_at)}` : ''}
+              </p>
+              <p className="text-sm whitespace-pre-wrap">{question.answer_text}</p>
+              <p className="text-xs text-muted-foreground">Sent to {question.recipient_count} vendor(s)</p>
+            </div>
+          )}
+
+          {answeringId === question.id ? (
+            <AnswerForm question={question} onDone={() => setAnsweringId(null)} />
+          ) : (
+            canAnswer && (
+              <div className="flex justify-end">
+                <Button variant="outline" size="sm" onClick={() => setAnsweringId(question.id)}>
+                  {question.status === 'open' ? (
+                    <Send className="h-4 w-4 mr-2" />
+                  ) : (
+                    <Pencil className="h-4 w-4 mr-2" />
+                  )}
+                  {question.status === 'open' ? 'Answer' : 'Answer Again'}
+                </Button>
+              </div>
+            )
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
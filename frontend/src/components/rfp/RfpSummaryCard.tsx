@@ -4,7 +4,7 @@ import { RfpItemsTable } from './RfpItemsTable';
 import { StatusBadge } from '@/components/common/StatusBadge';
 import { Rfp, RfpStructured } from '@/types';
 import { FileText } from 'lucide-react';
-import { formatCurrencySafe } from '@/lib/formatUtils';
+import { formatCalendarDateSafe, formatCurrencySafe, formatDateSafe } from '@/lib/formatUtils';
 import { safeGet, safeString } from '@/lib/errorUtils';
 
 interface RfpSummaryCardProps {
@@ -29,17 +29,30 @@ export function RfpSummaryCard({ rfp, showStatus = false }: RfpSummaryCardProps)
             <p className="text-sm text-muted-foreground mt-1">{safeGet(rfp, 'summary', 'No description')}</p>
           </div>
         </div>
-        {showStatus && isRfp(rfp) && <StatusBadge status={(safeGet(rfp, 'status', 'draft') as 'draft' | 'sent' | 'evaluating' | 'closed' | 'pending' | 'awarded' | 'rejected')} />}
+        {showStatus && isRfp(rfp) && <StatusBadge status={(safeGet(rfp, 'status', 'draft') as 'draft' | 'sent' | 'evaluating' | 'pending_approval' | 'closed' | 'pending' | 'awarded' | 'rejected')} />}
       </CardHeader>
       <CardContent className="space-y-6">
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
           <FieldBox 
             label="Budget Cap" 
             value={formatCurrencySafe(safeGet(rfp, 'budget_cap'), safeGet(rfp, 'currency_code'))} 
           />
           <FieldBox 
-            label="Delivery Deadline" 
-            value={safeGet(rfp, 'deadline_days') ? `${safeGet(rfp, 'deadline_days')} Days` : 'N/A'} 
+            label="Proposals Due" 
+            value={
+              // Saved RFPs carry a timestamp, the AI preview a plain date
+              isRfp(rfp)
+                ? formatDateSafe(safeGet(rfp, 'submission_deadline'))
+                : formatCalendarDateSafe(safeGet(rfp, 'submission_deadline'))
+            } 
+          />
+          <FieldBox 
+            label="Delivery By" 
+            value={
+              safeGet(rfp, 'delivery_by')
+                ? formatCalendarDateSafe(safeGet(rfp, 'delivery_by'))
+                : safeGet(rfp, 'deadline_days') ? `${safeGet(rfp, 'deadline_days')} Days` : 'N/A'
+            } 
           />
           <FieldBox 
             label="Payment Terms" 
@@ -51,7 +64,8 @@ export function RfpSummaryCard({ rfp, showStatus = false }: RfpSummaryCardProps)
           />
         </div>
         
-        {'items' in rfp && safeGet(rfp, 'items') && safeGet(rfp, 'items', []).length > 0 && (
+        {/* Saved RFPs list their items in RfpItemsEditor */}
+        {!isRfp(rfp) && safeGet(rfp, 'items') && safeGet(rfp, 'items', []).length > 0 && (
           <div>
             <h4 className="text-xs font-semibold text-muted-foreground uppercase mb-3">
               Line Items
@@ -0,0 +1,83 @@
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle } from '@/components/ui/sheet';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { TagList } from '@/components/common/Tag';
+import { AuditTrail } from '@/components/common/AuditTrail';
+import { usePermissions } from '@/hooks/useAuth';
+import { formatDateSafe, formatPercentageSafe, formatRatingSafe } from '@/lib/formatUtils';
+import { Vendor } from '@/types';
+import { History, Info, Mail, Star } from 'lucide-react';
+
+interface VendorDrawerProps {
+  vendor: Vendor | null;
+  onOpenChange: (open: boolean) => void;
+}
+
+export function VendorDrawer({ vendor, onOpenChange }: VendorDrawerProps) {
+  const { can } = usePermissions();
+  const canViewAudit = can('ListAuditEvents');
+
+  return (
+    <Sheet open={!!vendor} onOpenChange={onOpenChange}>
+      <SheetContent className="w-full sm:max-w-xl overflow-y-auto">
+        {vendor && (
+          <>
+            <SheetHeader>
+              <SheetTitle>{vendor.name}</SheetTitle>
+              <SheetDescription className="flex items-center gap-2">
+                <Mail className="h-4 w-4" />
+                {vendor.email}
+              </SheetDescription>
+            </SheetHeader>
+
+            <Tabs defaultValue="details" className="mt-6 space-y-4">
+              <TabsList>
+                <TabsTrigger value="details" className="gap-2">
+                  <Info className="h-4 w-4" />
+                  Details
+                </TabsTrigger>
+                {canViewAudit && (
+                  <TabsTrigger value="audit" className="gap-2">
+                    <History className="h-4 w-4" />
+                    Audit
+                  </TabsTrigger>
+                )}
+              </TabsList>
+
+              <TabsContent value="details" className="space-y-4 text-sm">
+                <div className="flex items-center gap-1 font-medium text-warning">
+                  <Star className="h-4 w-4 fill-current" />
+                  {formatRatingSafe(vendor.rating, 1)}
+                </div>
+                <TagList tags={vendor.tags} />
+                {!!vendor.invitation_count && (
+                  <div>
+                    <div className="font-medium">
+                      Bid participation:{' '}
+                      {vendor.participation_rate !== null && vendor.participation_rate !== undefined
+                        ? formatPercentageSafe(Number(vendor.participation_rate))
+                        : 'N/A'}
+                    </div>
+                    <div className="text-muted-foreground">
+                      {vendor.invitation_count} invitation(s): {vendor.response_count ?? 0} responded,{' '}
+                      {vendor.decline_count ?? 0} declined, {vendor.no_response_count ?? 0} no response
+                    </div>
+                  </div>
+                )}
+                <div className="text-muted-foreground">
+                  Added {formatDateSafe(vendor.created_at)}
+                  {vendor.updated_at && ` · Updated ${formatDateSafe(vendor.updated_at)}`}
+                </div>
+              </TabsContent>
+
+              {canViewAudit && (
+                <TabsContent value="audit">
+                  <AuditTrail vendorId={vendor.id} />
+                </TabsContent>
+              )}
+            </Tabs>
+          </>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+}
@@ -18,6 +18,7 @@ interface VendorSelectorProps {
   onAddVendor: (vendor: { name: string; email: string; tags: string }) => void;
   onBulkAddVendors?: (vendors: Array<{ name: string; email: string; tags: string }>) => void;
   isSending?: boolean;
+  canAddVendors?: boolean;
 }
 
 export function VendorSelector({
@@ -28,6 +29,7 @@ export function VendorSelector({
   onAddVendor,
   onBulkAddVendors,
   isSending = false,
+  canAddVendors = true,
 }: VendorSelectorProps) {
   const [isAddingVendor, setIsAddingVendor] = useState(false);
   const [newVendor, setNewVendor] = useState({ name: '', email: '', tags: '' });
@@ -66,32 +68,34 @@ export function VendorSelector({
           <span className="text-sm text-muted-foreground">
             {selectedIds.length} selected
           </span>
-          <div className="flex gap-2 items-center">
-            <div className="flex flex-col items-center">
-              <span className="text-xs font-semibold mb-1">Bulk Import Vendors</span>
-              <BulkVendorImport onVendorsImported={handleBulkImport} />
+          {canAddVendors && (
+            <div className="flex gap-2 items-center">
+              <div className="flex flex-col items-center">
+                <span className="text-xs font-semibold mb-1">Bulk Import Vendors</span>
+                <BulkVendorImport onVendorsImported={handleBulkImport} />
+              </div>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setIsAddingVendor(!isAddingVendor)}
+              >
+                {isAddingVendor ? (
+                  <>
+                    <X className="h-4 w-4 mr-1" /> Cancel
+                  </>
+                ) : (
+                  <>
+                    <Plus className="h-4 w-4 mr-1" /> Add Vendor
+                  </>
+                )}
+              </Button>
             </div>
-            <Button
-              variant="outline"
-              size="sm"
-              onClick={() => setIsAddingVendor(!isAddingVendor)}
-            >
-              {isAddingVendor ? (
-                <>
-                  <X className="h-4 w-4 mr-1" /> Cancel
-                </>
-              ) : (
-                <>
-                  <Plus className="h-4 w-4 mr-1" /> Add Vendor
-                </>
-              )}
-            </Button>
-          </div>
+          )}
         </div>
       </CardHeader>
       <CardContent className="space-y-4">
         {/* Add Vendor Form */}
-        {isAddingVendor && (
+        {canAddVendors && isAddingVendor && (
           <div className="p-4 bg-muted rounded-lg border border-border space-y-4">
             <div className="grid grid-cols-2 gap-4">
               <div className="space-y-2">
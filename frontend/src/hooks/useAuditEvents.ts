@@ -0,0 +1,19 @@
+import { useQuery } from '@tanstack/react-query';
+import { listAuditEvents, getErrorMessage } from '@/lib/api';
+import { ListAuditEventsPayload } from '@/types';
+
+export function useAuditEvents(filters: ListAuditEventsPayload, enabled = true) {
+  const hasTarget = !!filters.rfp_id || !!filters.vendor_id;
+
+  return useQuery({
+    queryKey: ['auditEvents', filters],
+    queryFn: async () => {
+      const response = await listAuditEvents(filters);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data?.items || [];
+    },
+    enabled: hasTarget && enabled,
+  });
+}
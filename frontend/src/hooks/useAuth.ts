@@ -0,0 +1,110 @@
+import { useCallback } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { login, logout, getCurrentUser, ApiAction } from '@/lib/api';
+import { getAuthSession, setAuthSession, updateAuthSession, clearAuthSession } from '@/lib/auth';
+import { AuthUser, LoginPayload, OrganizationSummary } from '@/types';
+import { useToast } from '@/hooks/use-toast';
+import { getErrorMessage } from '@/lib/api';
+
+interface CurrentUser {
+  user: AuthUser;
+  organization: OrganizationSummary | null;
+  allowed_actions: string[];
+}
+
+export function useCurrentUser() {
+  const session = getAuthSession();
+
+  return useQuery({
+    queryKey: ['currentUser'],
+    queryFn: async (): Promise<CurrentUser | null> => {
+      const response = await getCurrentUser();
+      if (!response.success || !response.data) {
+        throw new Error(getErrorMessage(response));
+      }
+      const { user, organization, allowed_actions } = response.data;
+      // Keep the stored copy in step (role may have changed since login)
+      updateAuthSession({ user, organization, allowed_actions });
+      return { user, organization, allowed_actions };
+    },
+    enabled: !!session,
+    // Stored user renders the header immediately; the query confirms the token
+    initialData: session
+      ? {
+          user: session.user,
+          organization: session.organization ?? null,
+          allowed_actions: session.allowed_actions ?? [],
+        }
+      : undefined,
+    initialDataUpdatedAt: 0,
+    retry: false,
+  });
+}
+
+/**
+ * Role check for hiding controls. The backend enforces the same map, so this
+ * is cosmetic: a hidden button is one the server would answer with 403.
+ */
+export function usePermissions() {
+  const { data } = useCurrentUser();
+  const allowedActions = data?.allowed_actions;
+
+  const can = useCallback(
+    (action: ApiAction) => !!allowedActions?.includes(action),
+    [allowedActions]
+  );
+
+  return { role: data?.user.role, can };
+}
+
+export function useLogin() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async (payload: LoginPayload) => {
+      const response = await login(payload);
+      if (!response.success || !response.data) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    onSuccess: (data) => {
+      queryClient.clear();
+      setAuthSession({
+        token: data.token,
+        expires_at: data.expires_at,
+        user: data.user,
+        organization: data.organization,
+        allowed_actions: data.allowed_actions,
+      });
+      queryClient.setQueryData(['currentUser'], {
+        user: data.user,
+        organization: data.organization,
+        allowed_actions: data.allowed_actions,
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Login Failed',
+        description: getErrorMessage(error),
+        variant: 'destructive',
+      });
+    },
+  });
+}
+
+export function useLogout() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async () => {
+      // Best effort: the local session is dropped even if the server call fails
+      await logout().catch(() => undefined);
+    },
+    onSettled: () => {
+      clearAuthSession();
+      queryClient.clear();
+    },
+  });
+}
@@ -0,0 +1,94 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { listAwardApprovals, approveAward, rejectAward, cancelAwardApproval, getErrorMessage } from '@/lib/api';
+import { useToast } from '@/hooks/use-toast';
+
+export function useAwardApprovals(rfpId: string | undefined, enabled = true) {
+  return useQuery({
+    queryKey: ['awardApprovals', rfpId],
+    queryFn: async () => {
+      const response = await listAwardApprovals({ rfp_id: rfpId });
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data?.items || [];
+    },
+    enabled: !!rfpId && enabled,
+  });
+}
+
+export function useDecideAward() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async ({
+      approvalId,
+      decision,
+      comment,
+    }: {
+      rfpId: string;
+      approvalId: string;
+      decision: 'approve' | 'reject';
+      comment?: string;
+    }) => {
+      const payload = { approval_id: approvalId, comment: comment || undefined };
+      const response = decision === 'approve' ? await approveAward(payload) : await rejectAward(payload);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    onSuccess: (approval, { rfpId }) => {
+      queryClient.invalidateQueries({ queryKey: ['awardApprovals', rfpId] });
+      queryClient.invalidateQueries({ queryKey: ['proposals', rfpId] });
+      queryClient.invalidateQueries({ queryKey: ['rfp', rfpId] });
+      queryClient.invalidateQueries({ queryKey: ['rfps'] });
+      queryClient.invalidateQueries({ queryKey: ['auditEvents'] });
+
+      const toastByStatus = {
+        approved: { title: 'Contract Awarded', description: 'Final approval given. The vendor has been notified.' },
+        rejected: { title: 'Award Rejected', description: 'The RFP is back in evaluation.' },
+        pending: { title: 'Approval Recorded', description: 'Waiting for the next approver.' },
+        cancelled: { title: 'Approval Cancelled', description: 'The RFP is back in evaluation.' },
+      };
+      toast(toastByStatus[approval?.status ?? 'pending']);
+    },
+    onError: (error) => {
+      toast({
+        title: 'Decision Failed',
+        description: getErrorMessage(error),
+        variant: 'destructive',
+      });
+    },
+  });
+}
+
+export function useCancelAwardApproval() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async ({ approvalId, comment }: { rfpId: string; approvalId: string; comment?: string }) => {
+      const response = await cancelAwardApproval({ approval_id: approvalId, comment: comment || undefined });
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    onSuccess: (_, { rfpId }) => {
+      queryClient.invalidateQueries({ queryKey: ['awardApprovals', rfpId] });
+      queryClient.invalidateQueries({ queryKey: ['proposals', rfpId] });
+      queryClient.invalidateQueries({ queryKey: ['rfp', rfpId] });
+      queryClient.invalidateQueries({ queryKey: ['rfps'] });
+      queryClient.invalidateQueries({ queryKey: ['auditEvents'] });
+      toast({ title: 'Approval Cancelled', description: 'The RFP is back in evaluation.' });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Cancel Failed',
+        description: getErrorMessage(error),
+        variant: 'destructive',
+      });
+    },
+  });
+}
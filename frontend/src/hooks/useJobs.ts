@@ -0,0 +1,48 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { listJobs, retryJob, getErrorMessage } from '@/lib/api';
+import { useToast } from '@/hooks/use-toast';
+import { ListJobsPayload } from '@/types';
+
+export function useJobs(filters: ListJobsPayload, enabled = true) {
+  return useQuery({
+    queryKey: ['jobs', filters],
+    queryFn: async () => {
+      const response = await listJobs(filters);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    enabled,
+    refetchInterval: 15000, // queue state moves on its own
+  });
+}
+
+export function useRetryJob() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async (jobId: string) => {
+      const response = await retryJob({ job_id: jobId });
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['jobs'] });
+      toast({
+        title: 'Job Requeued',
+        description: 'The job will run again shortly.',
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Retry Failed',
+        description: getErrorMessage(error),
+        variant: 'destructive',
+      });
+    },
+  });
+}
@@ -5,15 +5,45 @@ import {
   getRfpDetails, 
   analyzeRfpPreview, 
   createRfp,
+  updateRfpCriteria,
+  updateRfp,
+  addRfpItem,
+  updateRfpItem,
+  removeRfpItem,
+  reorderRfpItems,
+  issueRfpAmendment,
+  listRfpAmendments,
+  listRfpQuestions,
+  answerRfpQuestion,
+  listRfpInvitations,
+  markVendorDeclined,
   sendRfpToVendors,
   listProposals,
+  listProposalVersions,
+  compareProposalItems,
   awardProposal,
   rejectProposal,
   parseProposals,
   listEmails,
+  getEmailAttachment,
+  classifyEmail,
   fetchEmails,
 } from '@/lib/api';
-import { Rfp, RfpStructured, Proposal, Email } from '@/types';
+import {
+  Rfp,
+  RfpStructured,
+  Proposal,
+  Email,
+  EvaluationCriterion,
+  OutboundEmailKind,
+  UpdateRfpPayload,
+  AddRfpItemPayload,
+  UpdateRfpItemPayload,
+  IssueRfpAmendmentPayload,
+  AnswerRfpQuestionPayload,
+  MarkVendorDeclinedPayload,
+  ClassifyEmailPayload,
+} from '@/types';
 import { useToast } from '@/hooks/use-toast';
 import { getErrorMessage } from '@/lib/api';
 
@@ -83,8 +113,26 @@ export function useCreateRfp() {
   const { toast } = useToast();
 
   return useMutation({
-    mutationFn: async ({ prompt, structured }: { prompt: string; structured: RfpStructured }) => {
-      const response = await createRfp({ prompt, structured });
+    mutationFn: async ({
+      prompt,
+      structured,
+      evaluationCriteria,
+      submissionDeadline,
+      deliveryBy,
+    }: {
+      prompt: string;
+      structured: RfpStructured;
+      evaluationCriteria?: EvaluationCriterion[];
+      submissionDeadline?: string | null;
+      deliveryBy?: string | null;
+    }) => {
+      const response = await createRfp({
+        prompt,
+        structured,
+        evaluation_criteria: evaluationCriteria,
+        submission_deadline: submissionDeadline,
+        delivery_by: deliveryBy,
+      });
       if (!response.success) {
         throw new Error(getErrorMessage(response));
       }
@@ -107,6 +155,308 @@ export function useCreateRfp() {
   });
 }
 
+export function useUpdateRfpCriteria() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async ({ rfpId, criteria }: { rfpId: string; criteria: EvaluationCriterion[] }) => {
+      const response = await updateRfpCriteria({ rfp_id: rfpId, evaluation_criteria: criteria });
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    onSuccess: (data, { rfpId }) => {
+      queryClient.invalidateQueries({ queryKey: ['rfp', rfpId] });
+      queryClient.invalidateQueries({ queryKey: ['proposals', rfpId] });
+      toast({
+        title: 'Criteria Updated',
+        description: `Evaluation criteria saved. ${data?.rescored_count || 0} proposal(s) rescored.`,
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to Update Criteria',
+        description: getErrorMessage(error),
+        variant: 'destructive',
+      });
+    },
+  });
+}
+
+export function useUpdateRfp() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async (payload: UpdateRfpPayload) => {
+      const response = await updateRfp(payload);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    onSuccess: (_, { rfp_id }) => {
+      queryClient.invalidateQueries({ queryKey: ['rfp', rfp_id] });
+      queryClient.invalidateQueries({ queryKey: ['rfps'] });
+      toast({
+        title: 'RFP Updated',
+        description: 'Your changes have been saved.',
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to Update RFP',
+        description: getErrorMessage(error),
+        variant: 'destructive',
+      });
+    },
+  });
+}
+
+// Line item edits on a draft RFP; each refreshes the RFP details
+export function useAddRfpItem() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async (payload: AddRfpItemPayload) => {
+      const response = await addRfpItem(payload);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    onSuccess: (_, { rfp_id }) => {
+      queryClient.invalidateQueries({ queryKey: ['rfp', rfp_id] });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to Add Item',
+        description: getErrorMessage(error),
+        variant: 'destructive',
+      });
+    },
+  });
+}
+
+export function useUpdateRfpItem() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async (payload: UpdateRfpItemPayload) => {
+      const response = await updateRfpItem(payload);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    onSuccess: (_, { rfp_id }) => {
+      queryClient.invalidateQueries({ queryKey: ['rfp', rfp_id] });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to Update Item',
+        description: getErrorMessage(error),
+        variant: 'destructive',
+      });
+    },
+  });
+}
+
+export function useRemoveRfpItem() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async ({ rfpId, itemId }: { rfpId: string; itemId: string }) => {
+      const response = await removeRfpItem({ rfp_id: rfpId, item_id: itemId });
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    onSuccess: (_, { rfpId }) => {
+      queryClient.invalidateQueries({ queryKey: ['rfp', rfpId] });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to Remove Item',
+        description: getErrorMessage(error),
+        variant: 'destructive',
+      });
+    },
+  });
+}
+
+export function useReorderRfpItems() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async ({ rfpId, itemIds }: { rfpId: string; itemIds: string[] }) => {
+      const response = await reorderRfpItems({ rfp_id: rfpId, item_ids: itemIds });
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    onSuccess: (_, { rfpId }) => {
+      queryClient.invalidateQueries({ queryKey: ['rfp', rfpId] });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to Reorder Items',
+        description: getErrorMessage(error),
+        variant: 'destructive',
+      });
+    },
+  });
+}
+
+export function useRfpAmendments(rfpId: string | undefined, enabled = true) {
+  return useQuery({
+    queryKey: ['rfpAmendments', rfpId],
+    queryFn: async () => {
+      if (!rfpId) return [];
+      const response = await listRfpAmendments(rfpId);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data?.amendments || [];
+    },
+    enabled: !!rfpId && enabled,
+  });
+}
+
+export function useIssueRfpAmendment() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async (payload: IssueRfpAmendmentPayload) => {
+      const response = await issueRfpAmendment(payload);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    onSuccess: (data, { rfp_id }) => {
+      queryClient.invalidateQueries({ queryKey: ['rfp', rfp_id] });
+      queryClient.invalidateQueries({ queryKey: ['rfps'] });
+      queryClient.invalidateQueries({ queryKey: ['rfpAmendments', rfp_id] });
+      queryClient.invalidateQueries({ queryKey: ['proposals', rfp_id] });
+      queryClient.invalidateQueries({ queryKey: ['emails', rfp_id] });
+      queryClient.invalidateQueries({ queryKey: ['rfpInvitations', rfp_id] });
+      toast({
+        title: `Addendum #${data?.amendment.number} Issued`,
+        description: `Sent to ${data?.amendment.recipient_count || 0} vendor(s).${
+          data?.submissions_reopened ? ' Submissions are open again.' : ''
+        }`,
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to Issue Amendment',
+        description: getErrorMessage(error),
+        variant: 'destructive',
+      });
+    },
+  });
+}
+
+export function useRfpQuestions(rfpId: string | undefined, enabled = true) {
+  return useQuery({
+    queryKey: ['rfpQuestions', rfpId],
+    queryFn: async () => {
+      if (!rfpId) return [];
+      const response = await listRfpQuestions(rfpId);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data?.questions || [];
+    },
+    enabled: !!rfpId && enabled,
+  });
+}
+
+export function useAnswerRfpQuestion() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async (payload: AnswerRfpQuestionPayload) => {
+      const response = await answerRfpQuestion(payload);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['rfpQuestions', data?.rfp_id] });
+      queryClient.invalidateQueries({ queryKey: ['emails', data?.rfp_id] });
+      toast({
+        title: data?.is_broadcast ? 'Answer Broadcast' : 'Answer Sent',
+        description: `Sent to ${data?.recipient_count || 0} vendor(s).`,
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to Answer Question',
+        description: getErrorMessage(error),
+        variant: 'destructive',
+      });
+    },
+  });
+}
+
+export function useRfpInvitations(rfpId: string | undefined, enabled = true) {
+  return useQuery({
+    queryKey: ['rfpInvitations', rfpId],
+    queryFn: async () => {
+      if (!rfpId) return [];
+      const response = await listRfpInvitations(rfpId);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data?.invitations || [];
+    },
+    enabled: !!rfpId && enabled,
+  });
+}
+
+export function useMarkVendorDeclined() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async (payload: MarkVendorDeclinedPayload) => {
+      const response = await markVendorDeclined(payload);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['rfpInvitations', data?.rfp_id] });
+      queryClient.invalidateQueries({ queryKey: ['vendors'] });
+      toast({
+        title: 'Vendor Marked as Declined',
+        description: `${data?.vendor_name || 'The vendor'} won't get further reminders for this RFP.`,
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to Mark Vendor Declined',
+        description: getErrorMessage(error),
+        variant: 'destructive',
+      });
+    },
+  });
+}
+
 export function useSendRfp() {
   const queryClient = useQueryClient();
   const { toast } = useToast();
@@ -122,6 +472,8 @@ export function useSendRfp() {
     onSuccess: (data, { rfpId }) => {
       queryClient.invalidateQueries({ queryKey: ['rfps'] });
       queryClient.invalidateQueries({ queryKey: ['rfp', rfpId] });
+      queryClient.invalidateQueries({ queryKey: ['emails', rfpId] });
+      queryClient.invalidateQueries({ queryKey: ['rfpInvitations', rfpId] });
       toast({
         title: 'RFP Sent',
         description: `RFP sent to ${data?.invited_count || 'selected'} vendors.`,
@@ -152,6 +504,36 @@ export function useProposals(rfpId: string | undefined) {
   });
 }
 
+export function useProposalVersions(rfpId: string | undefined, vendorId: string | undefined, enabled = true) {
+  return useQuery({
+    queryKey: ['proposalVersions', rfpId, vendorId],
+    queryFn: async () => {
+      if (!rfpId || !vendorId) return [];
+      const response = await listProposalVersions({ rfp_id: rfpId, vendor_id: vendorId });
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data?.versions || [];
+    },
+    enabled: !!rfpId && !!vendorId && enabled,
+  });
+}
+
+export function useProposalItemMatrix(rfpId: string | undefined, enabled = true) {
+  return useQuery({
+    queryKey: ['proposalItemMatrix', rfpId],
+    queryFn: async () => {
+      if (!rfpId) return null;
+      const response = await compareProposalItems(rfpId);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data ?? null;
+    },
+    enabled: !!rfpId && enabled,
+  });
+}
+
 export function useParseProposals() {
   const queryClient = useQueryClient();
   const { toast } = useToast();
@@ -166,6 +548,8 @@ export function useParseProposals() {
     },
     onSuccess: (_, rfpId) => {
       queryClient.invalidateQueries({ queryKey: ['proposals', rfpId] });
+      queryClient.invalidateQueries({ queryKey: ['proposalVersions', rfpId] });
+      queryClient.invalidateQueries({ queryKey: ['proposalItemMatrix', rfpId] });
       toast({
         title: 'Proposals Parsed',
         description: 'AI has analyzed the incoming proposals.',
@@ -193,14 +577,22 @@ export function useAwardProposal() {
       }
       return response.data;
     },
-    onSuccess: (_, { rfpId }) => {
+    onSuccess: (data, { rfpId }) => {
       queryClient.invalidateQueries({ queryKey: ['proposals', rfpId] });
       queryClient.invalidateQueries({ queryKey: ['rfp', rfpId] });
       queryClient.invalidateQueries({ queryKey: ['rfps'] });
-      toast({
-        title: 'Contract Awarded',
-        description: 'The vendor has been notified.',
-      });
+      queryClient.invalidateQueries({ queryKey: ['awardApprovals', rfpId] });
+      toast(
+        data?.approval_required
+          ? {
+              title: 'Sent for Approval',
+              description: 'The award will be finalized once every approver signs off.',
+            }
+          : {
+              title: 'Contract Awarded',
+              description: 'The vendor has been notified.',
+            }
+      );
     },
     onError: (error) => {
       toast({
@@ -241,12 +633,16 @@ export function useRejectProposal() {
   });
 }
 
-export function useEmails(rfpId: string | undefined) {
+export function useEmails(
+  rfpId: string | undefined,
+  direction: Email['direction'] = 'inbound',
+  kind?: OutboundEmailKind
+) {
   return useQuery({
-    queryKey: ['emails', rfpId],
+    queryKey: ['emails', rfpId, direction, kind],
     queryFn: async () => {
       if (!rfpId) return [];
-      const response = await listEmails({ rfp_id: rfpId });
+      const response = await listEmails({ rfp_id: rfpId, direction, kind });
       if (!response.success) {
         throw new Error(getErrorMessage(response));
       }
@@ -256,6 +652,48 @@ export function useEmails(rfpId: string | undefined) {
   });
 }
 
+export function useEmailAttachment(attachmentId: string | null) {
+  return useQuery({
+    queryKey: ['emailAttachment', attachmentId],
+    queryFn: async () => {
+      if (!attachmentId) return null;
+      const response = await getEmailAttachment(attachmentId);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data ?? null;
+    },
+    enabled: !!attachmentId,
+  });
+}
+
+export function useClassifyEmail() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async (payload: ClassifyEmailPayload) => {
+      const response = await classifyEmail(payload);
+      if (!response.success) {
+        throw new Error(getErrorMessage(response));
+      }
+      return response.data;
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['emails', data?.rfp_id] });
+      queryClient.invalidateQueries({ queryKey: ['rfpQuestions', data?.rfp_id] });
+      queryClient.invalidateQueries({ queryKey: ['rfpInvitations', data?.rfp_id] });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to Reclassify Email',
+        description: getErrorMessage(error),
+        variant: 'destructive',
+      });
+    },
+  });
+}
+
 export function useFetchEmails() {
   const queryClient = useQueryClient();
   const { toast } = useToast();
@@ -270,6 +708,8 @@ export function useFetchEmails() {
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['emails'] });
+      queryClient.invalidateQueries({ queryKey: ['rfpQuestions'] });
+      queryClient.invalidateQueries({ queryKey: ['rfpInvitations'] });
       toast({
         title: 'Emails Synced',
         description: 'New emails have been fetched and synced successfully.',
@@ -4,6 +4,25 @@ import {
   AnalyzeRfpPreviewResponse,
   CreateRfpPayload,
   CreateRfpResponse,
+  UpdateRfpCriteriaPayload,
+  UpdateRfpCriteriaResponse,
+  UpdateRfpPayload,
+  UpdateRfpResponse,
+  AddRfpItemPayload,
+  UpdateRfpItemPayload,
+  RemoveRfpItemPayload,
+  ReorderRfpItemsPayload,
+  RfpItemResponse,
+  RfpItemsResponse,
+  IssueRfpAmendmentPayload,
+  IssueRfpAmendmentResponse,
+  ListRfpAmendmentsResponse,
+  ListRfpQuestionsResponse,
+  AnswerRfpQuestionPayload,
+  RfpQuestion,
+  ListRfpInvitationsResponse,
+  MarkVendorDeclinedPayload,
+  RfpInvitation,
   ListRfpsPayload,
   ListRfpsResponse,
   GetRfpDetailsResponse,
@@ -15,16 +34,36 @@ import {
   ListVendorsResponse,
   ListProposalsPayload,
   ListProposalsResponse,
+  ListProposalVersionsPayload,
+  ListProposalVersionsResponse,
+  CompareProposalItemsResponse,
   AwardProposalPayload,
   AwardProposalResponse,
   RejectProposalPayload,
   RejectProposalResponse,
   ParseProposalsPayload,
   ListEmailsPayload,
+  EmailAttachmentDetail,
+  ClassifyEmailPayload,
+  ClassifyEmailResponse,
+  ListAuditEventsPayload,
+  ListAuditEventsResponse,
+  ListAwardApprovalsPayload,
+  ListAwardApprovalsResponse,
+  DecideAwardPayload,
+  AwardApproval,
+  ListJobsPayload,
+  ListJobsResponse,
+  RetryJobPayload,
+  Job,
+  LoginPayload,
+  LoginResponse,
+  GetCurrentUserResponse,
   Email,
   Vendor,
   Proposal,
 } from '@/types';
+import { getAuthToken, redirectToLogin } from '@/lib/auth';
 
 const ENV = import.meta.env.VITE_ENVIRONMENT || "LOCAL";
 
@@ -37,33 +76,66 @@ if (!API_BASE_URL) {
   throw new Error(`API_BASE_URL not defined for ENV=${ENV}`);
 }
 
-type ApiAction =
+export type ApiAction =
+  | 'Login'
+  | 'Logout'
+  | 'GetCurrentUser'
   | 'AnalyzeRfpPreview'
   | 'CreateRfp'
+  | 'UpdateRfpCriteria'
+  | 'UpdateRfp'
+  | 'AddRfpItem'
+  | 'UpdateRfpItem'
+  | 'RemoveRfpItem'
+  | 'ReorderRfpItems'
   | 'ListRfps'
   | 'GetRfpDetails'
   | 'SendRfp'
+  | 'IssueRfpAmendment'
+  | 'ListRfpAmendments'
+  | 'ListRfpQuestions'
+  | 'AnswerRfpQuestion'
+  | 'ListRfpInvitations'
+  | 'MarkVendorDeclined'
   | 'CreateVendor'
   | 'UpdateVendor'
   | 'DeleteVendor'
   | 'ListVendors'
   | 'ListProposals'
+  | 'ListProposalVersions'
+  | 'CompareProposalItems'
   | 'AwardProposal'
   | 'RejectProposal'
   | 'ParseProposals'
   | 'ListEmails'
-  | 'FetchEmails';
+  | 'GetEmailAttachment'
+  | 'ClassifyEmail'
+  | 'FetchEmails'
+  | 'ListAuditEvents'
+  | 'ListAwardApprovals'
+  | 'ApproveAward'
+  | 'RejectAward'
+  | 'CancelAwardApproval'
+  | 'ListJobs'
+  | 'RetryJob';
 
 async function apiCall<T>(action: ApiAction, data: object = {}): Promise<ApiResponse<T>> {
   try {
+    const token = getAuthToken();
     const response = await fetch(`${API_BASE_URL}/api`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
       },
       body: JSON.stringify({ action, data }),
     });
 
+    // Expired/revoked session: back to login. A failed Login is just a bad password.
+    if (response.status === 401 && action !== 'Login') {
+      redirectToLogin();
+    }
+
     const result = await response.json();
     return result as ApiResponse<T>;
   } catch (error) {
@@ -88,6 +160,19 @@ export function getErrorMessage(error: unknown): string {
   return 'An unexpected error occurred';
 }
 
+// Auth APIs
+export async function login(payload: LoginPayload): Promise<ApiResponse<LoginResponse>> {
+  return apiCall<LoginResponse>('Login', payload);
+}
+
+export async function logout(): Promise<ApiResponse<{ logged_out: boolean }>> {
+  return apiCall<{ logged_out: boolean }>('Logout', {});
+}
+
+export async function getCurrentUser(): Promise<ApiResponse<GetCurrentUserResponse>> {
+  return apiCall<GetCurrentUserResponse>('GetCurrentUser', {});
+}
+
 // RFP APIs
 export async function analyzeRfpPreview(payload: AnalyzeRfpPreviewPayload): Promise<ApiResponse<AnalyzeRfpPreviewResponse>> {
   return apiCall<AnalyzeRfpPreviewResponse>('AnalyzeRfpPreview', payload);
@@ -97,6 +182,30 @@ export async function createRfp(payload: CreateRfpPayload): Promise<ApiResponse<
   return apiCall<CreateRfpResponse>('CreateRfp', payload);
 }
 
+export async function updateRfpCriteria(payload: UpdateRfpCriteriaPayload): Promise<ApiResponse<UpdateRfpCriteriaResponse>> {
+  return apiCall<UpdateRfpCriteriaResponse>('UpdateRfpCriteria', payload);
+}
+
+export async function updateRfp(payload: UpdateRfpPayload): Promise<ApiResponse<UpdateRfpResponse>> {
+  return apiCall<UpdateRfpResponse>('UpdateRfp', payload);
+}
+
+export async function addRfpItem(payload: AddRfpItemPayload): Promise<ApiResponse<RfpItemResponse & RfpItemsResponse>> {
+  return apiCall<RfpItemResponse & RfpItemsResponse>('AddRfpItem', payload);
+}
+
+export async function updateRfpItem(payload: UpdateRfpItemPayload): Promise<ApiResponse<RfpItemResponse>> {
+  return apiCall<RfpItemResponse>('UpdateRfpItem', payload);
+}
+
+export async function removeRfpItem(payload: RemoveRfpItemPayload): Promise<ApiResponse<RfpItemsResponse>> {
+  return apiCall<RfpItemsResponse>('RemoveRfpItem', payload);
+}
+
+export async function reorderRfpItems(payload: ReorderRfpItemsPayload): Promise<ApiResponse<RfpItemsResponse>> {
+  return apiCall<RfpItemsResponse>('ReorderRfpItems', payload);
+}
+
 export async function listRfps(payload: ListRfpsPayload = {}): Promise<ApiResponse<ListRfpsResponse>> {
   return apiCall<ListRfpsResponse>('ListRfps', payload);
 }
@@ -105,6 +214,30 @@ export async function getRfpDetails(rfpId: string): Promise<ApiResponse<GetRfpDe
   return apiCall<GetRfpDetailsResponse>('GetRfpDetails', { rfp_id: rfpId });
 }
 
+export async function issueRfpAmendment(payload: IssueRfpAmendmentPayload): Promise<ApiResponse<IssueRfpAmendmentResponse>> {
+  return apiCall<IssueRfpAmendmentResponse>('IssueRfpAmendment', payload);
+}
+
+export async function listRfpAmendments(rfpId: string): Promise<ApiResponse<ListRfpAmendmentsResponse>> {
+  return apiCall<ListRfpAmendmentsResponse>('ListRfpAmendments', { rfp_id: rfpId });
+}
+
+export async function listRfpQuestions(rfpId: string): Promise<ApiResponse<ListRfpQuestionsResponse>> {
+  return apiCall<ListRfpQuestionsResponse>('ListRfpQuestions', { rfp_id: rfpId });
+}
+
+export async function answerRfpQuestion(payload: AnswerRfpQuestionPayload): Promise<ApiResponse<RfpQuestion>> {
+  return apiCall<RfpQuestion>('AnswerRfpQuestion', payload);
+}
+
+export async function listRfpInvitations(rfpId: string): Promise<ApiResponse<ListRfpInvitationsResponse>> {
+  return apiCall<ListRfpInvitationsResponse>('ListRfpInvitations', { rfp_id: rfpId });
+}
+
+export async function markVendorDeclined(payload: MarkVendorDeclinedPayload): Promise<ApiResponse<RfpInvitation>> {
+  return apiCall<RfpInvitation>('MarkVendorDeclined', payload);
+}
+
 export async function sendRfpToVendors(payload: SendRfpPayload): Promise<ApiResponse<SendRfpResponse>> {
   return apiCall<SendRfpResponse>('SendRfp', payload);
 }
@@ -131,6 +264,14 @@ export async function listProposals(payload: ListProposalsPayload): Promise<ApiR
   return apiCall<ListProposalsResponse>('ListProposals', payload);
 }
 
+export async function listProposalVersions(payload: ListProposalVersionsPayload): Promise<ApiResponse<ListProposalVersionsResponse>> {
+  return apiCall<ListProposalVersionsResponse>('ListProposalVersions', payload);
+}
+
+export async function compareProposalItems(rfpId: string): Promise<ApiResponse<CompareProposalItemsResponse>> {
+  return apiCall<CompareProposalItemsResponse>('CompareProposalItems', { rfp_id: rfpId });
+}
+
 export async function awardProposal(payload: AwardProposalPayload): Promise<ApiResponse<AwardProposalResponse>> {
   return apiCall<AwardProposalResponse>('AwardProposal', payload);
 }
@@ -148,6 +289,44 @@ export async function listEmails(payload: ListEmailsPayload): Promise<ApiRespons
   return apiCall<Email[]>('ListEmails', payload);
 }
 
+export async function getEmailAttachment(attachmentId: string): Promise<ApiResponse<EmailAttachmentDetail>> {
+  return apiCall<EmailAttachmentDetail>('GetEmailAttachment', { attachment_id: attachmentId });
+}
+
+export async function classifyEmail(payload: ClassifyEmailPayload): Promise<ApiResponse<ClassifyEmailResponse>> {
+  return apiCall<ClassifyEmailResponse>('ClassifyEmail', payload);
+}
+
 export async function fetchEmails(): Promise<ApiResponse<{ success: boolean; message: string }>> {
   return apiCall<{ success: boolean; message: string }>('FetchEmails', {});
 }
+
+// Audit APIs
+export async function listAwardApprovals(payload: ListAwardApprovalsPayload): Promise<ApiResponse<ListAwardApprovalsResponse>> {
+  return apiCall<ListAwardApprovalsResponse>('ListAwardApprovals', payload);
+}
+
+export async function approveAward(payload: DecideAwardPayload): Promise<ApiResponse<AwardApproval>> {
+  return apiCall<AwardApproval>('ApproveAward', payload);
+}
+
+export async function rejectAward(payload: DecideAwardPayload): Promise<ApiResponse<AwardApproval>> {
+  return apiCall<AwardApproval>('RejectAward', payload);
+}
+
+export async function cancelAwardApproval(payload: DecideAwardPayload): Promise<ApiResponse<AwardApproval>> {
+  return apiCall<AwardApproval>('CancelAwardApproval', payload);
+}
+
+export async function listAuditEvents(payload: ListAuditEventsPayload): Promise<ApiResponse<ListAuditEventsResponse>> {
+  return apiCall<ListAuditEventsResponse>('ListAuditEvents', payload);
+}
+
+// Job APIs
+export async function listJobs(payload: ListJobsPayload): Promise<ApiResponse<ListJobsResponse>> {
+  return apiCall<ListJobsResponse>('ListJobs', payload);
+}
+
+export async function retryJob(payload: RetryJobPayload): Promise<ApiResponse<Job>> {
+  return apiCall<Job>('RetryJob', payload);
+}
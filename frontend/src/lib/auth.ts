@@ -0,0 +1,64 @@
+import { AuthUser, OrganizationSummary } from '@/types';
+
+// Session persisted across reloads; the token is sent as a bearer header by apiCall
+const STORAGE_KEY = 'autorfp.auth';
+
+export const LOGIN_PATH = '/login';
+
+export interface AuthSession {
+  token: string;
+  expires_at: string | null;
+  user: AuthUser;
+  organization?: OrganizationSummary | null;
+  // Actions the user's role may run (from Login / GetCurrentUser)
+  allowed_actions: string[];
+}
+
+export function getAuthSession(): AuthSession | null {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+
+    const session = JSON.parse(raw) as AuthSession;
+    if (!session?.token) return null;
+
+    if (session.expires_at && new Date(session.expires_at).getTime() <= Date.now()) {
+      localStorage.removeItem(STORAGE_KEY);
+      return null;
+    }
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+export function getAuthToken(): string | null {
+  return getAuthSession()?.token ?? null;
+}
+
+export function setAuthSession(session: AuthSession): void {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+}
+
+export function updateAuthSession(changes: Partial<AuthSession>): void {
+  const session = getAuthSession();
+  if (session) setAuthSession({ ...session, ...changes });
+}
+
+export function clearAuthSession(): void {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Drop the session and send the user to the login page, remembering where
+ * they were so LoginPage can bring them back.
+ */
+export function redirectToLogin(): void {
+  clearAuthSession();
+
+  const { pathname, search } = window.location;
+  if (pathname === LOGIN_PATH) return;
+
+  const redirect = encodeURIComponent(`${pathname}${search}`);
+  window.location.assign(`${LOGIN_PATH}?redirect=${redirect}`);
+}
@@ -0,0 +1,36 @@
+import { EvaluationCriterion } from '@/types';
+
+// Mirrors DEFAULT_EVALUATION_CRITERIA in backend/src/utils/proposalScoringUtils.js
+export const DEFAULT_EVALUATION_CRITERIA: EvaluationCriterion[] = [
+  { key: 'price', label: 'Price', weight: 30 },
+  { key: 'delivery', label: 'Delivery', weight: 20 },
+  { key: 'warranty', label: 'Warranty', weight: 10 },
+  { key: 'payment_terms', label: 'Payment terms', weight: 10 },
+  { key: 'spec_compliance', label: 'Spec compliance', weight: 20 },
+  { key: 'vendor_history', label: 'Vendor history', weight: 10 },
+];
+
+export const CUSTOM_CRITERION_PREFIX = 'custom_';
+
+export const isCustomCriterion = (key: string) => key.startsWith(CUSTOM_CRITERION_PREFIX);
+
+export const totalCriteriaWeight = (criteria: EvaluationCriterion[]) =>
+  criteria.reduce((sum, c) => sum + (Number(c.weight) || 0), 0);
+
+export const isCriteriaValid = (criteria: EvaluationCriterion[]) =>
+  criteria.length > 0 &&
+  Math.abs(totalCriteriaWeight(criteria) - 100) < 0.01 &&
+  criteria.every((c) => c.label.trim().length > 0);
+
+/**
+ * Build a unique custom_<slug> key from a label
+ */
+export const makeCustomCriterionKey = (label: string, existing: EvaluationCriterion[]) => {
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'criterion';
+  let key = `${CUSTOM_CRITERION_PREFIX}${slug}`;
+  let n = 2;
+  while (existing.some((c) => c.key === key)) {
+    key = `${CUSTOM_CRITERION_PREFIX}${slug}_${n++}`;
+  }
+  return key;
+};
@@ -52,6 +52,15 @@ export const formatDateSafe = (
   }
 };
 
+/**
+ * Safe formatting of a calendar date ("YYYY-MM-DD"), read in local time so
+ * it doesn't shift a day west of UTC
+ */
+export const formatCalendarDateSafe = (
+  date: string | null | undefined,
+  defaultValue: string = 'N/A'
+): string => formatDateSafe(date ? `${date.slice(0, 10)}T00:00:00` : null, defaultValue);
+
 /**
  * Safe percentage formatting
  */
@@ -92,6 +101,30 @@ export const formatNumberCompact = (
   }
 };
 
+/**
+ * Safe file size formatting (bytes → B / KB / MB)
+ */
+export const formatFileSizeSafe = (
+  bytes: number | null | undefined,
+  defaultValue: string = 'N/A'
+): string => {
+  try {
+    if (bytes === null || bytes === undefined) return defaultValue;
+    const safeBytes = safeNumber(bytes);
+
+    if (safeBytes >= 1024 * 1024) {
+      return `${(safeBytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    if (safeBytes >= 1024) {
+      return `${(safeBytes / 1024).toFixed(0)} KB`;
+    }
+    return `${safeBytes} B`;
+  } catch (error) {
+    console.warn('Error formatting file size:', error);
+    return defaultValue;
+  }
+};
+
 /**
  * Safe string truncation
  */
@@ -0,0 +1,56 @@
+import { Rfp, UpdateRfpPayload } from '@/types';
+
+// RFP header fields as edited in a form (UpdateRfp on drafts, amendments once sent)
+export type RfpDetailsForm = {
+  title: string;
+  summary: string;
+  budget_cap: string;
+  currency_code: string;
+  payment_terms: string;
+  min_warranty_months: string;
+  submission_deadline: string;
+  delivery_by: string;
+};
+
+export const toDetailsForm = (rfp: Rfp): RfpDetailsForm => ({
+  title: rfp.title,
+  summary: rfp.summary || '',
+  budget_cap: rfp.budget_cap != null ? String(rfp.budget_cap) : '',
+  currency_code: rfp.currency_code || 'USD',
+  payment_terms: rfp.payment_terms || '',
+  min_warranty_months: rfp.min_warranty_months != null ? String(rfp.min_warranty_months) : '',
+  submission_deadline: rfp.submission_deadline ? rfp.submission_deadline.slice(0, 10) : '',
+  delivery_by: rfp.delivery_by || '',
+});
+
+const toNumberOrNull = (value: string) => (value.trim() === '' ? null : Number(value));
+
+/**
+ * Only the fields that differ from the RFP, so an untouched deadline keeps
+ * its stored time.
+ */
+export function changedDetails(rfp: Rfp, form: RfpDetailsForm): Omit<UpdateRfpPayload, 'rfp_id'> {
+  const initial = toDetailsForm(rfp);
+  const changes: Omit<UpdateRfpPayload, 'rfp_id'> = {};
+
+  if (form.title !== initial.title) changes.title = form.title.trim();
+  if (form.summary !== initial.summary) changes.summary = form.summary.trim() || null;
+  if (form.budget_cap !== initial.budget_cap) changes.budget_cap = toNumberOrNull(form.budget_cap);
+  if (form.currency_code !== initial.currency_code) changes.currency_code = form.currency_code.trim();
+  if (form.payment_terms !== initial.payment_terms) changes.payment_terms = form.payment_terms.trim() || null;
+  if (form.min_warranty_months !== initial.min_warranty_months) {
+    changes.min_warranty_months = toNumberOrNull(form.min_warranty_months);
+  }
+  if (form.submission_deadline !== initial.submission_deadline) {
+    changes.submission_deadline = form.submission_deadline || null;
+  }
+  if (form.delivery_by !== initial.delivery_by) changes.delivery_by = form.delivery_by || null;
+
+  return changes;
+}
+
+export const areDatesInvalid = (form: RfpDetailsForm) =>
+  !!form.submission_deadline && !!form.delivery_by && form.delivery_by < form.submission_deadline;
+
+export const isDetailsFormValid = (form: RfpDetailsForm) =>
+  form.title.trim().length > 0 && /^[A-Za-z]{3}$/.test(form.currency_code.trim()) && !areDatesInvalid(form);
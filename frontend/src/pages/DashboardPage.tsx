@@ -4,6 +4,7 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { useRfps } from '@/hooks/useRfps';
 import { useVendors } from '@/hooks/useVendors';
+import { usePermissions } from '@/hooks/useAuth';
 import { FileText, Users, Plus, TrendingUp, Clock, CheckCircle } from 'lucide-react';
 import { formatCurrencySafe, getSafeLengthSafe } from '@/lib/formatUtils';
 import { safeArray, safeGet } from '@/lib/errorUtils';
@@ -11,6 +12,8 @@ import { safeArray, safeGet } from '@/lib/errorUtils';
 export default function DashboardPage() {
   const { data: rfps = [], isLoading: rfpsLoading } = useRfps();
   const { data: vendors = [], isLoading: vendorsLoading } = useVendors();
+  const { can } = usePermissions();
+  const canCreateRfp = can('CreateRfp');
 
   const safeRfps = safeArray(rfps, []);
   const safeVendors = safeArray(vendors, []);
@@ -59,12 +62,14 @@ export default function DashboardPage() {
               Here's an overview of your RFP activity.
             </p>
           </div>
-          <Button asChild>
-            <Link to="/rfps/new">
-              <Plus className="h-4 w-4 mr-2" />
-              Create New RFP
-            </Link>
-          </Button>
+          {canCreateRfp && (
+            <Button asChild>
+              <Link to="/rfps/new">
+                <Plus className="h-4 w-4 mr-2" />
+                Create New RFP
+              </Link>
+            </Button>
+          )}
         </div>
 
         {/* Stats Grid */}
@@ -103,9 +108,11 @@ export default function DashboardPage() {
               <div className="text-center py-8">
                 <FileText className="h-12 w-12 text-muted-foreground mx-auto mb-3" />
                 <p className="text-muted-foreground mb-4">No RFPs yet</p>
-                <Button asChild>
-                  <Link to="/rfps/new">Create Your First RFP</Link>
-                </Button>
+                {canCreateRfp && (
+                  <Button asChild>
+                    <Link to="/rfps/new">Create Your First RFP</Link>
+                  </Button>
+                )}
               </div>
             ) : (
               <div className="space-y-3">
@@ -138,21 +145,23 @@ export default function DashboardPage() {
 
         {/* Quick Actions */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-          <Card className="hover:border-primary/50 transition-colors cursor-pointer">
-            <Link to="/rfps/new">
-              <CardContent className="pt-6 flex items-center gap-4">
-                <div className="w-12 h-12 rounded-lg bg-primary/10 flex items-center justify-center">
-                  <Plus className="h-6 w-6 text-primary" />
-                </div>
-                <div>
-                  <p className="font-semibold">Create RFP</p>
-                  <p className="text-sm text-muted-foreground">
-                    Use AI to draft a new RFP
-                  </p>
-                </div>
-              </CardContent>
-            </Link>
-          </Card>
+          {canCreateRfp && (
+            <Card className="hover:border-primary/50 transition-colors cursor-pointer">
+              <Link to="/rfps/new">
+                <CardContent className="pt-6 flex items-center gap-4">
+                  <div className="w-12 h-12 rounded-lg bg-primary/10 flex items-center justify-center">
+                    <Plus className="h-6 w-6 text-primary" />
+                  </div>
+                  <div>
+                    <p className="font-semibold">Create RFP</p>
+                    <p className="text-sm text-muted-foreground">
+                      Use AI to draft a new RFP
+                    </p>
+                  </div>
+                </CardContent>
+              </Link>
+            </Card>
+          )}
           
           <Card className="hover:border-primary/50 transition-colors cursor-pointer">
             <Link to="/vendors">
@@ -0,0 +1,188 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { AppShell } from '@/components/layout/AppShell';
+import { Card, CardContent } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { LoadingState } from '@/components/common/Spinner';
+import { EmptyState } from '@/components/common/EmptyState';
+import { useJobs, useRetryJob } from '@/hooks/useJobs';
+import { usePermissions } from '@/hooks/useAuth';
+import { Job, JobStatus, JobType } from '@/types';
+import { ListChecks, RotateCcw } from 'lucide-react';
+
+const JOB_TYPE_LABELS: Record<JobType, string> = {
+  'email.send': 'Email',
+  'vendor.rating_award': 'Vendor rating (award)',
+  'vendor.rating_reject': 'Vendor rating (reject)',
+  'rfp.reminders': 'RFP reminders',
+  'rfp.deadlines': 'RFP submission deadlines',
+};
+
+const STATUS_VARIANTS: Record<JobStatus, 'default' | 'secondary' | 'destructive' | 'outline'> = {
+  queued: 'outline',
+  running: 'secondary',
+  succeeded: 'default',
+  dead: 'destructive',
+};
+
+const formatTimestamp = (value: string | null) => (value ? new Date(value).toLocaleString() : '—');
+
+/**
+ * Background job queue: invite/award/rejection emails and rating updates,
+ * with Retry for jobs that used up their attempts.
+ */
+export default function JobsPage() {
+  const [statusFilter, setStatusFilter] = useState<string>('all');
+  const [page, setPage] = useState(1);
+  const { can } = usePermissions();
+  const canRetry = can('RetryJob');
+
+  const { data, isLoading } = useJobs(
+    { status: statusFilter !== 'all' ? (statusFilter as JobStatus) : undefined, page },
+    can('ListJobs')
+  );
+  const retryMutation = useRetryJob();
+
+  const jobs: Job[] = data?.items || [];
+  const totalPages = data?.total_pages || 1;
+
+  return (
+    <AppShell title="Jobs">
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h2 className="text-2xl font-bold text-foreground">Background Jobs</h2>
+            <p className="text-muted-foreground">
+              Emails and rating updates queued by sends, awards and rejections
+            </p>
+          </div>
+          <Select
+            value={statusFilter}
+            onValueChange={(value) => {
+              setStatusFilter(value);
+              setPage(1);
+            }}
+          >
+            <SelectTrigger className="w-40">
+              <SelectValue placeholder="All Statuses" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All Statuses</SelectItem>
+              <SelectItem value="queued">Queued</SelectItem>
+              <SelectItem value="running">Running</SelectItem>
+              <SelectItem value="succeeded">Succeeded</SelectItem>
+              <SelectItem value="dead">Dead</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+
+        {/* Table */}
+        <Card>
+          <CardContent className="p-0">
+            {isLoading ? (
+              <LoadingState message="Loading jobs..." />
+            ) : jobs.length === 0 ? (
+              <EmptyState
+                icon={ListChecks}
+                title="No jobs found"
+                description={statusFilter !== 'all' ? 'Try another status' : 'Nothing has been queued yet'}
+              />
+            ) : (
+              <div className="border-0 rounded-lg overflow-hidden">
+                <Table>
+                  <TableHeader>
+                    <TableRow className="bg-muted/50">
+                      <TableHead className="font-semibold">Job</TableHead>
+                      <TableHead className="font-semibold">Status</TableHead>
+                      <TableHead className="font-semibold">Attempts</TableHead>
+                      <TableHead className="font-semibold">Next Run</TableHead>
+                      <TableHead className="font-semibold">Last Error</TableHead>
+                      <TableHead className="font-semibold">Created</TableHead>
+                      <TableHead className="font-semibold text-right">Actions</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {jobs.map((job) => {
+                      const rfpId = typeof job.payload?.rfp_id === 'string' ? job.payload.rfp_id : null;
+                      return (
+                        <TableRow key={job.id} className="hover:bg-muted/50">
+                          <TableCell>
+                            <p className="font-medium">{JOB_TYPE_LABELS[job.type] ?? job.type}</p>
+                            {rfpId && (
+                              <Link to={`/rfps/${rfpId}`} className="text-sm text-primary hover:underline">
+                                View RFP
+                              </Link>
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            <Badge variant={STATUS_VARIANTS[job.status]}>{job.status}</Badge>
+                          </TableCell>
+                          <TableCell className="font-mono">
+                            {job.attempts}/{job.max_attempts}
+                          </TableCell>
+                          <TableCell className="text-muted-foreground">
+                            {job.status === 'queued' ? formatTimestamp(job.run_at) : '—'}
+                          </TableCell>
+                          <TableCell className="max-w-xs">
+                            <p className="text-sm text-muted-foreground line-clamp-2" title={job.last_error ?? undefined}>
+                              {job.last_error ?? '—'}
+                            </p>
+                          </TableCell>
+                          <TableCell className="text-muted-foreground">{formatTimestamp(job.created_at)}</TableCell>
+                          <TableCell className="text-right">
+                            {canRetry && job.status === 'dead' && (
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => retryMutation.mutate(job.id)}
+                                disabled={retryMutation.isPending}
+                              >
+                                <RotateCcw className="h-4 w-4 mr-1" />
+                                Retry
+                              </Button>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {totalPages > 1 && (
+          <div className="flex items-center justify-end gap-2">
+            <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+              Previous
+            </Button>
+            <span className="text-sm text-muted-foreground">
+              Page {page} of {totalPages}
+            </span>
+            <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page >= totalPages}>
+              Next
+            </Button>
+          </div>
+        )}
+      </div>
+    </AppShell>
+  );
+}
@@ -0,0 +1,85 @@
+import { useState, FormEvent } from 'react';
+import { Navigate, useNavigate, useSearchParams } from 'react-router-dom';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Spinner } from '@/components/common/Spinner';
+import { useLogin } from '@/hooks/useAuth';
+import { getAuthSession } from '@/lib/auth';
+import { LogIn } from 'lucide-react';
+
+// Only follow same-app paths from ?redirect=
+function safeRedirect(value: string | null): string {
+  return value && value.startsWith('/') && !value.startsWith('//') ? value : '/';
+}
+
+export default function LoginPage() {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const loginMutation = useLogin();
+
+  const redirectTo = safeRedirect(searchParams.get('redirect'));
+
+  if (getAuthSession() && !loginMutation.isPending) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleSubmit = (e: FormEvent) => {
+    e.preventDefault();
+    if (!email.trim() || !password) return;
+
+    loginMutation.mutate(
+      { email: email.trim(), password },
+      { onSuccess: () => navigate(redirectTo, { replace: true }) }
+    );
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-background p-6">
+      <Card className="w-full max-w-sm">
+        <CardHeader>
+          <CardTitle>AutoRFP.ai</CardTitle>
+          <CardDescription>Sign in to manage RFPs, vendors and proposals.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="email">Email</Label>
+              <Input
+                id="email"
+                type="email"
+                autoComplete="username"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="you@company.com"
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="password">Password</Label>
+              <Input
+                id="password"
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </div>
+            <Button
+              type="submit"
+              className="w-full gap-2"
+              disabled={loginMutation.isPending || !email.trim() || !password}
+            >
+              {loginMutation.isPending ? <Spinner size="sm" className="text-primary-foreground" /> : <LogIn className="h-4 w-4" />}
+              Sign In
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -12,10 +12,13 @@ import {
   TableRow,
 } from '@/components/ui/table';
 import { CompareCards } from '@/components/rfp/CompareCards';
+import { ProposalItemMatrix } from '@/components/rfp/ProposalItemMatrix';
 import { ScoreBadge } from '@/components/common/ScoreBadge';
 import { LoadingState } from '@/components/common/Spinner';
 import { EmptyState } from '@/components/common/EmptyState';
 import { useRfpDetails, useProposals, useAwardProposal, useRejectProposal } from '@/hooks/useRfps';
+import { usePermissions } from '@/hooks/useAuth';
+import { DEFAULT_EVALUATION_CRITERIA } from '@/lib/evaluationCriteria';
 import { Proposal } from '@/types';
 import { ArrowLeft, BarChart3, AlertCircle } from 'lucide-react';
 
@@ -28,6 +31,7 @@ export default function RfpComparePage() {
   
   const awardMutation = useAwardProposal();
   const rejectMutation = useRejectProposal();
+  const { can } = usePermissions();
 
   const handleAward = (proposal: Proposal) => {
     if (!id) return;
@@ -90,7 +94,9 @@ export default function RfpComparePage() {
     );
   }
 
-  const sortedProposals = [...proposals].sort((a, b) => (b.ai_score ?? 0) - (a.ai_score ?? 0));
+  // Ranking follows ai_score, which the backend computes from this RFP's weighted criteria
+  const sortedProposals = [...proposals].sort((a, b) => Number(b.ai_score ?? 0) - Number(a.ai_score ?? 0));
+  const criteria = rfp.evaluation_criteria ?? DEFAULT_EVALUATION_CRITERIA;
   const recommendedVendor = sortedProposals.find((p) => (p.ai_score ?? 0) >= 90);
 
   return (
@@ -155,6 +161,14 @@ export default function RfpComparePage() {
                   </TableRow>
                 </TableHeader>
                 <TableBody>
+                  <TableRow>
+                    <TableCell className="font-medium">Rank</TableCell>
+                    {sortedProposals.map((p, index) => (
+                      <TableCell key={p.id} className="text-center font-semibold">
+                        #{index + 1}
+                      </TableCell>
+                    ))}
+                  </TableRow>
                   <TableRow>
                     <TableCell className="font-medium">Total Price</TableCell>
                     {sortedProposals.map((p) => (
@@ -192,6 +206,24 @@ export default function RfpComparePage() {
                       </TableCell>
                     ))}
                   </TableRow>
+                  {criteria.map((criterion) => (
+                    <TableRow key={criterion.key}>
+                      <TableCell className="font-medium">
+                        {criterion.label}
+                        <span className="block text-xs text-muted-foreground font-normal">
+                          Weight {criterion.weight}%
+                        </span>
+                      </TableCell>
+                      {sortedProposals.map((p) => {
+                        const scored = p.score_breakdown?.criteria?.find((c) => c.key === criterion.key);
+                        return (
+                          <TableCell key={p.id} className="text-center font-mono">
+                            {scored ? scored.score ?? 'n/a' : '—'}
+                          </TableCell>
+                        );
+                      })}
+                    </TableRow>
+                  ))}
                   <TableRow>
                     <TableCell className="font-medium">AI Score</TableCell>
                     {sortedProposals.map((p) => (
@@ -210,13 +242,23 @@ export default function RfpComparePage() {
           </CardContent>
         </Card>
 
+        {/* Line-Item Matrix */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Line-Item Comparison</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <ProposalItemMatrix rfpId={rfp.id} />
+          </CardContent>
+        </Card>
+
         {/* Detailed Cards */}
         <div>
           <h3 className="text-lg font-semibold mb-4">AI Analysis & Actions</h3>
           <CompareCards
             proposals={sortedProposals}
-            onAward={handleAward}
-            onReject={handleReject}
+            onAward={can('AwardProposal') && rfp.status !== 'pending_approval' ? handleAward : undefined}
+            onReject={can('RejectProposal') ? handleReject : undefined}
           />
         </div>
       </div>
@@ -4,16 +4,25 @@ import { AppShell } from '@/components/layout/AppShell';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Textarea } from '@/components/ui/textarea';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
 import { RfpSummaryCard } from '@/components/rfp/RfpSummaryCard';
+import { EvaluationCriteriaEditor } from '@/components/rfp/EvaluationCriteriaEditor';
 import { Spinner } from '@/components/common/Spinner';
 import { useAnalyzeRfp, useCreateRfp } from '@/hooks/useRfps';
-import { Bot, ArrowRight, ArrowLeft, Save, Sparkles } from 'lucide-react';
+import { DEFAULT_EVALUATION_CRITERIA, isCriteriaValid } from '@/lib/evaluationCriteria';
+import { EvaluationCriterion } from '@/types';
+import { Bot, ArrowRight, ArrowLeft, CalendarClock, Save, Sparkles } from 'lucide-react';
 
 const EXAMPLE_PROMPT = "I need to procure laptops and monitors for our new office. Budget is $50,000 total. Need delivery within 30 days. We need 20 laptops with 16GB RAM and 15 monitors 27-inch. Payment terms should be net 30, and we need at least 1 year warranty.";
 
 export default function RfpCreatePage() {
   const navigate = useNavigate();
   const [prompt, setPrompt] = useState('');
+  const [criteria, setCriteria] = useState<EvaluationCriterion[]>(DEFAULT_EVALUATION_CRITERIA);
+  // undefined = keep the date the AI extracted
+  const [submissionDeadline, setSubmissionDeadline] = useState<string | undefined>();
+  const [deliveryBy, setDeliveryBy] = useState<string | undefined>();
   const { analyze, isAnalyzing, structuredData, reset } = useAnalyzeRfp();
   const createRfpMutation = useCreateRfp();
 
@@ -22,12 +31,20 @@ export default function RfpCreatePage() {
     analyze(prompt);
   };
 
+  const submissionDeadlineValue = submissionDeadline ?? structuredData?.submission_deadline ?? '';
+  const deliveryByValue = deliveryBy ?? structuredData?.delivery_by ?? '';
+  const datesInvalid =
+    !!submissionDeadlineValue && !!deliveryByValue && deliveryByValue < submissionDeadlineValue;
+
   const handleSave = async () => {
     if (!structuredData) return;
     
     const result = await createRfpMutation.mutateAsync({
       prompt,
       structured: structuredData,
+      evaluationCriteria: criteria,
+      submissionDeadline: submissionDeadlineValue || null,
+      deliveryBy: deliveryByValue || null,
     });
     
     if (result?.rfp_id) {
@@ -36,6 +53,8 @@ export default function RfpCreatePage() {
   };
 
   const handleBack = () => {
+    setSubmissionDeadline(undefined);
+    setDeliveryBy(undefined);
     reset();
   };
 
@@ -63,6 +82,55 @@ export default function RfpCreatePage() {
 
           <RfpSummaryCard rfp={structuredData} />
 
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base flex items-center gap-2">
+                <CalendarClock className="h-4 w-4" />
+                Key Dates
+              </CardTitle>
+              <p className="text-sm text-muted-foreground">
+                Proposals are due by the end of the submission date (UTC). Once it passes the RFP moves to evaluation and later replies are marked late.
+              </p>
+            </CardHeader>
+            <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="submission-deadline">Submission deadline</Label>
+                <Input
+                  id="submission-deadline"
+                  type="date"
+                  value={submissionDeadlineValue}
+                  onChange={(e) => setSubmissionDeadline(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="delivery-by">Delivery by</Label>
+                <Input
+                  id="delivery-by"
+                  type="date"
+                  value={deliveryByValue}
+                  onChange={(e) => setDeliveryBy(e.target.value)}
+                />
+              </div>
+              {datesInvalid && (
+                <p className="text-sm text-destructive md:col-span-2">
+                  Delivery date cannot be before the submission deadline
+                </p>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base">Evaluation Criteria</CardTitle>
+              <p className="text-sm text-muted-foreground">
+                Proposals are scored on these criteria. Weights must sum to 100.
+              </p>
+            </CardHeader>
+            <CardContent>
+              <EvaluationCriteriaEditor value={criteria} onChange={setCriteria} />
+            </CardContent>
+          </Card>
+
           <Card>
             <CardContent className="pt-6">
               <div className="flex items-start gap-4 p-4 bg-primary/5 rounded-lg border border-primary/10">
@@ -84,7 +152,7 @@ export default function RfpCreatePage() {
             </Button>
             <Button
               onClick={handleSave}
-              disabled={createRfpMutation.isPending}
+              disabled={createRfpMutation.isPending || !isCriteriaValid(criteria) || datesInvalid}
               size="lg"
             >
               {createRfpMutation.isPending ? (
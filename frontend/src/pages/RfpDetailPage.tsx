@@ -8,24 +8,46 @@ import { RfpSummaryCard } from '@/components/rfp/RfpSummaryCard';
 import { VendorSelector } from '@/components/rfp/VendorSelector';
 import { ProposalsTable } from '@/components/rfp/ProposalsTable';
 import { EmailsList } from '@/components/rfp/EmailsList';
+import { EvaluationCriteriaEditor } from '@/components/rfp/EvaluationCriteriaEditor';
+import { RfpItemsEditor } from '@/components/rfp/RfpItemsEditor';
+import { RfpDetailsDialog } from '@/components/rfp/RfpDetailsDialog';
+import { RfpAmendmentDialog } from '@/components/rfp/RfpAmendmentDialog';
+import { RfpAmendmentsList } from '@/components/rfp/RfpAmendmentsList';
+import { RfpQuestionBoard } from '@/components/rfp/RfpQuestionBoard';
+import { RfpInvitationsTable } from '@/components/rfp/RfpInvitationsTable';
 import { LoadingState } from '@/components/common/Spinner';
 import { EmptyState } from '@/components/common/EmptyState';
-import { useRfpDetails, useProposals, useSendRfp } from '@/hooks/useRfps';
+import { AuditTrail } from '@/components/common/AuditTrail';
+import { AwardApprovalCard } from '@/components/rfp/AwardApprovalCard';
+import { useRfpDetails, useProposals, useRfpQuestions, useSendRfp, useUpdateRfpCriteria } from '@/hooks/useRfps';
 import { useVendors, useCreateVendor, useBulkCreateVendor } from '@/hooks/useVendors';
-import { FileText, Users, Inbox, Mail, BarChart3, ArrowLeft } from 'lucide-react';
+import { usePermissions } from '@/hooks/useAuth';
+import { useAwardApprovals } from '@/hooks/useAwardApprovals';
+import { DEFAULT_EVALUATION_CRITERIA, isCriteriaValid } from '@/lib/evaluationCriteria';
+import { EvaluationCriterion } from '@/types';
+import { FileText, Users, Inbox, Mail, BarChart3, ArrowLeft, Save, History, Pencil, FilePen, HelpCircle } from 'lucide-react';
 
 export default function RfpDetailPage() {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
   const [selectedVendorIds, setSelectedVendorIds] = useState<string[]>([]);
+  const [criteriaDraft, setCriteriaDraft] = useState<EvaluationCriterion[] | null>(null);
+  const [isEditDialogOpen, setIsEditDialogOpen] = useState(false);
+  const [isAmendDialogOpen, setIsAmendDialogOpen] = useState(false);
 
   const { data: rfp, isLoading: rfpLoading } = useRfpDetails(id);
   const { data: proposals = [], isLoading: proposalsLoading } = useProposals(id);
   const { data: vendors = [], isLoading: vendorsLoading } = useVendors();
   
   const sendRfpMutation = useSendRfp();
+  const updateCriteriaMutation = useUpdateRfpCriteria();
   const createVendorMutation = useCreateVendor();
   const bulkCreateVendorMutation = useBulkCreateVendor();
+  const { can } = usePermissions();
+  const { data: awardApprovals = [] } = useAwardApprovals(id, rfp?.status === 'pending_approval');
+  const pendingApproval = awardApprovals.find((a) => a.status === 'pending');
+  const { data: questions = [] } = useRfpQuestions(id, !!rfp && rfp.status !== 'draft');
+  const openQuestionCount = questions.filter((q) => q.status === 'open').length;
 
   const handleSendRfp = async () => {
     if (!id || selectedVendorIds.length === 0) return;
@@ -33,6 +55,12 @@ export default function RfpDetailPage() {
     setSelectedVendorIds([]);
   };
 
+  const handleSaveCriteria = async () => {
+    if (!id || !criteriaDraft) return;
+    await updateCriteriaMutation.mutateAsync({ rfpId: id, criteria: criteriaDraft });
+    setCriteriaDraft(null);
+  };
+
   const handleAddVendor = async (vendorData: { name: string; email: string; tags: string }) => {
     // Convert comma-separated tags to array
     const tagsArray = vendorData.tags
@@ -90,6 +118,11 @@ export default function RfpDetailPage() {
     );
   }
 
+  const criteria = criteriaDraft ?? rfp.evaluation_criteria ?? DEFAULT_EVALUATION_CRITERIA;
+  // Drafts are edited in place; once out with vendors, changes go out as amendments
+  const canEditRfp = rfp.status === 'draft' && can('UpdateRfp');
+  const canAmendRfp = ['sent', 'evaluating'].includes(rfp.status) && can('IssueRfpAmendment');
+
   return (
     <AppShell title={rfp.title}>
       <div className="space-y-6">
@@ -105,6 +138,18 @@ export default function RfpDetailPage() {
             <h2 className="text-2xl font-bold text-foreground">{rfp.title}</h2>
             <p className="text-muted-foreground">{rfp.summary}</p>
           </div>
+          {canEditRfp && (
+            <Button variant="outline" onClick={() => setIsEditDialogOpen(true)}>
+              <Pencil className="h-4 w-4 mr-2" />
+              Edit RFP
+            </Button>
+          )}
+          {canAmendRfp && (
+            <Button variant="outline" onClick={() => setIsAmendDialogOpen(true)}>
+              <FilePen className="h-4 w-4 mr-2" />
+              Issue Amendment
+            </Button>
+          )}
           {proposals.length > 0 && (
             <Button asChild>
               <Link to={`/rfps/${id}/compare`}>
@@ -115,6 +160,13 @@ export default function RfpDetailPage() {
           )}
         </div>
 
+        {pendingApproval && (
+          <AwardApprovalCard
+            approval={pendingApproval}
+            vendorName={proposals.find((p) => p.id === pendingApproval.proposal_id)?.vendor?.name}
+          />
+        )}
+
         {/* Tabs */}
         <Tabs defaultValue="summary" className="space-y-6">
           <TabsList>
@@ -135,6 +187,15 @@ export default function RfpDetailPage() {
                 </span>
               )}
             </TabsTrigger>
+            <TabsTrigger value="questions" className="gap-2">
+              <HelpCircle className="h-4 w-4" />
+              Q&amp;A
+              {openQuestionCount > 0 && (
+                <span className="ml-1 px-1.5 py-0.5 text-xs rounded-full bg-destructive text-destructive-foreground">
+                  {openQuestionCount}
+                </span>
+              )}
+            </TabsTrigger>
             <TabsTrigger value="proposals" className="gap-2">
               <Inbox className="h-4 w-4" />
               Proposals
@@ -144,13 +205,93 @@ export default function RfpDetailPage() {
                 </span>
               )}
             </TabsTrigger>
+            {can('ListAuditEvents') && (
+              <TabsTrigger value="audit" className="gap-2">
+                <History className="h-4 w-4" />
+                Audit
+              </TabsTrigger>
+            )}
           </TabsList>
 
-          <TabsContent value="summary">
+          <TabsContent value="summary" className="space-y-6">
             <RfpSummaryCard rfp={rfp} showStatus />
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">Line Items</CardTitle>
+                <p className="text-sm text-muted-foreground">
+                  {rfp.status === 'draft'
+                    ? 'Fix quantities or specs before sending; the invitation lists items in this order.'
+                    : 'Items are locked once the RFP has been sent to vendors; issue an amendment to change them.'}
+                </p>
+              </CardHeader>
+              <CardContent>
+                <RfpItemsEditor rfpId={rfp.id} items={rfp.items || []} editable={canEditRfp} />
+              </CardContent>
+            </Card>
+
+            {rfp.status !== 'draft' && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="text-base">
+                    Amendments{rfp.revision ? ` (revision ${rfp.revision})` : ''}
+                  </CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <RfpAmendmentsList rfpId={rfp.id} />
+                </CardContent>
+              </Card>
+            )}
+
+            <Card>
+              <CardHeader className="flex flex-row items-center justify-between">
+                <div>
+                  <CardTitle className="text-base">Evaluation Criteria</CardTitle>
+                  <p className="text-sm text-muted-foreground">
+                    Changing weights rescores all received proposals.
+                  </p>
+                </div>
+                {criteriaDraft && (
+                  <div className="flex items-center gap-2">
+                    <Button variant="outline" size="sm" onClick={() => setCriteriaDraft(null)}>
+                      Cancel
+                    </Button>
+                    <Button
+                      size="sm"
+                      onClick={handleSaveCriteria}
+                      disabled={!isCriteriaValid(criteriaDraft) || updateCriteriaMutation.isPending}
+                    >
+                      <Save className="h-4 w-4 mr-2" />
+                      Save Criteria
+                    </Button>
+                  </div>
+                )}
+              </CardHeader>
+              <CardContent>
+                <EvaluationCriteriaEditor
+                  value={criteria}
+                  onChange={setCriteriaDraft}
+                  disabled={rfp.status === 'closed' || !can('UpdateRfpCriteria') || updateCriteriaMutation.isPending}
+                />
+              </CardContent>
+            </Card>
           </TabsContent>
 
-          <TabsContent value="vendors">
+          <TabsContent value="vendors" className="space-y-6">
+            {rfp.status !== 'draft' && (
+              <Card>
+                <CardHeader>
+                  <CardTitle>Invited Vendors</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <RfpInvitationsTable
+                    rfpId={rfp.id}
+                    canMarkDeclined={['sent', 'evaluating'].includes(rfp.status) && can('MarkVendorDeclined')}
+                  />
+                </CardContent>
+              </Card>
+            )}
+
             {rfp.status === 'closed' ? (
               <Card>
                 <CardContent className="pt-6">
@@ -161,6 +302,14 @@ export default function RfpDetailPage() {
                   </div>
                 </CardContent>
               </Card>
+            ) : !can('SendRfp') ? (
+              <Card>
+                <CardContent className="pt-6">
+                  <p className="text-sm text-muted-foreground">
+                    Your role can't invite vendors to this RFP. Ask a buyer to send it.
+                  </p>
+                </CardContent>
+              </Card>
             ) : vendorsLoading ? (
               <LoadingState message="Loading vendors..." />
             ) : (
@@ -172,6 +321,7 @@ export default function RfpDetailPage() {
                 onAddVendor={handleAddVendor}
                 onBulkAddVendors={handleBulkAddVendors}
                 isSending={sendRfpMutation.isPending}
+                canAddVendors={can('CreateVendor')}
               />
             )}
           </TabsContent>
@@ -180,6 +330,20 @@ export default function RfpDetailPage() {
             <EmailsList rfpId={id} rfpStatus={rfp.status} />
           </TabsContent>
 
+          <TabsContent value="questions">
+            <Card>
+              <CardHeader>
+                <CardTitle>Vendor Questions</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <RfpQuestionBoard
+                  rfpId={rfp.id}
+                  canAnswer={['sent', 'evaluating'].includes(rfp.status) && can('AnswerRfpQuestion')}
+                />
+              </CardContent>
+            </Card>
+          </TabsContent>
+
           <TabsContent value="proposals">
             <Card>
               <CardHeader className="flex flex-row items-center justify-between">
@@ -212,8 +376,28 @@ export default function RfpDetailPage() {
               </CardContent>
             </Card>
           </TabsContent>
+
+          {can('ListAuditEvents') && (
+            <TabsContent value="audit">
+              <Card>
+                <CardHeader>
+                  <CardTitle>Audit Trail</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <AuditTrail rfpId={id} />
+                </CardContent>
+              </Card>
+            </TabsContent>
+          )}
         </Tabs>
       </div>
+
+      {canEditRfp && (
+        <RfpDetailsDialog rfp={rfp} open={isEditDialogOpen} onOpenChange={setIsEditDialogOpen} />
+      )}
+      {canAmendRfp && (
+        <RfpAmendmentDialog rfp={rfp} open={isAmendDialogOpen} onOpenChange={setIsAmendDialogOpen} />
+      )}
     </AppShell>
   );
 }
@@ -23,11 +23,14 @@ import { StatusBadge } from '@/components/common/StatusBadge';
 import { LoadingState } from '@/components/common/Spinner';
 import { EmptyState } from '@/components/common/EmptyState';
 import { useRfps } from '@/hooks/useRfps';
+import { usePermissions } from '@/hooks/useAuth';
 import { FileText, Plus, Search, Eye } from 'lucide-react';
 import { formatCurrencySafe, formatDateSafe } from '@/lib/formatUtils';
 import { safeArray, safeGet, safeString } from '@/lib/errorUtils';
 
 export default function RfpListPage() {
+  const { can } = usePermissions();
+  const canCreateRfp = can('CreateRfp');
   const [searchQuery, setSearchQuery] = useState('');
   const [statusFilter, setStatusFilter] = useState<string>('all');
   
@@ -53,12 +56,14 @@ export default function RfpListPage() {
               Manage your requests for proposals
             </p>
           </div>
-          <Button asChild>
-            <Link to="/rfps/new">
-              <Plus className="h-4 w-4 mr-2" />
-              Create RFP
-            </Link>
-          </Button>
+          {canCreateRfp && (
+            <Button asChild>
+              <Link to="/rfps/new">
+                <Plus className="h-4 w-4 mr-2" />
+                Create RFP
+              </Link>
+            </Button>
+          )}
         </div>
 
         {/* Filters */}
@@ -83,6 +88,7 @@ export default function RfpListPage() {
                   <SelectItem value="draft">Draft</SelectItem>
                   <SelectItem value="sent">Sent</SelectItem>
                   <SelectItem value="evaluating">Evaluating</SelectItem>
+                  <SelectItem value="pending_approval">Pending Approval</SelectItem>
                   <SelectItem value="closed">Closed</SelectItem>
                 </SelectContent>
               </Select>
@@ -105,7 +111,7 @@ export default function RfpListPage() {
                     : 'Create your first RFP to get started'
                 }
                 action={
-                  !searchQuery && statusFilter === 'all'
+                  canCreateRfp && !searchQuery && statusFilter === 'all'
                     ? {
                         label: 'Create RFP',
                         onClick: () => window.location.href = '/rfps/new',
@@ -120,7 +126,7 @@ export default function RfpListPage() {
                     <TableRow className="bg-muted/50">
                       <TableHead className="font-semibold">Title</TableHead>
                       <TableHead className="font-semibold">Budget</TableHead>
-                      <TableHead className="font-semibold">Deadline</TableHead>
+                      <TableHead className="font-semibold">Proposals Due</TableHead>
                       <TableHead className="font-semibold">Status</TableHead>
                       <TableHead className="font-semibold">Created</TableHead>
                       <TableHead className="font-semibold text-right">Actions</TableHead>
@@ -145,9 +151,9 @@ export default function RfpListPage() {
                         <TableCell className="font-mono">
                           {formatCurrencySafe(safeGet(rfp, 'budget_cap'), safeGet(rfp, 'currency_code'))}
                         </TableCell>
-                        <TableCell>{safeGet(rfp, 'deadline_days') ? `${safeGet(rfp, 'deadline_days')} days` : 'N/A'}</TableCell>
+                        <TableCell>{formatDateSafe(safeGet(rfp, 'submission_deadline'))}</TableCell>
                         <TableCell>
-                          <StatusBadge status={(safeGet(rfp, 'status', 'draft') as 'draft' | 'sent' | 'evaluating' | 'closed' | 'pending' | 'awarded' | 'rejected')} />
+                          <StatusBadge status={(safeGet(rfp, 'status', 'draft') as 'draft' | 'sent' | 'evaluating' | 'pending_approval' | 'closed' | 'pending' | 'awarded' | 'rejected')} />
                         </TableCell>
                         <TableCell className="text-muted-foreground">
                           {formatDateSafe(safeGet(rfp, 'created_at'))}
@@ -1,24 +1,37 @@
+import { useState } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { AppShell } from '@/components/layout/AppShell';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { ProposalsTable } from '@/components/rfp/ProposalsTable';
+import { ProposalVersionHistory } from '@/components/rfp/ProposalVersionHistory';
+import { ProposalSourceEmails } from '@/components/rfp/ProposalSourceEmails';
 import { LoadingState } from '@/components/common/Spinner';
 import { EmptyState } from '@/components/common/EmptyState';
 import { FieldBox } from '@/components/common/FieldBox';
+import { formatCalendarDateSafe, formatDateSafe } from '@/lib/formatUtils';
 import { useRfpDetails, useProposals, useAwardProposal, useRejectProposal } from '@/hooks/useRfps';
+import { usePermissions } from '@/hooks/useAuth';
 import { Proposal } from '@/types';
-import { ArrowLeft, Inbox, BarChart3 } from 'lucide-react';
+import { ArrowLeft, Inbox, BarChart3, History } from 'lucide-react';
 
 export default function RfpProposalsPage() {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
+  const [openHistoryIds, setOpenHistoryIds] = useState<string[]>([]);
 
   const { data: rfp, isLoading: rfpLoading } = useRfpDetails(id);
   const { data: proposals = [], isLoading: proposalsLoading } = useProposals(id);
   
   const awardMutation = useAwardProposal();
   const rejectMutation = useRejectProposal();
+  const { can } = usePermissions();
+
+  const toggleHistory = (proposalId: string) => {
+    setOpenHistoryIds((prev) =>
+      prev.includes(proposalId) ? prev.filter((p) => p !== proposalId) : [...prev, proposalId]
+    );
+  };
 
   const handleAward = (proposal: Proposal) => {
     if (!id) return;
@@ -91,9 +104,17 @@ export default function RfpProposalsPage() {
         </div>
 
         {/* RFP Summary */}
-        <div className="grid grid-cols-4 gap-4">
+        <div className="grid grid-cols-5 gap-4">
           <FieldBox label="Budget Cap" value={rfp.budget_cap ? `$${rfp.budget_cap.toLocaleString()}` : 'N/A'} />
-          <FieldBox label="Delivery Deadline" value={rfp.deadline_days ? `${rfp.deadline_days} Days` : 'N/A'} />
+          <FieldBox label="Proposals Due" value={formatDateSafe(rfp.submission_deadline)} />
+          <FieldBox
+            label="Delivery By"
+            value={
+              rfp.delivery_by
+                ? formatCalendarDateSafe(rfp.delivery_by)
+                : rfp.deadline_days ? `${rfp.deadline_days} Days` : 'N/A'
+            }
+          />
           <FieldBox label="Payment Terms" value={rfp.payment_terms || 'N/A'} />
           <FieldBox label="Min Warranty" value={rfp.min_warranty_months ? `${rfp.min_warranty_months} Month(s)` : 'N/A'} />
         </div>
@@ -117,8 +138,8 @@ export default function RfpProposalsPage() {
                 proposals={proposals}
                 budgetCap={rfp.budget_cap}
                 currencyCode={rfp.currency_code}
-                onAward={handleAward}
-                onReject={handleReject}
+                onAward={can('AwardProposal') && rfp.status !== 'pending_approval' ? handleAward : undefined}
+                onReject={can('RejectProposal') ? handleReject : undefined}
                 showActions
               />
             )}
@@ -129,9 +150,31 @@ export default function RfpProposalsPage() {
         {proposals.map((proposal) => (
           <Card key={proposal.id}>
             <CardHeader>
-              <CardTitle className="text-base">{proposal.vendor?.name || 'Unknown Vendor'} - Proposal Details</CardTitle>
+              <div className="flex items-center justify-between">
+                <CardTitle className="text-base">
+                  {proposal.vendor?.name || 'Unknown Vendor'} - Proposal Details
+                  <span className="ml-2 text-sm font-normal text-muted-foreground">v{proposal.version}</span>
+                </CardTitle>
+                {proposal.version > 1 && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => toggleHistory(proposal.id)}
+                  >
+                    <History className="h-4 w-4 mr-2" />
+                    {openHistoryIds.includes(proposal.id) ? 'Hide' : 'Version'} History
+                  </Button>
+                )}
+              </div>
             </CardHeader>
             <CardContent className="space-y-4">
+              {openHistoryIds.includes(proposal.id) && id && (
+                <div className="p-4 border rounded-lg">
+                  <p className="text-sm font-medium mb-3">Version History</p>
+                  <ProposalVersionHistory rfpId={id} vendorId={proposal.vendor_id} />
+                </div>
+              )}
+
               {proposal.ai_reasoning && (
                 <div className="p-4 bg-muted rounded-lg">
                   <p className="text-sm font-medium mb-1">AI Analysis</p>
@@ -141,6 +184,61 @@ export default function RfpProposalsPage() {
                 </div>
               )}
 
+              {proposal.score_breakdown && (
+                <div>
+                  <p className="text-sm font-medium mb-2">Score Breakdown</p>
+                  <div className="border rounded-lg overflow-hidden">
+                    <table className="w-full text-sm">
+                      <thead className="bg-muted">
+                        <tr>
+                          <th className="p-2 text-left font-medium">Criterion</th>
+                          <th className="p-2 text-right font-medium">Weight</th>
+                          <th className="p-2 text-right font-medium">Score</th>
+                          <th className="p-2 text-right font-medium">Points</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {proposal.score_breakdown.criteria.map((criterion) => (
+                          <tr key={criterion.key} className="border-t">
+                            <td className="p-2">
+                              {criterion.label}
+                              <span className="text-muted-foreground"> — {criterion.detail}</span>
+                            </td>
+                            <td className="p-2 text-right font-mono">{criterion.effective_weight}%</td>
+                            <td className="p-2 text-right font-mono">{criterion.score ?? 'n/a'}</td>
+                            <td className="p-2 text-right font-mono">{criterion.points}</td>
+                          </tr>
+                        ))}
+                        {proposal.score_breakdown.penalties.map((penalty) => (
+                          <tr key={penalty.key} className="border-t">
+                            <td className="p-2" colSpan={3}>
+                              {penalty.key.replace('_', ' ')}
+                              <span className="text-muted-foreground"> — {penalty.detail}</span>
+                            </td>
+                            <td className="p-2 text-right font-mono">-{penalty.points}</td>
+                          </tr>
+                        ))}
+                        {proposal.score_breakdown.caps_applied.map((cap) => (
+                          <tr key={cap.key} className="border-t">
+                            <td className="p-2" colSpan={3}>
+                              Capped
+                              <span className="text-muted-foreground"> — {cap.detail}</span>
+                            </td>
+                            <td className="p-2 text-right font-mono">≤ {cap.max}</td>
+                          </tr>
+                        ))}
+                        <tr className="border-t bg-muted font-medium">
+                          <td className="p-2" colSpan={3}>Final score</td>
+                          <td className="p-2 text-right font-mono">{proposal.score_breakdown.final_score}</td>
+                        </tr>
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              <ProposalSourceEmails proposal={proposal} />
+
               {proposal.items && proposal.items.length > 0 && (
                 <div>
                   <p className="text-sm font-medium mb-2">Line Items</p>
@@ -23,10 +23,13 @@ import {
 } from '@/components/ui/dialog';
 import { TagList } from '@/components/common/Tag';
 import { BulkVendorImport } from '@/components/rfp/BulkVendorImport';
+import { VendorDrawer } from '@/components/rfp/VendorDrawer';
 import { LoadingState, Spinner } from '@/components/common/Spinner';
 import { EmptyState } from '@/components/common/EmptyState';
 import { useVendors, useCreateVendor, useDeleteVendor, useUpdateVendor, useBulkCreateVendor } from '@/hooks/useVendors';
+import { usePermissions } from '@/hooks/useAuth';
 import { formatRatingSafe } from '@/lib/formatUtils';
+import { Vendor } from '@/types';
 import { Users, Plus, Search, Star, Trash2, Mail, Edit } from 'lucide-react';
 
 export default function VendorsPage() {
@@ -35,12 +38,17 @@ export default function VendorsPage() {
   const [isEditDialogOpen, setIsEditDialogOpen] = useState(false);
   const [newVendor, setNewVendor] = useState({ name: '', email: '', tags: '' });
   const [editingVendor, setEditingVendor] = useState<{ id: string; name: string; email: string; tags: string } | null>(null);
+  const [selectedVendor, setSelectedVendor] = useState<Vendor | null>(null);
 
   const { data: vendors = [], isLoading } = useVendors(searchQuery || undefined);
   const createMutation = useCreateVendor();
   const bulkCreateMutation = useBulkCreateVendor();
   const updateMutation = useUpdateVendor();
   const deleteMutation = useDeleteVendor();
+  const { can } = usePermissions();
+  const canCreateVendor = can('CreateVendor');
+  const canUpdateVendor = can('UpdateVendor');
+  const canDeleteVendor = can('DeleteVendor');
 
   const handleAddVendor = async () => {
     if (!newVendor.name || !newVendor.email) return;
@@ -120,73 +128,75 @@ export default function VendorsPage() {
               Manage your vendor database
             </p>
           </div>
-          <div className="flex gap-2">
-            <BulkVendorImport onVendorsImported={handleBulkImport} />
-            <Dialog open={isAddDialogOpen} onOpenChange={setIsAddDialogOpen}>
-              <DialogTrigger asChild>
-                <Button>
-                  <Plus className="h-4 w-4 mr-2" />
-                  Add Vendor
-                </Button>
-              </DialogTrigger>
-              <DialogContent>
-                <DialogHeader>
-                  <DialogTitle>Add New Vendor</DialogTitle>
-                  <DialogDescription>
-                    Enter the vendor details below.
-                  </DialogDescription>
-                </DialogHeader>
-                <div className="space-y-4 py-4">
-                  <div className="space-y-2">
-                    <Label htmlFor="name">Vendor Name</Label>
-                    <Input
-                      id="name"
-                      value={newVendor.name}
-                      onChange={(e) => setNewVendor({ ...newVendor, name: e.target.value })}
-                      placeholder="e.g. Acme Corp"
-                    />
-                  </div>
-                  <div className="space-y-2">
-                    <Label htmlFor="email">Email Address</Label>
-                    <Input
-                      id="email"
-                      type="email"
-                      value={newVendor.email}
-                      onChange={(e) => setNewVendor({ ...newVendor, email: e.target.value })}
-                      placeholder="contact@acme.com"
-                    />
-                  </div>
-                  <div className="space-y-2">
-                    <Label htmlFor="tags">Tags (comma separated)</Label>
-                    <Input
-                      id="tags"
-                      value={newVendor.tags}
-                      onChange={(e) => setNewVendor({ ...newVendor, tags: e.target.value })}
-                      placeholder="e.g. Premium, Fast, Hardware"
-                    />
-                  </div>
-                </div>
-                <DialogFooter>
-                  <Button variant="outline" onClick={() => setIsAddDialogOpen(false)}>
-                    Cancel
+          {canCreateVendor && (
+            <div className="flex gap-2">
+              <BulkVendorImport onVendorsImported={handleBulkImport} />
+              <Dialog open={isAddDialogOpen} onOpenChange={setIsAddDialogOpen}>
+                <DialogTrigger asChild>
+                  <Button>
+                    <Plus className="h-4 w-4 mr-2" />
+                    Add Vendor
                   </Button>
-                  <Button
-                    onClick={handleAddVendor}
-                    disabled={!newVendor.name || !newVendor.email || createMutation.isPending}
-                  >
-                    {createMutation.isPending ? (
-                      <>
-                        <Spinner size="sm" className="mr-2" />
-                        Adding...
-                      </>
-                    ) : (
-                      'Add Vendor'
-                    )}
-                  </Button>
-                </DialogFooter>
-              </DialogContent>
-            </Dialog>
-          </div>
+                </DialogTrigger>
+                <DialogContent>
+                  <DialogHeader>
+                    <DialogTitle>Add New Vendor</DialogTitle>
+                    <DialogDescription>
+                      Enter the vendor details below.
+                    </DialogDescription>
+                  </DialogHeader>
+                  <div className="space-y-4 py-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="name">Vendor Name</Label>
+                      <Input
+                        id="name"
+                        value={newVendor.name}
+                        onChange={(e) => setNewVendor({ ...newVendor, name: e.target.value })}
+                        placeholder="e.g. Acme Corp"
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="email">Email Address</Label>
+                      <Input
+                        id="email"
+                        type="email"
+                        value={newVendor.email}
+                        onChange={(e) => setNewVendor({ ...newVendor, email: e.target.value })}
+                        placeholder="contact@acme.com"
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="tags">Tags (comma separated)</Label>
+                      <Input
+                        id="tags"
+                        value={newVendor.tags}
+                        onChange={(e) => setNewVendor({ ...newVendor, tags: e.target.value })}
+                        placeholder="e.g. Premium, Fast, Hardware"
+                      />
+                    </div>
+                  </div>
+                  <DialogFooter>
+                    <Button variant="outline" onClick={() => setIsAddDialogOpen(false)}>
+                      Cancel
+                    </Button>
+                    <Button
+                      onClick={handleAddVendor}
+                      disabled={!newVendor.name || !newVendor.email || createMutation.isPending}
+                    >
+                      {createMutation.isPending ? (
+                        <>
+                          <Spinner size="sm" className="mr-2" />
+                          Adding...
+                        </>
+                      ) : (
+                        'Add Vendor'
+                      )}
+                    </Button>
+                  </DialogFooter>
+                </DialogContent>
+              </Dialog>
+            </div>
+          )}
         </div>
 
         {/* Edit Vendor Dialog */}
@@ -282,7 +292,7 @@ export default function VendorsPage() {
                     : 'Add your first vendor to get started'
                 }
                 action={
-                  !searchQuery
+                  canCreateVendor && !searchQuery
                     ? {
                         label: 'Add Vendor',
                         onClick: () => setIsAddDialogOpen(true),
@@ -299,7 +309,9 @@ export default function VendorsPage() {
                       <TableHead className="font-semibold">Email</TableHead>
                       <TableHead className="font-semibold">Tags</TableHead>
                       <TableHead className="font-semibold">Rating</TableHead>
-                      <TableHead className="font-semibold text-right">Actions</TableHead>
+                      {(canUpdateVendor || canDeleteVendor) && (
+                        <TableHead className="font-semibold text-right">Actions</TableHead>
+                      )}
                     </TableRow>
                   </TableHeader>
                   <TableBody>
@@ -310,7 +322,13 @@ export default function VendorsPage() {
                             <div className="w-8 h-8 rounded bg-info/10 flex items-center justify-center">
                               <Users className="h-4 w-4 text-info" />
                             </div>
-                            <span className="font-medium">{vendor.name}</span>
+                            <button
+                              type="button"
+                              className="font-medium hover:underline text-left"
+                              onClick={() => setSelectedVendor(vendor)}
+                            >
+                              {vendor.name}
+                            </button>
                           </div>
                         </TableCell>
                         <TableCell>
@@ -330,26 +348,32 @@ export default function VendorsPage() {
                             </div>
                           )}
                         </TableCell>
-                        <TableCell className="text-right">
-                          <div className="flex gap-2 justify-end">
-                            <Button
-                              variant="ghost"
-                              size="sm"
-                              onClick={() => handleEditVendor(vendor)}
-                              disabled={updateMutation.isPending}
-                            >
-                              <Edit className="h-4 w-4 text-blue-500" />
-                            </Button>
-                            <Button
-                              variant="ghost"
-                              size="sm"
-                              onClick={() => handleDeleteVendor(vendor.id)}
-                              disabled={deleteMutation.isPending}
-                            >
-                              <Trash2 className="h-4 w-4 text-destructive" />
-                            </Button>
-                          </div>
-                        </TableCell>
+                        {(canUpdateVendor || canDeleteVendor) && (
+                          <TableCell className="text-right">
+                            <div className="flex gap-2 justify-end">
+                              {canUpdateVendor && (
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  onClick={() => handleEditVendor(vendor)}
+                                  disabled={updateMutation.isPending}
+                                >
+                                  <Edit className="h-4 w-4 text-blue-500" />
+                                </Button>
+                              )}
+                              {canDeleteVendor && (
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  onClick={() => handleDeleteVendor(vendor.id)}
+                                  disabled={deleteMutation.isPending}
+                                >
+                                  <Trash2 className="h-4 w-4 text-destructive" />
+                                </Button>
+                              )}
+                            </div>
+                          </TableCell>
+                        )}
                       </TableRow>
                     ))}
                   </TableBody>
@@ -358,6 +382,11 @@ export default function VendorsPage() {
             )}
           </CardContent>
         </Card>
+
+        <VendorDrawer
+          vendor={selectedVendor}
+          onOpenChange={(open) => !open && setSelectedVendor(null)}
+        />
       </div>
     </AppShell>
   );
@@ -6,36 +6,52 @@ import RfpDetailPage from './pages/RfpDetailPage';
 import RfpProposalsPage from './pages/RfpProposalsPage';
 import RfpComparePage from './pages/RfpComparePage';
 import VendorsPage from './pages/VendorsPage';
+import JobsPage from './pages/JobsPage';
+import LoginPage from './pages/LoginPage';
 import NotFound from './pages/NotFound';
+import { RequireAuth } from './components/auth/RequireAuth';
 
 const router = createBrowserRouter([
   {
-    path: '/',
-    element: <DashboardPage />,
+    path: '/login',
+    element: <LoginPage />,
   },
   {
-    path: '/rfps',
-    element: <RfpListPage />,
-  },
-  {
-    path: '/rfps/new',
-    element: <RfpCreatePage />,
-  },
-  {
-    path: '/rfps/:id',
-    element: <RfpDetailPage />,
-  },
-  {
-    path: '/rfps/:id/proposals',
-    element: <RfpProposalsPage />,
-  },
-  {
-    path: '/rfps/:id/compare',
-    element: <RfpComparePage />,
-  },
-  {
-    path: '/vendors',
-    element: <VendorsPage />,
+    element: <RequireAuth />,
+    children: [
+      {
+        path: '/',
+        element: <DashboardPage />,
+      },
+      {
+        path: '/rfps',
+        element: <RfpListPage />,
+      },
+      {
+        path: '/rfps/new',
+        element: <RfpCreatePage />,
+      },
+      {
+        path: '/rfps/:id',
+        element: <RfpDetailPage />,
+      },
+      {
+        path: '/rfps/:id/proposals',
+        element: <RfpProposalsPage />,
+      },
+      {
+        path: '/rfps/:id/compare',
+        element: <RfpComparePage />,
+      },
+      {
+        path: '/vendors',
+        element: <VendorsPage />,
+      },
+      {
+        path: '/jobs',
+        element: <JobsPage />,
+      },
+    ],
   },
   {
     path: '*',
@@ -24,11 +24,30 @@ export interface RfpStructured {
   budget_cap: number;
   currency_code: string;
   deadline_days: number;
+  submission_deadline?: string | null; // YYYY-MM-DD
+  delivery_by?: string | null; // YYYY-MM-DD
   payment_terms: string;
   min_warranty_months: number;
   items?: RfpItem[];
 }
 
+// Stored line item of a saved RFP (rfp_items), in sort_order
+export interface RfpLineItem {
+  id: string;
+  item_label: string;
+  spec_text: string | null;
+  quantity: number;
+  sort_order: number | null;
+}
+
+// Weighted evaluation criterion; standard keys or custom_<name>, weights sum to 100
+export interface EvaluationCriterion {
+  key: string;
+  label: string;
+  weight: number;
+  description?: string;
+}
+
 export interface Rfp {
   id: string;
   title: string;
@@ -37,11 +56,89 @@ export interface Rfp {
   budget_cap: number | null;
   currency_code: string;
   deadline_days: number | null;
+  submission_deadline: string | null; // proposals due (timestamp)
+  delivery_by: string | null; // YYYY-MM-DD
   payment_terms: string | null;
   min_warranty_months: number | null;
-  status: 'draft' | 'sent' | 'evaluating' | 'closed';
+  evaluation_criteria?: EvaluationCriterion[];
+  status: 'draft' | 'sent' | 'evaluating' | 'pending_approval' | 'closed';
+  revision?: number; // latest amendment number; 0 = as sent
   created_at: string;
   updated_at: string;
+  items?: RfpLineItem[]; // GetRfpDetails only
+}
+
+// What an amendment changed relative to the previous revision
+export interface RfpAmendmentChanges {
+  fields: Record<string, { from: string | number | null; to: string | number | null }>;
+  items: {
+    added: Array<Omit<RfpLineItem, 'id' | 'sort_order'>>;
+    removed: Array<Omit<RfpLineItem, 'sort_order'>>;
+    changed: Array<{ id: string; item_label: string; changes: Record<string, { from: string | number | null; to: string | number | null }> }>;
+    reordered: boolean;
+  } | null;
+}
+
+export interface RfpAmendment {
+  id: string;
+  rfp_id: string;
+  number: number;
+  note: string | null;
+  changes: RfpAmendmentChanges;
+  summary: string[]; // one line per change, as emailed to vendors
+  issued_by_user_id: string | null;
+  recipient_count: number;
+  created_at: string;
+}
+
+// One LLM call made while extracting structured data (first try or repair)
+export interface LlmAttempt {
+  attempt: number;
+  provider: string;
+  model: string;
+  ok: boolean;
+  stage: 'request' | 'json' | 'schema' | null;
+  errors: Record<string, string> | null;
+  raw_excerpt: string | null;
+  duration_ms: number | null;
+}
+
+// Code-computed proposal score components (see backend proposalScoringUtils)
+export interface ScoreCriterion {
+  key: string;
+  label: string;
+  weight: number;
+  effective_weight: number;
+  score: number | null; // null = not applicable (e.g. vendor history for new vendors)
+  points: number;
+  detail: string;
+}
+
+export interface ScorePenalty {
+  key: 'missing_items' | 'vague_email';
+  points: number;
+  detail: string;
+}
+
+export interface ScoreCap {
+  key: 'over_budget' | 'missing_items';
+  max: number;
+  detail: string;
+}
+
+export interface ScoreBreakdown {
+  criteria: ScoreCriterion[];
+  weighted_score: number;
+  penalties: ScorePenalty[];
+  uncapped_score: number;
+  caps_applied: ScoreCap[];
+  final_score: number;
+  reference: {
+    best_price: number | null;
+    best_delivery_days: number | null;
+    budget_cap: number | null;
+    min_warranty_months: number | null;
+  };
 }
 
 // Vendor Types
@@ -57,16 +154,37 @@ export interface Vendor {
   average_proposal_score?: number | null;
   rejection_count?: number;
   last_awarded_at?: string | null;
+  // Bid participation over invites that went out
+  invitation_count?: number;
+  response_count?: number;
+  decline_count?: number;
+  no_response_count?: number;
+  participation_rate?: number | string | null; // 0-100, null until an invite is settled
   tags: string[];
   created_at?: string;
   updated_at?: string;
 }
 
+export type InvitationResponseStatus = 'awaiting' | 'responded' | 'declined' | 'no_response';
+
 export interface RfpVendor {
   rfp_id: string;
   vendor_id: string;
-  invite_status: 'pending' | 'sent' | 'responded';
+  invite_status: 'pending' | 'sent' | 'failed' | 'bounced';
   invited_at?: string;
+  reminders_sent?: number;
+  last_reminded_at?: string | null;
+  response_status: InvitationResponseStatus;
+  responded_at?: string | null;
+  declined_at?: string | null;
+  decline_source?: 'email' | 'manual' | null;
+  decline_reason?: string | null;
+  decline_email_id?: string | null;
+}
+
+export interface RfpInvitation extends RfpVendor {
+  vendor_name: string | null;
+  vendor_email: string | null;
 }
 
 // Proposal Types
@@ -76,6 +194,15 @@ export interface ProposalItem {
   specs: string;
   price: number;
   quantity: number;
+  source_email_id?: string | null;
+}
+
+// Inbound email of the vendor thread a proposal was extracted from
+export interface SourceEmail {
+  id: string;
+  subject: string;
+  received_at: string | null;
+  is_late?: boolean; // received after the RFP's submission deadline
 }
 
 export interface Proposal {
@@ -94,15 +221,39 @@ export interface Proposal {
   delivery_days: number | null;
   warranty_text: string | null;
   payment_terms?: string | null;
-  status: 'pending' | 'awarded' | 'rejected';
+  status: 'pending' | 'pending_approval' | 'awarded' | 'rejected';
   ai_score: number | string | null; // Can be Decimal from backend
   ai_reasoning: string | null;
+  score_breakdown?: ScoreBreakdown | null;
+  llm_attempts?: LlmAttempt[];
+  field_sources?: Record<string, string>; // field → source email id
+  source_emails?: SourceEmail[];
+  submitted_at?: string | null; // newest source email
+  is_late?: boolean;
+  rfp_revision?: number; // RFP revision the vendor was quoting
+  is_superseded?: boolean; // quotes an older revision than the RFP's current one
   items: ProposalItem[];
   created_at: string;
   updated_at: string;
 }
 
 // Email Types
+// File attached to an inbound email (metadata only, as listed by ListEmails)
+export interface EmailAttachment {
+  id: string;
+  filename: string | null;
+  content_type: string | null;
+  size_bytes: number | null;
+  extraction_status: 'pending' | 'extracted' | 'empty' | 'unsupported' | 'skipped' | 'failed';
+  extraction_error: string | null;
+}
+
+// GetEmailAttachment: extracted_text is what the proposal parser sees
+export interface EmailAttachmentDetail extends EmailAttachment {
+  email_id: string;
+  extracted_text: string | null;
+}
+
 export interface Email {
   id: string;
   rfp_id: string;
@@ -115,9 +266,211 @@ export interface Email {
   sent_at: string | null;
   received_at: string | null;
   created_at: string;
+  attachments?: EmailAttachment[];
+  // Inbound only; only proposals are parsed, questions go to the Q&A board
+  classification?: EmailClassification | null;
+  // Outbound only (ListEmails with direction 'outbound')
+  kind?: OutboundEmailKind;
+  status?: OutboundEmailStatus;
+  to_address?: string | null;
+  attempts?: number;
+  last_error?: string | null;
+  last_error_type?: 'auth' | 'rate_limit' | 'network' | 'other' | null;
+  bounced_at?: string | null;
+  bounce_reason?: string | null;
+}
+
+export type OutboundEmailKind = 'invite' | 'award' | 'rejection' | 'reminder' | 'amendment' | 'clarification';
+
+export type EmailClassification = 'proposal' | 'question' | 'decline' | 'other';
+
+// A vendor's clarification question (an inbound email classified as one)
+export interface RfpQuestion {
+  id: string;
+  rfp_id: string;
+  vendor_id: string | null;
+  vendor_name: string | null;
+  email_id: string;
+  subject: string | null;
+  received_at: string | null;
+  question_text: string;
+  status: 'open' | 'answered';
+  answer_text: string | null;
+  public_question: string | null; // anonymized question as broadcast
+  suggested_public_question: string; // default text for a broadcast
+  is_broadcast: boolean;
+  recipient_count: number;
+  answered_by_user_id: string | null;
+  answered_at: string | null;
+  created_at: string;
+}
+
+export type OutboundEmailStatus = 'queued' | 'sent' | 'failed' | 'bounced';
+
+// Proposal version history (ListProposalVersions)
+export interface FieldChange {
+  field: string;
+  from: string | number | null;
+  to: string | number | null;
+}
+
+export interface ProposalVersionChanges {
+  from_version: number;
+  fields: FieldChange[];
+  items_added: string[];
+  items_removed: string[];
+  items_changed: { label: string; changes: FieldChange[] }[];
+}
+
+export interface ProposalVersion {
+  id: string;
+  version: number;
+  is_current: boolean;
+  status: 'pending' | 'pending_approval' | 'awarded' | 'rejected';
+  email: { id: string; subject: string; received_at: string | null } | null;
+  total_price: number | string | null;
+  currency_code: string;
+  delivery_days: number | null;
+  delivery_text: string | null;
+  warranty_months: number | null;
+  warranty_text: string | null;
+  payment_terms: string | null;
+  ai_score: number | string | null;
+  ai_reasoning: string | null;
+  items: (ProposalItem & { total_price: number | string | null; matches_rfp: boolean | null })[];
+  changes: ProposalVersionChanges | null;
+  created_at: string;
+}
+
+// Audit Types
+export type AuditEntityType = 'rfp' | 'vendor' | 'proposal' | 'user' | 'organization' | 'job' | 'email' | 'rfp_question';
+
+export interface AuditEvent {
+  id: string;
+  actor_user_id: string | null;
+  actor_email: string | null;
+  action: string;
+  entity_type: AuditEntityType;
+  entity_id: string | null;
+  rfp_id: string | null;
+  vendor_id: string | null;
+  before: Record<string, unknown> | null;
+  after: Record<string, unknown> | null;
+  request_id: string | null;
+  created_at: string;
+}
+
+// Background Job Types
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'dead';
+
+export type JobType =
+  | 'email.send'
+  | 'vendor.rating_award'
+  | 'vendor.rating_reject'
+  | 'rfp.reminders'
+  | 'rfp.deadlines';
+
+export interface Job {
+  id: string;
+  type: JobType;
+  status: JobStatus;
+  payload: Record<string, unknown>;
+  idempotency_key: string | null;
+  attempts: number;
+  max_attempts: number;
+  run_at: string;
+  locked_at: string | null;
+  locked_by: string | null;
+  last_error: string | null;
+  result: unknown;
+  request_id: string | null;
+  completed_at: string | null;
+  created_at: string;
+  updated_at: string | null;
+}
+
+// Award Approval Types
+export interface AwardApprovalStep {
+  role?: UserRole;
+  user_id?: string;
+}
+
+export interface AwardApprovalReason {
+  type: 'threshold' | 'budget_ratio' | 'price_unknown';
+  amount?: number;
+  threshold?: number;
+  budget_ratio?: number;
+  budget_cap?: number;
+  limit?: number;
+}
+
+export interface AwardApprovalDecision {
+  id: string;
+  step: number;
+  decided_by_user_id: string;
+  decided_by_email: string | null;
+  decision: 'approved' | 'rejected';
+  comment: string | null;
+  created_at: string;
+}
+
+export interface AwardApproval {
+  id: string;
+  rfp_id: string;
+  proposal_id: string;
+  vendor_id: string;
+  requested_by_user_id: string | null;
+  status: 'pending' | 'approved' | 'rejected' | 'cancelled';
+  amount: number | null;
+  currency_code: string;
+  reasons: AwardApprovalReason[];
+  steps: AwardApprovalStep[];
+  current_step: number;
+  decisions: AwardApprovalDecision[];
+  can_decide: boolean;
+  // Requester or admin, while pending
+  can_cancel: boolean;
+  decided_at: string | null;
+  created_at: string;
+  updated_at: string | null;
+}
+
+// Auth Types
+export type UserRole = 'requester' | 'buyer' | 'approver' | 'admin';
+
+export interface AuthUser {
+  id: string;
+  org_id: string;
+  email: string;
+  name: string;
+  role: UserRole;
+  is_active?: boolean;
+  last_login_at?: string | null;
+  created_at?: string;
+}
+
+export interface OrganizationSummary {
+  id: string;
+  name: string;
+  slug: string;
 }
 
 // API Response Wrappers
+export interface LoginResponse {
+  token: string;
+  expires_at: string;
+  user: AuthUser;
+  organization: OrganizationSummary | null;
+  allowed_actions: string[];
+}
+
+export interface GetCurrentUserResponse {
+  user: AuthUser;
+  organization: OrganizationSummary | null;
+  token: { id: string; kind: 'session' | 'api' };
+  allowed_actions: string[];
+}
+
 export interface ListRfpsResponse {
   items: Rfp[];
   page: number;
@@ -126,6 +479,30 @@ export interface ListRfpsResponse {
   total_pages: number;
 }
 
+export interface ListAwardApprovalsResponse {
+  items: AwardApproval[];
+  page: number;
+  limit: number;
+  total: number;
+  total_pages: number;
+}
+
+export interface ListAuditEventsResponse {
+  items: AuditEvent[];
+  page: number;
+  limit: number;
+  total: number;
+  total_pages: number;
+}
+
+export interface ListJobsResponse {
+  items: Job[];
+  page: number;
+  limit: number;
+  total: number;
+  total_pages: number;
+}
+
 export interface ListVendorsResponse {
   vendors: Vendor[];
   page: number;
@@ -141,8 +518,78 @@ export interface ListProposalsResponse {
   total_pages: number;
 }
 
+export interface ListProposalVersionsResponse {
+  rfp_id: string;
+  vendor_id: string;
+  vendor: { id: string; name: string; email: string } | null;
+  versions: ProposalVersion[];
+}
+
+// Line-item matrix (CompareProposalItems): one cell per RFP item and vendor
+export interface ProposalItemMatrixCell {
+  proposal_id: string;
+  vendor_id: string;
+  missing: boolean;
+  proposal_item_id?: string;
+  item_label?: string;
+  spec_text?: string | null;
+  notes?: string | null;
+  quantity?: number | null;
+  unit_price?: number | null;
+  total_price?: number | null;
+  matches_rfp?: boolean | null;
+  quantity_matches?: boolean | null;
+  label_similarity?: number;
+  source_email_id?: string | null;
+  is_best_price: boolean;
+}
+
+export interface ProposalItemMatrixLine {
+  rfp_item_id: string;
+  item_label: string;
+  spec_text: string | null;
+  quantity: number;
+  best_unit_price: number | null;
+  quoted_count: number;
+  missing_count: number;
+  cells: ProposalItemMatrixCell[];
+}
+
+export interface ProposalItemMatrixVendor {
+  proposal_id: string;
+  vendor_id: string;
+  vendor_name: string | null;
+  version: number;
+  status: Proposal['status'];
+  currency_code: string | null;
+  price_comparable: boolean; // quoted in the RFP's currency
+  total_price: number | null;
+  ai_score: number | null;
+  is_superseded: boolean;
+  quoted_count: number;
+  missing_count: number;
+  best_price_count: number;
+  unmatched_items: Array<{
+    proposal_item_id: string;
+    item_label: string;
+    spec_text: string | null;
+    notes: string | null;
+    quantity: number | null;
+    unit_price: number | null;
+    total_price: number | null;
+  }>;
+}
+
+export interface CompareProposalItemsResponse {
+  rfp_id: string;
+  currency_code: string | null;
+  vendors: ProposalItemMatrixVendor[];
+  lines: ProposalItemMatrixLine[];
+}
+
 export interface AnalyzeRfpPreviewResponse {
   structured: RfpStructured;
+  llm_attempts?: LlmAttempt[];
 }
 
 export interface CreateRfpResponse {
@@ -154,17 +601,71 @@ export interface GetRfpDetailsResponse {
   rfp: Rfp;
 }
 
-export interface SendRfpResponse {
+export interface UpdateRfpCriteriaResponse {
   rfp_id: string;
-  invited_count: number;
+  evaluation_criteria: EvaluationCriterion[];
+  rescored_count: number;
 }
 
-export interface AwardProposalResponse {
+export interface UpdateRfpResponse {
   rfp_id: string;
-  vendor_id: string;
-  awarded_proposal_id: string;
+  updated_fields: string[];
+}
+
+export interface RfpItemResponse {
+  rfp_id: string;
+  item: RfpLineItem;
+}
+
+export interface RfpItemsResponse {
+  rfp_id: string;
+  items: RfpLineItem[];
+}
+
+export interface IssueRfpAmendmentResponse {
+  amendment: RfpAmendment;
+  revision: number;
+  status: Rfp['status'];
+  // A later deadline moved an evaluating RFP back to 'sent'
+  submissions_reopened: boolean;
+  items: RfpLineItem[];
+}
+
+export interface ListRfpAmendmentsResponse {
+  rfp_id: string;
+  revision: number;
+  amendments: RfpAmendment[];
+}
+
+export interface ListRfpQuestionsResponse {
+  rfp_id: string;
+  open_count: number;
+  questions: RfpQuestion[];
+}
+
+export interface ClassifyEmailResponse {
+  email_id: string;
+  rfp_id: string;
+  classification: EmailClassification;
+  question_id: string | null;
+  response_status: InvitationResponseStatus | null;
+}
+
+export interface ListRfpInvitationsResponse {
+  rfp_id: string;
+  counts: Record<InvitationResponseStatus, number>;
+  invitations: RfpInvitation[];
+}
+
+export interface SendRfpResponse {
+  rfp_id: string;
+  invited_count: number;
 }
 
+export type AwardProposalResponse =
+  | { rfp_id: string; vendor_id: string; awarded_proposal_id: string; approval_required: false }
+  | { rfp_id: string; vendor_id: string; proposal_id: string; approval_required: true; approval: AwardApproval };
+
 export interface RejectProposalResponse {
   rfp_id: string;
   vendor_id: string;
@@ -180,6 +681,61 @@ export interface AnalyzeRfpPreviewPayload {
 export interface CreateRfpPayload {
   prompt: string;
   structured: RfpStructured;
+  evaluation_criteria?: EvaluationCriterion[];
+  submission_deadline?: string | null;
+  delivery_by?: string | null;
+}
+
+export interface UpdateRfpCriteriaPayload {
+  rfp_id: string;
+  evaluation_criteria: EvaluationCriterion[];
+}
+
+// Draft RFPs only; omitted fields are left unchanged
+export interface UpdateRfpPayload {
+  rfp_id: string;
+  title?: string;
+  summary?: string | null;
+  budget_cap?: number | null;
+  currency_code?: string;
+  payment_terms?: string | null;
+  min_warranty_months?: number | null;
+  submission_deadline?: string | null;
+  delivery_by?: string | null;
+}
+
+export interface AddRfpItemPayload {
+  rfp_id: string;
+  item_label: string;
+  spec_text?: string | null;
+  quantity: number;
+  position?: number; // 1-based; default: append
+}
+
+export interface UpdateRfpItemPayload {
+  rfp_id: string;
+  item_id: string;
+  item_label?: string;
+  spec_text?: string | null;
+  quantity?: number;
+}
+
+export interface RemoveRfpItemPayload {
+  rfp_id: string;
+  item_id: string;
+}
+
+export interface ReorderRfpItemsPayload {
+  rfp_id: string;
+  item_ids: string[];
+}
+
+// items: the complete amended list; id = keep/update, no id = new item
+export interface IssueRfpAmendmentPayload {
+  rfp_id: string;
+  note?: string;
+  changes?: Omit<UpdateRfpPayload, 'rfp_id'>;
+  items?: Array<{ id?: string; item_label: string; spec_text?: string | null; quantity: number }>;
 }
 
 export interface ListRfpsPayload {
@@ -214,6 +770,11 @@ export interface ListVendorsPayload {
   limit?: number;
 }
 
+export interface ListProposalVersionsPayload {
+  rfp_id: string;
+  vendor_id: string;
+}
+
 export interface ListProposalsPayload {
   rfp_id: string;
   page?: number;
@@ -236,6 +797,65 @@ export interface ParseProposalsPayload {
 
 export interface ListEmailsPayload {
   rfp_id: string;
+  direction?: Email['direction'];
+  kind?: OutboundEmailKind; // outbound only
+  classification?: EmailClassification; // inbound only
+  page?: number;
+  limit?: number;
+}
+
+export interface ClassifyEmailPayload {
+  email_id: string;
+  classification: EmailClassification;
+}
+
+export interface AnswerRfpQuestionPayload {
+  question_id: string;
+  answer_text: string;
+  broadcast?: boolean;
+  public_question?: string;
+}
+
+export interface MarkVendorDeclinedPayload {
+  rfp_id: string;
+  vendor_id: string;
+  reason?: string;
+}
+
+export interface ListAuditEventsPayload {
+  rfp_id?: string;
+  vendor_id?: string;
+  entity_type?: AuditEntityType;
+  action?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface ListAwardApprovalsPayload {
+  rfp_id?: string;
+  status?: AwardApproval['status'];
+  page?: number;
+  limit?: number;
+}
+
+export interface DecideAwardPayload {
+  approval_id: string;
+  comment?: string;
+}
+
+export interface ListJobsPayload {
+  status?: JobStatus;
+  type?: JobType;
+  rfp_id?: string;
   page?: number;
   limit?: number;
 }
+
+export interface RetryJobPayload {
+  job_id: string;
+}
+
+export interface LoginPayload {
+  email: string;
+  password: string;
+}